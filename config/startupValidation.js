@@ -1,3 +1,5 @@
+import { loadFieldKeyring } from "../utils/fieldEncryption.js";
+
 const ensure = (condition, message) => {
   if (!condition) {
     throw new Error(`Configuration error: ${message}`);
@@ -25,6 +27,29 @@ export const validateStartupConfig = () => {
     isValidEncryptionKey(process.env.DATA_ENCRYPTION_KEY),
     "DATA_ENCRYPTION_KEY must be a 32-byte key (64 hex chars or base64)"
   );
+  try {
+    loadFieldKeyring({ strict: true });
+  } catch (error) {
+    ensure(false, error.message);
+  }
+  if (process.env.BLIND_INDEX_KEY) {
+    ensure(
+      isValidEncryptionKey(process.env.BLIND_INDEX_KEY),
+      "BLIND_INDEX_KEY must be a 32-byte key (64 hex chars or base64)"
+    );
+    ensure(
+      String(process.env.BLIND_INDEX_KEY).trim() !== String(process.env.DATA_ENCRYPTION_KEY).trim(),
+      "BLIND_INDEX_KEY must differ from DATA_ENCRYPTION_KEY"
+    );
+  }
+
+  if (String(process.env.PAYMENT_PROVIDER || "").trim().toLowerCase() === "fake") {
+    ensure(!isProduction, "PAYMENT_PROVIDER=fake is not allowed in production");
+    ensure(
+      String(process.env.FAKE_PAYMENT_WEBHOOK_SECRET || "").trim(),
+      "FAKE_PAYMENT_WEBHOOK_SECRET is required when PAYMENT_PROVIDER=fake"
+    );
+  }
 
   if (isProduction) {
     ensure(strongSecret(process.env.JWT_SECRET), "JWT_SECRET must be at least 32 characters in production");
@@ -34,6 +59,12 @@ export const validateStartupConfig = () => {
         "JWT_REFRESH_SECRET must be at least 32 characters in production"
       );
     }
+    if (process.env.JWT_LOGIN_ATTEMPT_SECRET) {
+      ensure(
+        strongSecret(process.env.JWT_LOGIN_ATTEMPT_SECRET),
+        "JWT_LOGIN_ATTEMPT_SECRET must be at least 32 characters in production"
+      );
+    }
     ensure(process.env.SUPERADMIN_EMAIL, "SUPERADMIN_EMAIL is required in production");
     ensure(
       Number(process.env.BACKUP_RETENTION_DAYS || 14) >= 1,
@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
 
 import { StoreOrder } from "../models/StoreOrder.js";
+import { Document } from "../models/File.js";
+import { writeAuditLog } from "../middleware/auditLogger.js";
+import { generateSignedUrl } from "../utils/s3Utils.js";
 import {
   createInventoryOrder,
   getInventorySnapshot,
@@ -20,6 +23,51 @@ import {
   normalizeStoreOrderStatus,
   StoreInventoryError,
 } from "../services/storeInventoryBridge.js";
+import {
+  approveOrderPrescription,
+  PrescriptionVerificationError,
+  rejectOrderPrescription,
+} from "../services/storePrescription.js";
+import {
+  approveStoreReturn,
+  cancelStoreOrder,
+  processStoreRefund,
+  refundLateCapture,
+  rejectStoreReturn,
+  StoreReturnError,
+} from "../services/storeReturns.js";
+import { StoreRefund } from "../models/StoreRefund.js";
+import {
+  buildMonthlyGstSummary,
+  gstSummaryToCsv,
+  InvoiceError,
+  issueStoreInvoiceForOrder,
+} from "../services/gstInvoice.js";
+import {
+  createCatalogProduct,
+  InventoryCatalogError,
+  listCatalogProducts,
+  migrateLegacyInventoryCatalog,
+  restoreCatalogProduct,
+  retireCatalogProduct,
+  setCatalogProductAliases,
+  updateCatalogProduct,
+} from "../services/inventoryCatalog.js";
+import { InventoryLotError, listInventoryLots } from "../services/inventoryLots.js";
+import {
+  cancelPurchaseOrder,
+  createPurchaseOrder,
+  createSupplier,
+  generateReorderDrafts,
+  getPurchaseOrderReport,
+  listPurchaseOrders,
+  listSuppliers,
+  placePurchaseOrder,
+  PurchaseOrderError,
+  receivePurchaseOrder,
+  updatePurchaseOrderDraft,
+  updateSupplier,
+} from "../services/purchaseOrders.js";
 
 const handleInventoryError = (res, error, fallbackMessage) => {
   if (error instanceof InventoryError) {
@@ -32,6 +80,22 @@ const handleInventoryError = (res, error, fallbackMessage) => {
       .status(error.statusCode || 400)
       .json({ success: false, message: error.message });
   }
+  if (error instanceof PrescriptionVerificationError) {
+    return res
+      .status(error.statusCode || 400)
+      .json({ success: false, message: error.message });
+  }
+  if (
+    error instanceof StoreReturnError ||
+    error instanceof InvoiceError ||
+    error instanceof InventoryCatalogError ||
+    error instanceof InventoryLotError ||
+    error instanceof PurchaseOrderError
+  ) {
+    return res
+      .status(error.statusCode || 400)
+      .json({ success: false, message: error.message });
+  }
 
   // Log full error so we can see it in the terminal
   console.error(`[Inventory 500] ${fallbackMessage}:`, error?.message || error);
@@ -58,6 +122,7 @@ const STORE_FREE_DELIVERY_THRESHOLD = 599;
 
 const computeStoreTotals = (totals = {}) => {
   const subtotal = Math.max(0, toNumber(totals?.subtotal, 0));
+  const discount = Math.max(0, toNumber(totals?.discount, 0));
   const gst =
     toNumber(totals?.gst, Number((subtotal * STORE_GST_RATE).toFixed(2))) || 0;
   const deliveryCharges = Math.max(
@@ -71,12 +136,13 @@ const computeStoreTotals = (totals = {}) => {
     0,
     toNumber(
       totals?.total,
-      Number((subtotal + gst + deliveryCharges).toFixed(2))
+      Number((subtotal - discount + gst + deliveryCharges).toFixed(2))
     )
   );
 
   return {
     subtotal: Number(subtotal.toFixed(2)),
+    discount: Number(discount.toFixed(2)),
     gst: Number(gst.toFixed(2)),
     deliveryCharges: Number(deliveryCharges.toFixed(2)),
     total: Number(total.toFixed(2)),
@@ -86,10 +152,12 @@ const computeStoreTotals = (totals = {}) => {
 const mapStoreStatusToAdmin = (status) => {
   const normalized = asText(status).toUpperCase();
   if (!normalized || normalized === "PLACED") return "Pending";
+  if (normalized === "AWAITING_VERIFICATION") return "Awaiting Verification";
   if (normalized === "PROCESSING") return "Processing";
   if (normalized === "SHIPPED") return "Shipped";
   if (normalized === "DELIVERED") return "Delivered";
   if (normalized === "CANCELLED") return "Cancelled";
+  if (normalized === "RETURNED") return "Returned";
   if (normalized === "CONFIRMED") return "Confirmed";
   return "Pending";
 };
@@ -126,6 +194,8 @@ const mapStoreOrderForAdmin = (order) => {
       status: order?.paymentStatus,
     }),
     subtotal: totals.subtotal,
+    discount: totals.discount,
+    couponCode: asText(order?.coupon?.code),
     gst: totals.gst,
     deliveryCharges: totals.deliveryCharges,
     total: totals.total,
@@ -142,6 +212,44 @@ const mapStoreOrderForAdmin = (order) => {
       notes: asText(delivery?.notes),
     },
     customerId: asText(order?.principalId),
+    prescription: order?.prescription?.required
+      ? {
+          status: asText(order.prescription.status),
+          documentId: asText(order.prescription.documentId),
+          documentTitle: asText(order.prescription.documentTitle),
+          reviewedByName: asText(order.prescription.reviewedByName),
+          reviewedAt: order.prescription.reviewedAt || null,
+          note: asText(order.prescription.note),
+        }
+      : null,
+    payment: order?.payment?.intentId
+      ? {
+          provider: asText(order.payment.provider),
+          intentId: asText(order.payment.intentId),
+          status: asText(order.payment.status),
+          providerPaymentId: asText(order.payment.providerPaymentId),
+          failureReason: asText(order.payment.failureReason),
+          refundRequired: Boolean(order.payment.refundRequired),
+        }
+      : null,
+    cancellation: order?.cancellation?.cancelledAt
+      ? {
+          requestedBy: asText(order.cancellation.requestedBy),
+          reason: asText(order.cancellation.reason),
+          cancelledAt: order.cancellation.cancelledAt,
+        }
+      : null,
+    returnRequest:
+      order?.returnRequest?.status && order.returnRequest.status !== "NONE"
+        ? {
+            status: asText(order.returnRequest.status),
+            reason: asText(order.returnRequest.reason),
+            requestedAt: order.returnRequest.requestedAt || null,
+            reviewedByName: asText(order.returnRequest.reviewedByName),
+            reviewedAt: order.returnRequest.reviewedAt || null,
+            note: asText(order.returnRequest.note),
+          }
+        : null,
     source: "store_order",
     createdAt: order?.createdAt || null,
     updatedAt: order?.updatedAt || null,
@@ -249,6 +357,12 @@ export const getInventoryLedger = async (req, res) => {
   }
 };
 
+const readLotInput = (body = {}) => ({
+  batchNumber: body?.batchNumber,
+  manufacturedAt: body?.manufacturedAt,
+  expiresAt: body?.expiresAt ?? body?.expiryDate,
+});
+
 export const restockInventory = async (req, res) => {
   try {
     const movement = await recordRestock({
@@ -256,6 +370,7 @@ export const restockInventory = async (req, res) => {
       quantity: req.body?.quantity,
       reason: req.body?.reason,
       referenceId: req.body?.referenceId,
+      lot: readLotInput(req.body),
       actor: {
         adminId: req.admin?._id || null,
         name: req.admin?.name || "Admin",
@@ -283,6 +398,7 @@ export const restockProduct = async (req, res) => {
       quantity: req.body?.restockAmount ?? req.body?.quantity,
       reason: req.body?.reason,
       referenceId: req.body?.referenceId,
+      lot: readLotInput(req.body),
       actor: {
         adminId: req.admin?._id || null,
         name: req.admin?.name || "Admin",
@@ -413,12 +529,46 @@ export const updateOrderStatus = async (req, res) => {
             .json({ success: false, message: "Invalid order status" });
         }
 
-        await applyInventoryForStoreOrderStatus({
+        const previousStatus = storeOrder.status;
+        if (normalizedStoreStatus === "CANCELLED" && previousStatus !== "CANCELLED") {
+          if (previousStatus === "RETURNED") {
+            throw new StoreInventoryError("Returned orders cannot change status", 409);
+          }
+          // Closes an open payment intent and refunds collected payments
+          const cancelled = await cancelStoreOrder(storeOrder.toObject(), {
+            cancellation: { requestedBy: "admin", reason: asText(req.body?.reason).slice(0, 600) },
+            actor: { adminId: req.admin?._id || null },
+          });
+          if (!cancelled) {
+            throw new StoreReturnError("Order changed while cancelling; try again", 409);
+          }
+          return res.json({
+            success: true,
+            message: "Order status updated",
+            data: {
+              source: "store_order",
+              order: cancelled.order,
+              refund: cancelled.refund,
+            },
+          });
+        }
+
+        const inventoryResult = await applyInventoryForStoreOrderStatus({
           order: storeOrder,
           nextStatus: normalizedStoreStatus,
         });
         storeOrder.status = normalizedStoreStatus;
+        if (inventoryResult.lotAllocations?.length) {
+          storeOrder.lotAllocations = inventoryResult.lotAllocations;
+        }
+        if (normalizedStoreStatus === "DELIVERED" && !storeOrder.deliveredAt) {
+          storeOrder.deliveredAt = new Date();
+        }
         await storeOrder.save();
+        // Delivery makes a cash-on-delivery order invoiceable, dated at delivery
+        if (normalizedStoreStatus === "DELIVERED") {
+          await issueStoreInvoiceForOrder(storeOrder._id);
+        }
 
         return res.json({
           success: true,
@@ -426,6 +576,7 @@ export const updateOrderStatus = async (req, res) => {
           data: {
             source: "store_order",
             order: storeOrder,
+            refund: null,
           },
         });
       }
@@ -451,6 +602,220 @@ export const updateOrderStatus = async (req, res) => {
   }
 };
 
+const resolvePrescriptionUrl = async (documentId) => {
+  const document = await Document.findById(documentId).select("s3Key s3Bucket url").lean();
+  if (!document) return "";
+  if (document.s3Bucket === "local") return asText(document.url);
+  try {
+    return await generateSignedUrl(document.s3Key, document.s3Bucket);
+  } catch {
+    return "";
+  }
+};
+
+export const getPrescriptionReviewQueue = async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, Math.floor(toNumber(req.query.limit, 50))));
+    const storeOrders = await StoreOrder.find({ status: "AWAITING_VERIFICATION" })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+
+    const orders = [];
+    for (const storeOrder of storeOrders) {
+      const order = mapStoreOrderForAdmin(storeOrder);
+      order.prescription.url = await resolvePrescriptionUrl(storeOrder.prescription.documentId);
+      orders.push(order);
+
+      await writeAuditLog({
+        req,
+        action: "VIEW_ORDER_PRESCRIPTION",
+        resourceType: "DOCUMENT",
+        resourceId: order.prescription.documentId,
+        patientId: order.customerId,
+        statusCode: 200,
+        metadata: { orderId: order.orderId },
+      });
+    }
+
+    return res.json({ success: true, data: { orders } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch prescription review queue");
+  }
+};
+
+const reviewPrescriptionOrder = (decision) => async (req, res) => {
+  try {
+    const reviewInput = {
+      orderId: req.params.orderId,
+      note: req.body?.note,
+      actor: {
+        adminId: req.admin?._id || null,
+        name: req.admin?.name || "Admin",
+      },
+    };
+    const { order: storeOrder, refund } =
+      decision === "APPROVED"
+        ? { order: (await approveOrderPrescription(reviewInput)).toObject(), refund: null }
+        : await rejectOrderPrescription(reviewInput);
+
+    await writeAuditLog({
+      req,
+      action: decision === "APPROVED" ? "APPROVE_ORDER_PRESCRIPTION" : "REJECT_ORDER_PRESCRIPTION",
+      resourceType: "STORE_ORDER",
+      resourceId: storeOrder._id.toString(),
+      patientId: storeOrder.principalId,
+      statusCode: 200,
+      metadata: { documentId: asText(storeOrder.prescription?.documentId) },
+    });
+
+    return res.json({
+      success: true,
+      message: decision === "APPROVED" ? "Prescription approved and order placed" : "Prescription rejected and order cancelled",
+      data: { order: mapStoreOrderForAdmin(storeOrder), refund },
+    });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to review prescription");
+  }
+};
+
+export const approvePrescriptionOrder = reviewPrescriptionOrder("APPROVED");
+export const rejectPrescriptionOrder = reviewPrescriptionOrder("REJECTED");
+
+const getAdminActor = (req) => ({
+  adminId: req.admin?._id || null,
+  name: req.admin?.name || "Admin",
+});
+
+export const getStoreReturnQueue = async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, Math.floor(toNumber(req.query.limit, 50))));
+    const storeOrders = await StoreOrder.find({ "returnRequest.status": "REQUESTED" })
+      .sort({ "returnRequest.requestedAt": 1 })
+      .limit(limit)
+      .lean();
+
+    return res.json({ success: true, data: { orders: storeOrders.map(mapStoreOrderForAdmin) } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch return requests");
+  }
+};
+
+const reviewStoreReturn = (decision) => async (req, res) => {
+  try {
+    const input = { orderId: req.params.orderId, note: req.body?.note, actor: getAdminActor(req) };
+    const { order: storeOrder, refund = null } =
+      decision === "APPROVED"
+        ? await approveStoreReturn(input)
+        : { order: await rejectStoreReturn(input) };
+
+    await writeAuditLog({
+      req,
+      action: decision === "APPROVED" ? "APPROVE_STORE_RETURN" : "REJECT_STORE_RETURN",
+      resourceType: "STORE_ORDER",
+      resourceId: storeOrder._id.toString(),
+      patientId: storeOrder.principalId,
+      statusCode: 200,
+      metadata: { refundId: refund ? refund._id.toString() : null },
+    });
+
+    return res.json({
+      success: true,
+      message: decision === "APPROVED" ? "Return approved" : "Return rejected",
+      data: { order: mapStoreOrderForAdmin(storeOrder), refund },
+    });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to review return");
+  }
+};
+
+export const approveStoreReturnRequest = reviewStoreReturn("APPROVED");
+export const rejectStoreReturnRequest = reviewStoreReturn("REJECTED");
+
+export const getStoreRefunds = async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, Math.floor(toNumber(req.query.limit, 50))));
+    const status = asText(req.query.status).toUpperCase();
+    const refunds = await StoreRefund.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.json({ success: true, data: { refunds } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch refunds");
+  }
+};
+
+export const refundStoreOrder = async (req, res) => {
+  try {
+    const refund = await refundLateCapture({ orderId: req.params.orderId, actor: getAdminActor(req) });
+    await writeAuditLog({
+      req,
+      action: "REFUND_STORE_ORDER",
+      resourceType: "STORE_ORDER",
+      resourceId: asText(req.params.orderId),
+      patientId: refund.principalId,
+      statusCode: 200,
+      metadata: { refundId: refund._id.toString(), status: refund.status },
+    });
+
+    return res.json({ success: true, message: "Refund issued", data: { refund } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to refund order");
+  }
+};
+
+export const processStoreRefundRequest = async (req, res) => {
+  try {
+    const refund = await processStoreRefund({
+      refundId: req.params.refundId,
+      reference: req.body?.reference,
+      actor: getAdminActor(req),
+    });
+    await writeAuditLog({
+      req,
+      action: "PROCESS_STORE_REFUND",
+      resourceType: "STORE_ORDER",
+      resourceId: refund.orderId.toString(),
+      patientId: refund.principalId,
+      statusCode: 200,
+      metadata: { refundId: refund._id.toString(), status: refund.status },
+    });
+
+    return res.json({
+      success: true,
+      message: refund.status === "PROCESSED" ? "Refund processed" : "Refund attempt failed",
+      data: { refund },
+    });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to process refund");
+  }
+};
+
+export const getMonthlyGstSummary = async (req, res) => {
+  try {
+    const summary = await buildMonthlyGstSummary({ month: req.query.month });
+    await writeAuditLog({
+      req,
+      action: "EXPORT_GST_SUMMARY",
+      resourceType: "STORE_INVOICE",
+      resourceId: summary.month,
+      statusCode: 200,
+      metadata: { invoiceCount: summary.invoiceCount },
+    });
+
+    if (asText(req.query.format).toLowerCase() === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="gst-summary-${summary.month}.csv"`);
+      return res.send(gstSummaryToCsv(summary));
+    }
+    return res.json({ success: true, data: summary });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to build GST summary");
+  }
+};
+
 export const processInventoryReturn = async (req, res) => {
   try {
     const result = await recordReturnForOrder({
@@ -474,3 +839,246 @@ export const processInventoryReturn = async (req, res) => {
     return handleInventoryError(res, error, "Failed to process return for order");
   }
 };
+
+export const getCatalogProducts = async (req, res) => {
+  try {
+    const products = await listCatalogProducts({
+      includeRetired: asText(req.query.includeRetired) === "true",
+      source: req.query.source,
+    });
+    return res.json({ success: true, data: { products } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch catalog products");
+  }
+};
+
+const auditCatalogChange = (req, action, product, metadata = null) =>
+  writeAuditLog({
+    req,
+    action,
+    resourceType: "INVENTORY_PRODUCT",
+    resourceId: product.productKey,
+    statusCode: 200,
+    metadata,
+  });
+
+export const createCatalogProductEntry = async (req, res) => {
+  try {
+    const product = await createCatalogProduct(req.body || {});
+    await auditCatalogChange(req, "CREATE_INVENTORY_PRODUCT", product);
+    return res.status(201).json({ success: true, message: "Catalog product created", data: product });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to create catalog product");
+  }
+};
+
+export const updateCatalogProductEntry = async (req, res) => {
+  try {
+    const product = await updateCatalogProduct(req.params.productKey, req.body || {});
+    await auditCatalogChange(req, "UPDATE_INVENTORY_PRODUCT", product);
+    return res.json({ success: true, message: "Catalog product updated", data: product });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to update catalog product");
+  }
+};
+
+export const setCatalogProductSkuMappings = async (req, res) => {
+  try {
+    const product = await setCatalogProductAliases(req.params.productKey, req.body?.aliases);
+    await auditCatalogChange(req, "MAP_INVENTORY_PRODUCT_SKUS", product, { aliases: product.aliases });
+    return res.json({ success: true, message: "SKU mappings updated", data: product });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to update SKU mappings");
+  }
+};
+
+export const retireCatalogProductEntry = async (req, res) => {
+  try {
+    const product = await retireCatalogProduct(req.params.productKey, { reason: req.body?.reason });
+    await auditCatalogChange(req, "RETIRE_INVENTORY_PRODUCT", product, { reason: product.retiredReason });
+    return res.json({ success: true, message: "Catalog product retired", data: product });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to retire catalog product");
+  }
+};
+
+export const restoreCatalogProductEntry = async (req, res) => {
+  try {
+    const product = await restoreCatalogProduct(req.params.productKey);
+    await auditCatalogChange(req, "RESTORE_INVENTORY_PRODUCT", product);
+    return res.json({ success: true, message: "Catalog product restored", data: product });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to restore catalog product");
+  }
+};
+
+export const migrateInventoryCatalog = async (req, res) => {
+  try {
+    const result = await migrateLegacyInventoryCatalog();
+    await writeAuditLog({
+      req,
+      action: "MIGRATE_INVENTORY_CATALOG",
+      resourceType: "INVENTORY_PRODUCT",
+      resourceId: "catalog",
+      statusCode: 200,
+      metadata: result,
+    });
+    return res.json({ success: true, message: "Inventory catalog migrated", data: result });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to migrate inventory catalog");
+  }
+};
+
+export const getInventoryLots = async (req, res) => {
+  try {
+    const lots = await listInventoryLots({
+      productKey: req.query.productKey,
+      status: req.query.status,
+      limit: req.query.limit,
+    });
+    return res.json({ success: true, data: { lots } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch inventory lots");
+  }
+};
+
+export const getSuppliers = async (req, res) => {
+  try {
+    const suppliers = await listSuppliers({ includeInactive: asText(req.query.includeInactive) === "true" });
+    return res.json({ success: true, data: { suppliers } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch suppliers");
+  }
+};
+
+const auditPurchasing = (req, action, resourceType, resourceId, metadata = null) =>
+  writeAuditLog({ req, action, resourceType, resourceId: String(resourceId), statusCode: 200, metadata });
+
+export const createSupplierEntry = async (req, res) => {
+  try {
+    const supplier = await createSupplier(req.body || {}, getAdminActor(req));
+    await auditPurchasing(req, "CREATE_SUPPLIER", "SUPPLIER", supplier._id, { name: supplier.name });
+    return res.status(201).json({ success: true, message: "Supplier created", data: supplier });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to create supplier");
+  }
+};
+
+export const updateSupplierEntry = async (req, res) => {
+  try {
+    const supplier = await updateSupplier(req.params.supplierId, req.body || {});
+    await auditPurchasing(req, "UPDATE_SUPPLIER", "SUPPLIER", supplier._id, { isActive: supplier.isActive });
+    return res.json({ success: true, message: "Supplier updated", data: supplier });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to update supplier");
+  }
+};
+
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const purchaseOrders = await listPurchaseOrders({
+      status: req.query.status,
+      supplierId: req.query.supplierId,
+      limit: req.query.limit,
+    });
+    return res.json({ success: true, data: { purchaseOrders } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to fetch purchase orders");
+  }
+};
+
+export const createPurchaseOrderEntry = async (req, res) => {
+  try {
+    const purchaseOrder = await createPurchaseOrder({
+      supplierId: req.body?.supplierId,
+      lines: req.body?.lines,
+      expectedDeliveryAt: req.body?.expectedDeliveryAt,
+      notes: req.body?.notes,
+      actor: getAdminActor(req),
+    });
+    await auditPurchasing(req, "CREATE_PURCHASE_ORDER", "PURCHASE_ORDER", purchaseOrder._id, {
+      poNumber: purchaseOrder.poNumber,
+    });
+    return res.status(201).json({ success: true, message: "Purchase order drafted", data: purchaseOrder });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to create purchase order");
+  }
+};
+
+export const updatePurchaseOrderEntry = async (req, res) => {
+  try {
+    const purchaseOrder = await updatePurchaseOrderDraft(req.params.purchaseOrderId, req.body || {});
+    await auditPurchasing(req, "UPDATE_PURCHASE_ORDER", "PURCHASE_ORDER", purchaseOrder._id, {
+      poNumber: purchaseOrder.poNumber,
+    });
+    return res.json({ success: true, message: "Purchase order updated", data: purchaseOrder });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to update purchase order");
+  }
+};
+
+export const placePurchaseOrderEntry = async (req, res) => {
+  try {
+    const purchaseOrder = await placePurchaseOrder(req.params.purchaseOrderId);
+    await auditPurchasing(req, "PLACE_PURCHASE_ORDER", "PURCHASE_ORDER", purchaseOrder._id, {
+      poNumber: purchaseOrder.poNumber,
+      expectedDeliveryAt: purchaseOrder.expectedDeliveryAt,
+    });
+    return res.json({ success: true, message: "Purchase order placed", data: purchaseOrder });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to place purchase order");
+  }
+};
+
+export const receivePurchaseOrderEntry = async (req, res) => {
+  try {
+    const purchaseOrder = await receivePurchaseOrder(req.params.purchaseOrderId, {
+      lines: req.body?.lines,
+      actor: getAdminActor(req),
+    });
+    const receipt = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+    await auditPurchasing(req, "RECEIVE_PURCHASE_ORDER", "PURCHASE_ORDER", purchaseOrder._id, {
+      poNumber: purchaseOrder.poNumber,
+      status: purchaseOrder.status,
+      lines: receipt?.lines || [],
+    });
+    return res.json({ success: true, message: "Delivery received", data: purchaseOrder });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to receive purchase order");
+  }
+};
+
+export const cancelPurchaseOrderEntry = async (req, res) => {
+  try {
+    const purchaseOrder = await cancelPurchaseOrder(req.params.purchaseOrderId, { reason: req.body?.reason });
+    await auditPurchasing(req, "CANCEL_PURCHASE_ORDER", "PURCHASE_ORDER", purchaseOrder._id, {
+      poNumber: purchaseOrder.poNumber,
+      reason: purchaseOrder.cancelReason,
+    });
+    return res.json({ success: true, message: "Purchase order cancelled", data: purchaseOrder });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to cancel purchase order");
+  }
+};
+
+export const runReorderDrafts = async (req, res) => {
+  try {
+    const { drafts, unassigned } = await generateReorderDrafts();
+    await auditPurchasing(req, "GENERATE_REORDER_DRAFTS", "PURCHASE_ORDER", "auto-reorder", {
+      poNumbers: drafts.map((draft) => draft.poNumber),
+      unassigned,
+    });
+    return res.json({ success: true, message: "Reorder drafts refreshed", data: { drafts, unassigned } });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to generate reorder drafts");
+  }
+};
+
+export const getPurchaseOrderSummary = async (req, res) => {
+  try {
+    const report = await getPurchaseOrderReport();
+    return res.json({ success: true, data: report });
+  } catch (error) {
+    return handleInventoryError(res, error, "Failed to build purchase order report");
+  }
+};
@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import { MassIncident } from "../models/MassIncident.js";
+import { SosEvent } from "../models/SosEvent.js";
+import { writeAuditLog } from "../middleware/auditLogger.js";
+import {
+  MassIncidentError,
+  attachSosEventsToIncident,
+  broadcastIncidentAlert,
+  mergeMassIncidents,
+  transitionMassIncident,
+} from "../services/massIncidents.js";
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const getActor = (req) => ({
+  adminId: req.admin?._id || null,
+  name: asText(req.admin?.name) || asText(req.admin?.email) || "Admin",
+});
+
+const handleError = (res, error, label) => {
+  if (error instanceof MassIncidentError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: "Failed to update mass incident" });
+};
+
+const loadIncident = async (req, res) => {
+  const incidentId = asText(req.params.id);
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    res.status(400).json({ success: false, message: "Invalid incident ID" });
+    return null;
+  }
+  const incident = await MassIncident.findById(incidentId);
+  if (!incident) {
+    res.status(404).json({ success: false, message: "Mass incident not found" });
+    return null;
+  }
+  return incident;
+};
+
+const auditIncident = (req, action, incident, metadata = {}) =>
+  writeAuditLog({
+    req,
+    action,
+    resourceType: "MASS_INCIDENT",
+    resourceId: String(incident._id),
+    statusCode: 200,
+    metadata: { status: incident.status, ...metadata },
+  });
+
+export const listMassIncidents = async (req, res) => {
+  try {
+    const status = (req.query.status || "active").toString();
+    const incidents = await MassIncident.find({ status })
+      .sort({ lastSOSAt: -1 })
+      .lean();
+
+    res.json({ success: true, incidents });
+  } catch (err) {
+    console.error("Fetch mass incidents error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to fetch mass incidents" });
+  }
+};
+
+export const getMassIncident = async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const events = await SosEvent.find({ _id: { $in: incident.sosEventIds } })
+      .sort({ createdAt: 1 })
+      .select("userId severity status location createdAt acknowledgedAt resolvedAt")
+      .lean();
+
+    res.json({ success: true, incident, events });
+  } catch (error) {
+    console.error("getMassIncident error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch mass incident" });
+  }
+};
+
+export const updateMassIncidentStatus = async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const previousStatus = incident.status;
+    transitionMassIncident(incident, {
+      status: req.body?.status,
+      note: req.body?.note,
+      actor: getActor(req),
+    });
+    await incident.save();
+    await auditIncident(req, "UPDATE_MASS_INCIDENT_STATUS", incident, { previousStatus });
+
+    res.json({ success: true, message: "Incident status updated", incident });
+  } catch (error) {
+    return handleError(res, error, "updateMassIncidentStatus");
+  }
+};
+
+export const attachIncidentEvents = async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    await attachSosEventsToIncident(incident, {
+      sosEventIds: req.body?.sosEventIds,
+      actor: getActor(req),
+    });
+    await auditIncident(req, "ATTACH_MASS_INCIDENT_EVENTS", incident, {
+      sosEventIds: req.body.sosEventIds,
+    });
+
+    res.json({ success: true, message: "SOS events attached", incident });
+  } catch (error) {
+    return handleError(res, error, "attachIncidentEvents");
+  }
+};
+
+export const mergeIncidents = async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const { merged } = await mergeMassIncidents(incident, {
+      incidentIds: req.body?.incidentIds,
+      actor: getActor(req),
+    });
+    await auditIncident(req, "MERGE_MASS_INCIDENTS", incident, { merged });
+
+    res.json({ success: true, message: "Incidents merged", incident, merged });
+  } catch (error) {
+    return handleError(res, error, "mergeIncidents");
+  }
+};
+
+export const broadcastIncident = async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const broadcast = await broadcastIncidentAlert(incident, {
+      title: req.body?.title,
+      message: req.body?.message,
+      radiusMeters: req.body?.radiusMeters,
+      actor: getActor(req),
+    });
+    await auditIncident(req, "BROADCAST_MASS_INCIDENT_ALERT", incident, {
+      radiusMeters: broadcast.radiusMeters,
+      recipientCount: broadcast.recipientCount,
+    });
+
+    res.json({ success: true, message: "Alert broadcast", broadcast });
+  } catch (error) {
+    return handleError(res, error, "broadcastIncident");
+  }
+};
@@ -0,0 +1,283 @@
+import mongoose from "mongoose";
+import { SosEvent } from "../models/SosEvent.js";
+import { AdminUser } from "../models/AdminUser.js";
+import { writeAuditLog } from "../middleware/auditLogger.js";
+import {
+  SOS_SEVERITIES,
+  SosWorkflowError,
+  acknowledgeSosEvent,
+  addSosNote,
+  assignSosResponder,
+  changeSosSeverity,
+  notifyEmergencyContact,
+  resolveSosEvent,
+  toAdminSosPayload,
+} from "../services/sosWorkflow.js";
+
+const SOS_STATUS_VALUES = ["open", "in_progress", "resolved"];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return parsed;
+};
+
+const parseCsv = (value) =>
+  asText(value)
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const getActor = (req) => ({
+  adminId: req.admin?._id || null,
+  name: asText(req.admin?.name) || asText(req.admin?.email) || "Admin",
+});
+
+const handleError = (res, error, label) => {
+  if (error instanceof SosWorkflowError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: "Failed to update SOS event" });
+};
+
+const loadEvent = async (req, res) => {
+  const eventId = asText(req.params.id);
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    res.status(400).json({ success: false, message: "Invalid SOS event ID" });
+    return null;
+  }
+  const event = await SosEvent.findById(eventId);
+  if (!event) {
+    res.status(404).json({ success: false, message: "SOS event not found" });
+    return null;
+  }
+  return event;
+};
+
+// Fill in the responder's name from their admin account when only an id is given
+const resolveResponder = async (input) => {
+  if (!input || typeof input !== "object") return input;
+  const adminId = asText(input.adminId);
+  if (!adminId || !mongoose.Types.ObjectId.isValid(adminId)) return input;
+
+  const admin = await AdminUser.findById(adminId).select("name email isActive").lean();
+  if (!admin || admin.isActive === false) {
+    throw new SosWorkflowError("Responder admin not found", 404);
+  }
+  return { ...input, name: asText(input.name) || admin.name || admin.email };
+};
+
+// Concurrent actions on the same event surface as a version conflict
+const saveEvent = async (event) => {
+  try {
+    return await event.save();
+  } catch (error) {
+    if (error?.name === "VersionError") {
+      throw new SosWorkflowError("SOS event was changed by another admin; reload and try again", 409);
+    }
+    throw error;
+  }
+};
+
+const saveAndRespond = async ({ req, res, event, action, message, metadata = {} }) => {
+  await saveEvent(event);
+
+  await writeAuditLog({
+    req,
+    action,
+    resourceType: "SOS_EVENT",
+    resourceId: String(event._id),
+    patientId: String(event.userId),
+    statusCode: 200,
+    metadata: { status: event.status, severity: event.severity, ...metadata },
+  });
+
+  return res.json({ success: true, message, data: toAdminSosPayload(event) });
+};
+
+export const listSosEvents = async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    const filter = {};
+    const statuses = parseCsv(req.query.status).filter((status) => SOS_STATUS_VALUES.includes(status));
+    if (statuses.length) filter.status = { $in: statuses };
+    const severities = parseCsv(req.query.severity).filter((severity) => SOS_SEVERITIES.includes(severity));
+    if (severities.length) filter.severity = { $in: severities };
+
+    const [events, total] = await Promise.all([
+      SosEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("userId", "name mobile profilePicture")
+        .lean(),
+      SosEvent.countDocuments(filter),
+    ]);
+
+    await writeAuditLog({
+      req,
+      action: "LIST_SOS_EVENTS",
+      resourceType: "SOS_EVENT",
+      statusCode: 200,
+      metadata: { count: events.length, status: statuses, severity: severities },
+    });
+
+    res.json({
+      success: true,
+      data: events.map(toAdminSosPayload),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("listSosEvents error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch SOS events" });
+  }
+};
+
+export const getSosEvent = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+    await event.populate("userId", "name mobile profilePicture");
+
+    await writeAuditLog({
+      req,
+      action: "VIEW_SOS_EVENT",
+      resourceType: "SOS_EVENT",
+      resourceId: String(event._id),
+      patientId: String(event.userId?._id || event.userId),
+      statusCode: 200,
+    });
+
+    res.json({ success: true, data: toAdminSosPayload(event) });
+  } catch (error) {
+    console.error("getSosEvent error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch SOS event" });
+  }
+};
+
+export const acknowledgeEvent = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const actor = getActor(req);
+    acknowledgeSosEvent(event, {
+      actor,
+      responder: await resolveResponder(req.body?.responder),
+      note: req.body?.note,
+    });
+    // Claim the transition before telling anyone about it
+    await saveEvent(event);
+    const contact = await notifyEmergencyContact(event, {
+      actor,
+      title: "SOS acknowledged",
+      body: "their SOS alert has been acknowledged and a responder is on it.",
+    });
+
+    return saveAndRespond({
+      req,
+      res,
+      event,
+      action: "ACKNOWLEDGE_SOS_EVENT",
+      message: "SOS event acknowledged",
+      metadata: { responder: event.assignedResponder?.name || "", contactNotified: contact.notified },
+    });
+  } catch (error) {
+    return handleError(res, error, "acknowledgeEvent");
+  }
+};
+
+export const assignResponder = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    assignSosResponder(event, {
+      actor: getActor(req),
+      responder: await resolveResponder(req.body?.responder),
+    });
+
+    return saveAndRespond({
+      req,
+      res,
+      event,
+      action: "ASSIGN_SOS_RESPONDER",
+      message: "Responder assigned",
+      metadata: { responder: event.assignedResponder?.name || "" },
+    });
+  } catch (error) {
+    return handleError(res, error, "assignResponder");
+  }
+};
+
+export const addEventNote = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    addSosNote(event, { actor: getActor(req), note: req.body?.note });
+
+    return saveAndRespond({ req, res, event, action: "ADD_SOS_NOTE", message: "Note added" });
+  } catch (error) {
+    return handleError(res, error, "addEventNote");
+  }
+};
+
+export const updateEventSeverity = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const previousSeverity = event.severity;
+    changeSosSeverity(event, {
+      actor: getActor(req),
+      severity: req.body?.severity,
+      note: req.body?.note,
+    });
+
+    return saveAndRespond({
+      req,
+      res,
+      event,
+      action: "CHANGE_SOS_SEVERITY",
+      message: "Severity updated",
+      metadata: { previousSeverity },
+    });
+  } catch (error) {
+    return handleError(res, error, "updateEventSeverity");
+  }
+};
+
+export const resolveEvent = async (req, res) => {
+  try {
+    const event = await loadEvent(req, res);
+    if (!event) return;
+
+    const actor = getActor(req);
+    resolveSosEvent(event, { actor, note: req.body?.note });
+    await saveEvent(event);
+    const contact = await notifyEmergencyContact(event, {
+      actor,
+      title: "SOS resolved",
+      body: "their SOS alert has been resolved.",
+    });
+
+    return saveAndRespond({
+      req,
+      res,
+      event,
+      action: "RESOLVE_SOS_EVENT",
+      message: "SOS event resolved",
+      metadata: { contactNotified: contact.notified },
+    });
+  } catch (error) {
+    return handleError(res, error, "resolveEvent");
+  }
+};
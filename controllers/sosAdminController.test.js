@@ -0,0 +1,83 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+class SosWorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const eventFindByIdMock = jest.fn();
+const notifyEmergencyContactMock = jest.fn(async () => ({ notified: true }));
+const writeAuditLogMock = jest.fn(async () => {});
+
+await jest.unstable_mockModule("../models/SosEvent.js", () => ({
+  SosEvent: { findById: eventFindByIdMock },
+}));
+await jest.unstable_mockModule("../models/AdminUser.js", () => ({ AdminUser: {} }));
+await jest.unstable_mockModule("../middleware/auditLogger.js", () => ({ writeAuditLog: writeAuditLogMock }));
+await jest.unstable_mockModule("../services/sosWorkflow.js", () => ({
+  SOS_SEVERITIES: ["red", "yellow", "green"],
+  SosWorkflowError,
+  acknowledgeSosEvent: (event) => {
+    if (event.status !== "open") throw new SosWorkflowError(`SOS event is already ${event.status}`, 409);
+    event.status = "in_progress";
+  },
+  addSosNote: jest.fn(),
+  assignSosResponder: jest.fn(),
+  changeSosSeverity: jest.fn(),
+  notifyEmergencyContact: notifyEmergencyContactMock,
+  resolveSosEvent: (event) => {
+    event.status = "resolved";
+  },
+  toAdminSosPayload: (event) => ({ id: event._id, status: event.status }),
+}));
+
+const { acknowledgeEvent, resolveEvent } = await import("./sosAdminController.js");
+
+const eventId = "64b0000000000000000000ee";
+const versionError = () => Object.assign(new Error("No matching document found"), { name: "VersionError" });
+const makeEvent = (save) => ({ _id: eventId, userId: "patient-1", status: "open", severity: "red", save });
+
+const call = async (handler) => {
+  const res = {
+    status: jest.fn(function status() {
+      return this;
+    }),
+    json: jest.fn(function json() {
+      return this;
+    }),
+  };
+  await handler({ params: { id: eventId }, body: {}, admin: { _id: "admin-1", name: "Ravi" } }, res);
+  return res;
+};
+
+describe("sosAdminController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("acknowledges an event and notifies the contact once the change is saved", async () => {
+    const save = jest.fn(async () => {});
+    eventFindByIdMock.mockResolvedValueOnce(makeEvent(save));
+
+    const res = await call(acknowledgeEvent);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(save.mock.invocationCallOrder[0]).toBeLessThan(notifyEmergencyContactMock.mock.invocationCallOrder[0]);
+    expect(save).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects an acknowledge or resolve that lost a race with another admin", async () => {
+    eventFindByIdMock.mockResolvedValueOnce(makeEvent(jest.fn(() => Promise.reject(versionError()))));
+    const acknowledged = await call(acknowledgeEvent);
+    expect(acknowledged.status).toHaveBeenCalledWith(409);
+
+    eventFindByIdMock.mockResolvedValueOnce(makeEvent(jest.fn(() => Promise.reject(versionError()))));
+    const resolved = await call(resolveEvent);
+    expect(resolved.status).toHaveBeenCalledWith(409);
+
+    expect(notifyEmergencyContactMock).not.toHaveBeenCalled();
+    expect(writeAuditLogMock).not.toHaveBeenCalled();
+  });
+});
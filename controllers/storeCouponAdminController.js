@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import { StoreCoupon } from "../models/StoreCoupon.js";
+import { StoreCouponRedemption } from "../models/StoreCouponRedemption.js";
+import { writeAuditLog } from "../middleware/auditLogger.js";
+import { normalizeCouponCode } from "../services/storeCoupons.js";
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const toDateOrNull = (value) => {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const toIdList = (value) =>
+  (Array.isArray(value) ? value : asText(value).split(","))
+    .map(asText)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+const toTextList = (value) =>
+  [...new Set((Array.isArray(value) ? value : asText(value).split(",")).map(asText).filter(Boolean))];
+
+// Only fields present in the body are returned, so this serves create and update
+const buildCouponFields = (body = {}) => {
+  const fields = {};
+  if (body.code != null) fields.code = normalizeCouponCode(body.code);
+  if (body.description != null) fields.description = asText(body.description);
+  if (body.discountType != null) fields.discountType = asText(body.discountType).toUpperCase();
+  for (const key of ["value", "maxDiscount", "minCartValue", "perUserLimit"]) {
+    if (body[key] != null) fields[key] = Number(body[key]);
+  }
+  if (body.usageLimit !== undefined) {
+    fields.usageLimit = body.usageLimit === null || body.usageLimit === "" ? null : Number(body.usageLimit);
+  }
+  for (const key of ["validFrom", "validUntil"]) {
+    if (body[key] !== undefined) fields[key] = toDateOrNull(body[key]);
+  }
+  if (body.categories != null) fields.categories = toTextList(body.categories);
+  if (body.productIds != null) fields.productIds = toIdList(body.productIds);
+  if (body.firstOrderOnly != null) fields.firstOrderOnly = body.firstOrderOnly === true || body.firstOrderOnly === "true";
+  if (body.isActive != null) fields.isActive = body.isActive === true || body.isActive === "true";
+  return fields;
+};
+
+const validateCoupon = (coupon, body = {}) => {
+  if (["validFrom", "validUntil"].some((key) => toDateOrNull(body[key]) === undefined)) {
+    return "Invalid validity date";
+  }
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    return "validUntil must be after validFrom";
+  }
+  if (coupon.discountType === "PERCENT" && !(coupon.value > 0 && coupon.value <= 100)) {
+    return "Percentage coupons need a value between 0 and 100";
+  }
+  if (coupon.discountType === "FLAT" && !(coupon.value > 0)) return "Flat coupons need a positive value";
+  return "";
+};
+
+const handleError = (res, error, label) => {
+  if (error?.name === "ValidationError" || error?.name === "CastError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error?.code === 11000) {
+    return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ success: false, message: "Failed to update coupon" });
+};
+
+const auditCoupon = (req, action, coupon) =>
+  writeAuditLog({
+    req,
+    action,
+    resourceType: "STORE_COUPON",
+    resourceId: String(coupon._id),
+    statusCode: 200,
+    metadata: { code: coupon.code, isActive: coupon.isActive },
+  });
+
+export const listCoupons = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active != null) query.isActive = asText(req.query.active) === "true";
+    const coupons = await StoreCoupon.find(query).sort({ createdAt: -1 }).limit(200).lean();
+    res.json({ success: true, coupons });
+  } catch (error) {
+    console.error("listCoupons error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch coupons" });
+  }
+};
+
+export const createCoupon = async (req, res) => {
+  try {
+    const coupon = new StoreCoupon({
+      ...buildCouponFields(req.body),
+      createdByAdminId: req.admin?._id || null,
+      updatedByAdminId: req.admin?._id || null,
+    });
+    const invalid = validateCoupon(coupon, req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    await coupon.save();
+    await auditCoupon(req, "CREATE_STORE_COUPON", coupon);
+    res.status(201).json({ success: true, message: "Coupon created", coupon });
+  } catch (error) {
+    return handleError(res, error, "createCoupon");
+  }
+};
+
+export const updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(asText(req.params.couponId))) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID" });
+    }
+    const coupon = await StoreCoupon.findById(req.params.couponId);
+    if (!coupon) return res.status(404).json({ success: false, message: "Coupon not found" });
+
+    const fields = buildCouponFields(req.body);
+    // Renaming a coupon would orphan its redemption history
+    delete fields.code;
+    coupon.set({ ...fields, updatedByAdminId: req.admin?._id || null });
+    const invalid = validateCoupon(coupon, req.body);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    await coupon.save();
+    await auditCoupon(req, "UPDATE_STORE_COUPON", coupon);
+    res.json({ success: true, message: "Coupon updated", coupon });
+  } catch (error) {
+    return handleError(res, error, "updateCoupon");
+  }
+};
+
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(asText(req.params.couponId))) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID" });
+    }
+    const redemptions = await StoreCouponRedemption.find({ couponId: req.params.couponId })
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+    res.json({ success: true, redemptions });
+  } catch (error) {
+    console.error("getCouponRedemptions error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch coupon redemptions" });
+  }
+};
@@ -2,6 +2,7 @@
 import { Session } from "../models/Session.js";
 import { Appointment } from "../models/Appointment.js";
 import { buildUserResponse } from "../utils/userResponse.js";
+import { PatientSearchError, buildPatientSearchFilter } from "../services/patientSearch.js";
 
 // @desc    Update user profile
 // @route   PUT /api/user/profile
@@ -235,6 +236,12 @@ export const getAllPatients = async (req, res) => {
       query.name = { $regex: search, $options: "i" };
     }
 
+    // Exact match on encrypted fields via their blind indexes
+    Object.assign(
+      query,
+      buildPatientSearchFilter({ aadhaar: req.query.aadhaar, phone: req.query.phone, allergy: req.query.allergy })
+    );
+
     if (gender && gender !== "All") {
       query.gender = gender;
     }
@@ -297,6 +304,9 @@ export const getAllPatients = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof PatientSearchError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Get all patients error:", error);
     res.status(500).json({
       success: false,
@@ -16,9 +16,12 @@ validateStartupConfig();
 // Config imports
 import connectDB from "./config/database.js";
 import { validateStartupConfig } from "./config/startupValidation.js";
+import { redactBlindIndexParams } from "./utils/blindIndex.js";
+import { migrateLegacyInventoryCatalog } from "./services/inventoryCatalog.js";
 
 // Routes
 import authRoutes from "./routes/authRoutes.js";        // patient auth
+import twoFactorRoutes from "./routes/twoFactor.js";     // TOTP enrollment, all roles
 import documentRoutes from "./routes/document.js";      // file/documents
 import qrRoutes from "./routes/qrRoutes.js";            // QR
 import doctorAuthRoutes from "./routes/doctorAuth.js";  // doctor auth ✅
@@ -36,9 +39,13 @@ import superAdminRoutes from "./routes/superAdmin.js";
 import publicConfigRoutes from "./routes/publicConfig.js";
 import lostFoundRoutes from "./routes/lostFound.js";    // lost & found (user)
 import adminLostFoundRoutes from "./routes/adminLostFound.js"; // lost & found admin
+import adminSosRoutes from "./routes/adminSos.js";          // SOS responder workflow
+import adminMassIncidentRoutes from "./routes/adminMassIncidents.js"; // mass incident lifecycle
 import adminInventoryRoutes from "./routes/adminInventory.js"; // admin inventory
+import adminStoreCouponRoutes from "./routes/adminStoreCoupons.js"; // store coupons
 import inventoryRoutes from "./routes/inventory.js";           // public inventory (checkout)
 import storeRoutes from "./routes/store.js";                   // store (products/cart/orders)
+import paymentWebhookRoutes from "./routes/paymentWebhooks.js"; // payment gateway webhooks
 import nearbyRoutes from "./routes/nearby.js";                 // nearby healthcare services
 import { Session } from "./models/Session.js";
 import { checkEmailConfig } from "./utils/emailService.js";
@@ -150,6 +157,9 @@ if (String(process.env.ENFORCE_HTTPS || "false").toLowerCase() === "true") {
     return res.redirect(301, `https://${req.headers.host}${req.originalUrl}`);
   });
 }
+// Provider webhooks need the raw body and must not share the client rate limit
+app.use("/api/payments/webhooks", paymentWebhookRoutes);
+app.use("/api/v1/payments/webhooks", paymentWebhookRoutes);
 app.use("/api", apiLimiter);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
@@ -163,6 +173,8 @@ app.use(compression({
     return compression.filter(req, res);
   }
 }));
+// Patient search terms (Aadhaar, phone, allergy) travel in the query string; keep them out of logs
+morgan.token("url", (req) => redactBlindIndexParams(req.originalUrl || req.url));
 app.use(morgan("dev"));
 
 // -------------------- Static File Serving --------------------
@@ -184,6 +196,7 @@ app.use(
 );
 
 // -------------------- Routes --------------------
+app.use("/api/auth/2fa", twoFactorRoutes);    // two-factor settings (any role)
 app.use("/api/auth", authRoutes);             // patients
 app.use("/api/doctors", doctorAuthRoutes);    // doctors ✅
 app.use("/api/files", documentRoutes);        // documents
@@ -203,13 +216,17 @@ app.use("/api/superadmin", superAdminRoutes);
 app.use("/api/public", publicConfigRoutes);
 app.use("/api/lost-found", lostFoundRoutes);  // lost & found
 app.use("/api/admin/lost-found", adminLostFoundRoutes); // admin lost & found
+app.use("/api/admin/sos", adminSosRoutes);              // admin SOS events
+app.use("/api/admin/mass-incidents", adminMassIncidentRoutes); // admin mass incidents
 app.use("/api/admin/inventory", adminInventoryRoutes);  // admin inventory ✅
+app.use("/api/admin/coupons", adminStoreCouponRoutes);  // admin store coupons
 app.use("/api", inventoryRoutes);                       // inventory/order API
 app.use("/api/inventory", inventoryRoutes);             // compatibility mount
 app.use("/api", storeRoutes);                           // store API
 app.use("/api/nearby", nearbyRoutes);                   // nearby services API
 
 // Non-breaking versioned API mounts (v1)
+app.use("/api/v1/auth/2fa", twoFactorRoutes);
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/doctors", doctorAuthRoutes);
 app.use("/api/v1/files", documentRoutes);
@@ -229,7 +246,10 @@ app.use("/api/v1/superadmin", superAdminRoutes);
 app.use("/api/v1/public", publicConfigRoutes);
 app.use("/api/v1/lost-found", lostFoundRoutes);
 app.use("/api/v1/admin/lost-found", adminLostFoundRoutes);
+app.use("/api/v1/admin/sos", adminSosRoutes);
+app.use("/api/v1/admin/mass-incidents", adminMassIncidentRoutes);
 app.use("/api/v1/admin/inventory", adminInventoryRoutes);
+app.use("/api/v1/admin/coupons", adminStoreCouponRoutes);
 app.use("/api/v1", inventoryRoutes);
 app.use("/api/v1", storeRoutes);
 app.use("/api/v1/nearby", nearbyRoutes);
@@ -267,6 +287,18 @@ app.get("/health", (req, res) =>
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Seed the legacy store products so a fresh database can take orders
+    // before an admin has touched the catalog; idempotent on every boot
+    try {
+      const { unresolvedKeys } = await migrateLegacyInventoryCatalog();
+      if (unresolvedKeys.length) {
+        console.warn(`⚠️ Inventory ledger keys with no catalog product: ${unresolvedKeys.join(", ")}`);
+      }
+    } catch (catalogError) {
+      console.error("❌ Inventory catalog seed failed:", catalogError);
+    }
+
     // Log email configuration readiness at startup
     checkEmailConfig();
 
@@ -33,7 +33,14 @@ const sanitizeMetadata = (value) => {
   }, {});
 };
 
-const buildRecordHash = ({ previousHash, actorId, actorRole, action, resourceType, resourceId, patientId, statusCode, ipAddress, userAgent, requestId, metadata }) =>
+// Appends that lose the race for the next sequence number retry this often
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Hash of one audit entry chained to the entry before it. Field order is part
+ * of the hash; changing it would make every stored record fail verification.
+ */
+export const buildRecordHash = ({ previousHash, actorId, actorRole, action, resourceType, resourceId, patientId, statusCode, ipAddress, userAgent, requestId, metadata }) =>
   crypto
     .createHash("sha256")
     .update(
@@ -54,6 +61,8 @@ const buildRecordHash = ({ previousHash, actorId, actorRole, action, resourceTyp
     )
     .digest("hex");
 
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
 export const writeAuditLog = async ({
   req,
   action,
@@ -64,48 +73,49 @@ export const writeAuditLog = async ({
   metadata = {},
 }) => {
   try {
-    const actorId = asString(req.auth?.id || req.superAdmin?.email || "anonymous");
-    const actorRole = asString(req.auth?.role || req.superAdmin?.role || "anonymous").toLowerCase();
-    const latest = await AuditLog.findOne({}).sort({ createdAt: -1 }).select("recordHash").lean();
-    const previousHash = asString(latest?.recordHash);
-    const safeMetadata = sanitizeMetadata(metadata);
-    const recordHash = buildRecordHash({
-      previousHash,
-      actorId,
-      actorRole,
-      action: asString(action),
-      resourceType: asString(resourceType),
-      resourceId: asString(resourceId),
+    // Values are trimmed the way the schema stores them so the hash can be recomputed
+    const entry = {
+      actorId: asString(req.auth?.id || req.superAdmin?.email || "anonymous"),
+      actorRole: asString(req.auth?.role || req.superAdmin?.role || "anonymous").trim().toLowerCase(),
+      action: asString(action).trim(),
+      resourceType: asString(resourceType).trim(),
+      resourceId: asString(resourceId).trim(),
       patientId: asString(patientId),
       statusCode: Number(statusCode) || 500,
       ipAddress: asString(req.ip),
       userAgent: asString(req.headers["user-agent"]),
       requestId: asString(req.headers["x-request-id"]),
-      metadata: safeMetadata,
-    });
+      metadata: sanitizeMetadata(metadata),
+    };
 
-    await AuditLog.create({
-      actorId,
-      actorRole,
-      action: asString(action),
-      resourceType: asString(resourceType),
-      resourceId: asString(resourceId),
-      patientId: asString(patientId),
-      statusCode: Number(statusCode) || 500,
-      ipAddress: asString(req.ip),
-      userAgent: asString(req.headers["user-agent"]),
-      requestId: asString(req.headers["x-request-id"]),
-      metadata: safeMetadata,
-      previousHash,
-      recordHash,
-    });
+    // The unique sequence keeps the chain linear: two writers that read the
+    // same head cannot both append after it.
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt += 1) {
+      const latest = await AuditLog.findOne({})
+        .sort({ sequence: -1, createdAt: -1 })
+        .select("recordHash sequence")
+        .lean();
+      const previousHash = asString(latest?.recordHash);
+      try {
+        await AuditLog.create({
+          ...entry,
+          sequence: (Number(latest?.sequence) || 0) + 1,
+          previousHash,
+          recordHash: buildRecordHash({ ...entry, previousHash }),
+        });
+        return;
+      } catch (error) {
+        if (!isDuplicateKeyError(error) || attempt === MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
   } catch (error) {
     console.error("Audit log write failed:", error.message);
   }
 };
 
-export const auditTrail = ({ action, resourceType, getResourceId, getPatientId, getMetadata } = {}) => {
+export const auditTrail = ({ action, resourceType, getResourceId, getPatientId, getMetadata, skip } = {}) => {
   return (req, res, next) => {
+    if (typeof skip === "function" && skip(req)) return next();
     res.on("finish", () => {
       if (res.statusCode >= 400) return;
       writeAuditLog({
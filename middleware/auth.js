@@ -18,8 +18,12 @@ const toTokenVersion = (value) => {
   return Number.isFinite(parsed) && parsed >= 0 ? Math.trunc(parsed) : 0;
 };
 
+// Tokens signed for other purposes never authenticate a request
+const NON_ACCESS_TOKEN_TYPES = new Set(["login_attempt", "refresh"]);
+
 const extractPrincipalFromPayload = (payload) => {
   if (!payload) return null;
+  if (NON_ACCESS_TOKEN_TYPES.has(normalizeRole(payload.typ))) return null;
 
   const role = normalizeRole(payload.role || payload.typ);
   const principalId =
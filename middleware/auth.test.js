@@ -0,0 +1,70 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+process.env.JWT_SECRET = "test-access-secret-that-is-long-enough-0001";
+delete process.env.JWT_REFRESH_SECRET;
+delete process.env.JWT_LOGIN_ATTEMPT_SECRET;
+
+const patientId = "64b0000000000000000000aa";
+const patient = { _id: patientId, email: "asha@example.com", tokenVersion: 0 };
+
+const findById = () => ({
+  select: () => Object.assign(Promise.resolve(patient), { lean: async () => patient }),
+});
+
+await jest.unstable_mockModule("../models/User.js", () => ({
+  User: { findById, updateOne: jest.fn(async () => ({})) },
+}));
+await jest.unstable_mockModule("../models/DoctorUser.js", () => ({ DoctorUser: { findById } }));
+await jest.unstable_mockModule("../models/AdminUser.js", () => ({ AdminUser: { findById } }));
+await jest.unstable_mockModule("../models/RefreshToken.js", () => ({
+  RefreshToken: { findOne: jest.fn(), updateOne: jest.fn(async () => ({})) },
+}));
+await jest.unstable_mockModule("../models/TwoFactorCredential.js", () => ({ TwoFactorCredential: {} }));
+
+const { auth } = await import("./auth.js");
+const { buildTwoFactorChallenge, readTwoFactorChallenge } = await import("../services/twoFactorAuth.js");
+const { signAccessToken, signRefreshToken } = await import("../services/tokenService.js");
+
+const callWithBearer = async (token) => {
+  const req = { header: (name) => (name === "Authorization" ? `Bearer ${token}` : ""), headers: {} };
+  const res = {
+    status: jest.fn(function status() {
+      return this;
+    }),
+    json: jest.fn(function json() {
+      return this;
+    }),
+  };
+  const next = jest.fn();
+  await auth(req, res, next);
+  return { req, res, next };
+};
+
+describe("auth middleware", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("accepts an access token", async () => {
+    const { req, next } = await callWithBearer(signAccessToken({ principalId: patientId, role: "patient" }));
+    expect(next).toHaveBeenCalled();
+    expect(req.userId).toBe(patientId);
+  });
+
+  it("rejects a two-factor challenge token as a bearer token", async () => {
+    const { challengeToken } = buildTwoFactorChallenge({ principalId: patientId, role: "patient" });
+    expect(readTwoFactorChallenge({ challengeToken, role: "patient" })).toBe(patientId);
+
+    const { res, next } = await callWithBearer(challengeToken);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("rejects a refresh token as a bearer token", async () => {
+    const { token } = signRefreshToken({ principalId: patientId, role: "patient" });
+
+    const { res, next } = await callWithBearer(token);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
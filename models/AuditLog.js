@@ -20,15 +20,24 @@ const auditLogSchema = new mongoose.Schema(
     requestId: { type: String, default: "", index: true },
     metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
     immutable: { type: Boolean, default: true },
+    // Position in the hash chain; entries written before it existed have none
+    sequence: { type: Number },
     previousHash: { type: String, default: "", index: true },
     recordHash: { type: String, default: "", index: true },
   },
   {
     timestamps: true,
     collection: "audit_logs",
+    // An empty metadata object is part of the record hash, so keep it stored
+    minimize: false,
   }
 );
 
+auditLogSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: "number" } } }
+);
+
 auditLogSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
   throw new Error("Audit logs are immutable");
 });
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// Signed anchors over the audit-log hash chain. Each one pins the hash of the
+// chain head at the time it was taken, so a later rewrite of any earlier entry
+// (or a truncated tail) no longer matches what was signed.
+const auditLogCheckpointSchema = new mongoose.Schema(
+  {
+    lastRecordId: { type: String, required: true },
+    lastSequence: { type: Number, default: null },
+    lastRecordHash: { type: String, required: true },
+    recordCount: { type: Number, required: true, min: 1 },
+    previousCheckpointId: { type: String, default: "" },
+    // sha256 of the signed payload; what an external auditor would keep
+    anchorHash: { type: String, required: true, unique: true },
+    kid: { type: String, required: true },
+    signature: { type: String, required: true },
+    signedAt: { type: Date, required: true },
+    createdBy: { type: String, default: "system" },
+  },
+  { timestamps: true, collection: "audit_log_checkpoints" }
+);
+
+auditLogCheckpointSchema.index({ signedAt: -1 });
+
+auditLogCheckpointSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+  throw new Error("Audit log checkpoints are immutable");
+});
+
+export const AuditLogCheckpoint = mongoose.model("AuditLogCheckpoint", auditLogCheckpointSchema);
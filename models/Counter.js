@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// Named monotonic sequences (e.g. invoice numbers per financial year)
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { collection: "counters", versionKey: false }
+);
+
+export const Counter = mongoose.model("Counter", counterSchema);
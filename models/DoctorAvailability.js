@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// One recurring weekly window a doctor takes appointments in
+const doctorAvailabilitySchema = new mongoose.Schema(
+  {
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorUser",
+      required: true,
+      index: true,
+    },
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: { type: Number, required: true, min: 0, max: 6 },
+    // "HH:MM", clinic wall-clock time
+    startTime: { type: String, required: true, trim: true },
+    endTime: { type: String, required: true, trim: true },
+    // Matches the Appointment duration bounds
+    slotDuration: { type: Number, default: 15, min: 15, max: 120 },
+    // Optional "YYYY-MM-DD" bounds for schedules that only apply for a season
+    validFrom: { type: String, default: null },
+    validUntil: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+doctorAvailabilitySchema.index({ doctorId: 1, dayOfWeek: 1 });
+
+export const DoctorAvailability = mongoose.model(
+  "DoctorAvailability",
+  doctorAvailabilitySchema,
+  "doctor_availabilities"
+);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Dates a doctor is not bookable on top of the weekly schedule: whole days of
+// leave, or a blocked window on a single date
+const doctorAvailabilityExceptionSchema = new mongoose.Schema(
+  {
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DoctorUser",
+      required: true,
+      index: true,
+    },
+    type: { type: String, enum: ["LEAVE", "BLOCK"], default: "BLOCK" },
+    // "YYYY-MM-DD", inclusive
+    startDate: { type: String, required: true },
+    endDate: { type: String, required: true },
+    // "HH:MM"; empty means the whole day
+    startTime: { type: String, default: "" },
+    endTime: { type: String, default: "" },
+    reason: { type: String, default: "", trim: true, maxlength: 300 },
+  },
+  { timestamps: true }
+);
+
+doctorAvailabilityExceptionSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+
+export const DoctorAvailabilityException = mongoose.model(
+  "DoctorAvailabilityException",
+  doctorAvailabilityExceptionSchema,
+  "doctor_availability_exceptions"
+);
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Short lease serialising bookings for one doctor on one day
+// (_id = "<doctorId>:<YYYY-MM-DD>")
+const doctorScheduleLockSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    lockId: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "doctor_schedule_locks" }
+);
+
+export const DoctorScheduleLock = mongoose.model("DoctorScheduleLock", doctorScheduleLockSchema);
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { decryptField, encryptField } from "../utils/fieldEncryption.js";
+
+const extractionPageSchema = new mongoose.Schema(
+  {
+    pageNumber: { type: Number, required: true, min: 1 },
+    text: { type: String, default: "", set: encryptField, get: decryptField },
+  },
+  { _id: false, toJSON: { getters: true }, toObject: { getters: true } }
+);
+
+const documentExtractionSchema = new mongoose.Schema(
+  {
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+      unique: true,
+    },
+    userId: { type: String, required: true, trim: true, index: true },
+    s3Key: { type: String, default: "", trim: true },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+      index: true,
+    },
+
+    // Extracted content (encrypted at rest like other patient free text)
+    text: { type: String, default: "", set: encryptField, get: decryptField },
+    pages: { type: [extractionPageSchema], default: [] },
+    language: { type: String, default: "" },
+    confidence: {
+      level: { type: String, enum: ["high", "medium", "low", "unknown"], default: "unknown" },
+      reasons: [{ type: String }],
+    },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    wordCount: { type: Number, default: 0 },
+    characterCount: { type: Number, default: 0 },
+
+    // Job bookkeeping
+    attempts: { type: Number, default: 0, min: 0 },
+    lastError: { type: String, default: "" },
+    requestedBy: { type: String, default: "" },
+    queuedAt: { type: Date, default: Date.now },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    collection: "document_extractions",
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+documentExtractionSchema.index({ status: 1, queuedAt: 1 });
+
+export const DocumentExtraction = mongoose.model(
+  "DocumentExtraction",
+  documentExtractionSchema
+);
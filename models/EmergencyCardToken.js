@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Issued offline emergency-card payloads, kept so they can be revoked and
+// published on the revocation list until they expire.
+const emergencyCardTokenSchema = new mongoose.Schema(
+  {
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    cardId: { type: String, required: true, unique: true },
+    kid: { type: String, required: true },
+    qrCodeId: { type: mongoose.Schema.Types.ObjectId, ref: "QRCode", default: null },
+    issuedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["active", "revoked"],
+      default: "active",
+    },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: "" },
+  },
+  { timestamps: true, collection: "emergency_card_tokens" }
+);
+
+emergencyCardTokenSchema.index({ patientId: 1, status: 1 });
+emergencyCardTokenSchema.index({ status: 1, expiresAt: 1 });
+emergencyCardTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // expired cards need no revocation entry
+
+export const EmergencyCardToken = mongoose.model(
+  "EmergencyCardToken",
+  emergencyCardTokenSchema
+);
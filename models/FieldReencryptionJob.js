@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const modelProgressSchema = new mongoose.Schema(
+  {
+    modelName: { type: String, required: true },
+    paths: [{ type: String }],
+    // Documents are walked in _id order; the job resumes after this one
+    lastId: { type: String, default: "" },
+    done: { type: Boolean, default: false },
+    scanned: { type: Number, default: 0 },
+    reencrypted: { type: Number, default: 0 },
+    encrypted: { type: Number, default: 0 },
+    unreadable: { type: Number, default: 0 },
+    conflicts: { type: Number, default: 0 },
+    unreadableSamples: [{ type: String }],
+  },
+  { _id: false }
+);
+
+// One run of the field re-encryption job, kept so it can be resumed and watched
+const fieldReencryptionJobSchema = new mongoose.Schema(
+  {
+    targetKid: { type: String, required: true },
+    dryRun: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ["running", "paused", "completed", "failed"],
+      default: "running",
+      index: true,
+    },
+    models: { type: [modelProgressSchema], default: [] },
+    startedBy: { type: String, default: "system" },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    // A crashed worker's lease runs out, after which another run may resume the job
+    leaseId: { type: String, default: null },
+    leaseUntil: { type: Date, default: null },
+    error: { type: String, default: "" },
+  },
+  { timestamps: true, collection: "field_reencryption_jobs" }
+);
+
+fieldReencryptionJobSchema.index({ targetKid: 1, dryRun: 1, status: 1 });
+
+export const FieldReencryptionJob = mongoose.model("FieldReencryptionJob", fieldReencryptionJobSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { decryptField, encryptField } from "../utils/fieldEncryption.js";
+
+const IMPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const healthRecordImportSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, trim: true, index: true },
+    requestedBy: {
+      id: { type: String, default: "" },
+      role: { type: String, default: "" },
+    },
+    format: { type: String, enum: ["fhir", "ccda"], required: true },
+    sourceHash: { type: String, default: "" },
+    status: {
+      type: String,
+      enum: ["preview", "committed", "discarded"],
+      default: "preview",
+      index: true,
+    },
+
+    // Normalized record parsed from the upload, stored as encrypted JSON
+    record: { type: String, default: "", set: encryptField, get: decryptField },
+    warnings: [{ type: String }],
+
+    committedAt: { type: Date, default: null },
+    appliedSections: [{ type: String }],
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + IMPORT_TTL_MS),
+    },
+  },
+  {
+    timestamps: true,
+    collection: "health_record_imports",
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+healthRecordImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // auto-expire stale previews
+
+export const HealthRecordImport = mongoose.model(
+  "HealthRecordImport",
+  healthRecordImportSchema
+);
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+// A batch of stock received for one inventory product
+const inventoryLotSchema = new mongoose.Schema(
+  {
+    productKey: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    inventoryProductId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryProduct",
+      default: null,
+    },
+    batchNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 64,
+    },
+    manufacturedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Units received into the lot, across every restock of the same batch
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    writtenOff: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["ACTIVE", "DEPLETED", "EXPIRED"],
+      default: "ACTIVE",
+      index: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AdminUser",
+        default: null,
+      },
+      name: {
+        type: String,
+        default: "System",
+        trim: true,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    collection: "inventory_lots",
+  }
+);
+
+inventoryLotSchema.index({ productKey: 1, batchNumber: 1 }, { unique: true });
+inventoryLotSchema.index({ productKey: 1, status: 1, expiresAt: 1 });
+inventoryLotSchema.index({ remaining: 1, expiresAt: 1 });
+
+export const InventoryLot = mongoose.model("InventoryLot", inventoryLotSchema);
@@ -81,6 +81,12 @@ const inventoryMovementSchema = new mongoose.Schema(
         default: "system",
       },
     },
+    // Key the movement was recorded under before a catalog migration remapped it
+    legacyProductKey: {
+      type: String,
+      default: null,
+      trim: true,
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
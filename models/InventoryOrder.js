@@ -100,6 +100,20 @@ const inventoryOrderSchema = new mongoose.Schema(
       type: [inventoryOrderItemSchema],
       default: [],
     },
+    // Lots the units were drawn from when the order was completed
+    lotAllocations: {
+      type: [
+        {
+          _id: false,
+          productKey: { type: String, trim: true },
+          lotId: { type: mongoose.Schema.Types.ObjectId, ref: "InventoryLot" },
+          batchNumber: { type: String, trim: true },
+          expiresAt: { type: Date },
+          quantity: { type: Number, min: 1 },
+        },
+      ],
+      default: [],
+    },
     returnProcessedAt: {
       type: Date,
       default: null,
@@ -79,10 +79,38 @@ const inventoryProductSchema = new mongoose.Schema(
       default: 10,
       min: 0,
     },
+    // Extra lookup keys (external SKUs, legacy ids, product names), stored lowercase
+    aliases: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // STORE rows mirror a store Product; CATALOG rows are managed from the inventory admin
+    source: {
+      type: String,
+      enum: ["STORE", "CATALOG"],
+      default: "STORE",
+      index: true,
+    },
+    // Restocks must name a batch and expiry when set
+    trackLots: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+    retiredReason: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 300,
+    },
     lastRestocked: {
       type: Date,
       default: null,
@@ -108,6 +136,15 @@ inventoryProductSchema.pre("validate", function syncInventoryFields(next) {
   if (!this.productName && this.name) this.productName = this.name;
   if (!this.name && this.productName) this.name = this.productName;
   if (!this.productKey && this.productId) this.productKey = this.productId;
+  if (Array.isArray(this.aliases)) {
+    this.aliases = [
+      ...new Set(
+        this.aliases
+          .map((alias) => String(alias || "").trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+  }
 
   if (!this.lastRestocked && this.lastRestockedAt) {
     this.lastRestocked = this.lastRestockedAt;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { decryptField, encryptField } from "../utils/fieldEncryption.js";
+
+const labObservationSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, trim: true, index: true },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+      index: true,
+    },
+
+    // Canonical analyte code from services/labObservationParser.js (e.g. "HbA1c")
+    analyte: { type: String, required: true, trim: true, index: true },
+    analyteName: { type: String, default: "", trim: true },
+    label: { type: String, default: "", trim: true },
+
+    value: { type: Number, required: true },
+    comparator: { type: String, enum: ["", "<", ">"], default: "" },
+    unit: { type: String, default: "", trim: true },
+    referenceLow: { type: Number, default: null },
+    referenceHigh: { type: Number, default: null },
+    referenceText: { type: String, default: "", trim: true },
+    flag: {
+      type: String,
+      enum: ["low", "normal", "high", "unknown"],
+      default: "unknown",
+    },
+
+    observedAt: { type: Date, required: true },
+    observedAtSource: {
+      type: String,
+      enum: ["report", "document_date", "upload_date"],
+      default: "report",
+    },
+    sourceText: { type: String, default: "", set: encryptField, get: decryptField },
+  },
+  {
+    timestamps: true,
+    collection: "lab_observations",
+    toJSON: { getters: true },
+    toObject: { getters: true },
+  }
+);
+
+labObservationSchema.index({ userId: 1, analyte: 1, observedAt: 1 });
+
+export const LabObservation = mongoose.model("LabObservation", labObservationSchema);
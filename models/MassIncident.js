@@ -19,9 +19,61 @@ const MassIncidentSchema = new mongoose.Schema(
     lastSOSAt: { type: Date, required: true },
     status: {
       type: String,
-      enum: ["active", "monitoring", "resolved"],
+      enum: ["active", "monitoring", "resolved", "merged"],
       default: "active",
     },
+    sosEventIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "SosEvent" }],
+    monitoringAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    mergedIntoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MassIncident",
+      default: null,
+    },
+    broadcasts: [
+      {
+        title: { type: String, trim: true, default: "" },
+        message: { type: String, trim: true, default: "" },
+        radiusMeters: { type: Number, default: 0 },
+        recipientCount: { type: Number, default: 0 },
+        pushSent: { type: Number, default: 0 },
+        sentByAdminId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "AdminUser",
+          default: null,
+        },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
+    actionHistory: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "status_changed",
+            "reactivated",
+            "events_attached",
+            "merged",
+            "merged_into",
+            "broadcast_sent",
+          ],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["active", "monitoring", "resolved", "merged"],
+        },
+        note: { type: String, trim: true, default: "" },
+        message: { type: String, trim: true, default: "" },
+        changedByAdminId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "AdminUser",
+          default: null,
+        },
+        changedByName: { type: String, trim: true, default: "" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
     label: {
       type: String,
       default: "Possible mass SOS / crowd incident",
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// One row per provider webhook delivery, keyed so redeliveries are ignored
+const paymentWebhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true, lowercase: true },
+    eventId: { type: String, required: true, trim: true },
+    type: { type: String, default: "", trim: true },
+    intentId: { type: String, default: "", trim: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "StoreOrder", default: null },
+    outcome: { type: String, default: "", trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: "payment_webhook_events" }
+);
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentWebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export const PaymentWebhookEvent = mongoose.model("PaymentWebhookEvent", paymentWebhookEventSchema);
@@ -51,6 +51,13 @@ const productSchema = new mongoose.Schema(
     sku: { type: String, default: "", trim: true, uppercase: true, maxlength: 80 },
     expiryDate: { type: Date, default: null },
     prescriptionRequired: { type: Boolean, default: false },
+    hsnCode: {
+      type: String,
+      default: "",
+      trim: true,
+      match: [/^(\d{4}|\d{6}|\d{8})?$/, "hsnCode must be 4, 6 or 8 digits"],
+    },
+    gstRate: { type: Number, enum: [0, 5, 12, 18, 28], default: 18 },
     customFields: {
       type: [
         {
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const purchaseOrderLineSchema = new mongoose.Schema(
+  {
+    productKey: { type: String, required: true, trim: true },
+    productName: { type: String, default: "", trim: true, maxlength: 120 },
+    quantityOrdered: { type: Number, required: true, min: 1 },
+    quantityReceived: { type: Number, default: 0, min: 0 },
+    unitCost: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const purchaseOrderReceiptSchema = new mongoose.Schema(
+  {
+    receivedAt: { type: Date, default: Date.now },
+    receivedBy: {
+      adminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+      name: { type: String, default: "Admin", trim: true },
+    },
+    lines: [
+      {
+        _id: false,
+        productKey: { type: String, trim: true },
+        quantity: { type: Number, min: 1 },
+        batchNumber: { type: String, default: "", trim: true },
+        movementId: { type: mongoose.Schema.Types.ObjectId, ref: "InventoryMovement", default: null },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: { type: String, required: true, unique: true, trim: true },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", required: true, index: true },
+    supplierName: { type: String, default: "", trim: true },
+    status: {
+      type: String,
+      enum: ["DRAFT", "ORDERED", "PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"],
+      default: "DRAFT",
+      index: true,
+    },
+    // AUTO_REORDER drafts are raised when available stock falls below the reorder level
+    source: { type: String, enum: ["MANUAL", "AUTO_REORDER"], default: "MANUAL" },
+    lines: { type: [purchaseOrderLineSchema], default: [] },
+    receipts: { type: [purchaseOrderReceiptSchema], default: [] },
+    expectedDeliveryAt: { type: Date, default: null },
+    orderedAt: { type: Date, default: null },
+    firstReceivedAt: { type: Date, default: null },
+    receivedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: "", trim: true, maxlength: 300 },
+    notes: { type: String, default: "", trim: true, maxlength: 1000 },
+    createdByAdminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  },
+  { timestamps: true, collection: "purchase_orders", optimisticConcurrency: true }
+);
+
+purchaseOrderSchema.index({ status: 1, expectedDeliveryAt: 1 });
+purchaseOrderSchema.index({ "lines.productKey": 1, status: 1 });
+
+export const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One row per resolve/preview/validate hit on a QR share
+const qrAccessLogSchema = new mongoose.Schema(
+  {
+    qrCodeId: { type: mongoose.Schema.Types.ObjectId, ref: "QRCode", required: true },
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    endpoint: {
+      type: String,
+      enum: ["resolve", "preview", "validate"],
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: ["granted", "denied"],
+      default: "granted",
+    },
+    requesterId: { type: String, default: "" },
+    requesterRole: { type: String, default: "" },
+    ipAddress: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    documentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Document" }],
+    documentCount: { type: Number, default: 0 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: "qr_access_logs" }
+);
+
+qrAccessLogSchema.index({ qrCodeId: 1, createdAt: -1 });
+qrAccessLogSchema.index({ patientId: 1, createdAt: -1 });
+
+export const QRAccessLog = mongoose.model("QRAccessLog", qrAccessLogSchema);
@@ -1,5 +1,21 @@
 import mongoose from "mongoose";
 
+// What a share link exposes; absent (null) means the legacy full-vault share
+const shareScopeSchema = new mongoose.Schema(
+  {
+    preset: { type: String, default: "" },
+    includeDocuments: { type: Boolean, default: true },
+    documentTypes: [
+      { type: String, enum: ["Report", "Prescription", "Bill", "Insurance"] },
+    ],
+    documentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Document" }],
+    dateFrom: { type: Date, default: null },
+    dateTo: { type: Date, default: null },
+    profileFields: [{ type: String }],
+  },
+  { _id: false }
+);
+
 const QRCodeSchema = new mongoose.Schema(
   {
     patientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -10,11 +26,19 @@ const QRCodeSchema = new mongoose.Schema(
       enum: ["active", "expired", "used"],
       default: "active",
     },
+    label: { type: String, default: "", trim: true, maxlength: 80 },
+    scope: { type: shareScopeSchema, default: null },
+    maxUses: { type: Number, default: null, min: 1 },
+    useCount: { type: Number, default: 0, min: 0 },
+    lastUsedAt: { type: Date, default: null },
+    notifyOnAccess: { type: Boolean, default: false },
+    firstAccessedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 QRCodeSchema.index({ patientId: 1, status: 1 });
+QRCodeSchema.index({ token: 1 });
 QRCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // auto-expire in Mongo
 
 export default mongoose.model("QRCode", QRCodeSchema);
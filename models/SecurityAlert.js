@@ -4,7 +4,7 @@ const securityAlertSchema = new mongoose.Schema(
   {
     type: {
       type: String,
-      enum: ["MULTIPLE_FAILED_LOGINS", "SUSPICIOUS_ACTIVITY"],
+      enum: ["MULTIPLE_FAILED_LOGINS", "SUSPICIOUS_ACTIVITY", "SOS_ESCALATION"],
       required: true,
       index: true,
     },
@@ -39,13 +39,84 @@ const SosEventSchema = new mongoose.Schema(
       enum: ["open", "in_progress", "resolved"],
       default: "open",
     },
+    acknowledgedAt: { type: Date, default: null },
+    acknowledgedByAdminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+      default: null,
+    },
+    assignedResponder: {
+      adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AdminUser",
+        default: null,
+      },
+      name: { type: String, trim: true, default: "" },
+      phone: { type: String, trim: true, default: "" },
+      assignedAt: { type: Date, default: null },
+    },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, trim: true, default: "" },
+    massIncidentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MassIncident",
+      default: null,
+    },
+    // Automatic escalation of events left unacknowledged (services/sosEscalation.js)
+    escalation: {
+      level: { type: Number, default: 0 },
+      lastEscalatedAt: { type: Date, default: null },
+      alertId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SecurityAlert",
+        default: null,
+      },
+    },
+    actionHistory: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "acknowledged",
+            "responder_assigned",
+            "note_added",
+            "severity_changed",
+            "resolved",
+            "contact_notified",
+            "contact_notification_skipped",
+            "escalated",
+          ],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["open", "in_progress", "resolved"],
+        },
+        severity: {
+          type: String,
+          enum: ["red", "yellow", "green"],
+        },
+        note: { type: String, trim: true, default: "" },
+        message: { type: String, trim: true, default: "" },
+        changedByAdminId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "AdminUser",
+          default: null,
+        },
+        changedByName: { type: String, trim: true, default: "" },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
-  { timestamps: true }
+  // Admin actions load, change and save the event; a stale save is rejected
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 // Geospatial + recency indexes to accelerate proximity queries
 SosEventSchema.index({ location: "2dsphere" });
 SosEventSchema.index({ createdAt: 1 });
+SosEventSchema.index({ status: 1, severity: 1, createdAt: -1 });
+SosEventSchema.index({ status: 1, "escalation.level": 1, createdAt: 1 });
 
 export const SosEvent = mongoose.model("SosEvent", SosEventSchema);
 
@@ -47,6 +47,7 @@ const storeCartSchema = new mongoose.Schema(
       itemCount: { type: Number, min: 0, default: 0 },
       subtotal: { type: Number, min: 0, default: 0 },
     },
+    couponCode: { type: String, default: "", trim: true, uppercase: true },
   },
   {
     timestamps: true,
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const storeCouponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "code must be 3-32 letters, digits, - or _"],
+    },
+    description: { type: String, default: "", trim: true, maxlength: 300 },
+    discountType: { type: String, enum: ["PERCENT", "FLAT"], required: true },
+    value: { type: Number, required: true, min: 0 },
+    // Cap for percentage coupons; 0 means uncapped
+    maxDiscount: { type: Number, min: 0, default: 0 },
+    minCartValue: { type: Number, min: 0, default: 0 },
+    // null means unlimited
+    usageLimit: { type: Number, min: 1, default: null },
+    perUserLimit: { type: Number, min: 1, default: 1 },
+    usedCount: { type: Number, min: 0, default: 0 },
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+    // Empty lists mean the whole cart is eligible
+    categories: { type: [{ type: String, trim: true, maxlength: 80 }], default: [] },
+    productIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }], default: [] },
+    firstOrderOnly: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true },
+    createdByAdminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+    updatedByAdminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  },
+  { timestamps: true, collection: "store_coupons" }
+);
+
+storeCouponSchema.index({ code: 1 }, { unique: true });
+
+export const StoreCoupon = mongoose.model("StoreCoupon", storeCouponSchema);
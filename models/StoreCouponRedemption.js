@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// One row per order that used a coupon; RELEASED when the order is cancelled
+const storeCouponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "StoreCoupon", required: true },
+    code: { type: String, required: true, trim: true, uppercase: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "StoreOrder", required: true },
+    principalId: { type: String, required: true, trim: true },
+    role: { type: String, required: true, trim: true, lowercase: true },
+    discount: { type: Number, min: 0, required: true },
+    status: { type: String, enum: ["ACTIVE", "RELEASED"], default: "ACTIVE" },
+    releasedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "store_coupon_redemptions" }
+);
+
+storeCouponRedemptionSchema.index({ orderId: 1 }, { unique: true });
+storeCouponRedemptionSchema.index({ couponId: 1, principalId: 1, role: 1, status: 1 });
+
+export const StoreCouponRedemption = mongoose.model("StoreCouponRedemption", storeCouponRedemptionSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, trim: true },
+    hsnCode: { type: String, default: "", trim: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    taxableValue: { type: Number, required: true, min: 0 },
+    gstRate: { type: Number, required: true, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, default: "", trim: true },
+    gstin: { type: String, default: "", trim: true, uppercase: true },
+    address: { type: String, default: "", trim: true },
+    state: { type: String, default: "", trim: true },
+    stateCode: { type: String, default: "", trim: true },
+  },
+  { _id: false }
+);
+
+// Tax invoice issued for a store order; the snapshot never changes once issued
+const storeInvoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true, trim: true },
+    financialYear: { type: String, required: true, trim: true },
+    sequence: { type: Number, required: true, min: 1 },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "StoreOrder", required: true },
+    principalId: { type: String, required: true, trim: true },
+    issuedAt: { type: Date, required: true },
+    supplyType: { type: String, enum: ["INTRA_STATE", "INTER_STATE"], required: true },
+    seller: { type: partySchema, default: () => ({}) },
+    buyer: { type: partySchema, default: () => ({}) },
+    lines: { type: [invoiceLineSchema], default: [] },
+    totals: {
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      deliveryCharges: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+    },
+    paymentMethod: { type: String, default: "", trim: true },
+  },
+  { timestamps: true, collection: "store_invoices" }
+);
+
+storeInvoiceSchema.index({ invoiceNumber: 1 }, { unique: true });
+storeInvoiceSchema.index({ orderId: 1 }, { unique: true });
+// Numbers are taken by insert (latest + 1), so this is what keeps them unique per year
+storeInvoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+storeInvoiceSchema.index({ issuedAt: 1 });
+
+export const StoreInvoice = mongoose.model("StoreInvoice", storeInvoiceSchema);
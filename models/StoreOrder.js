@@ -13,6 +13,12 @@ const orderItemSchema = new mongoose.Schema(
     quantity: { type: Number, required: true, min: 1, max: 20 },
     unitPrice: { type: Number, required: true, min: 0 },
     lineTotal: { type: Number, required: true, min: 0 },
+    prescriptionRequired: { type: Boolean, default: false },
+    hsnCode: { type: String, default: "", trim: true },
+    gstRate: { type: Number, min: 0, max: 28, default: 18 },
+    gstAmount: { type: Number, min: 0, default: 0 },
+    // Share of the coupon discount; GST is charged on lineTotal - discount
+    discount: { type: Number, min: 0, default: 0 },
   },
   { _id: false }
 );
@@ -60,7 +66,7 @@ const storeOrderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ["PAID", "PENDING_PAYMENT", "FAILED"],
+      enum: ["PAID", "PENDING_PAYMENT", "FAILED", "REFUNDED"],
       default: "PENDING_PAYMENT",
       uppercase: true,
       trim: true,
@@ -68,18 +74,123 @@ const storeOrderSchema = new mongoose.Schema(
     totals: {
       itemCount: { type: Number, min: 1, required: true },
       subtotal: { type: Number, min: 0, required: true },
+      discount: { type: Number, min: 0, default: 0 },
       gst: { type: Number, min: 0, default: 0 },
       deliveryCharges: { type: Number, min: 0, default: 0 },
       total: { type: Number, min: 0, default: 0 },
     },
     status: {
       type: String,
-      enum: ["PLACED", "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"],
+      enum: ["AWAITING_VERIFICATION", "PLACED", "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED", "RETURNED"],
       default: "PLACED",
       uppercase: true,
       trim: true,
       index: true,
     },
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "StoreCoupon",
+        default: null,
+      },
+      code: { type: String, default: "", trim: true, uppercase: true },
+      discount: { type: Number, min: 0, default: 0 },
+    },
+    deliveredAt: { type: Date, default: null },
+    // GST invoice number, set when the invoice is issued (services/gstInvoice.js)
+    invoiceNumber: { type: String, default: "", trim: true },
+    cancellation: {
+      requestedBy: {
+        type: String,
+        enum: ["", "customer", "admin", "system"],
+        default: "",
+      },
+      reason: { type: String, default: "", trim: true, maxlength: 600 },
+      cancelledAt: { type: Date, default: null },
+    },
+    // Customer return request after delivery, reviewed by an admin
+    returnRequest: {
+      status: {
+        type: String,
+        enum: ["NONE", "REQUESTED", "APPROVED", "REJECTED"],
+        default: "NONE",
+        uppercase: true,
+        trim: true,
+      },
+      reason: { type: String, default: "", trim: true, maxlength: 600 },
+      requestedAt: { type: Date, default: null },
+      reviewedByAdminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AdminUser",
+        default: null,
+      },
+      reviewedByName: { type: String, default: "", trim: true, maxlength: 120 },
+      reviewedAt: { type: Date, default: null },
+      note: { type: String, default: "", trim: true, maxlength: 600 },
+    },
+    // Stock is only held once an order is placed; orders awaiting
+    // prescription verification have nothing reserved yet.
+    inventoryReserved: { type: Boolean, default: true },
+    // Inventory lots the units were drawn from at delivery
+    lotAllocations: [
+      {
+        _id: false,
+        productId: { type: String, trim: true },
+        lotId: { type: mongoose.Schema.Types.ObjectId, ref: "InventoryLot" },
+        batchNumber: { type: String, trim: true },
+        expiresAt: { type: Date },
+        quantity: { type: Number, min: 1 },
+      },
+    ],
+    prescription: {
+      required: { type: Boolean, default: false },
+      documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Document",
+        default: null,
+      },
+      documentTitle: { type: String, default: "", trim: true, maxlength: 200 },
+      status: {
+        type: String,
+        enum: ["NOT_REQUIRED", "PENDING", "APPROVED", "REJECTED"],
+        default: "NOT_REQUIRED",
+        uppercase: true,
+        trim: true,
+      },
+      reviewedByAdminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AdminUser",
+        default: null,
+      },
+      reviewedByName: { type: String, default: "", trim: true, maxlength: 120 },
+      reviewedAt: { type: Date, default: null },
+      note: { type: String, default: "", trim: true, maxlength: 600 },
+    },
+    // Online payments go through a gateway intent; COD orders leave this empty.
+    payment: {
+      provider: { type: String, default: "", trim: true, lowercase: true },
+      intentId: { type: String, default: "", trim: true },
+      status: {
+        type: String,
+        enum: ["NONE", "CREATED", "PAID", "FAILED", "EXPIRED"],
+        default: "NONE",
+        uppercase: true,
+        trim: true,
+      },
+      amountMinor: { type: Number, min: 0, default: 0 },
+      currency: { type: String, default: "INR", trim: true, uppercase: true },
+      providerPaymentId: { type: String, default: "", trim: true },
+      expiresAt: { type: Date, default: null },
+      paidAt: { type: Date, default: null },
+      failedAt: { type: Date, default: null },
+      failureReason: { type: String, default: "", trim: true, maxlength: 300 },
+      // Declined attempts on a still-open intent; the buyer may retry until it expires
+      failedAttempts: { type: Number, min: 0, default: 0 },
+      lastAttemptFailedAt: { type: Date, default: null },
+      lastAttemptFailureReason: { type: String, default: "", trim: true, maxlength: 300 },
+      // Captured after the order was already cancelled; needs a refund
+      refundRequired: { type: Boolean, default: false },
+    },
   },
   {
     timestamps: true,
@@ -88,5 +199,9 @@ const storeOrderSchema = new mongoose.Schema(
 );
 
 storeOrderSchema.index({ principalId: 1, role: 1, createdAt: -1 });
+storeOrderSchema.index({ "prescription.status": 1, createdAt: 1 });
+storeOrderSchema.index({ "payment.intentId": 1 });
+storeOrderSchema.index({ paymentStatus: 1, "payment.expiresAt": 1 });
+storeOrderSchema.index({ "returnRequest.status": 1, "returnRequest.requestedAt": 1 });
 
 export const StoreOrder = mongoose.model("StoreOrder", storeOrderSchema);
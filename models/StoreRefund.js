@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// One full refund per store order, tied to the payment that is being returned
+const storeRefundSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "StoreOrder", required: true },
+    principalId: { type: String, required: true, trim: true },
+    reason: {
+      type: String,
+      enum: ["cancellation", "return", "late_capture"],
+      required: true,
+    },
+    amountMinor: { type: Number, min: 0, required: true },
+    currency: { type: String, default: "INR", trim: true, uppercase: true },
+    paymentMethod: { type: String, default: "", trim: true, lowercase: true },
+    // Empty for payments collected outside the gateway (COD); those are refunded by hand
+    provider: { type: String, default: "", trim: true, lowercase: true },
+    providerPaymentId: { type: String, default: "", trim: true },
+    providerRefundId: { type: String, default: "", trim: true },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSED", "FAILED"],
+      default: "PENDING",
+      uppercase: true,
+      trim: true,
+    },
+    reference: { type: String, default: "", trim: true, maxlength: 120 },
+    failureReason: { type: String, default: "", trim: true, maxlength: 300 },
+    attempts: { type: Number, min: 0, default: 0 },
+    processedAt: { type: Date, default: null },
+    createdByAdminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+    processedByAdminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  },
+  { timestamps: true, collection: "store_refunds" }
+);
+
+storeRefundSchema.index({ orderId: 1 }, { unique: true });
+storeRefundSchema.index({ status: 1, createdAt: -1 });
+
+export const StoreRefund = mongoose.model("StoreRefund", storeRefundSchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 160 },
+    contactName: { type: String, default: "", trim: true, maxlength: 120 },
+    email: { type: String, default: "", trim: true, lowercase: true, maxlength: 160 },
+    phone: { type: String, default: "", trim: true, maxlength: 40 },
+    gstin: { type: String, default: "", trim: true, uppercase: true, maxlength: 15 },
+    address: { type: String, default: "", trim: true, maxlength: 400 },
+    // Quoted days from placing an order to delivery
+    leadTimeDays: { type: Number, default: 7, min: 0, max: 365 },
+    // Inventory productKeys this supplier can deliver; used for automatic reorder drafts
+    productKeys: { type: [String], default: [], index: true },
+    notes: { type: String, default: "", trim: true, maxlength: 1000 },
+    isActive: { type: Boolean, default: true, index: true },
+    createdByAdminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  },
+  { timestamps: true, collection: "suppliers" }
+);
+
+supplierSchema.index({ name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+
+export const Supplier = mongoose.model("Supplier", supplierSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import { decryptField, encryptField } from "../utils/fieldEncryption.js";
+
+// TOTP enrollment for any login principal. principalId is the account _id,
+// or the email for the env-configured super-admin.
+const twoFactorCredentialSchema = new mongoose.Schema(
+  {
+    principalId: { type: String, required: true, trim: true },
+    role: { type: String, enum: ["patient", "doctor", "admin", "superadmin"], required: true },
+    // Base32 secrets, encrypted at rest
+    secret: { type: String, default: "", set: encryptField, get: decryptField },
+    pendingSecret: { type: String, default: "", set: encryptField, get: decryptField },
+    pendingCreatedAt: { type: Date, default: null },
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    // Last accepted 30-second step; a code is never accepted twice
+    lastUsedStep: { type: Number, default: null },
+    recoveryCodes: [
+      {
+        _id: false,
+        hash: { type: String, required: true },
+        usedAt: { type: Date, default: null },
+      },
+    ],
+  },
+  { timestamps: true, collection: "two_factor_credentials" }
+);
+
+twoFactorCredentialSchema.index({ principalId: 1, role: 1 }, { unique: true });
+
+export const TwoFactorCredential = mongoose.model("TwoFactorCredential", twoFactorCredentialSchema);
@@ -1,6 +1,48 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
-import { decryptField, encryptField } from "../utils/fieldEncryption.js";
+import {
+  decryptField,
+  encryptField,
+  isEncryptedValue,
+  markEncryptingSetter,
+  tryDecryptField,
+} from "../utils/fieldEncryption.js";
+import { USER_BLIND_INDEX_FIELDS } from "../utils/blindIndex.js";
+
+// Plaintext behind a value being stored; undefined when it is ciphertext no key opens
+const plainForIndex = (value) => {
+  if (!isEncryptedValue(value)) return value;
+  const plain = tryDecryptField(value);
+  return plain == null ? undefined : plain;
+};
+
+// Encrypts like encryptField and refreshes the field's blind index on the document.
+// Mongoose also calls setters while casting query filters and updates (`this` is
+// the Query then); updates are covered by the pre hook below.
+const encryptAndIndex = ({ indexPath, compute }) =>
+  markEncryptingSetter(function (value) {
+    if (this && !(this instanceof mongoose.Query) && typeof this.set === "function") {
+      const plain = plainForIndex(value);
+      if (plain !== undefined) this.set(indexPath, compute(plain));
+    }
+    return encryptField(value);
+  });
+
+const fieldSetter = (path) => encryptAndIndex(USER_BLIND_INDEX_FIELDS.find((field) => field.path === path));
+
+// Last position the app reported; used to geofence mass-incident alerts
+const LastKnownLocationSchema = new mongoose.Schema(
+  {
+    point: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number], required: true }, // [lng, lat]
+    },
+    accuracyMeters: { type: Number },
+    source: { type: String, enum: ["sos", "nearby"], default: "sos" },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const UserSchema = new mongoose.Schema(
   {
@@ -22,7 +64,7 @@ const UserSchema = new mongoose.Schema(
     googleId: { type: String, unique: true, sparse: true }, // No default - will be undefined for regular users
     loginType: { type: String, enum: ["email", "google"], default: "email" }, // Track login method
     emailVerified: { type: Boolean, default: false }, // Email verification status
-    aadhaar: { type: String, default: null, set: encryptField, get: decryptField },
+    aadhaar: { type: String, default: null, set: fieldSetter("aadhaar"), get: decryptField },
     role: {
       type: String,
       enum: ["PATIENT", "DOCTOR", "ADMIN", "SUPERADMIN"],
@@ -52,16 +94,20 @@ const UserSchema = new mongoose.Schema(
     emergencyContact: {
       name: { type: String, default: null },
       relationship: { type: String, default: null },
-      phone: { type: String, default: null, set: encryptField, get: decryptField },
+      phone: { type: String, default: null, set: fieldSetter("emergencyContact.phone"), get: decryptField },
     },
 
     allergies: {
       type: String,
       default: "",
       trim: true,
-      set: encryptField,
+      set: fieldSetter("allergies"),
       get: decryptField,
     },
+    // 🔹 Blind indexes (HMAC digests) for exact-match search; never returned by default
+    aadhaarIndex: { type: String, default: null, select: false },
+    emergencyPhoneIndex: { type: String, default: null, select: false },
+    allergyIndex: { type: [String], default: undefined, select: false },
     consents: [
       {
         consentType: {
@@ -97,6 +143,7 @@ const UserSchema = new mongoose.Schema(
 
     // 🔹 System fields
     fcmToken: { type: String, default: null },
+    lastKnownLocation: { type: LastKnownLocationSchema, default: undefined },
     isActive: { type: Boolean, default: true },
     tokenVersion: { type: Number, default: 0, min: 0 },
     lastLogin: { type: Date, default: null },
@@ -127,6 +174,37 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+UserSchema.index({ "lastKnownLocation.point": "2dsphere" });
+UserSchema.index({ aadhaarIndex: 1 }, { sparse: true });
+UserSchema.index({ emergencyPhoneIndex: 1 }, { sparse: true });
+UserSchema.index({ allergyIndex: 1 }, { sparse: true });
+
+const readUpdatedValue = (source, path) => {
+  if (!source || typeof source !== "object") return undefined;
+  if (Object.prototype.hasOwnProperty.call(source, path)) return { value: source[path] };
+  const [parent, child] = path.split(".");
+  // Replacing emergencyContact as a whole also replaces (or clears) its phone
+  if (child && source[parent] && typeof source[parent] === "object") return { value: source[parent][child] ?? null };
+  return undefined;
+};
+
+// Keep blind indexes in step with updates that bypass document setters
+UserSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  USER_BLIND_INDEX_FIELDS.forEach(({ path, indexPath, compute }) => {
+    const unset = readUpdatedValue(update.$unset, path) || readUpdatedValue(update.$unset, path.split(".")[0]);
+    const updated = readUpdatedValue(update, path) || readUpdatedValue(update.$set, path);
+    if (updated) {
+      const plain = plainForIndex(updated.value);
+      if (plain !== undefined) this.set(indexPath, compute(plain));
+    } else if (unset) {
+      this.set(indexPath, compute(null));
+    }
+  });
+});
+
 // 🔐 Hash password before saving
 UserSchema.pre("save", function (next) {
   if (this.isModified("status")) {
@@ -1,7 +1,6 @@
 import express from "express";
 import bcrypt from "bcryptjs";
 import { AdminUser } from "../models/AdminUser.js";
-import { MassIncident } from "../models/MassIncident.js";
 import { requireAdminAuth } from "../middleware/adminAuth.js";
 import { authLimiter } from "../middleware/rateLimit.js";
 import {
@@ -18,6 +17,13 @@ import {
   monitorFailedLogin,
   monitorSuspiciousSession,
 } from "../services/securityMonitorService.js";
+import {
+  buildTwoFactorChallenge,
+  isTwoFactorEnabled,
+  readTwoFactorChallenge,
+  verifySecondFactor,
+} from "../services/twoFactorAuth.js";
+import { sendTwoFactorError } from "./twoFactor.js";
 
 const router = express.Router();
 
@@ -93,6 +99,40 @@ const persistRefreshToken = async (req, adminId, refreshToken, refreshMeta) => {
   });
 };
 
+const completeAdminLogin = async (req, res, admin) => {
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  const { accessToken, refreshToken, refreshMeta } = issueAuthTokenSet({
+    principalId: admin._id.toString(),
+    role: "admin",
+    email: admin.email,
+    tokenVersion: Number.isFinite(Number(admin?.tokenVersion))
+      ? Number(admin.tokenVersion)
+      : 0,
+  });
+
+  await persistRefreshToken(req, admin._id, refreshToken, refreshMeta);
+
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  return {
+    success: true,
+    message: "Login successful",
+    admin: {
+      id: admin._id,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role,
+      permissions: admin.permissions || [],
+      isActive: admin.isActive !== false,
+    },
+    role: admin.role,
+    token: accessToken,
+    refreshToken,
+  };
+};
+
 // POST /api/admin/login
 router.post("/login", authLimiter, async (req, res) => {
   try {
@@ -150,42 +190,54 @@ router.post("/login", authLimiter, async (req, res) => {
       return res.status(401).json({ success: false, message: "Invalid credentials" });
     }
 
+    // Password is right; with 2FA on, tokens wait for /login/2fa
+    if (await isTwoFactorEnabled(admin._id, "admin")) {
+      return res.status(202).json(buildTwoFactorChallenge({ principalId: admin._id, role: "admin" }));
+    }
+
     if (String(admin.email || "") !== email) {
       admin.email = email;
     }
-    admin.lastLogin = new Date();
-    await admin.save();
-
-    const { accessToken, refreshToken, refreshMeta } = issueAuthTokenSet({
-      principalId: admin._id.toString(),
-      role: "admin",
-      email: admin.email,
-      tokenVersion: Number.isFinite(Number(admin?.tokenVersion))
-        ? Number(admin.tokenVersion)
-        : 0,
-    });
+    return res.json(await completeAdminLogin(req, res, admin));
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-    await persistRefreshToken(req, admin._id, refreshToken, refreshMeta);
+// POST /api/admin/login/2fa { challengeToken, code | recoveryCode }
+router.post("/login/2fa", authLimiter, async (req, res) => {
+  let admin = null;
+  try {
+    const principalId = readTwoFactorChallenge({ challengeToken: req.body?.challengeToken, role: "admin" });
+    admin = await AdminUser.findById(principalId);
+    if (!admin || admin.isActive === false || admin.status === "BLOCKED") {
+      return res.status(403).json({
+        success: false,
+        code: "USER_DISABLED",
+        message: "Your account has been deactivated by admin.",
+      });
+    }
 
-    setAuthCookies(res, { accessToken, refreshToken });
+    const blockState = await isActorTemporarilyBlocked({ actorEmail: admin.email, actorRole: "admin" });
+    if (blockState.isBlocked) {
+      return res.status(429).json({ success: false, message: "Account temporarily blocked due to suspicious activity" });
+    }
 
-    return res.json({
-      success: true,
-      message: "Login successful",
-      admin: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role,
-        permissions: admin.permissions || [],
-        isActive: admin.isActive !== false,
-      },
-      role: admin.role,
-      token: accessToken,
-      refreshToken,
+    await verifySecondFactor({
+      principalId,
+      role: "admin",
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
     });
+
+    return res.json(await completeAdminLogin(req, res, admin));
   } catch (err) {
-    return res.status(500).json({ success: false, message: err.message });
+    return sendTwoFactorError(req, res, err, {
+      actorEmail: admin?.email || "",
+      actorRole: "admin",
+      source: "admin_two_factor_login",
+      fallbackMessage: "Admin login failed",
+    });
   }
 });
 
@@ -289,20 +341,4 @@ router.post("/logout", requireAdminAuth, async (req, res) => {
   }
 });
 
-router.get("/mass-incidents", requireAdminAuth, async (_req, res) => {
-  try {
-    const status = (_req.query.status || "active").toString();
-    const incidents = await MassIncident.find({ status })
-      .sort({ lastSOSAt: -1 })
-      .lean();
-
-    res.json({ success: true, incidents });
-  } catch (err) {
-    console.error("Fetch mass incidents error:", err);
-    res
-      .status(500)
-      .json({ success: false, message: "Failed to fetch mass incidents" });
-  }
-});
-
 export default router;
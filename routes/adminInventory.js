@@ -2,12 +2,41 @@ import express from "express";
 import { requireAdminAuth, requireAdminPermissions } from "../middleware/adminAuth.js";
 import {
   adjustInventory,
+  approvePrescriptionOrder,
+  approveStoreReturnRequest,
+  cancelPurchaseOrderEntry,
+  createCatalogProductEntry,
+  createPurchaseOrderEntry,
+  createSupplierEntry,
+  getCatalogProducts,
+  getPrescriptionReviewQueue,
   getInventoryDashboard,
   getInventoryLedger,
+  getInventoryLots,
   getInventoryProducts,
+  getMonthlyGstSummary,
+  getPurchaseOrders,
+  getPurchaseOrderSummary,
+  getStoreRefunds,
+  getStoreReturnQueue,
+  getSuppliers,
+  migrateInventoryCatalog,
+  placePurchaseOrderEntry,
   processInventoryReturn,
+  processStoreRefundRequest,
+  receivePurchaseOrderEntry,
+  refundStoreOrder,
+  rejectPrescriptionOrder,
+  rejectStoreReturnRequest,
   restockInventory,
+  restoreCatalogProductEntry,
+  retireCatalogProductEntry,
+  runReorderDrafts,
+  setCatalogProductSkuMappings,
   setInventoryReorderLevel,
+  updateCatalogProductEntry,
+  updatePurchaseOrderEntry,
+  updateSupplierEntry,
 } from "../controllers/inventoryController.js";
 
 const router = express.Router();
@@ -30,6 +59,12 @@ router.get(
   requireAdminPermissions("MANAGE_PRODUCTS"),
   getInventoryLedger
 );
+router.get(
+  "/lots",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  getInventoryLots
+);
 
 router.post(
   "/restock",
@@ -49,6 +84,70 @@ router.post(
   requireAdminPermissions("MANAGE_ORDERS"),
   processInventoryReturn
 );
+
+// Pharmacist review of orders holding prescription-only items
+router.get(
+  "/orders/prescriptions",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS", "MANAGE_ORDERS"),
+  getPrescriptionReviewQueue
+);
+router.post(
+  "/orders/:orderId/prescription/approve",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS", "MANAGE_ORDERS"),
+  approvePrescriptionOrder
+);
+router.post(
+  "/orders/:orderId/prescription/reject",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS", "MANAGE_ORDERS"),
+  rejectPrescriptionOrder
+);
+
+// Customer return requests and refunds for store orders
+router.get(
+  "/orders/returns",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  getStoreReturnQueue
+);
+router.post(
+  "/orders/:orderId/return/approve",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  approveStoreReturnRequest
+);
+router.post(
+  "/orders/:orderId/return/reject",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  rejectStoreReturnRequest
+);
+router.post(
+  "/orders/:orderId/refund",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  refundStoreOrder
+);
+router.get(
+  "/refunds",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  getStoreRefunds
+);
+router.post(
+  "/refunds/:refundId/process",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  processStoreRefundRequest
+);
+router.get(
+  "/gst-summary",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_ORDERS"),
+  getMonthlyGstSummary
+);
 router.patch(
   "/products/:productKey/reorder-level",
   requireAdminAuth,
@@ -56,5 +155,117 @@ router.patch(
   setInventoryReorderLevel
 );
 
+// Catalog items tracked by the inventory ledger
+router.get(
+  "/catalog",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  getCatalogProducts
+);
+router.post(
+  "/catalog",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  createCatalogProductEntry
+);
+router.post(
+  "/catalog/migrate",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  migrateInventoryCatalog
+);
+router.patch(
+  "/catalog/:productKey",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  updateCatalogProductEntry
+);
+router.put(
+  "/catalog/:productKey/sku-mappings",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  setCatalogProductSkuMappings
+);
+router.post(
+  "/catalog/:productKey/retire",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  retireCatalogProductEntry
+);
+router.post(
+  "/catalog/:productKey/restore",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  restoreCatalogProductEntry
+);
+
+// Suppliers and purchase orders for restocking
+router.get(
+  "/suppliers",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  getSuppliers
+);
+router.post(
+  "/suppliers",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  createSupplierEntry
+);
+router.patch(
+  "/suppliers/:supplierId",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  updateSupplierEntry
+);
+router.get(
+  "/purchase-orders",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  getPurchaseOrders
+);
+router.post(
+  "/purchase-orders",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  createPurchaseOrderEntry
+);
+router.get(
+  "/purchase-orders/report",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  getPurchaseOrderSummary
+);
+router.post(
+  "/purchase-orders/auto-drafts",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  runReorderDrafts
+);
+router.patch(
+  "/purchase-orders/:purchaseOrderId",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  updatePurchaseOrderEntry
+);
+router.post(
+  "/purchase-orders/:purchaseOrderId/place",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  placePurchaseOrderEntry
+);
+router.post(
+  "/purchase-orders/:purchaseOrderId/receive",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  receivePurchaseOrderEntry
+);
+router.post(
+  "/purchase-orders/:purchaseOrderId/cancel",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  cancelPurchaseOrderEntry
+);
+
 export default router;
 
@@ -0,0 +1,46 @@
+import express from "express";
+import { requireAdminAuth, requireAdminPermissions } from "../middleware/adminAuth.js";
+import {
+  listMassIncidents,
+  getMassIncident,
+  updateMassIncidentStatus,
+  attachIncidentEvents,
+  mergeIncidents,
+  broadcastIncident,
+} from "../controllers/massIncidentAdminController.js";
+
+const router = express.Router();
+
+router.get("/", requireAdminAuth, listMassIncidents);
+router.get(
+  "/:id",
+  requireAdminAuth,
+  requireAdminPermissions("VIEW_SOS"),
+  getMassIncident
+);
+router.patch(
+  "/:id/status",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  updateMassIncidentStatus
+);
+router.post(
+  "/:id/events",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  attachIncidentEvents
+);
+router.post(
+  "/:id/merge",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  mergeIncidents
+);
+router.post(
+  "/:id/broadcast",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  broadcastIncident
+);
+
+export default router;
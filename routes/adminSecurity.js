@@ -6,6 +6,13 @@ import { RefreshToken } from "../models/RefreshToken.js";
 import { writeAuditLog } from "../middleware/auditLogger.js";
 import { recordSecurityEvent } from "../services/securityEventService.js";
 import { SecurityEvent } from "../models/SecurityEvent.js";
+import {
+  AuditChainError,
+  createAuditCheckpoint,
+  getAuditCheckpointPublicKeys,
+  listAuditCheckpoints,
+  verifyAuditChain,
+} from "../services/auditChain.js";
 
 const router = express.Router();
 
@@ -92,6 +99,93 @@ router.get(
   }
 );
 
+const sendAuditChainError = (res, error, fallbackMessage) => {
+  if (error instanceof AuditChainError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.report ? { report: error.report } : {}),
+    });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// GET /api/admin/audit-logs/verify?from=genesis|checkpoint&maxIssues=
+router.get(
+  "/audit-logs/verify",
+  requireAdminAuth,
+  requireAdminPermissions("VIEW_AUDIT_LOGS"),
+  async (req, res) => {
+    try {
+      const report = await verifyAuditChain({
+        from: String(req.query.from || "genesis").trim().toLowerCase(),
+        maxIssues: Math.min(parsePositiveInt(req.query.maxIssues, 200), 1000),
+      });
+      await writeAuditLog({
+        req,
+        action: "VERIFY_AUDIT_CHAIN",
+        resourceType: "AUDIT_LOG",
+        statusCode: 200,
+        metadata: {
+          from: report.from,
+          checkedCount: report.checkedCount,
+          issueCount: report.issueCount,
+        },
+      });
+      return res.json({ success: true, report });
+    } catch (error) {
+      return sendAuditChainError(res, error, "Failed to verify audit log chain");
+    }
+  }
+);
+
+router.get(
+  "/audit-logs/checkpoints",
+  requireAdminAuth,
+  requireAdminPermissions("VIEW_AUDIT_LOGS"),
+  async (req, res) => {
+    try {
+      const items = await listAuditCheckpoints({
+        limit: Math.min(parsePositiveInt(req.query.limit, 20), 100),
+      });
+      return res.json({ success: true, items, keys: getAuditCheckpointPublicKeys() });
+    } catch (error) {
+      return sendAuditChainError(res, error, "Failed to fetch audit checkpoints");
+    }
+  }
+);
+
+// POST /api/admin/audit-logs/checkpoints - verify since the last anchor, then sign the head
+router.post(
+  "/audit-logs/checkpoints",
+  requireAdminAuth,
+  requireAdminPermissions("VIEW_AUDIT_LOGS"),
+  async (req, res) => {
+    try {
+      const { created, checkpoint, report } = await createAuditCheckpoint({
+        createdBy: req.auth?.email || req.auth?.id || "admin",
+      });
+      await writeAuditLog({
+        req,
+        action: "CREATE_AUDIT_CHECKPOINT",
+        resourceType: "AUDIT_LOG_CHECKPOINT",
+        resourceId: checkpoint?._id?.toString() || "",
+        statusCode: created ? 201 : 200,
+        metadata: { created, recordCount: checkpoint?.recordCount || 0 },
+      });
+      return res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? "Checkpoint signed" : "No new audit entries since the last checkpoint",
+        checkpoint,
+        report,
+      });
+    } catch (error) {
+      return sendAuditChainError(res, error, "Failed to create audit checkpoint");
+    }
+  }
+);
+
 router.get(
   "/alerts",
   requireAdminAuth,
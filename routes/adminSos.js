@@ -0,0 +1,58 @@
+import express from "express";
+import { requireAdminAuth, requireAdminPermissions } from "../middleware/adminAuth.js";
+import {
+  listSosEvents,
+  getSosEvent,
+  acknowledgeEvent,
+  assignResponder,
+  addEventNote,
+  updateEventSeverity,
+  resolveEvent,
+} from "../controllers/sosAdminController.js";
+
+const router = express.Router();
+
+router.get(
+  "/events",
+  requireAdminAuth,
+  requireAdminPermissions("VIEW_SOS"),
+  listSosEvents
+);
+router.get(
+  "/events/:id",
+  requireAdminAuth,
+  requireAdminPermissions("VIEW_SOS"),
+  getSosEvent
+);
+router.post(
+  "/events/:id/acknowledge",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  acknowledgeEvent
+);
+router.post(
+  "/events/:id/assign",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  assignResponder
+);
+router.post(
+  "/events/:id/notes",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  addEventNote
+);
+router.patch(
+  "/events/:id/severity",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  updateEventSeverity
+);
+router.post(
+  "/events/:id/resolve",
+  requireAdminAuth,
+  requireAdminPermissions("HANDLE_SOS"),
+  resolveEvent
+);
+
+export default router;
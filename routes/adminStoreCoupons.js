@@ -0,0 +1,37 @@
+import express from "express";
+import { requireAdminAuth, requireAdminPermissions } from "../middleware/adminAuth.js";
+import {
+  createCoupon,
+  getCouponRedemptions,
+  listCoupons,
+  updateCoupon,
+} from "../controllers/storeCouponAdminController.js";
+
+const router = express.Router();
+
+router.get(
+  "/",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  listCoupons
+);
+router.post(
+  "/",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  createCoupon
+);
+router.patch(
+  "/:couponId",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  updateCoupon
+);
+router.get(
+  "/:couponId/redemptions",
+  requireAdminAuth,
+  requireAdminPermissions("MANAGE_PRODUCTS"),
+  getCouponRedemptions
+);
+
+export default router;
@@ -17,6 +17,7 @@ const mockState = {
   },
   aiChatFindOneResult: null,
   aiChatFindByIdResult: null,
+  extractionsByDocumentId: new Map(),
 };
 
 const makeQuery = (value) => ({
@@ -89,6 +90,18 @@ const documentFindMock = jest.fn((filter = {}) => {
 
 const appointmentFindMock = jest.fn(() => makeQuery([]));
 
+const documentExtractionFindOneMock = jest.fn(async (filter = {}) => {
+  const record = mockState.extractionsByDocumentId.get(String(filter.documentId)) || null;
+  if (!record || (filter.status && record.status !== filter.status)) return null;
+  return record;
+});
+
+const documentExtractionFindOneAndUpdateMock = jest.fn(async (filter = {}, update = {}) => {
+  const record = { ...update.$set, documentId: String(filter.documentId) };
+  mockState.extractionsByDocumentId.set(String(filter.documentId), record);
+  return record;
+});
+
 class MockAIChat {
   constructor(doc = {}) {
     this._id = doc._id || "chat-mock-1";
@@ -186,6 +199,21 @@ await jest.unstable_mockModule("../models/File.js", () => ({
   },
 }));
 
+await jest.unstable_mockModule("../models/DocumentExtraction.js", () => ({
+  DocumentExtraction: {
+    findOne: documentExtractionFindOneMock,
+    findOneAndUpdate: documentExtractionFindOneAndUpdateMock,
+  },
+}));
+
+await jest.unstable_mockModule("../models/LabObservation.js", () => ({
+  LabObservation: {
+    deleteMany: jest.fn(async () => ({ deletedCount: 0 })),
+    insertMany: jest.fn(async (docs) => docs),
+    find: jest.fn(() => makeQuery([])),
+  },
+}));
+
 await jest.unstable_mockModule("../models/Appointment.js", () => ({
   Appointment: {
     find: appointmentFindMock,
@@ -245,6 +273,7 @@ const resetState = () => {
   };
   mockState.aiChatFindOneResult = null;
   mockState.aiChatFindByIdResult = null;
+  mockState.extractionsByDocumentId = new Map();
 };
 
 describe("AI assistant /api/ai integration", () => {
@@ -270,6 +299,8 @@ describe("AI assistant /api/ai integration", () => {
     documentFindByIdMock.mockClear();
     documentFindMock.mockClear();
     appointmentFindMock.mockClear();
+    documentExtractionFindOneMock.mockClear();
+    documentExtractionFindOneAndUpdateMock.mockClear();
     MockAIChat.findById.mockClear();
     MockAIChat.findOne.mockClear();
     MockAIChat.deleteMany.mockClear();
@@ -413,6 +444,44 @@ describe("AI assistant /api/ai integration", () => {
     );
   });
 
+  it("stores extracted text so repeat document questions skip re-extraction", async () => {
+    const documentId = "64b1234567890abcdef12348";
+    mockState.documentsById.set(documentId, {
+      _id: documentId,
+      userId: "patient-1",
+      title: "Lipid Profile",
+      type: "Report",
+      s3Key: "docs/lipid.pdf",
+      s3Bucket: "unit-test-bucket",
+      uploadedAt: new Date("2026-03-02T10:00:00.000Z"),
+    });
+
+    const ask = () =>
+      request(app)
+        .post("/api/ai/ask")
+        .set("x-test-role", "patient")
+        .set("x-test-id", "patient-1")
+        .send({ prompt: "Analyze this document.", documentId });
+
+    const first = await ask();
+    expect(first.status).toBe(200);
+    expect(extractTextFromS3Mock).toHaveBeenCalledTimes(1);
+    expect(documentExtractionFindOneAndUpdateMock).toHaveBeenCalledTimes(1);
+
+    const [, update] = documentExtractionFindOneAndUpdateMock.mock.calls[0];
+    expect(update.$set.status).toBe("completed");
+    expect(update.$set.text).toContain("Hemoglobin 13.5 g/dL");
+    expect(update.$set.language).toBe("english");
+    expect(update.$set.confidence?.level).toBeDefined();
+
+    const second = await ask();
+    expect(second.status).toBe(200);
+    expect(extractTextFromS3Mock).toHaveBeenCalledTimes(1);
+    expect(second.body.documentMetadata?.extractionConfidence?.level).toBe(
+      update.$set.confidence.level
+    );
+  });
+
   it("blocks explicit document analysis when document is out of selected scope", async () => {
     const documentId = "64b1234567890abcdef12346";
     mockState.documentsById.set(documentId, {
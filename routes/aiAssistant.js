@@ -8,6 +8,9 @@ import { Document } from "../models/File.js";
 import { Appointment } from "../models/Appointment.js";
 import { AIChat } from "../models/AIChat.js";
 import DocumentReader from "../services/documentReader.js";
+import { getDocumentExtraction } from "../services/documentExtractionQueue.js";
+import { findPatientObservations, formatObservationsForAI } from "../services/labObservationStore.js";
+import { findMentionedAnalytes } from "../services/labObservationParser.js";
 import { ok, fail } from "../utils/apiResponse.js";
 import { canDoctorAccessPatient } from "../services/accessControl.js";
 import { aiLimiter } from "../middleware/rateLimit.js";
@@ -234,6 +237,18 @@ const isScheduleQuery = (prompt) => {
   return keywords.some(k => lower.includes(k));
 };
 
+// Helper: detect lab trend questions ("HbA1c over time", "sugar trend")
+const getLabTrendAnalytes = (prompt) => {
+  const lower = (prompt || '').toLowerCase();
+  const analytes = findMentionedAnalytes(lower).map((analyte) => analyte.code);
+  const asksForTrend = ['trend', 'over time', 'history', 'progress', 'chart', 'graph', 'compare', 'changed', 'improv', 'worse']
+    .some(k => lower.includes(k));
+  if (!analytes.length && !(asksForTrend && /\b(lab|labs|test|tests|report|reports|results?|values?)\b/.test(lower))) {
+    return null;
+  }
+  return analytes;
+};
+
 // Helper: extract a documentId mentioned in the prompt like "document <id>"
 const extractDocumentIdFromPrompt = (prompt) => {
   const m = (prompt || '').match(/document\s+([a-f\d]{24})/i);
@@ -1312,16 +1327,14 @@ router.post("/ask", auth, async (req, res) => {
         const bucketName = document.s3Bucket || process.env.AWS_S3_BUCKET_NAME;
         console.log(`🪣 Using bucket: ${bucketName}`);
 
-        // Extract text from the document
-        console.log(`🔍 Starting text extraction for: ${document.s3Key}`);
+        // Read extracted text from the store (extracts once if not cached yet)
+        console.log(`🔍 Loading extracted text for: ${document.s3Key}`);
         let extractionResult;
         try {
-          extractionResult = await documentReader.extractTextFromS3(
-            document.s3Key, 
-            bucketName
-          );
-          console.log(`✅ Text extraction completed:`, {
+          extractionResult = await getDocumentExtraction(document);
+          console.log(`✅ Text extraction loaded:`, {
             success: extractionResult.success,
+            cached: extractionResult.cached,
             textLength: extractionResult.text?.length || 0,
             error: extractionResult.error
           });
@@ -1338,10 +1351,12 @@ router.post("/ask", auth, async (req, res) => {
 
         if (extractionResult.success) {
           documentContent = extractionResult.text;
-          const extractionConfidence = estimateExtractionConfidence({
-            metadata: extractionResult.metadata,
-            text: extractionResult.text,
-          });
+          const extractionConfidence =
+            extractionResult.confidence ||
+            estimateExtractionConfidence({
+              metadata: extractionResult.metadata,
+              text: extractionResult.text,
+            });
           documentMetadata = {
             ...extractionResult.metadata,
             fileName: document.title || document.originalName,
@@ -1396,14 +1411,15 @@ router.post("/ask", auth, async (req, res) => {
         if (doc) {
           // Analyze the matched document
           try {
-            const bucketName = doc.s3Bucket || process.env.AWS_S3_BUCKET_NAME;
-            const extractionResult = await documentReader.extractTextFromS3(doc.s3Key, bucketName);
+            const extractionResult = await getDocumentExtraction(doc);
             if (extractionResult.success) {
               documentContent = extractionResult.text;
-              const extractionConfidence = estimateExtractionConfidence({
-                metadata: extractionResult.metadata,
-                text: extractionResult.text,
-              });
+              const extractionConfidence =
+                extractionResult.confidence ||
+                estimateExtractionConfidence({
+                  metadata: extractionResult.metadata,
+                  text: extractionResult.text,
+                });
               documentMetadata = {
                 ...extractionResult.metadata,
                 fileName: doc.title || doc.originalName,
@@ -1514,6 +1530,26 @@ router.post("/ask", auth, async (req, res) => {
       }
     }
 
+    // Lab values stored from past reports, so trend questions span every report
+    let labObservationContext = '';
+    const labTrendAnalytes = targetUserId ? getLabTrendAnalytes(prompt) : null;
+    if (labTrendAnalytes) {
+      try {
+        const observations = await findPatientObservations({
+          userId: targetUserId,
+          analytes: labTrendAnalytes,
+          limit: 200,
+        });
+        if (observations.length > 0) {
+          labObservationContext =
+            `\n\nLAB OBSERVATION TIME SERIES (${observations.length} values from stored reports, oldest first):\n` +
+            formatObservationsForAI(observations);
+        }
+      } catch (error) {
+        console.error('⚠️ Failed to load lab observations for AI context:', error.message);
+      }
+    }
+
     // Generate system prompt with user context and documents; append appointment summary if relevant
     const appointmentContext = appointmentData.length > 0
       ? `\n\nToday's Appointments (${appointmentData.length}):\n` + appointmentData.map((a, i) => {
@@ -1536,7 +1572,7 @@ router.post("/ask", auth, async (req, res) => {
       persona,
       targetPatientId,
       conversationContext
-    ) + appointmentContext + patientsContext;
+    ) + appointmentContext + patientsContext + labObservationContext;
 
     let effectiveSystemPrompt = systemPrompt;
     if (role === "admin" || role === "superadmin") {
@@ -2178,12 +2214,11 @@ router.get('/patient/:patientId/analyze', auth, async (req, res) => {
       return res.json({ success: true, summaries: [], count: 0 });
     }
 
-    const bucketNameFallback = process.env.AWS_S3_BUCKET_NAME;
     const results = [];
     for (const doc of docs) {
       if (!doc.s3Key) continue;
       try {
-        const extraction = await documentReader.extractTextFromS3(doc.s3Key, doc.s3Bucket || bucketNameFallback);
+        const extraction = await getDocumentExtraction(doc);
         results.push({
           id: doc._id,
           title: doc.title || doc.originalName,
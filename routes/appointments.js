@@ -5,6 +5,7 @@ import { DoctorUser } from "../models/DoctorUser.js";
 import { auth } from "../middleware/auth.js";
 import { requireDoctor } from "../middleware/auth.js";
 import { sendNotification } from "../utils/notifications.js";
+import { AvailabilityError, reserveAppointmentSlot } from "../services/doctorAvailability.js";
 
 const router = express.Router();
 
@@ -89,7 +90,17 @@ router.post("/", auth, requireDoctor, async (req, res) => {
       doctorName: req.doctor.name,
     });
 
-    await appointment.save();
+    // Doctors may book outside their weekly hours but never on top of another appointment
+    await reserveAppointmentSlot(
+      {
+        doctorId: req.doctor._id,
+        date: appointmentDate,
+        time: appointmentTime,
+        duration: appointment.duration,
+        enforceSchedule: false,
+      },
+      () => appointment.save()
+    );
 
     // Persist doctor-patient relationship for Patient Manager history.
     try {
@@ -169,6 +180,9 @@ router.post("/", auth, requireDoctor, async (req, res) => {
       appointment,
     });
   } catch (error) {
+    if (error instanceof AvailabilityError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Internal server error while creating appointment.",
@@ -240,11 +254,36 @@ router.put("/:id", auth, requireDoctor, async (req, res) => {
 
     Object.keys(updateData).forEach((key) => updateData[key] === undefined && delete updateData[key]);
 
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: req.params.id, doctorId: req.doctor._id },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const applyUpdate = () =>
+      Appointment.findOneAndUpdate(
+        { _id: req.params.id, doctorId: req.doctor._id },
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+    let appointment;
+    const existing = await Appointment.findOne({ _id: req.params.id, doctorId: req.doctor._id })
+      .select("appointmentDate appointmentTime duration status")
+      .lean();
+    const movesTime = Boolean(updateData.appointmentDate || updateData.appointmentTime);
+    const reopens = existing?.status === "cancelled" && updateData.status && updateData.status !== "cancelled";
+    const staysActive = (updateData.status || existing?.status) !== "cancelled";
+
+    if (existing && (movesTime || reopens) && staysActive) {
+      appointment = await reserveAppointmentSlot(
+        {
+          doctorId: req.doctor._id,
+          date: updateData.appointmentDate || existing.appointmentDate,
+          time: updateData.appointmentTime || existing.appointmentTime,
+          duration: existing.duration,
+          excludeAppointmentId: existing._id,
+          enforceSchedule: false,
+        },
+        applyUpdate
+      );
+    } else {
+      appointment = await applyUpdate();
+    }
 
     if (!appointment) {
       return res.status(404).json({
@@ -281,6 +320,9 @@ router.put("/:id", auth, requireDoctor, async (req, res) => {
 
     res.json({ success: true, message: "Appointment updated successfully.", appointment });
   } catch (error) {
+    if (error instanceof AvailabilityError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Internal server error while updating appointment.",
@@ -38,6 +38,13 @@ import {
 } from "../services/tokenService.js";
 import { RefreshToken } from "../models/RefreshToken.js";
 import { LoginAttempt } from "../models/LoginAttempt.js";
+import {
+  buildTwoFactorChallenge,
+  isTwoFactorEnabled,
+  readTwoFactorChallenge,
+  verifySecondFactor,
+} from "../services/twoFactorAuth.js";
+import { sendTwoFactorError } from "./twoFactor.js";
 import {
   isActorTemporarilyBlocked,
   monitorFailedLogin,
@@ -755,6 +762,10 @@ router.post("/google", async (req, res) => {
       });
     }
 
+    if (await isTwoFactorEnabled(user._id, patientRole)) {
+      return res.status(202).json(buildTwoFactorChallenge({ principalId: user._id, role: patientRole }));
+    }
+
     const loginResult = await handlePatientLoginWithSessionPolicy({
       req,
       res,
@@ -822,6 +833,11 @@ router.post("/login", authLimiter, loginValidation, async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
+    // Password is right; with 2FA on, the session waits for /login/2fa
+    if (await isTwoFactorEnabled(user._id, patientRole)) {
+      return res.status(202).json(buildTwoFactorChallenge({ principalId: user._id, role: patientRole }));
+    }
+
     const loginResult = await handlePatientLoginWithSessionPolicy({
       req,
       res,
@@ -840,6 +856,59 @@ router.post("/login", authLimiter, loginValidation, async (req, res) => {
   }
 });
 
+// ================= Patient Login: second factor =================
+// POST /api/auth/login/2fa { challengeToken, code | recoveryCode }
+router.post("/login/2fa", authLimiter, async (req, res) => {
+  let user = null;
+  try {
+    const principalId = readTwoFactorChallenge({
+      challengeToken: req.body?.challengeToken,
+      role: patientRole,
+    });
+    user = await User.findById(principalId);
+    if (!user || user.isActive === false || user.status === "BLOCKED") {
+      return res.status(403).json({
+        success: false,
+        code: "USER_DISABLED",
+        message: "Your account has been deactivated by admin.",
+      });
+    }
+
+    const blockState = await isActorTemporarilyBlocked({ actorEmail: user.email, actorRole: "patient" });
+    if (blockState.isBlocked) {
+      return res.status(429).json({ message: "Account temporarily blocked due to suspicious activity" });
+    }
+
+    await verifySecondFactor({
+      principalId,
+      role: patientRole,
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
+    });
+
+    const loginResult = await handlePatientLoginWithSessionPolicy({
+      req,
+      res,
+      user,
+      loginSource: "patient_two_factor_login",
+      successMessage: "Login successful",
+    });
+
+    if (loginResult.type === "pending") {
+      return res.status(409).json(loginResult.payload);
+    }
+
+    return res.status(200).json(loginResult.payload);
+  } catch (error) {
+    return sendTwoFactorError(req, res, error, {
+      actorEmail: user?.email || "",
+      actorRole: "patient",
+      source: "patient_two_factor_login",
+      fallbackMessage: "Login failed",
+    });
+  }
+});
+
 // ================= Doctor Signup =================
 router.post("/doctor/signup", doctorSignupValidation, async (req, res) => {
   try {
@@ -892,6 +961,33 @@ router.post("/doctor/signup", doctorSignupValidation, async (req, res) => {
   }
 });
 
+const completeDoctorLogin = async (req, res, doctor) => {
+  const { accessToken, refreshToken } = await issueLoginTokens(req, res, {
+    principalId: doctor._id.toString(),
+    role: "doctor",
+    email: doctor.email,
+    tokenVersion: Number.isFinite(Number(doctor?.tokenVersion))
+      ? Number(doctor.tokenVersion)
+      : 0,
+  });
+
+  doctor.lastLogin = new Date();
+  await doctor.save();
+
+  return {
+    success: true,
+    message: "Login successful",
+    doctor: {
+      id: doctor._id.toString(),
+      name: doctor.name,
+      email: doctor.email,
+      specialization: doctor.specialization,
+    },
+    token: accessToken,
+    refreshToken,
+  };
+};
+
 // ================= Doctor Login =================
 router.post("/doctor/login", authLimiter, async (req, res) => {
   try {
@@ -933,32 +1029,50 @@ router.post("/doctor/login", authLimiter, async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    const { accessToken, refreshToken } = await issueLoginTokens(req, res, {
-      principalId: doctor._id.toString(),
-      role: "doctor",
-      email: doctor.email,
-      tokenVersion: Number.isFinite(Number(doctor?.tokenVersion))
-        ? Number(doctor.tokenVersion)
-        : 0,
-    });
+    if (await isTwoFactorEnabled(doctor._id, "doctor")) {
+      return res.status(202).json(buildTwoFactorChallenge({ principalId: doctor._id, role: "doctor" }));
+    }
 
-    doctor.lastLogin = new Date();
-    await doctor.save();
+    res.status(200).json(await completeDoctorLogin(req, res, doctor));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    res.status(200).json({
-      success: true,
-      message: "Login successful",
-      doctor: {
-        id: doctor._id.toString(),
-        name: doctor.name,
-        email: doctor.email,
-        specialization: doctor.specialization,
-      },
-      token: accessToken,
-      refreshToken,
+// POST /api/auth/doctor/login/2fa { challengeToken, code | recoveryCode }
+router.post("/doctor/login/2fa", authLimiter, async (req, res) => {
+  let doctor = null;
+  try {
+    const principalId = readTwoFactorChallenge({ challengeToken: req.body?.challengeToken, role: "doctor" });
+    doctor = await DoctorUser.findById(principalId);
+    if (!doctor || doctor.isActive === false || doctor.status === "BLOCKED") {
+      return res.status(403).json({
+        success: false,
+        code: "USER_DISABLED",
+        message: "Your account has been deactivated by admin.",
+      });
+    }
+
+    const blockState = await isActorTemporarilyBlocked({ actorEmail: doctor.email, actorRole: "doctor" });
+    if (blockState.isBlocked) {
+      return res.status(429).json({ message: "Account temporarily blocked due to suspicious activity" });
+    }
+
+    await verifySecondFactor({
+      principalId,
+      role: "doctor",
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
     });
+
+    res.status(200).json(await completeDoctorLogin(req, res, doctor));
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    return sendTwoFactorError(req, res, error, {
+      actorEmail: doctor?.email || "",
+      actorRole: "doctor",
+      source: "doctor_two_factor_login",
+      fallbackMessage: "Login failed",
+    });
   }
 });
 
@@ -1330,6 +1444,7 @@ router.post("/session/login-attempt/finalize", async (req, res) => {
 
     if (
       asText(tokenPayload?.typ) !== "login_attempt" ||
+      asText(tokenPayload?.purpose) ||
       asText(tokenPayload?.attemptId) !== loginAttemptId
     ) {
       return res.status(401).json({
@@ -26,6 +26,22 @@ import {
   monitorFailedLogin,
   monitorSuspiciousSession,
 } from "../services/securityMonitorService.js";
+import {
+  addAvailabilityException,
+  AvailabilityError,
+  getAvailableSlots,
+  getWeeklySchedule,
+  listAvailabilityExceptions,
+  removeAvailabilityException,
+  setWeeklySchedule,
+} from "../services/doctorAvailability.js";
+import {
+  buildTwoFactorChallenge,
+  isTwoFactorEnabled,
+  readTwoFactorChallenge,
+  verifySecondFactor,
+} from "../services/twoFactorAuth.js";
+import { sendTwoFactorError } from "./twoFactor.js";
 
 // Helper: build avatar URL (handles both S3 keys and local paths)
 const buildSignedAvatarUrl = async (avatarValue) => {
@@ -269,6 +285,40 @@ router.post("/signup", async (req, res) => {
   }
 });
 
+const completeDoctorLogin = async (req, res, doctor) => {
+  const { accessToken, refreshToken, refreshMeta } = issueAuthTokenSet({
+    principalId: doctor._id.toString(),
+    role: "doctor",
+    email: doctor.email,
+    tokenVersion: Number.isFinite(Number(doctor?.tokenVersion))
+      ? Number(doctor.tokenVersion)
+      : 0,
+  });
+  await persistRefreshToken(req, doctor._id, refreshToken, refreshMeta);
+  setAuthCookies(res, { accessToken, refreshToken });
+
+  // Build signed avatar URL for convenience
+  const avatarUrl = await buildSignedAvatarUrl(doctor.avatar);
+
+  return {
+    success: true,
+    message: "Login successful.",
+    token: accessToken,
+    refreshToken,
+    doctor: {
+      id: doctor._id,
+      name: doctor.name,
+      email: doctor.email,
+      mobile: doctor.mobile,
+      // Prefer a display-ready URL; also include avatarUrl explicitly
+      avatar: avatarUrl,
+      avatarUrl: avatarUrl,
+      specialty: doctor.specialty,
+      createdAt: doctor.createdAt,
+    },
+  };
+};
+
 // ================= Login =================
 router.post("/login", authLimiter, async (req, res) => {
   try {
@@ -343,37 +393,12 @@ router.post("/login", authLimiter, async (req, res) => {
       await doctor.save();
     }
 
-    const { accessToken, refreshToken, refreshMeta } = issueAuthTokenSet({
-      principalId: doctor._id.toString(),
-      role: "doctor",
-      email: doctor.email,
-      tokenVersion: Number.isFinite(Number(doctor?.tokenVersion))
-        ? Number(doctor.tokenVersion)
-        : 0,
-    });
-    await persistRefreshToken(req, doctor._id, refreshToken, refreshMeta);
-    setAuthCookies(res, { accessToken, refreshToken });
-
-    // Build signed avatar URL for convenience
-    const avatarUrl = await buildSignedAvatarUrl(doctor.avatar);
+    // Password is right; with 2FA on, tokens wait for /login/2fa
+    if (await isTwoFactorEnabled(doctor._id, "doctor")) {
+      return res.status(202).json(buildTwoFactorChallenge({ principalId: doctor._id, role: "doctor" }));
+    }
 
-    res.json({
-      success: true,
-      message: "Login successful.",
-      token: accessToken,
-      refreshToken,
-      doctor: {
-        id: doctor._id,
-        name: doctor.name,
-        email: doctor.email,
-        mobile: doctor.mobile,
-        // Prefer a display-ready URL; also include avatarUrl explicitly
-        avatar: avatarUrl,
-        avatarUrl: avatarUrl,
-        specialty: doctor.specialty,
-        createdAt: doctor.createdAt,
-      },
-    });
+    res.json(await completeDoctorLogin(req, res, doctor));
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({
@@ -383,6 +408,43 @@ router.post("/login", authLimiter, async (req, res) => {
   }
 });
 
+// POST /api/doctors/login/2fa { challengeToken, code | recoveryCode }
+router.post("/login/2fa", authLimiter, async (req, res) => {
+  let doctor = null;
+  try {
+    const principalId = readTwoFactorChallenge({ challengeToken: req.body?.challengeToken, role: "doctor" });
+    doctor = await DoctorUser.findById(principalId);
+    if (!doctor || doctor.isActive === false || doctor.status === "BLOCKED") {
+      return res.status(403).json({
+        success: false,
+        code: "USER_DISABLED",
+        message: "Your account has been deactivated by admin.",
+      });
+    }
+
+    const blockState = await isActorTemporarilyBlocked({ actorEmail: doctor.email, actorRole: "doctor" });
+    if (blockState.isBlocked) {
+      return res.status(429).json({ success: false, message: "Account temporarily blocked due to suspicious activity." });
+    }
+
+    await verifySecondFactor({
+      principalId,
+      role: "doctor",
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
+    });
+
+    res.json(await completeDoctorLogin(req, res, doctor));
+  } catch (error) {
+    return sendTwoFactorError(req, res, error, {
+      actorEmail: doctor?.email || "",
+      actorRole: "doctor",
+      source: "doctor_portal_two_factor_login",
+      fallbackMessage: "Internal server error during login.",
+    });
+  }
+});
+
 router.post("/refresh", async (req, res) => {
   try {
     const cookies = parseCookies(req);
@@ -465,6 +527,102 @@ router.post("/logout", auth, async (req, res) => {
   }
 });
 
+// ================= Doctor Availability =================
+const sendAvailabilityError = (res, error, fallbackMessage) => {
+  if (error instanceof AvailabilityError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// GET /api/doctors/availability - weekly schedule
+router.get("/availability", auth, async (req, res) => {
+  try {
+    if (!req.doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found." });
+    }
+    const availability = await getWeeklySchedule(req.doctor._id);
+    res.json({ success: true, availability });
+  } catch (error) {
+    sendAvailabilityError(res, error, "Failed to fetch availability.");
+  }
+});
+
+// PUT /api/doctors/availability - replace weekly schedule { slots: [{ dayOfWeek, startTime, endTime, slotDuration }] }
+router.put("/availability", auth, async (req, res) => {
+  try {
+    if (!req.doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found." });
+    }
+    const availability = await setWeeklySchedule(req.doctor._id, req.body?.slots);
+    res.json({ success: true, message: "Availability updated.", availability });
+  } catch (error) {
+    sendAvailabilityError(res, error, "Failed to update availability.");
+  }
+});
+
+// GET /api/doctors/availability/exceptions?from=&to= - leave and blocked windows
+router.get("/availability/exceptions", auth, async (req, res) => {
+  try {
+    if (!req.doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found." });
+    }
+    const exceptions = await listAvailabilityExceptions(req.doctor._id, {
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json({ success: true, exceptions });
+  } catch (error) {
+    sendAvailabilityError(res, error, "Failed to fetch availability exceptions.");
+  }
+});
+
+// POST /api/doctors/availability/exceptions - { type: LEAVE|BLOCK, startDate, endDate?, startTime?, endTime?, reason? }
+router.post("/availability/exceptions", auth, async (req, res) => {
+  try {
+    if (!req.doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found." });
+    }
+    const { exception, affectedAppointments } = await addAvailabilityException(req.doctor._id, req.body || {});
+    res.status(201).json({
+      success: true,
+      message: affectedAppointments.length
+        ? `Saved. ${affectedAppointments.length} existing appointment(s) fall in this time and need rescheduling.`
+        : "Saved.",
+      exception,
+      affectedAppointments,
+    });
+  } catch (error) {
+    sendAvailabilityError(res, error, "Failed to save availability exception.");
+  }
+});
+
+router.delete("/availability/exceptions/:exceptionId", auth, async (req, res) => {
+  try {
+    if (!req.doctor) {
+      return res.status(404).json({ success: false, message: "Doctor not found." });
+    }
+    await removeAvailabilityException(req.doctor._id, req.params.exceptionId);
+    res.json({ success: true, message: "Availability exception removed." });
+  } catch (error) {
+    sendAvailabilityError(res, error, "Failed to remove availability exception.");
+  }
+});
+
+// GET /api/doctors/available-slots/:doctorId?date=YYYY-MM-DD - free slots for booking
+router.get("/available-slots/:doctorId", auth, async (req, res) => {
+  try {
+    if (!req.query.date) {
+      return res.status(400).json({ success: false, message: "date query is required" });
+    }
+    const result = await getAvailableSlots(req.params.doctorId, req.query.date);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendAvailabilityError(res, error, "Failed to fetch available slots.");
+  }
+});
+
 // ================= Get Doctor Profile =================
 router.get("/profile", auth, async (req, res) => {
   try {
@@ -697,10 +855,19 @@ router.put("/security-settings", auth, async (req, res) => {
     const { twoFactorAuth, sessionTimeout, passwordExpiry, loginNotifications } = req.body;
 
     // Validate input
-    const updateData = {};
-    if (typeof twoFactorAuth === 'boolean') {
-      updateData['securitySettings.twoFactorAuth'] = twoFactorAuth;
+    // 2FA is switched on and off through /api/auth/2fa, which needs a real code
+    if (
+      typeof twoFactorAuth === 'boolean' &&
+      twoFactorAuth !== Boolean(req.doctor.securitySettings?.twoFactorAuth)
+    ) {
+      return res.status(400).json({
+        success: false,
+        code: "TWO_FACTOR_ENROLLMENT_REQUIRED",
+        message: "Use /api/auth/2fa/setup and /api/auth/2fa/disable to change two-factor authentication.",
+      });
     }
+
+    const updateData = {};
     if (typeof sessionTimeout === 'number' && sessionTimeout >= 5 && sessionTimeout <= 480) {
       updateData['securitySettings.sessionTimeout'] = sessionTimeout;
     }
@@ -17,9 +17,21 @@ import s3Client, { BUCKET_NAME, REGION } from "../config/s3.js";
 import { generateSignedUrl, generatePreviewUrl, generateDownloadUrl } from "../utils/s3Utils.js";
 import { sendNotification } from "../utils/notifications.js";
 import { canDoctorAccessPatient } from "../services/accessControl.js";
-import { writeAuditLog } from "../middleware/auditLogger.js";
+import { auditTrail, writeAuditLog } from "../middleware/auditLogger.js";
 import { uploadLimiter } from "../middleware/rateLimit.js";
 import DocumentReader from "../services/documentReader.js";
+import {
+  enqueueDocumentExtraction,
+  getDocumentExtractionStatus,
+  removeDocumentExtraction,
+} from "../services/documentExtractionQueue.js";
+import {
+  buildObservationSeries,
+  findPatientObservations,
+  formatObservation,
+  removeDocumentObservations,
+} from "../services/labObservationStore.js";
+import { resolveAnalyte } from "../services/labObservationParser.js";
 
 const router = express.Router();
 
@@ -62,16 +74,24 @@ const allowedMimeTypes = new Set([
   "application/pdf",
   "image/jpeg",
   "image/png",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/msword",
+]);
+const wordMimeTypes = new Set([
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/msword",
 ]);
 const magicSignatureByMime = {
   "application/pdf": [[0x25, 0x50, 0x44, 0x46]],
   "image/jpeg": [[0xff, 0xd8, 0xff]],
   "image/png": [[0x89, 0x50, 0x4e, 0x47]],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": [[0x50, 0x4b, 0x03, 0x04]],
+  "application/msword": [[0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]],
 };
 
 const validateUploadFilename = (name = "") => {
   const normalized = String(name || "").toLowerCase();
-  return /\.(pdf|jpg|jpeg|png)$/.test(normalized);
+  return /\.(pdf|jpg|jpeg|png|docx|doc)$/.test(normalized);
 };
 const isValidObjectId = (value) => /^[a-fA-F0-9]{24}$/.test(String(value || ""));
 const documentReader = new DocumentReader();
@@ -560,6 +580,14 @@ const extractTextForMedicalValidation = async ({
       return { success: true, text: extracted?.text || "" };
     }
 
+    if (wordMimeTypes.has(String(mimeType || "").toLowerCase())) {
+      const extracted = await documentReader.extractFromWord(
+        localFilePath,
+        path.extname(localFilePath).toLowerCase().substring(1)
+      );
+      return { success: true, text: extracted?.text || "" };
+    }
+
     const extracted = await documentReader.extractFromImage(localFilePath, {
       languages: VALIDATION_OCR_LANGUAGES,
     });
@@ -1189,6 +1217,13 @@ router.post("/upload", auth, requireVerified, uploadLimiter, singleDocumentUploa
     // ✅ Link the document to the target user's medicalRecords array
     await User.findByIdAndUpdate(targetUserId, { $push: { medicalRecords: doc._id } });
 
+    // Extract text in the background so AI requests read it from the store
+    if (usingS3Storage) {
+      enqueueDocumentExtraction(doc, { requestedBy: requesterId }).catch((extractionError) => {
+        console.error("❌ Failed to queue document extraction:", extractionError.message);
+      });
+    }
+
 
     // Send notification to patient if doctor uploaded the document
     if (req.auth?.role === "doctor" && (req.body.userId || req.body.patientId)) {
@@ -1276,8 +1311,18 @@ router.post("/upload", auth, requireVerified, uploadLimiter, singleDocumentUploa
   }
 });
 
+// Document lists feed the patient's access report, so log who else opened them
+const auditDocumentList = (param) =>
+  auditTrail({
+    action: "LIST_DOCUMENTS",
+    resourceType: "DOCUMENT_LIST",
+    getResourceId: (req) => req.params[param],
+    getPatientId: (req) => req.params[param],
+    skip: (req) => String(req.auth?.id || "") === String(req.params[param] || ""),
+  });
+
 // ---------------- List Files ----------------
-router.get("/user/:userId", auth, checkSession, async (req, res) => {
+router.get("/user/:userId", auth, checkSession, auditDocumentList("userId"), async (req, res) => {
   try {
     const docs = await Document.find({ userId: req.params.userId }).sort({
       createdAt: -1,
@@ -1315,8 +1360,70 @@ router.get("/user/:userId", auth, checkSession, async (req, res) => {
   }
 });
 
+// ---------------- Lab Observations ----------------
+const parseObservationDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const parsed = new Date(String(value));
+  if (Number.isNaN(parsed.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    parsed.setUTCHours(23, 59, 59, 999);
+  }
+  return parsed;
+};
+
+router.get("/patient/:patientId/observations", auth, checkSession, async (req, res) => {
+  try {
+    const requestedAnalytes = String(req.query.analyte || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const analytes = [];
+    for (const requested of requestedAnalytes) {
+      const analyte = resolveAnalyte(requested);
+      if (!analyte) {
+        return res.status(400).json({ success: false, msg: `Unknown analyte: ${requested}` });
+      }
+      analytes.push(analyte.code);
+    }
+
+    const from = parseObservationDate(req.query.from);
+    const to = parseObservationDate(req.query.to, true);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, msg: "Invalid from/to date" });
+    }
+
+    const observations = await findPatientObservations({
+      userId: req.params.patientId,
+      analytes,
+      from,
+      to,
+      limit: req.query.limit,
+    });
+
+    await writeAuditLog({
+      req,
+      action: "VIEW_LAB_OBSERVATIONS",
+      resourceType: "LAB_OBSERVATION",
+      patientId: req.params.patientId,
+      statusCode: 200,
+      metadata: { analytes, count: observations.length },
+    });
+
+    res.json({
+      success: true,
+      patientId: req.params.patientId,
+      count: observations.length,
+      observations: observations.map(formatObservation),
+      series: buildObservationSeries(observations),
+    });
+  } catch (err) {
+    console.error("Lab observations error:", err);
+    res.status(500).json({ success: false, msg: "Failed to load lab observations", error: err.message });
+  }
+});
+
 // ---------------- Patient Files (alias for user) ----------------
-router.get("/patient/:patientId", auth, checkSession, async (req, res) => {
+router.get("/patient/:patientId", auth, checkSession, auditDocumentList("patientId"), async (req, res) => {
   try {
     const docs = await Document.find({
       userId: req.params.patientId,
@@ -1355,7 +1462,7 @@ router.get("/patient/:patientId", auth, checkSession, async (req, res) => {
 });
 
 // ---------------- Grouped Files ----------------
-router.get("/user/:userId/grouped", auth, checkSession, async (req, res) => {
+router.get("/user/:userId/grouped", auth, checkSession, auditDocumentList("userId"), async (req, res) => {
   try {
     const docs = await Document.find({ userId: req.params.userId });
 
@@ -1412,7 +1519,7 @@ router.get("/user/:userId/grouped", auth, checkSession, async (req, res) => {
 
 // ---------------- Grouped Files (patient alias for web compatibility) ----------------
 // GET /api/files/patient/:patientId/grouped
-router.get("/patient/:patientId/grouped", auth, checkSession, async (req, res) => {
+router.get("/patient/:patientId/grouped", auth, checkSession, auditDocumentList("patientId"), async (req, res) => {
   try {
     // Delegate to the canonical user grouping logic
     const userId = req.params.patientId;
@@ -1875,6 +1982,86 @@ router.put("/:id", auth, requireVerified, checkSession, async (req, res) => {
   }
 });
 
+// ---------------- Text Extraction ----------------
+const formatExtractionStatus = (record) =>
+  record
+    ? {
+        status: record.status,
+        language: record.language || "",
+        confidence: record.confidence || null,
+        wordCount: record.wordCount || 0,
+        characterCount: record.characterCount || 0,
+        attempts: record.attempts || 0,
+        lastError: record.lastError || "",
+        queuedAt: record.queuedAt,
+        startedAt: record.startedAt,
+        completedAt: record.completedAt,
+      }
+    : { status: "not_started" };
+
+router.get("/:id/extraction", auth, checkSession, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, msg: "Invalid file id" });
+    }
+    const doc = await Document.findById(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, msg: "File not found" });
+
+    const allowed = await canAccessDocument(req, doc);
+    if (!allowed) {
+      return res.status(403).json({ success: false, msg: "Unauthorized access" });
+    }
+
+    const record = await getDocumentExtractionStatus(doc._id);
+    res.json({ success: true, documentId: doc._id, extraction: formatExtractionStatus(record) });
+  } catch (err) {
+    console.error("Extraction status error:", err);
+    res.status(500).json({ success: false, msg: "Failed to load extraction status", error: err.message });
+  }
+});
+
+router.post("/:id/extraction", auth, requireVerified, checkSession, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, msg: "Invalid file id" });
+    }
+    const doc = await Document.findById(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, msg: "File not found" });
+
+    const allowed = await canAccessDocument(req, doc);
+    if (!allowed) {
+      return res.status(403).json({ success: false, msg: "Unauthorized access" });
+    }
+    if (!doc.s3Key || doc.s3Bucket === "local") {
+      return res.status(400).json({ success: false, msg: "Document file is not available for extraction" });
+    }
+
+    const record = await enqueueDocumentExtraction(doc, {
+      requestedBy: String(req.auth?.id || ""),
+      force: true,
+    });
+
+    await writeAuditLog({
+      req,
+      action: "REQUEUE_DOCUMENT_EXTRACTION",
+      resourceType: "DOCUMENT",
+      resourceId: doc._id?.toString(),
+      patientId: doc.userId?.toString?.() || "",
+      statusCode: 202,
+    });
+
+    res.status(202).json({
+      success: true,
+      msg: "Document extraction queued",
+      documentId: doc._id,
+      extraction: formatExtractionStatus(record),
+    });
+  } catch (err) {
+    console.error("Extraction requeue error:", err);
+    res.status(500).json({ success: false, msg: "Failed to queue extraction", error: err.message });
+  }
+});
+
 // ---------------- Delete ----------------
 router.delete("/:id", auth, requireVerified, checkSession, async (req, res) => {
   try {
@@ -1907,6 +2094,8 @@ router.delete("/:id", auth, requireVerified, checkSession, async (req, res) => {
 
     // Delete from database
     await doc.deleteOne();
+    await removeDocumentExtraction(doc._id);
+    await removeDocumentObservations(doc._id);
 
     // ✅ Remove the document reference from user's medicalRecords array
     await User.findByIdAndUpdate(doc.userId, { $pull: { medicalRecords: req.params.id } });
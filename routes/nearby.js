@@ -2,6 +2,7 @@ import express from "express";
 import axios from "axios";
 
 import { auth } from "../middleware/auth.js";
+import { updateLastKnownLocation } from "../services/userLocation.js";
 
 const router = express.Router();
 
@@ -131,6 +132,10 @@ router.get("/services", auth, async (req, res) => {
       });
     }
 
+    if (String(req.auth?.role || "").toLowerCase() === "patient") {
+      await updateLastKnownLocation(req.auth.id, { lat, lng, source: "nearby" });
+    }
+
     const radius = Math.min(
       Math.max(parseInt(String(req.query.radius || "5000"), 10) || 5000, 1000),
       30000
@@ -5,6 +5,7 @@ import { Appointment } from "../models/Appointment.js";
 import { Document } from "../models/File.js";
 import { BUCKET_NAME } from "../config/s3.js";
 import { generateSignedUrl } from "../utils/s3Utils.js";
+import { AvailabilityError, reserveAppointmentSlot } from "../services/doctorAvailability.js";
 
 const router = express.Router();
 const hasAWSCredentials =
@@ -177,7 +178,20 @@ router.post("/appointments/request", async (req, res) => {
       notes: notes?.trim() || "",
       createdBy: "patient",
     });
-    await appointment.save();
+    // Only a free slot in the doctor's schedule can be requested
+    await reserveAppointmentSlot(
+      {
+        doctorId: doctor._id,
+        date: appointmentDate,
+        time: appointmentTime,
+        duration,
+      },
+      async (slot) => {
+        appointment.appointmentTime = slot.appointmentTime;
+        appointment.duration = slot.duration;
+        await appointment.save();
+      }
+    );
 
     const { sendNotificationToDoctor } = await import("../utils/notifications.js");
     if (doctor.fcmToken) {
@@ -202,6 +216,9 @@ router.post("/appointments/request", async (req, res) => {
       appointment,
     });
   } catch (error) {
+    if (error instanceof AvailabilityError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Failed to request appointment.",
@@ -424,9 +441,24 @@ router.post("/appointments/:id/reschedule-request", async (req, res) => {
 
     appointment.rescheduleRequestedAt = new Date();
     appointment.rescheduleReason = reason || "";
-    if (preferredDate) appointment.appointmentDate = new Date(preferredDate);
-    if (preferredTime) appointment.appointmentTime = preferredTime;
-    await appointment.save();
+    if (preferredDate || preferredTime) {
+      await reserveAppointmentSlot(
+        {
+          doctorId: appointment.doctorId,
+          date: preferredDate || appointment.appointmentDate,
+          time: preferredTime || appointment.appointmentTime,
+          duration: appointment.duration,
+          excludeAppointmentId: appointment._id,
+        },
+        async (slot) => {
+          if (preferredDate) appointment.appointmentDate = new Date(preferredDate);
+          appointment.appointmentTime = slot.appointmentTime;
+          await appointment.save();
+        }
+      );
+    } else {
+      await appointment.save();
+    }
 
     res.json({
       success: true,
@@ -434,6 +466,9 @@ router.post("/appointments/:id/reschedule-request", async (req, res) => {
       appointment,
     });
   } catch (error) {
+    if (error instanceof AvailabilityError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Failed to submit reschedule request.",
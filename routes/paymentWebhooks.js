@@ -0,0 +1,25 @@
+import express from "express";
+import { PaymentError, handlePaymentWebhook } from "../services/paymentGateway.js";
+
+const router = express.Router();
+
+// Signatures are computed over the exact bytes the provider sent, so this
+// router is mounted ahead of the global JSON parser and reads the raw body.
+router.post("/:provider", express.raw({ type: "*/*", limit: "1mb" }), async (req, res) => {
+  try {
+    const result = await handlePaymentWebhook({
+      providerName: req.params.provider,
+      rawBody: req.body,
+      headers: req.headers,
+    });
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error("❌ Payment webhook error:", error);
+    return res.status(500).json({ success: false, message: "Failed to process payment webhook" });
+  }
+});
+
+export default router;
@@ -7,6 +7,13 @@ import { Product } from "../models/Product.js";
 import { UIConfig } from "../models/UIConfig.js";
 import { User } from "../models/User.js";
 import { PUBLIC_ALERT_PLATFORMS } from "../services/publicConfigRealtime.js";
+import {
+  EmergencyCardError,
+  getEmergencyCardJwks,
+  isEmergencyCardRevoked,
+  listRevokedEmergencyCards,
+  verifyEmergencyCardToken,
+} from "../services/emergencyCard.js";
 import { BUCKET_NAME } from "../config/s3.js";
 import { generateSignedUrl } from "../utils/s3Utils.js";
 import { buildUserResponse } from "../utils/userResponse.js";
@@ -214,6 +221,56 @@ router.get("/medical-card/:id", async (req, res) => {
   }
 });
 
+// Offline emergency cards: responder apps cache the keys and revocation
+// list, then verify scanned cards without connectivity.
+const sendEmergencyCardError = (res, error, message) => {
+  const status = error instanceof EmergencyCardError ? error.statusCode : 500;
+  return res.status(status).json({
+    success: false,
+    message: error instanceof EmergencyCardError ? error.message : message,
+  });
+};
+
+router.get("/emergency-card/keys", (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=3600");
+    return res.json(getEmergencyCardJwks());
+  } catch (error) {
+    return sendEmergencyCardError(res, error, "Failed to load emergency card keys");
+  }
+});
+
+router.get("/emergency-card/revocations", async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(String(req.query.since)) : null;
+    if (since && Number.isNaN(since.getTime())) {
+      return res.status(400).json({ success: false, message: "Invalid since timestamp" });
+    }
+
+    const revoked = await listRevokedEmergencyCards({ since });
+    res.set("Cache-Control", "public, max-age=300");
+    return res.json({ success: true, generatedAt: new Date(), revoked });
+  } catch (error) {
+    return sendEmergencyCardError(res, error, "Failed to load revocation list");
+  }
+});
+
+// Online fallback for clients that cannot verify signatures themselves
+router.post("/emergency-card/verify", async (req, res) => {
+  try {
+    const result = verifyEmergencyCardToken(req.body?.token);
+    if (!result.valid) {
+      return res.json({ success: true, valid: false, reason: result.reason });
+    }
+    if (await isEmergencyCardRevoked(result.claims.jti)) {
+      return res.json({ success: true, valid: false, reason: "revoked" });
+    }
+    return res.json({ success: true, valid: true, kid: result.kid, card: result.claims });
+  } catch (error) {
+    return sendEmergencyCardError(res, error, "Failed to verify emergency card");
+  }
+});
+
 router.get("/ads", async (req, res) => {
   try {
     const placement = String(req.query.placement || "").toUpperCase().trim();
@@ -389,7 +446,7 @@ router.get("/products", async (req, res) => {
 
     const productsRaw = await Product.find(query)
       .select(
-        "name shortDescription fullDescription category subCategory tags mrp sellingPrice discountPercent discountAmount media imageUrl imageKey inventory brand sku expiryDate prescriptionRequired customFields geoScope targetCountries targetStates targetRegions isActive createdAt updatedAt"
+        "name shortDescription fullDescription category subCategory tags mrp sellingPrice discountPercent discountAmount media imageUrl imageKey inventory brand sku expiryDate prescriptionRequired hsnCode gstRate customFields geoScope targetCountries targetStates targetRegions isActive createdAt updatedAt"
       )
       .sort({ updatedAt: -1 })
       .lean();
@@ -4,10 +4,24 @@ import { auth } from "../middleware/auth.js";
 import { User } from "../models/User.js";
 import QRCode from "../models/QRCode.js";
 import { ok, fail } from "../utils/apiResponse.js";
+import {
+  ShareScopeError,
+  buildSharedDocumentFilter,
+  formatShareScope,
+  getSharedProfileFields,
+  normalizeShareLimits,
+  normalizeShareScope,
+} from "../services/qrShareScope.js";
+import {
+  EmergencyCardError,
+  hasActiveEmergencyCard,
+  issueEmergencyCard,
+  revokeEmergencyCards,
+} from "../services/emergencyCard.js";
+import { listShareAccessLog, recordShareAccess } from "../services/qrAccessLog.js";
 
 const router = express.Router();
 
-const SHARE_TTL_MS = 15 * 60 * 1000;
 const FRONTEND_URL = String(
   process.env.WEB_APP_URL ||
     process.env.FRONTEND_URL ||
@@ -36,6 +50,91 @@ const findActiveShare = async (shareCode) => {
   }).lean();
 };
 
+const buildShareUrl = (patientId, shareCode) =>
+  `${FRONTEND_URL}/patient-details/${patientId}?share=${encodeURIComponent(shareCode)}`;
+
+const usesRemaining = (qrDoc) =>
+  qrDoc.maxUses ? Math.max(qrDoc.maxUses - (qrDoc.useCount || 0), 0) : null;
+
+/**
+ * Create a share code for the patient. Scope/TTL/max-use options come from
+ * the request body; unless `replaceExisting` is false, older active shares
+ * are expired as before.
+ */
+const issueShare = async (patientId, body = {}) => {
+  const scope = normalizeShareScope(body.scope);
+  const { ttlMs, maxUses } = normalizeShareLimits(body);
+
+  if (body.replaceExisting !== false) {
+    await QRCode.updateMany({ patientId, status: "active" }, { status: "expired" });
+  }
+
+  const shareCode = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  const qrDoc = await QRCode.create({
+    patientId,
+    token: shareCode,
+    expiresAt,
+    status: "active",
+    label: String(body.label || "").trim().slice(0, 80),
+    scope,
+    maxUses,
+    notifyOnAccess: body.notifyOnAccess === true,
+  });
+
+  return { qrDoc, shareCode, expiresAt, qrUrl: buildShareUrl(String(patientId), shareCode) };
+};
+
+/**
+ * Count one view against a share. Returns the updated share, or null when
+ * the share ran out of uses (or expired) in the meantime.
+ */
+const consumeShareUse = async (qrDoc) => {
+  const updated = await QRCode.findOneAndUpdate(
+    {
+      _id: qrDoc._id,
+      status: "active",
+      expiresAt: { $gt: new Date() },
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$useCount", "$maxUses"] } }],
+    },
+    { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (updated?.maxUses && updated.useCount >= updated.maxUses) {
+    await QRCode.updateOne({ _id: updated._id, status: "active" }, { status: "used" });
+  }
+  return updated;
+};
+
+/**
+ * Sign an offline emergency card for a share and append it to the QR URL as
+ * a fragment, so it never reaches a server when the link is opened.
+ */
+const attachEmergencyCard = async (patientId, { qrDoc, qrUrl }) => {
+  const card = await issueEmergencyCard(patientId, { qrCodeId: qrDoc._id });
+  return {
+    emergencyCard: { token: card.token, kid: card.kid, cardId: card.cardId, expiresAt: card.expiresAt },
+    offlineQrUrl: `${qrUrl}#card=${card.token}`,
+  };
+};
+
+const formatShare = (qrDoc) => ({
+  id: String(qrDoc._id),
+  label: qrDoc.label || "",
+  status: qrDoc.status,
+  expiresAt: qrDoc.expiresAt,
+  createdAt: qrDoc.createdAt,
+  scope: formatShareScope(qrDoc),
+  maxUses: qrDoc.maxUses || null,
+  useCount: qrDoc.useCount || 0,
+  usesRemaining: usesRemaining(qrDoc),
+  lastUsedAt: qrDoc.lastUsedAt || null,
+  notifyOnAccess: Boolean(qrDoc.notifyOnAccess),
+  firstAccessedAt: qrDoc.firstAccessedAt || null,
+});
+
 const ensurePatientRole = (req, res) => {
   const role = normalizeRole(req.auth?.role);
   if (role !== "patient") {
@@ -55,6 +154,9 @@ router.get("/ping", (_req, res) => res.json({ ok: true, where: "qrRoutes" }));
  * POST /api/qr/generate
  * Auth: patient
  * Creates a short-lived share code and stores it server-side.
+ * Body (all optional): scope { preset, includeDocuments, documentTypes,
+ * documentIds, dateFrom, dateTo, profileFields }, ttlMinutes, maxUses,
+ * label, replaceExisting, notifyOnAccess, embedEmergencyCard.
  */
 router.post("/generate", auth, async (req, res) => {
   try {
@@ -66,30 +168,25 @@ router.post("/generate", auth, async (req, res) => {
       return res.status(404).json({ ok: false, msg: "User not found" });
     }
 
-    await QRCode.updateMany(
-      { patientId: me._id, status: "active" },
-      { status: "expired" }
-    );
-
-    const shareCode = crypto.randomBytes(32).toString("hex");
-    const expiresAt = new Date(Date.now() + SHARE_TTL_MS);
-
-    await QRCode.create({
-      patientId: me._id,
-      token: shareCode,
-      expiresAt,
-      status: "active",
-    });
-
-    const qrUrl = `${FRONTEND_URL}/patient-details/${me._id.toString()}?share=${encodeURIComponent(shareCode)}`;
+    const { qrDoc, shareCode, qrUrl, expiresAt } = await issueShare(me._id, req.body || {});
+    const offline = req.body?.embedEmergencyCard === true
+      ? await attachEmergencyCard(me._id, { qrDoc, qrUrl })
+      : {};
 
     return ok(res, {
       message: "QR generated",
-      data: { shareCode, qrUrl, expiresAt },
+      data: { shareCode, qrUrl, expiresAt, share: formatShare(qrDoc), ...offline },
       // Backward-compatible field names for existing clients.
       legacy: { ok: true, token: shareCode, qrUrl, expiresAt },
     });
   } catch (err) {
+    if (err instanceof ShareScopeError || err instanceof EmergencyCardError) {
+      return fail(res, {
+        status: err.statusCode,
+        message: err.message,
+        legacy: { ok: false, msg: err.message },
+      });
+    }
     console.error("QR generate error:", err);
     return fail(res, {
       status: 500,
@@ -119,13 +216,28 @@ router.get("/resolve/:token", auth, async (req, res) => {
     const role = normalizeRole(req.auth?.role);
     const requesterId = String(req.auth?.id || "");
     const patientId = String(qrDoc.patientId || "");
+    const isOwner = role === "patient" && requesterId === patientId;
 
-    if (!isPrivilegedRole(role) && !(role === "patient" && requesterId === patientId)) {
+    if (!isPrivilegedRole(role) && !isOwner) {
+      await recordShareAccess({ req, qrDoc, endpoint: "resolve", outcome: "denied" });
       return res.status(403).json({ success: false, msg: "Access denied" });
     }
 
+    // The owner checking their own link does not use it up
+    const share = isOwner ? qrDoc : await consumeShareUse(qrDoc);
+    if (!share) {
+      return res.status(400).json({ success: false, msg: "QR expired or invalid" });
+    }
+
+    const documentFilter = buildSharedDocumentFilter(share);
     const { Document } = await import("../models/File.js");
-    const docs = await Document.find({ userId: patientId }).lean();
+    const docs = documentFilter ? await Document.find(documentFilter).lean() : [];
+    await recordShareAccess({
+      req,
+      qrDoc: share,
+      endpoint: "resolve",
+      documentIds: docs.map((doc) => doc._id),
+    });
 
     const grouped = {
       reports: docs.filter((d) => d.category?.toLowerCase() === "report"),
@@ -144,6 +256,8 @@ router.get("/resolve/:token", auth, async (req, res) => {
           Object.entries(grouped).map(([k, v]) => [k, v.length])
         ),
         records: grouped,
+        scope: formatShareScope(share),
+        usesRemaining: usesRemaining(share),
       },
       legacy: {
         patientId,
@@ -184,17 +298,26 @@ router.get("/preview", auth, async (req, res) => {
       return res.status(400).json({ ok: false, msg: "QR expired or invalid" });
     }
 
-    const user = await User.findById(qrDoc.patientId).select(
-      "name age gender bloodType profilePicture"
+    const share = await consumeShareUse(qrDoc);
+    if (!share) {
+      return res.status(400).json({ ok: false, msg: "QR expired or invalid" });
+    }
+
+    const profileFields = getSharedProfileFields(share);
+    const user = await User.findById(share.patientId).select(
+      ["_id", ...profileFields].join(" ")
     );
     if (!user) {
       return res.status(404).json({ ok: false, msg: "Patient not found" });
     }
+    await recordShareAccess({ req, qrDoc: share, endpoint: "preview" });
 
     return res.json({
       ok: true,
       patient: user,
-      expiresAt: qrDoc.expiresAt,
+      expiresAt: share.expiresAt,
+      scope: formatShareScope(share),
+      usesRemaining: usesRemaining(share),
     });
   } catch (e) {
     return res
@@ -222,10 +345,14 @@ router.get("/validate", auth, async (req, res) => {
       return res.json({ valid: false, reason: "not_active" });
     }
 
+    await recordShareAccess({ req, qrDoc, endpoint: "validate" });
+
     return res.json({
       valid: true,
       expiresAt: qrDoc.expiresAt,
       patientId: String(qrDoc.patientId),
+      scope: formatShareScope(qrDoc),
+      usesRemaining: usesRemaining(qrDoc),
     });
   } catch (e) {
     return res.json({ valid: false, reason: "error", error: e.message });
@@ -244,7 +371,8 @@ router.post("/invalidate", auth, async (req, res) => {
       { patientId: req.auth.id, status: "active" },
       { status: "expired" }
     );
-    return res.json({ ok: true, expired: result.modifiedCount || 0 });
+    const revokedCards = await revokeEmergencyCards(req.auth.id, "expired_all");
+    return res.json({ ok: true, expired: result.modifiedCount || 0, revokedCards });
   } catch (e) {
     return res
       .status(500)
@@ -264,7 +392,8 @@ router.post("/expire-all", auth, async (req, res) => {
       { patientId: req.auth.id, status: "active" },
       { status: "expired" }
     );
-    return res.json({ ok: true, expired: result.modifiedCount || 0 });
+    const revokedCards = await revokeEmergencyCards(req.auth.id, "expired_all");
+    return res.json({ ok: true, expired: result.modifiedCount || 0, revokedCards });
   } catch (e) {
     return res
       .status(500)
@@ -280,34 +409,104 @@ router.post("/rotate", auth, async (req, res) => {
   try {
     if (!ensurePatientRole(req, res)) return;
 
-    await QRCode.updateMany(
-      { patientId: req.auth.id, status: "active" },
-      { status: "expired" }
-    );
-
-    const shareCode = crypto.randomBytes(32).toString("hex");
-    const expiresAt = new Date(Date.now() + SHARE_TTL_MS);
-
-    await QRCode.create({
-      patientId: req.auth.id,
-      token: shareCode,
-      expiresAt,
-      status: "active",
+    // Rotating re-issues the emergency card too, unless the patient opts out
+    const hadEmergencyCard = await hasActiveEmergencyCard(req.auth.id);
+    const { qrDoc, shareCode, qrUrl, expiresAt } = await issueShare(req.auth.id, {
+      ...(req.body || {}),
+      replaceExisting: true,
     });
 
-    const qrUrl = `${FRONTEND_URL}/patient-details/${req.auth.id}?share=${encodeURIComponent(shareCode)}`;
+    let offline = {};
+    const embedEmergencyCard = req.body?.embedEmergencyCard ?? hadEmergencyCard;
+    if (embedEmergencyCard === true) {
+      offline = await attachEmergencyCard(req.auth.id, { qrDoc, qrUrl });
+    } else {
+      await revokeEmergencyCards(req.auth.id, "rotated");
+    }
+
     return res.json({
       ok: true,
       shareCode,
       token: shareCode,
       qrUrl,
       expiresAt,
+      share: formatShare(qrDoc),
+      ...offline,
     });
   } catch (e) {
+    if (e instanceof ShareScopeError || e instanceof EmergencyCardError) {
+      return res.status(e.statusCode).json({ ok: false, msg: e.message });
+    }
     return res
       .status(500)
       .json({ ok: false, msg: "QR rotate failed", error: e.message });
   }
 });
 
+/**
+ * GET /api/qr/shares
+ * Auth: patient
+ * Lists the patient's share links (newest first) with scope and usage.
+ */
+router.get("/shares", auth, async (req, res) => {
+  try {
+    if (!ensurePatientRole(req, res)) return;
+
+    const filter = { patientId: req.auth.id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const shares = await QRCode.find(filter).sort({ createdAt: -1 }).limit(50).lean();
+
+    return res.json({ ok: true, shares: shares.map(formatShare) });
+  } catch (e) {
+    return res
+      .status(500)
+      .json({ ok: false, msg: "Failed to list shares", error: e.message });
+  }
+});
+
+/**
+ * GET /api/qr/shares/:shareId/access-log
+ * Auth: patient
+ * Who resolved, previewed or validated one of the patient's shares.
+ */
+router.get("/shares/:shareId/access-log", auth, async (req, res) => {
+  try {
+    if (!ensurePatientRole(req, res)) return;
+
+    const accesses = await listShareAccessLog({
+      patientId: req.auth.id,
+      qrCodeId: req.params.shareId,
+      limit: req.query.limit,
+    });
+    return res.json({ ok: true, shareId: req.params.shareId, accesses });
+  } catch (e) {
+    return res
+      .status(400)
+      .json({ ok: false, msg: "Failed to load access log", error: e.message });
+  }
+});
+
+/**
+ * POST /api/qr/shares/:shareId/revoke
+ * Auth: patient
+ */
+router.post("/shares/:shareId/revoke", auth, async (req, res) => {
+  try {
+    if (!ensurePatientRole(req, res)) return;
+
+    const result = await QRCode.updateOne(
+      { _id: req.params.shareId, patientId: req.auth.id, status: "active" },
+      { status: "expired" }
+    );
+    if (!result.modifiedCount) {
+      return res.status(404).json({ ok: false, msg: "Active share not found" });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    return res
+      .status(400)
+      .json({ ok: false, msg: "Failed to revoke share", error: e.message });
+  }
+});
+
 export default router;
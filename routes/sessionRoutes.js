@@ -1,6 +1,7 @@
 import express from "express";
 import mongoose from "mongoose";
 import { auth } from "../middleware/auth.js";
+import { auditTrail } from "../middleware/auditLogger.js";
 import { Session } from "../models/Session.js";
 import { User } from "../models/User.js";
 import { DoctorUser } from "../models/DoctorUser.js";
@@ -1714,7 +1715,13 @@ router.get("/previous-sessions", auth, async (req, res) => {
 
 // ---------------- Get All Sessions for a Specific Patient ----------------
 // GET /api/sessions/patient/:patientId
-router.get("/patient/:patientId", async (req, res) => {
+router.get("/patient/:patientId", auditTrail({
+  action: "READ_SESSION_HISTORY",
+  resourceType: "SESSION",
+  getResourceId: (req) => req.params.patientId,
+  getPatientId: (req) => req.params.patientId,
+  skip: (req) => req.auth?.role === "patient",
+}), async (req, res) => {
   try {
     const { patientId } = req.params;
 
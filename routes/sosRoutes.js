@@ -3,17 +3,14 @@ import { auth } from "../middleware/auth.js";
 import SOS from "../models/SOS.js";
 import { User } from "../models/User.js";
 import { SosEvent } from "../models/SosEvent.js";
-import { MassIncident } from "../models/MassIncident.js";
 import { checkRole } from "../middleware/rbac.js";
 import { writeAuditLog } from "../middleware/auditLogger.js";
 import { requireAdminPermissions } from "../middleware/adminAuth.js";
+import { clusterSosEvent } from "../services/massIncidents.js";
+import { updateLastKnownLocation } from "../services/userLocation.js";
 
 const router = express.Router();
 
-const MASS_WINDOW_MINUTES = 10;
-const MASS_RADIUS_METERS = 15;
-const MASS_THRESHOLD = 8;
-
 const normalizeRole = (role) => String(role || "").toLowerCase();
 
 // Create SOS message (patient/doctor/admin)
@@ -172,51 +169,9 @@ router.post("/", auth, async (req, res) => {
       geoLng: lng,
     });
 
-    const now = new Date();
-    const since = new Date(now.getTime() - MASS_WINDOW_MINUTES * 60 * 1000);
-
-    const sosNearby = await SosEvent.find({
-      location: {
-        $near: {
-          $geometry: { type: "Point", coordinates: [lng, lat] },
-          $maxDistance: MASS_RADIUS_METERS,
-        },
-      },
-      createdAt: { $gte: since },
-    });
-
-    let incident = null;
-
-    if (sosNearby.length >= MASS_THRESHOLD) {
-      incident = await MassIncident.findOne({
-        status: "active",
-        center: {
-          $near: {
-            $geometry: { type: "Point", coordinates: [lng, lat] },
-            $maxDistance: MASS_RADIUS_METERS,
-          },
-        },
-      });
-
-      if (!incident) {
-        const firstCreatedAt = sosNearby.reduce(
-          (earliest, event) => (event.createdAt < earliest ? event.createdAt : earliest),
-          sosNearby[0].createdAt
-        );
-
-        incident = await MassIncident.create({
-          center: { type: "Point", coordinates: [lng, lat] },
-          radiusMeters: MASS_RADIUS_METERS,
-          sosCount: sosNearby.length,
-          firstSOSAt: firstCreatedAt,
-          lastSOSAt: now,
-          status: "active",
-        });
-      } else {
-        incident.sosCount = sosNearby.length;
-        incident.lastSOSAt = now;
-        await incident.save();
-      }
+    const incident = await clusterSosEvent(sosEvent);
+    if (role === "patient") {
+      await updateLastKnownLocation(userId, { lat, lng, accuracyMeters, source: "sos" });
     }
 
     await writeAuditLog({
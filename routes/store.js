@@ -14,6 +14,25 @@ import {
   restoreInventorySnapshots,
   StoreInventoryError,
 } from "../services/storeInventoryBridge.js";
+import { resolveCheckoutPrescription } from "../services/storePrescription.js";
+import { createPaymentIntent } from "../services/paymentGateway.js";
+import {
+  computeLineGst,
+  getStoreInvoice,
+  normalizeGstRate,
+  renderInvoicePdf,
+} from "../services/gstInvoice.js";
+import {
+  CouponError,
+  normalizeCouponCode,
+  quoteCoupon,
+  redeemCoupon,
+  releaseCouponForOrder,
+} from "../services/storeCoupons.js";
+import {
+  cancelStoreOrderByCustomer,
+  requestStoreReturn,
+} from "../services/storeReturns.js";
 import { generateSignedUrl } from "../utils/s3Utils.js";
 
 const router = express.Router();
@@ -104,30 +123,27 @@ const normalizePaymentMethod = (value) => {
   return "cod";
 };
 
-const STORE_GST_RATE = 0.18;
 const STORE_BASE_DELIVERY_FEE = 40;
 const STORE_FREE_DELIVERY_THRESHOLD = 599;
 
-const computeCheckoutTotals = (subtotalValue) => {
+// GST is charged per line at each product's rate (see services/gstInvoice.js),
+// on the value left after any coupon discount.
+const computeCheckoutTotals = (subtotalValue, gstValue, discountValue = 0) => {
   const subtotal = Math.max(0, toNumber(subtotalValue, 0));
-  const gst = Number((subtotal * STORE_GST_RATE).toFixed(2));
+  const discount = Number(Math.min(subtotal, Math.max(0, toNumber(discountValue, 0))).toFixed(2));
+  const gst = Number(Math.max(0, toNumber(gstValue, 0)).toFixed(2));
   const deliveryCharges =
-    subtotal >= STORE_FREE_DELIVERY_THRESHOLD ? 0 : STORE_BASE_DELIVERY_FEE;
-  const total = Number((subtotal + gst + deliveryCharges).toFixed(2));
+    subtotal - discount >= STORE_FREE_DELIVERY_THRESHOLD ? 0 : STORE_BASE_DELIVERY_FEE;
+  const total = Number((subtotal - discount + gst + deliveryCharges).toFixed(2));
   return {
     subtotal: Number(subtotal.toFixed(2)),
+    discount,
     gst,
     deliveryCharges,
     total,
   };
 };
 
-const resolvePaymentStatus = (paymentMethod) => {
-  const normalized = normalizePaymentMethod(paymentMethod);
-  if (normalized === "cod") return "PENDING_PAYMENT";
-  return "PAID";
-};
-
 const resolveProductImage = async (product) => {
   const media = product?.media || {};
   const fromMedia =
@@ -187,6 +203,8 @@ const mapProductForClient = async (product, inventoryEntry = null) => {
       available_stock: availableStock,
       availability,
     },
+    prescriptionRequired: Boolean(product?.prescriptionRequired),
+    gstRate: normalizeGstRate(product?.gstRate),
     imageUrl: await resolveProductImage(product),
     updatedAt: product?.updatedAt,
   };
@@ -338,12 +356,34 @@ const mapCartForClient = async (cart, productsById = new Map()) => {
     })
   );
 
+  const totals = {
+    itemCount: Math.max(0, toNumber(cart?.totals?.itemCount, 0)),
+    subtotal: Number(Math.max(0, toNumber(cart?.totals?.subtotal, 0)).toFixed(2)),
+  };
+
+  // An applied coupon stays on the cart even when it stops qualifying, so
+  // the client can show why it no longer applies.
+  let coupon = null;
+  if (cart?.couponCode) {
+    try {
+      const quote = await quoteCoupon({
+        code: cart.couponCode,
+        lines: mappedItems,
+        principal: { principalId: cart.principalId, role: cart.role, isGuest: false },
+      });
+      coupon = { code: quote.code, applied: true, discount: quote.discount, message: "" };
+      totals.discount = quote.discount;
+    } catch (error) {
+      if (!(error instanceof CouponError)) throw error;
+      coupon = { code: cart.couponCode, applied: false, discount: 0, message: error.message };
+      totals.discount = 0;
+    }
+  }
+
   return {
     items: mappedItems,
-    totals: {
-      itemCount: Math.max(0, toNumber(cart?.totals?.itemCount, 0)),
-      subtotal: Number(Math.max(0, toNumber(cart?.totals?.subtotal, 0)).toFixed(2)),
-    },
+    totals,
+    coupon,
     updatedAt: cart?.updatedAt,
   };
 };
@@ -436,7 +476,7 @@ router.get("/products", optionalAuth, async (req, res) => {
     const [products, total] = await Promise.all([
       Product.find(query)
         .select(
-          "name shortDescription description category subCategory mrp sellingPrice price inventory imageUrl imageKey media rating avgRating updatedAt createdAt isActive"
+          "name shortDescription description category subCategory mrp sellingPrice price inventory imageUrl imageKey media rating avgRating prescriptionRequired gstRate updatedAt createdAt isActive"
         )
         .sort(sortSpec)
         .skip((page - 1) * limit)
@@ -689,8 +729,73 @@ router.delete("/cart/items/:itemId", auth, async (req, res) => {
   }
 });
 
+router.post("/cart/coupon", auth, async (req, res) => {
+  try {
+    const principal = getPrincipalContext(req);
+    if (!principal) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const code = normalizeCouponCode(req.body?.code || req.body?.couponCode);
+    const cart = await ensureCart(principal);
+    const lines = (cart.items || []).map((item) => ({
+      productId: item?.productId?.toString?.() || asText(item?.productId),
+      category: asText(item?.priceSnapshot?.category),
+      lineTotal:
+        Math.max(1, toNumber(item?.quantity, 1)) *
+        Math.max(0, toNumber(item?.priceSnapshot?.unitPrice, 0)),
+    }));
+    await quoteCoupon({ code, lines, principal: { ...principal, isGuest: false } });
+
+    cart.couponCode = code;
+    await cart.save();
+
+    return res.json({
+      success: true,
+      message: "Coupon applied",
+      cart: await mapCartForClient(cart),
+    });
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({
+      success: false,
+      message: "Failed to apply coupon",
+      error: error.message,
+    });
+  }
+});
+
+router.delete("/cart/coupon", auth, async (req, res) => {
+  try {
+    const principal = getPrincipalContext(req);
+    if (!principal) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const cart = await ensureCart(principal);
+    cart.couponCode = "";
+    await cart.save();
+
+    return res.json({
+      success: true,
+      message: "Coupon removed",
+      cart: await mapCartForClient(cart),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Failed to remove coupon",
+      error: error.message,
+    });
+  }
+});
+
 router.post(["/orders", "/store/orders"], optionalAuth, async (req, res) => {
   let reservedInventorySnapshots = [];
+  let couponRedeemedForOrderId = null;
+  let unpaidOrderId = null;
 
   try {
     const principal = resolveOrderPrincipal(req);
@@ -746,7 +851,7 @@ router.post(["/orders", "/store/orders"], optionalAuth, async (req, res) => {
       .filter((value) => mongoose.Types.ObjectId.isValid(value));
 
     const products = await Product.find({ _id: { $in: productIds }, isActive: true })
-      .select("name category imageUrl imageKey media sellingPrice price inventory")
+      .select("name category imageUrl imageKey media sellingPrice price inventory prescriptionRequired hsnCode gstRate")
       .lean();
 
     const productsById = new Map(products.map((product) => [product._id.toString(), product]));
@@ -778,6 +883,7 @@ router.post(["/orders", "/store/orders"], optionalAuth, async (req, res) => {
       const quantity = Math.max(1, toNumber(item?.quantity, 1));
       const unitPrice = Math.max(0, toNumber(product.sellingPrice ?? product.price, 0));
       const lineTotal = Number((quantity * unitPrice).toFixed(2));
+      const gstRate = normalizeGstRate(product.gstRate);
 
       orderItems.push({
         productId: product._id,
@@ -787,10 +893,45 @@ router.post(["/orders", "/store/orders"], optionalAuth, async (req, res) => {
         quantity,
         unitPrice,
         lineTotal,
+        prescriptionRequired: Boolean(product.prescriptionRequired),
+        hsnCode: asText(product.hsnCode),
+        gstRate,
+        gstAmount: computeLineGst(lineTotal, gstRate),
+      });
+    }
+
+    const couponCode = normalizeCouponCode(
+      req.body?.couponCode ?? (cart && !hasExplicitCheckoutItems ? cart.couponCode : "")
+    );
+    let couponQuote = null;
+    if (couponCode) {
+      couponQuote = await quoteCoupon({ code: couponCode, lines: orderItems, principal });
+      orderItems.forEach((item, index) => {
+        item.discount = couponQuote.lineDiscounts[index];
+        item.gstAmount = computeLineGst(item.lineTotal - item.discount, item.gstRate);
       });
     }
 
-    reservedInventorySnapshots = await reserveInventoryForOrderItems(orderItems);
+    // Prescription-only items hold the order for pharmacist review; stock is
+    // reserved when the prescription is approved.
+    const requiresPrescription = orderItems.some((item) => item.prescriptionRequired);
+    let prescription = { required: false, status: "NOT_REQUIRED" };
+    if (requiresPrescription) {
+      if (principal.isGuest || principal.role !== "patient") {
+        return res.status(403).json({
+          success: false,
+          code: "PRESCRIPTION_REQUIRED",
+          message: "Sign in as a patient to order prescription-only items",
+        });
+      }
+      const attached = await resolveCheckoutPrescription({
+        principalId: principal.principalId,
+        documentId: req.body?.prescriptionDocumentId || req.body?.prescription?.documentId,
+      });
+      prescription = { required: true, status: "PENDING", ...attached };
+    } else {
+      reservedInventorySnapshots = await reserveInventoryForOrderItems(orderItems);
+    }
 
     const itemCount = orderItems.reduce(
       (sum, item) => sum + Math.max(1, toNumber(item.quantity, 1)),
@@ -805,37 +946,75 @@ router.post(["/orders", "/store/orders"], optionalAuth, async (req, res) => {
     const normalizedPaymentMethod = normalizePaymentMethod(
       req.body?.paymentMethod
     );
-    const checkoutTotals = computeCheckoutTotals(subtotal);
+    const gst = orderItems.reduce((sum, item) => sum + item.gstAmount, 0);
+    const checkoutTotals = computeCheckoutTotals(subtotal, gst, couponQuote?.discount);
+
+    // Online payments stay PENDING_PAYMENT until the gateway webhook confirms them
+    const orderId = new mongoose.Types.ObjectId();
+    if (couponQuote) {
+      await redeemCoupon({ quote: couponQuote, orderId, principal });
+      couponRedeemedForOrderId = orderId;
+    }
 
     const order = await StoreOrder.create({
+      _id: orderId,
       principalId: principal.principalId,
       role: principal.role,
       items: orderItems,
       delivery,
       paymentMethod: normalizedPaymentMethod,
-      paymentStatus: resolvePaymentStatus(normalizedPaymentMethod),
+      paymentStatus: "PENDING_PAYMENT",
       totals: {
         itemCount,
         subtotal: checkoutTotals.subtotal,
+        discount: checkoutTotals.discount,
         gst: checkoutTotals.gst,
         deliveryCharges: checkoutTotals.deliveryCharges,
         total: checkoutTotals.total,
       },
-      status: "PLACED",
+      status: requiresPrescription ? "AWAITING_VERIFICATION" : "PLACED",
+      inventoryReserved: !requiresPrescription,
+      prescription,
+      ...(couponQuote
+        ? { coupon: { couponId: couponQuote.couponId, code: couponQuote.code, discount: couponQuote.discount } }
+        : {}),
     });
 
+    // The provider intent is opened only once the order exists, so every
+    // intent has an order to settle; until it is attached a failure removes
+    // the order again
+    let paymentIntent = null;
+    if (normalizedPaymentMethod !== "cod") {
+      unpaidOrderId = orderId;
+      paymentIntent = await createPaymentIntent({ orderId, total: checkoutTotals.total });
+      order.payment = paymentIntent.payment;
+      await order.save();
+      unpaidOrderId = null;
+    }
+
     if (cart && !hasExplicitCheckoutItems) {
       cart.items = [];
+      cart.couponCode = "";
       recalculateCartTotals(cart);
       await cart.save();
     }
 
     return res.status(201).json({
       success: true,
-      message: "Order placed successfully",
+      message: requiresPrescription
+        ? "Order received and awaiting prescription verification"
+        : "Order placed successfully",
       order,
+      payment: paymentIntent?.checkout || null,
     });
   } catch (error) {
+    if (unpaidOrderId) {
+      try {
+        await StoreOrder.deleteOne({ _id: unpaidOrderId, "payment.intentId": { $in: ["", null] } });
+      } catch (rollbackError) {
+        console.error("Store order rollback failed:", rollbackError);
+      }
+    }
     if (reservedInventorySnapshots.length > 0) {
       try {
         await restoreInventorySnapshots(reservedInventorySnapshots);
@@ -843,6 +1022,13 @@ router.post(["/orders", "/store/orders"], optionalAuth, async (req, res) => {
         console.error("Store order inventory rollback failed:", rollbackError);
       }
     }
+    if (couponRedeemedForOrderId) {
+      try {
+        await releaseCouponForOrder(couponRedeemedForOrderId);
+      } catch (rollbackError) {
+        console.error("Store order coupon rollback failed:", rollbackError);
+      }
+    }
 
     if (error instanceof StoreInventoryError || Number.isFinite(Number(error?.statusCode))) {
       return res.status(Number(error?.statusCode) || 400).json({
@@ -943,4 +1129,107 @@ router.get(["/orders/:id", "/store/orders/:id"], optionalAuth, async (req, res)
   }
 });
 
+const respondOrderActionError = (res, error, fallbackMessage) => {
+  if (Number.isFinite(Number(error?.statusCode))) {
+    return res.status(Number(error.statusCode)).json({
+      success: false,
+      message: error.message || fallbackMessage,
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message,
+  });
+};
+
+router.post(["/orders/:id/cancel", "/store/orders/:id/cancel"], optionalAuth, async (req, res) => {
+  try {
+    const principal = resolveOrderPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const { order, refund } = await cancelStoreOrderByCustomer({
+      orderId: asText(req.params.id),
+      principal,
+      reason: req.body?.reason,
+    });
+
+    return res.json({
+      success: true,
+      message: refund ? "Order cancelled and refund initiated" : "Order cancelled",
+      order,
+      refund,
+    });
+  } catch (error) {
+    return respondOrderActionError(res, error, "Failed to cancel order");
+  }
+});
+
+router.post(["/orders/:id/return", "/store/orders/:id/return"], optionalAuth, async (req, res) => {
+  try {
+    const principal = resolveOrderPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const order = await requestStoreReturn({
+      orderId: asText(req.params.id),
+      principal,
+      reason: req.body?.reason,
+    });
+
+    return res.json({
+      success: true,
+      message: "Return requested; we will review it shortly",
+      order,
+    });
+  } catch (error) {
+    return respondOrderActionError(res, error, "Failed to request return");
+  }
+});
+
+router.get(["/orders/:id/invoice", "/store/orders/:id/invoice"], optionalAuth, async (req, res) => {
+  try {
+    const principal = resolveOrderPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ success: false, message: "Unauthorized" });
+    }
+
+    const orderId = asText(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order id" });
+    }
+
+    const order = await StoreOrder.findOne({
+      _id: orderId,
+      principalId: principal.principalId,
+      role: principal.role,
+    }).lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    // Issued when the order was paid or delivered; a download never issues one
+    const invoice = await getStoreInvoice(order._id);
+    if (!invoice) {
+      return res.status(409).json({
+        success: false,
+        message: "The invoice is available once the order is paid or delivered",
+      });
+    }
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${invoice.invoiceNumber.replace(/[^A-Za-z0-9-]/g, "-")}.pdf"`
+    );
+    return res.send(pdf);
+  } catch (error) {
+    return respondOrderActionError(res, error, "Failed to generate invoice");
+  }
+});
+
 export default router;
@@ -53,6 +53,21 @@ import {
   PUBLIC_ALERT_PLATFORMS,
   broadcastPublicConfigEvent,
 } from "../services/publicConfigRealtime.js";
+import {
+  buildTwoFactorChallenge,
+  isTwoFactorEnabled,
+  readTwoFactorChallenge,
+  verifySecondFactor,
+} from "../services/twoFactorAuth.js";
+import { sendTwoFactorError } from "./twoFactor.js";
+import {
+  FieldReencryptionError,
+  claimFieldReencryptionJob,
+  getFieldEncryptionStatus,
+  pauseFieldReencryption,
+  processFieldReencryptionJob,
+} from "../services/fieldReencryption.js";
+import { PatientSearchError, buildPatientSearchFilter, hasPatientSearchTerms } from "../services/patientSearch.js";
 
 const router = express.Router();
 initializeFirebase();
@@ -677,6 +692,37 @@ const advertisementImageUpload = multer({
   },
 });
 
+async function completeSuperAdminLogin(req, res, credential, principalEmail) {
+  const { accessToken, refreshToken, refreshMeta } = issueAuthTokenSet({
+    principalId: principalEmail,
+    role: "superadmin",
+    email: principalEmail,
+    tokenVersion: 0,
+  });
+
+  await persistRefreshTokenForSuperAdmin(
+    req,
+    principalEmail,
+    refreshToken,
+    refreshMeta
+  );
+  credential.lastLoginAt = new Date();
+  await credential.save();
+
+  setAuthCookies(res, { accessToken, refreshToken });
+  return {
+    success: true,
+    token: accessToken,
+    refreshToken,
+    mustChangePassword: credential.mustChangePassword === true,
+    user: {
+      email: principalEmail,
+      role: "SUPERADMIN",
+      mustChangePassword: credential.mustChangePassword === true,
+    },
+  };
+}
+
 // ---------------- AUTH ----------------
 router.post("/auth/login", LOGIN_LIMITER, async (req, res) => {
   try {
@@ -709,34 +755,14 @@ router.post("/auth/login", LOGIN_LIMITER, async (req, res) => {
     const principalEmail = String(credential.email || email)
       .trim()
       .toLowerCase();
-    const { accessToken, refreshToken, refreshMeta } = issueAuthTokenSet({
-      principalId: principalEmail,
-      role: "superadmin",
-      email: principalEmail,
-      tokenVersion: 0,
-    });
-
-    await persistRefreshTokenForSuperAdmin(
-      req,
-      principalEmail,
-      refreshToken,
-      refreshMeta
-    );
-    credential.lastLoginAt = new Date();
-    await credential.save();
+    // Password is right; with 2FA on, tokens wait for /auth/login/2fa
+    if (await isTwoFactorEnabled(principalEmail, "superadmin")) {
+      return res
+        .status(202)
+        .json(buildTwoFactorChallenge({ principalId: principalEmail, role: "superadmin" }));
+    }
 
-    setAuthCookies(res, { accessToken, refreshToken });
-    return res.json({
-      success: true,
-      token: accessToken,
-      refreshToken,
-      mustChangePassword: credential.mustChangePassword === true,
-      user: {
-        email: principalEmail,
-        role: "SUPERADMIN",
-        mustChangePassword: credential.mustChangePassword === true,
-      },
-    });
+    return res.json(await completeSuperAdminLogin(req, res, credential, principalEmail));
   } catch (error) {
     return res.status(500).json({
       success: false,
@@ -746,6 +772,38 @@ router.post("/auth/login", LOGIN_LIMITER, async (req, res) => {
   }
 });
 
+router.post("/auth/login/2fa", LOGIN_LIMITER, async (req, res) => {
+  let principalEmail = "";
+  try {
+    principalEmail = readTwoFactorChallenge({
+      challengeToken: req.body?.challengeToken,
+      role: "superadmin",
+    });
+    const credential = await SuperAdminCredential.findOne({ email: principalEmail });
+    if (!credential) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid SuperAdmin credentials" });
+    }
+
+    await verifySecondFactor({
+      principalId: principalEmail,
+      role: "superadmin",
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
+    });
+
+    return res.json(await completeSuperAdminLogin(req, res, credential, principalEmail));
+  } catch (error) {
+    return sendTwoFactorError(req, res, error, {
+      actorEmail: principalEmail,
+      actorRole: "superadmin",
+      source: "superadmin_two_factor_login",
+      fallbackMessage: "SuperAdmin login failed",
+    });
+  }
+});
+
 router.post("/auth/refresh", async (req, res) => {
   try {
     const cookies = parseCookies(req);
@@ -1718,6 +1776,72 @@ router.get("/activities", requireSuperAdminAuth, async (req, res) => {
   }
 });
 
+// ---------------- FIELD ENCRYPTION ----------------
+function sendFieldEncryptionError(res, error, fallbackMessage) {
+  if (error instanceof FieldReencryptionError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage, error: error.message });
+}
+
+router.get("/security/field-encryption", requireSuperAdminAuth, async (_req, res) => {
+  try {
+    return res.json({ success: true, ...(await getFieldEncryptionStatus()) });
+  } catch (error) {
+    return sendFieldEncryptionError(res, error, "Failed to fetch field encryption status");
+  }
+});
+
+// Starts (or resumes) re-encryption onto the active key in the background; poll the GET above
+router.post("/security/field-encryption/reencrypt", requireSuperAdminAuth, async (req, res) => {
+  try {
+    const dryRun = req.body?.dryRun === true || String(req.body?.dryRun) === "true";
+    const job = await claimFieldReencryptionJob({
+      dryRun,
+      startedBy: req.superAdmin?.email || "superadmin",
+    });
+    processFieldReencryptionJob(job, { batchSize: req.body?.batchSize })
+      .then((summary) => {
+        console.log(
+          `🔐 Field re-encryption job ${summary.jobId} ${summary.status}: ` +
+            `${summary.totals.reencrypted} re-encrypted, ${summary.totals.encrypted} encrypted, ` +
+            `${summary.totals.unreadable} unreadable${summary.dryRun ? " (dry run)" : ""}`
+        );
+      })
+      .catch((error) => console.error("❌ Field re-encryption job failed:", error));
+
+    await logActivity(req, {
+      action: dryRun ? "DRY_RUN_FIELD_REENCRYPTION" : "START_FIELD_REENCRYPTION",
+      targetType: "FIELD_ENCRYPTION",
+      targetId: String(job._id),
+      details: { targetKid: job.targetKid },
+    });
+    return res.status(202).json({
+      success: true,
+      message: dryRun ? "Dry run started" : "Re-encryption started",
+      jobId: String(job._id),
+      targetKid: job.targetKid,
+    });
+  } catch (error) {
+    return sendFieldEncryptionError(res, error, "Failed to start field re-encryption");
+  }
+});
+
+router.post("/security/field-encryption/reencrypt/:jobId/pause", requireSuperAdminAuth, async (req, res) => {
+  try {
+    const job = await pauseFieldReencryption(req.params.jobId);
+    await logActivity(req, {
+      action: "PAUSE_FIELD_REENCRYPTION",
+      targetType: "FIELD_ENCRYPTION",
+      targetId: job.jobId,
+      details: {},
+    });
+    return res.json({ success: true, message: "Re-encryption paused; start it again to resume", job });
+  } catch (error) {
+    return sendFieldEncryptionError(res, error, "Failed to pause field re-encryption");
+  }
+});
+
 // ---------------- ALERTS ----------------
 router.get("/alerts", requireSuperAdminAuth, async (req, res) => {
   try {
@@ -2098,13 +2222,18 @@ router.get("/users", requireSuperAdminAuth, async (req, res) => {
         .json({ success: false, message: "Invalid role filter" });
     }
 
-    const roleFilter = role === "ALL" ? USER_ROLES : [role];
+    // Aadhaar / phone / allergy search is exact-match on patient blind indexes
+    const searchTerms = { aadhaar: req.query.aadhaar, phone: req.query.phone, allergy: req.query.allergy };
+    const patientSearch = hasPatientSearchTerms(searchTerms);
+    const roleFilter = (role === "ALL" ? USER_ROLES : [role]).filter(
+      (entry) => !patientSearch || entry === "PATIENT"
+    );
     const statusFilter = status && ["ACTIVE", "BLOCKED"].includes(status) ? status : null;
 
     const payload = [];
 
     if (roleFilter.includes("PATIENT")) {
-      const query = applyLegacyStatusFilter({}, statusFilter);
+      const query = applyLegacyStatusFilter(buildPatientSearchFilter(searchTerms), statusFilter);
       const patients = await User.find(query).sort({ createdAt: -1 }).lean();
       payload.push(...patients.map(mapPatient));
     }
@@ -2127,6 +2256,9 @@ router.get("/users", requireSuperAdminAuth, async (req, res) => {
 
     return res.json({ success: true, users: payload });
   } catch (error) {
+    if (error instanceof PatientSearchError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     return res.status(500).json({
       success: false,
       message: "Failed to fetch users",
@@ -3127,6 +3259,8 @@ router.post("/products", requireSuperAdminAuth, async (req, res) => {
       sku: String(req.body.sku || "").trim().toUpperCase(),
       expiryDate: req.body.expiryDate ? new Date(req.body.expiryDate) : null,
       prescriptionRequired: toBoolean(req.body.prescriptionRequired, false),
+      hsnCode: String(req.body.hsnCode || "").trim(),
+      gstRate: req.body.gstRate != null ? Number(req.body.gstRate) : 18,
       customFields: normalizeCustomFields(req.body.customFields),
       ...geoTargets,
       isActive: toBoolean(req.body.isActive, true),
@@ -3227,6 +3361,8 @@ router.put("/products/:id", requireSuperAdminAuth, async (req, res) => {
         product.prescriptionRequired
       );
     }
+    if (req.body.hsnCode != null) product.hsnCode = String(req.body.hsnCode).trim();
+    if (req.body.gstRate != null) product.gstRate = Number(req.body.gstRate);
     if (req.body.customFields != null) {
       product.customFields = normalizeCustomFields(req.body.customFields);
     }
@@ -3301,6 +3437,12 @@ router.put("/products/:id", requireSuperAdminAuth, async (req, res) => {
 
     return res.json({ success: true, product: responseProduct });
   } catch (error) {
+    if (error?.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message || "Invalid product payload",
+      });
+    }
     return res.status(500).json({
       success: false,
       message: "Failed to update product",
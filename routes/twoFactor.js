@@ -0,0 +1,138 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { authLimiter } from "../middleware/rateLimit.js";
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  TwoFactorError,
+} from "../services/twoFactorAuth.js";
+import { monitorFailedLogin } from "../services/securityMonitorService.js";
+
+// Authenticator-app enrollment for the signed-in principal, whatever its role.
+// The login-time challenge lives next to each role's login route.
+const router = express.Router();
+
+const TWO_FACTOR_ROLES = new Set(["patient", "doctor", "admin", "superadmin"]);
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const getPrincipal = (req) => ({
+  principalId: asText(req.auth?.id),
+  role: asText(req.auth?.role).toLowerCase(),
+  label: asText(req.auth?.email) || asText(req.auth?.id),
+});
+
+router.use(auth, (req, res, next) => {
+  if (!TWO_FACTOR_ROLES.has(getPrincipal(req).role)) {
+    return res.status(403).json({ success: false, message: "Two-factor authentication is not available for this account" });
+  }
+  return next();
+});
+
+/**
+ * Shared error response for enrollment and login-challenge routes. Wrong codes
+ * count as failed logins so repeated guessing trips the temporary block.
+ */
+export const sendTwoFactorError = async (
+  req,
+  res,
+  error,
+  { actorEmail = "", actorRole = "", source = "two_factor", fallbackMessage = "Two-factor check failed" } = {}
+) => {
+  if (error instanceof TwoFactorError) {
+    if (error.code === "INVALID_TWO_FACTOR_CODE") {
+      await monitorFailedLogin({
+        actorEmail,
+        actorRole,
+        ipAddress: req.ip || "",
+        userAgent: req.headers["user-agent"] || "",
+        source,
+      });
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      ...(error.code ? { code: error.code } : {}),
+      message: error.message,
+    });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const sendSettingsError = (req, res, error, fallbackMessage) => {
+  const { label, role } = getPrincipal(req);
+  return sendTwoFactorError(req, res, error, {
+    actorEmail: label,
+    actorRole: role,
+    source: "two_factor_settings",
+    fallbackMessage,
+  });
+};
+
+// GET /api/auth/2fa/status
+router.get("/status", async (req, res) => {
+  try {
+    const { principalId, role } = getPrincipal(req);
+    const status = await getTwoFactorStatus(principalId, role);
+    return res.json({ success: true, ...status });
+  } catch (error) {
+    return sendSettingsError(req, res, error, "Failed to fetch two-factor status");
+  }
+});
+
+// POST /api/auth/2fa/setup - new secret + otpauth:// URI for the authenticator app
+router.post("/setup", async (req, res) => {
+  try {
+    const enrollment = await beginEnrollment(getPrincipal(req));
+    return res.json({
+      success: true,
+      message: "Scan the code in your authenticator app, then confirm with a code",
+      ...enrollment,
+    });
+  } catch (error) {
+    return sendSettingsError(req, res, error, "Failed to start two-factor enrollment");
+  }
+});
+
+// POST /api/auth/2fa/enable { code } - confirms enrollment, returns recovery codes once
+router.post("/enable", authLimiter, async (req, res) => {
+  try {
+    const { recoveryCodes } = await confirmEnrollment({ ...getPrincipal(req), code: req.body?.code });
+    return res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store the recovery codes somewhere safe.",
+      recoveryCodes,
+    });
+  } catch (error) {
+    return sendSettingsError(req, res, error, "Failed to enable two-factor authentication");
+  }
+});
+
+// POST /api/auth/2fa/disable { code | recoveryCode }
+router.post("/disable", authLimiter, async (req, res) => {
+  try {
+    await disableTwoFactor({
+      ...getPrincipal(req),
+      code: req.body?.code,
+      recoveryCode: req.body?.recoveryCode,
+    });
+    return res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    return sendSettingsError(req, res, error, "Failed to disable two-factor authentication");
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes { code } - replaces all recovery codes
+router.post("/recovery-codes", authLimiter, async (req, res) => {
+  try {
+    const { recoveryCodes } = await regenerateRecoveryCodes({ ...getPrincipal(req), code: req.body?.code });
+    return res.json({ success: true, message: "New recovery codes generated", recoveryCodes });
+  } catch (error) {
+    return sendSettingsError(req, res, error, "Failed to regenerate recovery codes");
+  }
+});
+
+export default router;
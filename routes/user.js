@@ -1,4 +1,5 @@
 ﻿import express from 'express';
+import crypto from 'crypto';
 import {
   updateProfile,
   updateFCMToken,
@@ -15,8 +16,26 @@ import { auth } from '../middleware/auth.js';
 import { fcmLimiter } from '../middleware/rateLimit.js';
 import { User } from '../models/User.js';
 import { checkSession } from '../middleware/checkSession.js';
-import { checkRole, requireOwnerOrRoles } from '../middleware/rbac.js';
-import { auditTrail } from '../middleware/auditLogger.js';
+import { checkRole, requireOwnerOrRoles, requirePatientResourceAccess } from '../middleware/rbac.js';
+import { auditTrail, writeAuditLog } from '../middleware/auditLogger.js';
+import { requireVerified } from '../middleware/requireVerified.js';
+import { HealthRecordImport } from '../models/HealthRecordImport.js';
+import { exportPatientBundle } from '../services/fhirExport.js';
+import {
+  HealthRecordImportError,
+  IMPORT_SECTIONS,
+  applyImportDiff,
+  buildImportDiff,
+  parseHealthRecordImport,
+  summarizeImportDiff,
+} from '../services/healthRecordImport.js';
+import { buildUserResponse } from '../utils/userResponse.js';
+import {
+  AccessReportError,
+  accessReportToCsv,
+  buildAccessReport,
+  renderAccessReportPdf,
+} from '../services/accessReport.js';
 
 const router = express.Router();
 
@@ -29,6 +48,47 @@ router.get('/all-patients', auth, checkRole('doctor', 'admin', 'superadmin'), ge
 // @route   PUT /api/users/fcm-token
 router.put('/fcm-token', auth, fcmLimiter, fcmTokenValidation, updateFCMToken);
 
+// @route   GET /api/users/me/access-report?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|pdf
+// Doctor and staff access to the signed-in patient's data
+router.get('/me/access-report', auth, checkRole('patient'), async (req, res) => {
+  try {
+    const report = await buildAccessReport({
+      patientId: req.auth.id,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    const format = String(req.query.format || 'json').trim().toLowerCase();
+    await writeAuditLog({
+      req,
+      action: 'EXPORT_ACCESS_REPORT',
+      resourceType: 'AUDIT_LOG',
+      patientId: req.auth.id,
+      statusCode: 200,
+      metadata: { format, total: report.total },
+    });
+
+    const fileStem = `access-report-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileStem}.csv"`);
+      return res.send(accessReportToCsv(report));
+    }
+    if (format === 'pdf') {
+      const pdf = await renderAccessReportPdf(report, { patientName: req.user?.name || '' });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileStem}.pdf"`);
+      return res.send(pdf);
+    }
+    return res.json({ success: true, report });
+  } catch (error) {
+    if (error instanceof AccessReportError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('❌ Access report failed:', error);
+    return res.status(500).json({ success: false, message: 'Failed to build access report' });
+  }
+});
+
 // @route   GET /api/users/:id/medical-card
 router.get(
   '/:id/medical-card',
@@ -154,4 +214,187 @@ router.get('/:id/records', auth, checkSession, auditTrail({
   }
 });
 
+// @route   GET /api/users/:id/fhir
+// Exports the patient's vault as a FHIR R4 Bundle (application/fhir+json)
+router.get('/:id/fhir', auth, requirePatientResourceAccess({ patientIdParam: 'id' }), auditTrail({
+  action: 'EXPORT_FHIR_BUNDLE',
+  resourceType: 'USER_RECORDS',
+  getResourceId: (req) => req.params.id,
+  getPatientId: (req) => req.params.id,
+  getMetadata: (req, res) => ({ format: 'fhir-r4', entries: res.locals.fhirEntryCount || 0 }),
+}), async (req, res) => {
+  try {
+    const apiBaseUrl = `${req.protocol}://${req.get("host")}`;
+    const bundle = await exportPatientBundle(req.params.id, {
+      fallbackUrlFor: (doc) => `${apiBaseUrl}/api/files/${doc._id}/proxy?disposition=inline`,
+    });
+    if (!bundle) {
+      return res.status(404).json({ success: false, msg: "User not found" });
+    }
+
+    res.locals.fhirEntryCount = bundle.entry.length;
+    res.set('Cache-Control', 'no-store');
+    res.type('application/fhir+json').send(JSON.stringify(bundle));
+  } catch (err) {
+    console.error("Error exporting FHIR bundle:", err);
+    res.status(500).json({ success: false, msg: "Error exporting records", error: err.message });
+  }
+});
+
+// FHIR Bundles may arrive as application/fhir+json, C-CDA as XML
+const importBodyParsers = [
+  express.json({ type: ['application/fhir+json'], limit: '10mb' }),
+  express.text({ type: ['application/xml', 'text/xml', 'application/hl7-cda+xml'], limit: '10mb' }),
+];
+
+const readImportSource = (req) => {
+  if (typeof req.body === 'string') return { source: req.body, format: req.query.format };
+  const body = req.body || {};
+  if (body.resourceType) return { source: body, format: 'fhir' };
+  return {
+    source: body.document ?? body.bundle ?? body.data,
+    format: body.format || req.query.format,
+  };
+};
+
+const findPendingImport = (req) =>
+  HealthRecordImport.findOne({
+    _id: req.params.importId,
+    userId: String(req.params.id),
+    status: 'preview',
+    expiresAt: { $gt: new Date() },
+  });
+
+const sendImportError = (res, err, fallbackMessage) => {
+  if (err instanceof HealthRecordImportError) {
+    return res.status(err.statusCode).json({ success: false, msg: err.message });
+  }
+  if (err?.name === 'CastError') {
+    return res.status(404).json({ success: false, msg: 'Import not found or expired' });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  return res.status(500).json({ success: false, msg: fallbackMessage, error: err.message });
+};
+
+// @route   POST /api/users/:id/import/preview
+// Parses a FHIR Bundle or C-CDA document and returns what would change
+router.post('/:id/import/preview', auth, requireVerified, requirePatientResourceAccess({ patientIdParam: 'id' }), importBodyParsers, async (req, res) => {
+  try {
+    const { source, format } = readImportSource(req);
+    if (!source) {
+      return res.status(400).json({ success: false, msg: 'A FHIR Bundle or C-CDA document is required' });
+    }
+
+    const user = await User.findById(req.params.id).select('medicalHistory medications allergies bloodType');
+    if (!user) return res.status(404).json({ success: false, msg: "User not found" });
+
+    const parsed = parseHealthRecordImport(source, format);
+    const diff = buildImportDiff(user, parsed.record);
+    const pending = await HealthRecordImport.create({
+      userId: String(req.params.id),
+      requestedBy: { id: String(req.auth.id), role: String(req.auth.role || '') },
+      format: parsed.format,
+      sourceHash: crypto
+        .createHash('sha256')
+        .update(typeof source === 'string' ? source : JSON.stringify(source))
+        .digest('hex'),
+      record: JSON.stringify(parsed.record),
+      warnings: parsed.warnings,
+    });
+
+    await writeAuditLog({
+      req,
+      action: 'PREVIEW_HEALTH_RECORD_IMPORT',
+      resourceType: 'USER_PROFILE',
+      resourceId: String(pending._id),
+      patientId: req.params.id,
+      statusCode: 201,
+      metadata: { format: parsed.format, summary: summarizeImportDiff(diff) },
+    });
+
+    res.status(201).json({
+      success: true,
+      importId: pending._id,
+      format: parsed.format,
+      expiresAt: pending.expiresAt,
+      warnings: parsed.warnings,
+      summary: summarizeImportDiff(diff),
+      diff,
+    });
+  } catch (err) {
+    sendImportError(res, err, 'Error previewing import');
+  }
+});
+
+// @route   POST /api/users/:id/import/:importId/commit
+// Applies a previewed import; body.sections limits which fields are written
+router.post('/:id/import/:importId/commit', auth, requireVerified, requirePatientResourceAccess({ patientIdParam: 'id' }), async (req, res) => {
+  try {
+    const pending = await findPendingImport(req);
+    if (!pending) {
+      return res.status(404).json({ success: false, msg: 'Import not found or expired' });
+    }
+
+    const sections = Array.isArray(req.body?.sections) && req.body.sections.length
+      ? req.body.sections.map(String)
+      : IMPORT_SECTIONS;
+    const unknownSections = sections.filter((section) => !IMPORT_SECTIONS.includes(section));
+    if (unknownSections.length) {
+      return res.status(400).json({ success: false, msg: `Unknown sections: ${unknownSections.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ success: false, msg: "User not found" });
+
+    // Diff again so edits made since the preview are never overwritten blindly
+    const diff = buildImportDiff(user, JSON.parse(pending.record || '{}'));
+    const applied = applyImportDiff(user, diff, sections);
+    if (applied.length) await user.save();
+
+    pending.status = 'committed';
+    pending.committedAt = new Date();
+    pending.appliedSections = applied;
+    await pending.save();
+
+    await writeAuditLog({
+      req,
+      action: 'IMPORT_HEALTH_RECORD',
+      resourceType: 'USER_PROFILE',
+      resourceId: String(pending._id),
+      patientId: req.params.id,
+      statusCode: 200,
+      metadata: {
+        format: pending.format,
+        sourceHash: pending.sourceHash,
+        appliedSections: applied,
+        summary: summarizeImportDiff(diff),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: applied.length ? 'Health record imported successfully' : 'Profile already up to date',
+      appliedSections: applied,
+      data: await buildUserResponse(user),
+    });
+  } catch (err) {
+    sendImportError(res, err, 'Error committing import');
+  }
+});
+
+// @route   DELETE /api/users/:id/import/:importId
+router.delete('/:id/import/:importId', auth, requirePatientResourceAccess({ patientIdParam: 'id' }), async (req, res) => {
+  try {
+    const pending = await findPendingImport(req);
+    if (!pending) {
+      return res.status(404).json({ success: false, msg: 'Import not found or expired' });
+    }
+    pending.status = 'discarded';
+    await pending.save();
+    res.json({ success: true, message: 'Import discarded' });
+  } catch (err) {
+    sendImportError(res, err, 'Error discarding import');
+  }
+});
+
 export default router;
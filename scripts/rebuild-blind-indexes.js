@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import { PatientSearchError, rebuildUserBlindIndexes } from "../services/patientSearch.js";
+
+// Usage: node scripts/rebuild-blind-indexes.js [--batch-size=N]
+// Recomputes the Aadhaar / phone / allergy search indexes for every patient. Run it
+// after BLIND_INDEX_KEY is first set or changed; it is safe to re-run.
+
+const args = process.argv.slice(2);
+const readArg = (name, fallback) => {
+  const match = args.find((arg) => arg.startsWith(`--${name}=`));
+  return match ? match.slice(name.length + 3) : fallback;
+};
+const batchSize = Number.parseInt(readArg("batch-size", "200"), 10) || 200;
+
+let exitCode = 0;
+try {
+  await connectDB();
+  const totals = await rebuildUserBlindIndexes({
+    batchSize,
+    onProgress: ({ scanned }) => console.log(`Indexed ${scanned} patients`),
+  });
+  console.log(`Done: ${totals.updated} of ${totals.scanned} patients indexed, ${totals.unreadable} fields unreadable`);
+  if (totals.unreadable > 0) exitCode = 1;
+} catch (error) {
+  console.error(error instanceof PatientSearchError ? error.message : error);
+  exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
+process.exit(exitCode);
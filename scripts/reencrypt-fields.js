@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import { FieldReencryptionError, runFieldReencryption } from "../services/fieldReencryption.js";
+
+// Usage: node scripts/reencrypt-fields.js [--dry-run] [--batch-size=N]
+// Moves encrypted fields onto DATA_ENCRYPTION_KEY. Safe to stop and re-run: it resumes
+// the unfinished job for the active key. Exits 1 if any value could not be decrypted.
+
+const args = process.argv.slice(2);
+const readArg = (name, fallback) => {
+  const match = args.find((arg) => arg.startsWith(`--${name}=`));
+  return match ? match.slice(name.length + 3) : fallback;
+};
+const dryRun = args.includes("--dry-run");
+const batchSize = Number.parseInt(readArg("batch-size", "200"), 10) || 200;
+
+const printProgress = (summary) => {
+  const current = summary.models.find((entry) => !entry.done) || summary.models[summary.models.length - 1];
+  const { scanned, reencrypted, encrypted, unreadable, conflicts } = summary.totals;
+  console.log(
+    `[${current?.modelName || "-"}] scanned ${scanned}, re-encrypted ${reencrypted}, ` +
+      `encrypted ${encrypted}, unreadable ${unreadable}, conflicts ${conflicts}`
+  );
+};
+
+let exitCode = 0;
+try {
+  await connectDB();
+  const summary = await runFieldReencryption({ dryRun, batchSize, startedBy: "cli", onProgress: printProgress });
+  console.log(`Job ${summary.jobId} ${summary.status} for key ${summary.targetKid}${dryRun ? " (dry run)" : ""}`);
+  summary.models.forEach((entry) => {
+    console.log(
+      `  ${entry.modelName.padEnd(20)} scanned ${entry.scanned}, re-encrypted ${entry.reencrypted}, ` +
+        `encrypted ${entry.encrypted}, unreadable ${entry.unreadable}, conflicts ${entry.conflicts}`
+    );
+    entry.unreadableSamples.forEach((sample) => console.log(`    unreadable: ${sample}`));
+  });
+  if (summary.totals.unreadable > 0) exitCode = 1;
+} catch (error) {
+  console.error(error instanceof FieldReencryptionError ? error.message : error);
+  exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
+process.exit(exitCode);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import connectDB from "../config/database.js";
+import { AuditChainError, createAuditCheckpoint, verifyAuditChain } from "../services/auditChain.js";
+
+// Usage: node scripts/verify-audit-chain.js [--from=genesis|checkpoint] [--max-issues=N] [--checkpoint] [--json]
+// Exits 1 when the chain has issues, so it can gate a compliance job.
+
+const args = process.argv.slice(2);
+const readArg = (name, fallback) => {
+  const match = args.find((arg) => arg.startsWith(`--${name}=`));
+  return match ? match.slice(name.length + 3) : fallback;
+};
+const from = readArg("from", "genesis");
+const maxIssues = Number.parseInt(readArg("max-issues", "1000"), 10) || 1000;
+const signCheckpoint = args.includes("--checkpoint");
+const asJson = args.includes("--json");
+
+const printReport = (report) => {
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  console.log(
+    `Checked ${report.checkedCount} of ${report.recordCount} entries from ${report.from}; ` +
+      `${report.checkpointsVerified} checkpoint signatures verified`
+  );
+  if (report.head) {
+    console.log(`Head: ${report.head.recordId} (sequence ${report.head.sequence ?? "-"}) ${report.head.recordHash}`);
+  }
+  if (report.ok) {
+    console.log("Audit log chain intact");
+    return;
+  }
+  console.log(`${report.issueCount} issues${report.truncated ? ` (first ${report.issues.length} listed)` : ""}:`);
+  report.issues.forEach((issue) => {
+    const position = issue.sequence != null ? ` #${issue.sequence}` : "";
+    console.log(`  ${issue.type.padEnd(28)} ${issue.recordId || issue.checkpointId}${position}  ${issue.reason}`);
+  });
+};
+
+let exitCode = 0;
+try {
+  await connectDB();
+  const report = await verifyAuditChain({ from, maxIssues });
+  printReport(report);
+  if (!report.ok) exitCode = 1;
+
+  if (report.ok && signCheckpoint) {
+    const { created, checkpoint } = await createAuditCheckpoint({ createdBy: "cli" });
+    console.log(
+      created
+        ? `Checkpoint ${checkpoint._id} signed: anchor ${checkpoint.anchorHash} (kid ${checkpoint.kid})`
+        : `No new entries since checkpoint ${checkpoint._id}`
+    );
+  }
+} catch (error) {
+  if (error instanceof AuditChainError && error.report) printReport(error.report);
+  console.error(error.message);
+  exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
+process.exit(exitCode);
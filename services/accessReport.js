@@ -0,0 +1,235 @@
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import { AuditLog } from "../models/AuditLog.js";
+import { DoctorUser } from "../models/DoctorUser.js";
+import { AdminUser } from "../models/AdminUser.js";
+import { Document } from "../models/File.js";
+
+/**
+ * "Who accessed my records": the audit-log entries where a doctor or staff
+ * member touched a patient's data, in words a patient can read. Patients'
+ * own actions are left out, as are network details of the staff involved.
+ */
+
+const ACCESSOR_ROLES = ["doctor", "admin", "superadmin"];
+const DEFAULT_LIMIT = 1000;
+const CLINIC_OFFSET = "+05:30";
+
+export class AccessReportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AccessReportError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asString = (value) => (value == null ? "" : String(value).trim());
+
+export const ACCESS_ACTION_LABELS = {
+  READ_PROFILE: "Viewed your profile",
+  READ_MEDICAL_CARD: "Viewed your medical card",
+  READ_MEDICAL_RECORDS: "Viewed your medical records",
+  EXPORT_FHIR_BUNDLE: "Exported your health records",
+  PREVIEW_HEALTH_RECORD_IMPORT: "Previewed an import into your health record",
+  IMPORT_HEALTH_RECORD: "Imported data into your health record",
+  LIST_DOCUMENTS: "Viewed your list of documents",
+  UPLOAD_DOCUMENT: "Added a document to your records",
+  PREVIEW_DOCUMENT: "Previewed a document",
+  DOWNLOAD_DOCUMENT: "Downloaded a document",
+  PROXY_DOCUMENT: "Opened a document",
+  REQUEUE_DOCUMENT_EXTRACTION: "Re-read the text of a document",
+  VIEW_LAB_OBSERVATIONS: "Viewed your lab results",
+  READ_SESSION_HISTORY: "Viewed your consultation history",
+};
+
+// Unlisted actions still show up, just less polished: "SOME_ACTION" -> "Some action"
+const describeAction = (action) => {
+  if (ACCESS_ACTION_LABELS[action]) return ACCESS_ACTION_LABELS[action];
+  const words = asString(action).toLowerCase().replace(/_/g, " ");
+  return words ? `${words[0].toUpperCase()}${words.slice(1)}` : "Accessed your data";
+};
+
+// "YYYY-MM-DD" means that day in clinic time; anything else must parse as a date
+const parseBoundary = (value, field, { endOfDay = false } = {}) => {
+  const raw = asString(value);
+  if (!raw) return null;
+  const parsed = /^\d{4}-\d{2}-\d{2}$/.test(raw)
+    ? new Date(`${raw}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}${CLINIC_OFFSET}`)
+    : new Date(raw);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new AccessReportError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return parsed;
+};
+
+const objectIds = (values) =>
+  [...new Set(values)].filter((value) => mongoose.Types.ObjectId.isValid(value));
+
+const describeActor = (entry, doctors, admins) => {
+  if (entry.actorRole === "doctor") {
+    const doctor = doctors.get(entry.actorId);
+    return {
+      actorName: doctor?.name || "A doctor (account removed)",
+      actorDetail: asString(doctor?.specialty || doctor?.specialization) || "Doctor",
+    };
+  }
+  if (entry.actorRole === "admin") {
+    return { actorName: admins.get(entry.actorId)?.name || "Clinic administrator", actorDetail: "Clinic staff" };
+  }
+  return { actorName: "Platform administrator", actorDetail: "Platform staff" };
+};
+
+/**
+ * Newest first. `truncated` is set when more than `limit` entries match.
+ */
+export const buildAccessReport = async ({ patientId, from, to, limit = DEFAULT_LIMIT, now = new Date() }) => {
+  const patient = asString(patientId);
+  if (!patient) throw new AccessReportError("patientId is required");
+
+  const fromDate = parseBoundary(from, "from");
+  const toDate = parseBoundary(to, "to", { endOfDay: true });
+  if (fromDate && toDate && fromDate > toDate) {
+    throw new AccessReportError("from must be on or before to");
+  }
+
+  const filter = { patientId: patient, actorRole: { $in: ACCESSOR_ROLES } };
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  const rows = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .select("actorId actorRole action resourceType resourceId createdAt")
+    .lean();
+  const truncated = rows.length > limit;
+  const logs = rows.slice(0, limit);
+
+  const idsFor = (role) => objectIds(logs.filter((entry) => entry.actorRole === role).map((entry) => entry.actorId));
+  const documentIds = objectIds(
+    logs.filter((entry) => entry.resourceType === "DOCUMENT").map((entry) => entry.resourceId)
+  );
+  const [doctors, admins, documents] = await Promise.all([
+    DoctorUser.find({ _id: { $in: idsFor("doctor") } }).select("name specialty specialization").lean(),
+    AdminUser.find({ _id: { $in: idsFor("admin") } }).select("name").lean(),
+    Document.find({ _id: { $in: documentIds }, userId: patient }).select("title category").lean(),
+  ]);
+  const byId = (items) => new Map(items.map((item) => [String(item._id), item]));
+  const doctorMap = byId(doctors);
+  const adminMap = byId(admins);
+  const documentMap = byId(documents);
+
+  const entries = logs.map((entry) => {
+    const document = entry.resourceType === "DOCUMENT" ? documentMap.get(entry.resourceId) : null;
+    return {
+      at: entry.createdAt,
+      actorRole: entry.actorRole,
+      ...describeActor(entry, doctorMap, adminMap),
+      action: entry.action,
+      description: describeAction(entry.action),
+      resourceType: entry.resourceType,
+      resourceName: document ? `${document.title}${document.category ? ` (${document.category})` : ""}` : "",
+    };
+  });
+
+  return {
+    patientId: patient,
+    from: fromDate,
+    to: toDate,
+    generatedAt: now,
+    total: entries.length,
+    truncated,
+    entries,
+  };
+};
+
+const formatTimestamp = (value) =>
+  new Date(value).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Quote every cell, and keep spreadsheet apps from running a name as a formula
+const csvCell = (value) => {
+  const text = asString(value);
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+export const accessReportToCsv = (report) => {
+  const rows = [
+    ["date_time_ist", "accessed_by", "role", "detail", "action", "item"],
+    ...report.entries.map((entry) => [
+      formatTimestamp(entry.at),
+      entry.actorName,
+      entry.actorRole,
+      entry.actorDetail,
+      entry.description,
+      entry.resourceName,
+    ]),
+  ];
+  return `${rows.map((row) => row.map(csvCell).join(",")).join("\n")}\n`;
+};
+
+export const renderAccessReportPdf = (report, { patientName = "" } = {}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(16).text("Record Access Report", { align: "center" }).moveDown(0.5);
+    doc.fontSize(10);
+    if (patientName) doc.text(`Patient: ${patientName}`);
+    const range = [report.from && `from ${formatTimestamp(report.from)}`, report.to && `to ${formatTimestamp(report.to)}`]
+      .filter(Boolean)
+      .join(" ");
+    doc.text(`Period: ${range || "all recorded history"}`);
+    doc.text(`Generated: ${formatTimestamp(report.generatedAt)} IST`);
+    doc.moveDown();
+
+    if (report.entries.length === 0) {
+      doc.text("No doctor or staff access to your records was recorded in this period.");
+      doc.end();
+      return;
+    }
+
+    const columns = ["Date & time (IST)", "Accessed by", "Role", "What happened"];
+    const widths = [100, 130, 75, 210];
+    const drawRow = (cells, { bold = false } = {}) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      let bottom = y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      cells.forEach((cell, index) => {
+        doc.text(String(cell), x, y, { width: widths[index] - 6 });
+        bottom = Math.max(bottom, doc.y);
+        x += widths[index];
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = bottom;
+      doc.moveDown(0.4);
+    };
+
+    drawRow(columns, { bold: true });
+    for (const entry of report.entries) {
+      drawRow([
+        formatTimestamp(entry.at),
+        entry.actorName,
+        entry.actorDetail,
+        entry.resourceName ? `${entry.description}: ${entry.resourceName}` : entry.description,
+      ]);
+    }
+    if (report.truncated) {
+      doc.moveDown().font("Helvetica-Oblique").text("Only the most recent entries are shown; narrow the dates to see older ones.");
+    }
+    doc.end();
+  });
@@ -0,0 +1,120 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const auditFindMock = jest.fn();
+const doctorFindMock = jest.fn();
+const adminFindMock = jest.fn();
+const documentFindMock = jest.fn();
+
+const chain = (resolve) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => resolve(),
+  };
+  return query;
+};
+
+await jest.unstable_mockModule("../models/AuditLog.js", () => ({
+  AuditLog: { find: (...args) => chain(() => auditFindMock(...args)) },
+}));
+await jest.unstable_mockModule("../models/DoctorUser.js", () => ({
+  DoctorUser: { find: (...args) => chain(() => doctorFindMock(...args)) },
+}));
+await jest.unstable_mockModule("../models/AdminUser.js", () => ({
+  AdminUser: { find: (...args) => chain(() => adminFindMock(...args)) },
+}));
+await jest.unstable_mockModule("../models/File.js", () => ({
+  Document: { find: (...args) => chain(() => documentFindMock(...args)) },
+}));
+
+const { AccessReportError, accessReportToCsv, buildAccessReport, renderAccessReportPdf } = await import(
+  "./accessReport.js"
+);
+
+const PATIENT_ID = "64f000000000000000000001";
+const DOCTOR_ID = "64f0000000000000000000d1";
+const ADMIN_ID = "64f0000000000000000000a1";
+const DOCUMENT_ID = "64f0000000000000000000f1";
+const now = new Date("2026-10-19T06:00:00Z");
+
+describe("accessReport", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditFindMock.mockResolvedValue([
+      {
+        actorId: DOCTOR_ID,
+        actorRole: "doctor",
+        action: "DOWNLOAD_DOCUMENT",
+        resourceType: "DOCUMENT",
+        resourceId: DOCUMENT_ID,
+        createdAt: new Date("2026-10-18T09:30:00Z"),
+      },
+      {
+        actorId: ADMIN_ID,
+        actorRole: "admin",
+        action: "READ_PROFILE",
+        resourceType: "USER_PROFILE",
+        resourceId: PATIENT_ID,
+        createdAt: new Date("2026-10-17T04:00:00Z"),
+      },
+      {
+        actorId: "root@example.com",
+        actorRole: "superadmin",
+        action: "RESET_SOMETHING",
+        resourceType: "USER_PROFILE",
+        resourceId: PATIENT_ID,
+        createdAt: new Date("2026-10-16T04:00:00Z"),
+      },
+    ]);
+    doctorFindMock.mockResolvedValue([{ _id: DOCTOR_ID, name: "=Dr. Mehta, Anil", specialty: "Cardiology" }]);
+    adminFindMock.mockResolvedValue([{ _id: ADMIN_ID, name: "Front Desk" }]);
+    documentFindMock.mockResolvedValue([{ _id: DOCUMENT_ID, title: "ECG", category: "Report" }]);
+  });
+
+  it("lists doctor and staff access with names, limited to the requested clinic days", async () => {
+    const report = await buildAccessReport({ patientId: PATIENT_ID, from: "2026-10-01", to: "2026-10-18", now });
+
+    const [filter] = auditFindMock.mock.calls[0];
+    expect(filter).toEqual({
+      patientId: PATIENT_ID,
+      actorRole: { $in: ["doctor", "admin", "superadmin"] },
+      createdAt: {
+        $gte: new Date("2026-09-30T18:30:00.000Z"),
+        $lte: new Date("2026-10-18T18:29:59.999Z"),
+      },
+    });
+    expect(documentFindMock).toHaveBeenCalledWith({ _id: { $in: [DOCUMENT_ID] }, userId: PATIENT_ID });
+
+    expect(report.entries).toEqual([
+      expect.objectContaining({
+        actorName: "=Dr. Mehta, Anil",
+        actorDetail: "Cardiology",
+        description: "Downloaded a document",
+        resourceName: "ECG (Report)",
+      }),
+      expect.objectContaining({ actorName: "Front Desk", description: "Viewed your profile" }),
+      expect.objectContaining({ actorName: "Platform administrator", description: "Reset something" }),
+    ]);
+    expect(report.entries[0]).not.toHaveProperty("ipAddress");
+
+    await expect(buildAccessReport({ patientId: PATIENT_ID, from: "2026-10-18", to: "2026-10-01" })).rejects.toThrow(
+      AccessReportError
+    );
+    await expect(buildAccessReport({ patientId: PATIENT_ID, from: "last week" })).rejects.toThrow(
+      "from must be a date"
+    );
+  });
+
+  it("exports CSV safe for spreadsheets and a PDF", async () => {
+    const report = await buildAccessReport({ patientId: PATIENT_ID, now });
+
+    const csv = accessReportToCsv(report);
+    const [header, firstRow] = csv.split("\n");
+    expect(header).toBe('"date_time_ist","accessed_by","role","detail","action","item"');
+    expect(firstRow).toContain(`"'=Dr. Mehta, Anil","doctor","Cardiology","Downloaded a document","ECG (Report)"`);
+
+    const pdf = await renderAccessReportPdf(report, { patientName: "Asha" });
+    expect(pdf.subarray(0, 4).toString()).toBe("%PDF");
+  });
+});
@@ -0,0 +1,371 @@
+import crypto from "crypto";
+import { AuditLog } from "../models/AuditLog.js";
+import { AuditLogCheckpoint } from "../models/AuditLogCheckpoint.js";
+import { buildRecordHash } from "../middleware/auditLogger.js";
+
+/**
+ * Integrity checks for the audit_logs hash chain written by writeAuditLog.
+ * Every entry's recordHash covers its contents plus the previous entry's
+ * hash, so walking the chain in order finds rewritten entries (hash no longer
+ * matches), removed ones (next entry links to a hash that is gone, or a
+ * sequence number is skipped) and reordered ones (an entry links to an
+ * existing record that is not its predecessor).
+ *
+ * A chain can still be truncated at the tail or rebuilt wholesale by someone
+ * with database access, which is what the signed checkpoints are for: each
+ * one pins the head hash and record count under an Ed25519 key that lives
+ * outside the database.
+ */
+
+const CHECKPOINT_VERSION = 1;
+const DEFAULT_MAX_ISSUES = 500;
+
+export class AuditChainError extends Error {
+  constructor(message, statusCode = 400, report = null) {
+    super(message);
+    this.name = "AuditChainError";
+    this.statusCode = statusCode;
+    this.report = report;
+  }
+}
+
+const asString = (value) => (value == null ? "" : String(value));
+const readPem = (value) => asString(value).replace(/\\n/g, "\n").trim();
+
+const keyIdFor = (publicKey) =>
+  crypto
+    .createHash("sha256")
+    .update(publicKey.export({ format: "der", type: "spki" }))
+    .digest("base64url")
+    .slice(0, 16);
+
+let cachedKeyring = null;
+
+/**
+ * Signing key AUDIT_CHECKPOINT_SIGNING_KEY (Ed25519, PKCS#8 PEM). Keys rotated
+ * out stay verifiable through AUDIT_CHECKPOINT_RETIRED_KEYS, a JSON array of
+ * { kid, publicKey }. Outside production a throwaway key is generated.
+ */
+export const loadAuditCheckpointKeyring = ({ env = process.env, reload = false } = {}) => {
+  if (cachedKeyring && !reload && env === process.env) return cachedKeyring;
+
+  let privateKey;
+  const signingPem = readPem(env.AUDIT_CHECKPOINT_SIGNING_KEY);
+  if (signingPem) {
+    privateKey = crypto.createPrivateKey(signingPem);
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+      throw new AuditChainError("AUDIT_CHECKPOINT_SIGNING_KEY must be an Ed25519 key", 500);
+    }
+  } else if (env.NODE_ENV === "production") {
+    throw new AuditChainError("Audit checkpoint signing key is not configured", 503);
+  } else {
+    console.warn("⚠️ AUDIT_CHECKPOINT_SIGNING_KEY not set; using a temporary key for audit checkpoints");
+    privateKey = crypto.generateKeyPairSync("ed25519").privateKey;
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const activeKid = asString(env.AUDIT_CHECKPOINT_KEY_ID).trim() || keyIdFor(publicKey);
+
+  let retired = [];
+  try {
+    retired = JSON.parse(env.AUDIT_CHECKPOINT_RETIRED_KEYS || "[]");
+  } catch {
+    console.error("❌ AUDIT_CHECKPOINT_RETIRED_KEYS is not valid JSON; ignoring retired keys");
+  }
+
+  const publicKeys = new Map([[activeKid, { publicKey, status: "active" }]]);
+  (Array.isArray(retired) ? retired : []).forEach((entry) => {
+    const kid = asString(entry?.kid).trim();
+    const pem = readPem(entry?.publicKey);
+    if (!kid || !pem || publicKeys.has(kid)) return;
+    publicKeys.set(kid, { publicKey: crypto.createPublicKey(pem), status: "retired" });
+  });
+
+  const keyring = { activeKid, privateKey, publicKeys };
+  if (env === process.env) cachedKeyring = keyring;
+  return keyring;
+};
+
+/**
+ * PEM public keys an external auditor needs to check checkpoint signatures.
+ */
+export const getAuditCheckpointPublicKeys = (keyring = loadAuditCheckpointKeyring()) =>
+  Array.from(keyring.publicKeys.entries()).map(([kid, { publicKey, status }]) => ({
+    kid,
+    alg: "EdDSA",
+    status,
+    publicKey: publicKey.export({ format: "pem", type: "spki" }),
+  }));
+
+/**
+ * The exact string a checkpoint signature covers.
+ */
+export const buildCheckpointPayload = (checkpoint) =>
+  JSON.stringify({
+    v: CHECKPOINT_VERSION,
+    kid: asString(checkpoint.kid),
+    lastRecordId: asString(checkpoint.lastRecordId),
+    lastSequence: checkpoint.lastSequence ?? null,
+    lastRecordHash: asString(checkpoint.lastRecordHash),
+    recordCount: Number(checkpoint.recordCount),
+    previousCheckpointId: asString(checkpoint.previousCheckpointId),
+    signedAt: new Date(checkpoint.signedAt).toISOString(),
+  });
+
+export const verifyCheckpointSignature = (checkpoint, keyring = loadAuditCheckpointKeyring()) => {
+  const key = keyring.publicKeys.get(asString(checkpoint?.kid));
+  if (!key) return false;
+  const payload = buildCheckpointPayload(checkpoint);
+  if (crypto.createHash("sha256").update(payload).digest("hex") !== asString(checkpoint.anchorHash)) {
+    return false;
+  }
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(payload),
+      key.publicKey,
+      Buffer.from(asString(checkpoint.signature), "base64url")
+    );
+  } catch {
+    return false;
+  }
+};
+
+// Same normalisation writeAuditLog hashes with; old entries may lack metadata
+const toHashInput = (record) => ({
+  previousHash: asString(record.previousHash),
+  actorId: asString(record.actorId),
+  actorRole: asString(record.actorRole),
+  action: asString(record.action),
+  resourceType: asString(record.resourceType),
+  resourceId: asString(record.resourceId),
+  patientId: asString(record.patientId),
+  statusCode: Number(record.statusCode),
+  ipAddress: asString(record.ipAddress),
+  userAgent: asString(record.userAgent),
+  requestId: asString(record.requestId),
+  metadata: record.metadata ?? {},
+});
+
+const describeRecord = (record) => ({
+  recordId: asString(record._id),
+  sequence: record.sequence ?? null,
+  createdAt: record.createdAt || null,
+});
+
+/**
+ * Walk the chain in write order and report every broken link.
+ *
+ * from: "genesis" re-checks everything; "checkpoint" starts after the newest
+ * checkpoint whose signature verifies and trusts what it signed.
+ * Issue types: MODIFIED, GAP, REORDERED, CHECKPOINT_MISMATCH,
+ * CHECKPOINT_SIGNATURE_INVALID. Only the first maxIssues are listed.
+ */
+export const verifyAuditChain = async ({
+  from = "genesis",
+  maxIssues = DEFAULT_MAX_ISSUES,
+  keyring = loadAuditCheckpointKeyring(),
+  now = new Date(),
+} = {}) => {
+  if (!["genesis", "checkpoint"].includes(from)) {
+    throw new AuditChainError('from must be "genesis" or "checkpoint"');
+  }
+
+  const issues = [];
+  let issueCount = 0;
+  const report = (issue) => {
+    issueCount += 1;
+    if (issues.length < maxIssues) issues.push(issue);
+  };
+
+  const checkpoints = await AuditLogCheckpoint.find({}).sort({ signedAt: 1 }).lean();
+  const trusted = [];
+  for (const checkpoint of checkpoints) {
+    if (verifyCheckpointSignature(checkpoint, keyring)) {
+      trusted.push(checkpoint);
+    } else {
+      report({
+        type: "CHECKPOINT_SIGNATURE_INVALID",
+        checkpointId: asString(checkpoint._id),
+        recordId: asString(checkpoint.lastRecordId),
+        reason: "Checkpoint signature or anchor hash does not verify",
+      });
+    }
+  }
+
+  // Incremental runs need a sequence to resume from
+  const start =
+    from === "checkpoint"
+      ? [...trusted].reverse().find((checkpoint) => Number.isFinite(checkpoint.lastSequence))
+      : null;
+  const anchors = new Map(
+    trusted
+      .filter((checkpoint) => !start || checkpoint.recordCount > start.recordCount)
+      .map((checkpoint) => [asString(checkpoint.lastRecordId), checkpoint])
+  );
+
+  let position = start ? start.recordCount : 0;
+  let previous = start
+    ? { recordId: start.lastRecordId, sequence: start.lastSequence, recordHash: start.lastRecordHash }
+    : null;
+  let checkedCount = 0;
+
+  const cursor = AuditLog.find(start ? { sequence: { $gt: start.lastSequence } } : {})
+    .sort({ sequence: 1, createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const record of cursor) {
+    position += 1;
+    checkedCount += 1;
+    const entry = describeRecord(record);
+    const recordHash = asString(record.recordHash);
+
+    if (buildRecordHash(toHashInput(record)) !== recordHash) {
+      report({ type: "MODIFIED", ...entry, reason: "Entry contents no longer match its recordHash" });
+    }
+
+    const expectedPrevious = previous ? previous.recordHash : "";
+    const expectedSequence = (Number(previous?.sequence) || 0) + 1;
+    const sequenceFollows = record.sequence == null || record.sequence === expectedSequence;
+
+    if (asString(record.previousHash) === expectedPrevious) {
+      if (!sequenceFollows) {
+        report({
+          type: "MODIFIED",
+          ...entry,
+          reason: `Sequence ${record.sequence} does not follow ${expectedSequence - 1}`,
+        });
+      }
+    } else if (record.sequence != null && record.sequence > expectedSequence) {
+      report({
+        type: "GAP",
+        ...entry,
+        previousRecordId: previous?.recordId || "",
+        missingSequences: { from: expectedSequence, to: record.sequence - 1 },
+        reason: `${record.sequence - expectedSequence} entries before this one are missing`,
+      });
+    } else {
+      const linked = record.previousHash
+        ? await AuditLog.findOne({ recordHash: record.previousHash }).select("_id sequence").lean()
+        : null;
+      if (!record.previousHash) {
+        report({
+          type: "REORDERED",
+          ...entry,
+          previousRecordId: previous?.recordId || "",
+          reason: "The first entry of the chain appears after other entries",
+        });
+      } else if (linked) {
+        report({
+          type: "REORDERED",
+          ...entry,
+          previousRecordId: previous?.recordId || "",
+          linkedRecordId: asString(linked._id),
+          reason: "Entry links to a record that is not its predecessor",
+        });
+      } else if (previous && record.sequence != null && sequenceFollows) {
+        // Numbering is intact, so the predecessor is still there but was re-hashed
+        report({
+          type: "MODIFIED",
+          recordId: previous.recordId,
+          sequence: previous.sequence ?? null,
+          nextRecordId: entry.recordId,
+          reason: "recordHash was rewritten; the next entry still links to the original",
+        });
+      } else {
+        report({
+          type: "GAP",
+          ...entry,
+          previousRecordId: previous?.recordId || "",
+          reason: "The entry this one links to is missing",
+        });
+      }
+    }
+
+    const anchor = anchors.get(entry.recordId);
+    if (anchor) {
+      anchors.delete(entry.recordId);
+      if (anchor.lastRecordHash !== recordHash || anchor.recordCount !== position) {
+        report({
+          type: "CHECKPOINT_MISMATCH",
+          ...entry,
+          checkpointId: asString(anchor._id),
+          reason: `Checkpoint signed hash ${anchor.lastRecordHash.slice(0, 12)}… at position ${anchor.recordCount}; chain has ${recordHash.slice(0, 12)}… at ${position}`,
+        });
+      }
+    }
+
+    // Compare the next link with what is stored, so one tampered entry is reported once
+    previous = { recordId: entry.recordId, sequence: record.sequence ?? null, recordHash };
+  }
+
+  anchors.forEach((anchor) => {
+    report({
+      type: "CHECKPOINT_MISMATCH",
+      recordId: asString(anchor.lastRecordId),
+      sequence: anchor.lastSequence ?? null,
+      checkpointId: asString(anchor._id),
+      reason: "Checkpointed entry is no longer in the chain",
+    });
+  });
+
+  return {
+    ok: issueCount === 0,
+    from: start ? "checkpoint" : "genesis",
+    startCheckpointId: start ? asString(start._id) : null,
+    checkedCount,
+    recordCount: position,
+    head: previous,
+    checkpointsVerified: trusted.length,
+    issueCount,
+    issues,
+    truncated: issueCount > issues.length,
+    verifiedAt: now,
+  };
+};
+
+/**
+ * Sign the current chain head after checking everything since the last
+ * checkpoint. Refuses to anchor a chain that already has issues.
+ */
+export const createAuditCheckpoint = async ({
+  createdBy = "system",
+  keyring = loadAuditCheckpointKeyring(),
+  now = new Date(),
+} = {}) => {
+  const report = await verifyAuditChain({ from: "checkpoint", keyring, now });
+  if (!report.ok) {
+    throw new AuditChainError("Audit log chain has integrity issues; checkpoint not signed", 409, report);
+  }
+  if (!report.head) {
+    throw new AuditChainError("There are no audit log entries to checkpoint", 409, report);
+  }
+
+  const latest = await AuditLogCheckpoint.findOne({}).sort({ signedAt: -1 }).lean();
+  if (latest && latest.lastRecordId === report.head.recordId) {
+    return { created: false, checkpoint: latest, report };
+  }
+
+  const checkpoint = {
+    kid: keyring.activeKid,
+    lastRecordId: report.head.recordId,
+    lastSequence: report.head.sequence,
+    lastRecordHash: report.head.recordHash,
+    recordCount: report.recordCount,
+    previousCheckpointId: latest ? asString(latest._id) : "",
+    signedAt: now,
+  };
+  const payload = buildCheckpointPayload(checkpoint);
+  const saved = await AuditLogCheckpoint.create({
+    ...checkpoint,
+    anchorHash: crypto.createHash("sha256").update(payload).digest("hex"),
+    signature: crypto.sign(null, Buffer.from(payload), keyring.privateKey).toString("base64url"),
+    createdBy: asString(createdBy) || "system",
+  });
+
+  return { created: true, checkpoint: saved, report };
+};
+
+export const listAuditCheckpoints = async ({ limit = 20 } = {}) =>
+  AuditLogCheckpoint.find({}).sort({ signedAt: -1 }).limit(limit).lean();
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+let storedRecords = [];
+let storedCheckpoints = [];
+const checkpointCreateMock = jest.fn(async (doc) => ({ _id: "cp-new", ...doc }));
+
+const chain = (resolve) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => ({ then: (done, fail) => Promise.resolve(resolve()).then(done, fail), cursor: () => resolve() }),
+  };
+  return query;
+};
+
+await jest.unstable_mockModule("../models/AuditLog.js", () => ({
+  AuditLog: {
+    // The service streams the chain in the order the records are stored here
+    find: (filter) =>
+      chain(() => storedRecords.filter((record) => !filter.sequence || record.sequence > filter.sequence.$gt)),
+    findOne: (filter) => chain(() => storedRecords.find((record) => record.recordHash === filter.recordHash) || null),
+  },
+}));
+await jest.unstable_mockModule("../models/AuditLogCheckpoint.js", () => ({
+  AuditLogCheckpoint: {
+    find: () => chain(() => storedCheckpoints),
+    findOne: () => chain(() => storedCheckpoints[storedCheckpoints.length - 1] || null),
+    create: checkpointCreateMock,
+  },
+}));
+
+const { buildRecordHash } = await import("../middleware/auditLogger.js");
+const {
+  AuditChainError,
+  createAuditCheckpoint,
+  loadAuditCheckpointKeyring,
+  verifyAuditChain,
+  verifyCheckpointSignature,
+} = await import("./auditChain.js");
+
+const keyring = loadAuditCheckpointKeyring({
+  env: {
+    AUDIT_CHECKPOINT_SIGNING_KEY: crypto
+      .generateKeyPairSync("ed25519")
+      .privateKey.export({ format: "pem", type: "pkcs8" }),
+    AUDIT_CHECKPOINT_KEY_ID: "audit-test",
+  },
+});
+const now = new Date("2026-10-19T06:00:00Z");
+
+// Two entries from before sequence numbers existed, then sequenced ones
+const buildChain = (count) => {
+  const records = [];
+  for (let index = 0; index < count; index += 1) {
+    const fields = {
+      previousHash: records[index - 1]?.recordHash || "",
+      actorId: `admin-${index}`,
+      actorRole: "admin",
+      action: "READ_AUDIT_LOGS",
+      resourceType: "AUDIT_LOG",
+      resourceId: "",
+      patientId: "",
+      statusCode: 200,
+      ipAddress: "10.0.0.1",
+      userAgent: "jest",
+      requestId: "",
+      metadata: index === 0 ? undefined : { page: index },
+    };
+    records.push({
+      _id: `log-${index}`,
+      ...(index >= 2 ? { sequence: index - 1 } : {}),
+      ...fields,
+      recordHash: buildRecordHash({ ...fields, metadata: fields.metadata ?? {} }),
+    });
+  }
+  return records;
+};
+
+describe("auditChain", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storedCheckpoints = [];
+  });
+
+  it("accepts an intact chain and names modified, missing and reordered entries", async () => {
+    storedRecords = buildChain(6);
+    await expect(verifyAuditChain({ keyring, now })).resolves.toEqual(
+      expect.objectContaining({ ok: true, checkedCount: 6, head: expect.objectContaining({ recordId: "log-5", sequence: 4 }) })
+    );
+
+    // Edited in place without touching the hash
+    storedRecords = buildChain(6);
+    storedRecords[3] = { ...storedRecords[3], statusCode: 500 };
+    let report = await verifyAuditChain({ keyring, now });
+    expect(report.issues).toEqual([expect.objectContaining({ type: "MODIFIED", recordId: "log-3", sequence: 2 })]);
+
+    // Deleted entry
+    storedRecords = buildChain(6).filter((record) => record._id !== "log-3");
+    report = await verifyAuditChain({ keyring, now });
+    expect(report.issues).toEqual([
+      expect.objectContaining({ type: "GAP", recordId: "log-4", missingSequences: { from: 2, to: 2 } }),
+    ]);
+
+    // Two legacy entries swapped (no sequence numbers to go by)
+    const swapped = buildChain(6);
+    [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+    storedRecords = swapped;
+    report = await verifyAuditChain({ keyring, now });
+    expect(report.issues.map((issue) => [issue.type, issue.recordId])).toEqual([
+      ["REORDERED", "log-1"],
+      ["REORDERED", "log-0"],
+      ["REORDERED", "log-2"],
+    ]);
+    expect(report.issues[0].linkedRecordId).toBe("log-0");
+    expect(report.issues[2].linkedRecordId).toBe("log-1");
+  });
+
+  it("signs a checkpoint over the head and catches a truncated tail or forged checkpoint later", async () => {
+    storedRecords = buildChain(5);
+    const { created, checkpoint } = await createAuditCheckpoint({ keyring, now });
+
+    expect(created).toBe(true);
+    expect(checkpoint).toEqual(
+      expect.objectContaining({ kid: "audit-test", lastRecordId: "log-4", lastSequence: 3, recordCount: 5 })
+    );
+    expect(verifyCheckpointSignature(checkpoint, keyring)).toBe(true);
+    storedCheckpoints = [checkpoint];
+
+    // Nothing new since the checkpoint
+    storedRecords = buildChain(5);
+    await expect(createAuditCheckpoint({ keyring, now })).resolves.toEqual(
+      expect.objectContaining({ created: false })
+    );
+
+    // Dropping the newest entries leaves a valid-looking chain, but not the signed head
+    storedRecords = buildChain(5).slice(0, 3);
+    const report = await verifyAuditChain({ keyring, now });
+    expect(report.issues).toEqual([
+      expect.objectContaining({ type: "CHECKPOINT_MISMATCH", recordId: "log-4", checkpointId: "cp-new" }),
+    ]);
+
+    storedCheckpoints = [{ ...checkpoint, recordCount: 4 }];
+    storedRecords = buildChain(5);
+    const forged = await verifyAuditChain({ keyring, now });
+    expect(forged.issues).toEqual([expect.objectContaining({ type: "CHECKPOINT_SIGNATURE_INVALID" })]);
+
+    const refused = createAuditCheckpoint({ keyring, now });
+    await expect(refused).rejects.toBeInstanceOf(AuditChainError);
+    await expect(refused).rejects.toThrow("checkpoint not signed");
+  });
+});
@@ -1,5 +1,13 @@
 import cron from 'node-cron';
 import { runAllReminders } from './reminderService.js';
+import { resumePendingDocumentExtractions } from './documentExtractionQueue.js';
+import { runSosEscalations } from './sosEscalation.js';
+import { expireStalePayments } from './paymentGateway.js';
+import { issueMissingStoreInvoices } from './gstInvoice.js';
+import { expireInventoryLots } from './inventoryService.js';
+import { generateReorderDrafts } from './purchaseOrders.js';
+import { AuditChainError, createAuditCheckpoint } from './auditChain.js';
+import { recordSecurityEvent } from './securityEventService.js';
 
 /**
  * Initialize cron jobs for reminders
@@ -36,6 +44,132 @@ export const initializeCronJobs = () => {
     timezone: "Asia/Kolkata"
   });
 
+  // Pick up document extraction jobs left queued or interrupted by a restart
+  const resumeDocumentExtractions = async () => {
+    try {
+      const { resumed } = await resumePendingDocumentExtractions();
+      if (resumed > 0) {
+        console.log(`📄 Resumed ${resumed} pending document extraction jobs`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to resume document extraction jobs:', error);
+    }
+  };
+  resumeDocumentExtractions();
+  cron.schedule('*/5 * * * *', resumeDocumentExtractions, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  // Escalate SOS events nobody has acknowledged in time
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { escalated } = await runSosEscalations();
+      if (escalated > 0) {
+        console.log(`🚨 Ran ${escalated} SOS escalation steps`);
+      }
+    } catch (error) {
+      console.error('❌ SOS escalation run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  // Cancel online store orders whose payment never completed
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const { expired } = await expireStalePayments();
+      if (expired > 0) {
+        console.log(`💳 Cancelled ${expired} store orders with expired payments`);
+      }
+    } catch (error) {
+      console.error('❌ Payment expiry run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  // Invoice store orders that were paid or delivered without getting one
+  cron.schedule('20 * * * *', async () => {
+    try {
+      const { issued } = await issueMissingStoreInvoices();
+      if (issued > 0) {
+        console.log(`🧾 Issued ${issued} missing GST invoices`);
+      }
+    } catch (error) {
+      console.error('❌ GST invoice catch-up run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  // Write off inventory lots that passed their expiry date
+  cron.schedule('15 0 * * *', async () => {
+    try {
+      const { expiredLots, unitsWrittenOff } = await expireInventoryLots();
+      if (expiredLots > 0) {
+        console.log(`📦 Expired ${expiredLots} inventory lots (${unitsWrittenOff} units written off)`);
+      }
+    } catch (error) {
+      console.error('❌ Inventory lot expiry run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  // Draft purchase orders for products that fell below their reorder level
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const { drafts, unassigned } = await generateReorderDrafts();
+      if (drafts.length > 0) {
+        console.log(`🧾 Refreshed ${drafts.length} automatic reorder drafts`);
+      }
+      if (unassigned.length > 0) {
+        console.warn(`⚠️ No active supplier for low-stock products: ${unassigned.join(', ')}`);
+      }
+    } catch (error) {
+      console.error('❌ Automatic reorder run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
+  // Sign a checkpoint over the audit-log hash chain; a broken chain raises a security event
+  cron.schedule('45 0 * * *', async () => {
+    try {
+      const { created, checkpoint } = await createAuditCheckpoint();
+      if (created) {
+        console.log(`🔏 Audit log checkpoint signed at ${checkpoint.recordCount} entries`);
+      }
+    } catch (error) {
+      if (error instanceof AuditChainError && error.report?.issueCount) {
+        console.error(`🚨 Audit log chain verification found ${error.report.issueCount} issues`);
+        await recordSecurityEvent({
+          eventType: 'CRITICAL_SECURITY_EVENT',
+          severity: 'HIGH',
+          actorId: 'system',
+          actorRole: 'system',
+          reason: 'Audit log hash chain failed verification',
+          metadata: { issueCount: error.report.issueCount, issues: error.report.issues.slice(0, 20) },
+        });
+        return;
+      }
+      if (error instanceof AuditChainError) {
+        console.warn(`⚠️ Audit log checkpoint skipped: ${error.message}`);
+        return;
+      }
+      console.error('❌ Audit log checkpoint run failed:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+
   console.log('✅ Cron jobs initialized successfully');
 };
 
@@ -0,0 +1,474 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Appointment } from "../models/Appointment.js";
+import { DoctorAvailability } from "../models/DoctorAvailability.js";
+import { DoctorAvailabilityException } from "../models/DoctorAvailabilityException.js";
+import { DoctorScheduleLock } from "../models/DoctorScheduleLock.js";
+
+/**
+ * Doctor schedules and slot booking. A doctor keeps recurring weekly windows
+ * plus date-specific exceptions (leave, blocked hours). Times are clinic
+ * wall-clock "HH:MM" in IST and dates are "YYYY-MM-DD", matching how
+ * appointments store appointmentDate + appointmentTime.
+ *
+ * Bookings for a doctor-day are serialised with a short lease so two
+ * requests cannot both pass the overlap check and claim the same time.
+ */
+
+const CLINIC_TIME_ZONE = "Asia/Kolkata";
+const CLINIC_UTC_OFFSET = "+05:30";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_APPOINTMENT_MINUTES = 30;
+const LOCK_LEASE_MS = 10 * 1000;
+const LOCK_RETRY_MS = 100;
+const LOCK_ATTEMPTS = 30;
+// Cancelled appointments free their time; everything else still holds it
+const RELEASED_STATUSES = ["cancelled"];
+
+export class AvailabilityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AvailabilityError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * "09:30", "9:30" or "9:30 AM" -> minutes since midnight; null when the
+ * value is not a time of day.
+ */
+export const parseTimeOfDay = (value) => {
+  const match = asText(value).match(/^(\d{1,2}):(\d{2})(?:\s*([AaPp])[Mm])?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.toUpperCase();
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "P" ? 12 : 0);
+  }
+  if (hours > 23) return null;
+  return hours * 60 + minutes;
+};
+
+export const formatTimeOfDay = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const clinicDateFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: CLINIC_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * Calendar date ("YYYY-MM-DD") a value falls on in the clinic's time zone.
+ * Plain date strings are taken as-is.
+ */
+export const toDateKey = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : clinicDateFormatter.format(value);
+  }
+
+  const raw = asText(value);
+  if (!raw) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    const date = new Date(`${raw}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === raw ? raw : null;
+  }
+
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : clinicDateFormatter.format(date);
+};
+
+const requireDateKey = (value, label = "date") => {
+  const dateKey = toDateKey(value);
+  if (!dateKey) throw new AvailabilityError(`${label} must be a valid date (YYYY-MM-DD)`);
+  return dateKey;
+};
+
+const dayOfWeekFor = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const clinicDayStart = (dateKey) => new Date(`${dateKey}T00:00:00${CLINIC_UTC_OFFSET}`);
+
+const clinicNow = (now) => ({
+  dateKey: toDateKey(now),
+  minutes: Math.floor((now.getTime() - clinicDayStart(toDateKey(now)).getTime()) / 60000),
+});
+
+const overlaps = (start, end, otherStart, otherEnd) => start < otherEnd && otherStart < end;
+
+const assertDoctorId = (doctorId) => {
+  if (!mongoose.Types.ObjectId.isValid(asText(doctorId))) {
+    throw new AvailabilityError("Invalid doctor id");
+  }
+};
+
+// ---------------------------------------------------------- weekly schedule
+
+const readWindow = (input, index) => {
+  const label = `Schedule entry ${index + 1}`;
+  const dayOfWeek = Number(input?.dayOfWeek);
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    throw new AvailabilityError(`${label}: dayOfWeek must be 0 (Sunday) to 6 (Saturday)`);
+  }
+
+  const start = parseTimeOfDay(input?.startTime);
+  const end = parseTimeOfDay(input?.endTime);
+  if (start == null || end == null) throw new AvailabilityError(`${label}: startTime and endTime must be HH:MM`);
+  if (end <= start) throw new AvailabilityError(`${label}: endTime must be after startTime`);
+
+  const slotDuration = input?.slotDuration == null ? 15 : Number(input.slotDuration);
+  if (!Number.isInteger(slotDuration) || slotDuration < 15 || slotDuration > 120) {
+    throw new AvailabilityError(`${label}: slotDuration must be 15 to 120 minutes`);
+  }
+  if (start + slotDuration > end) {
+    throw new AvailabilityError(`${label}: window is shorter than one slot`);
+  }
+
+  const validFrom = input?.validFrom ? requireDateKey(input.validFrom, `${label}: validFrom`) : null;
+  const validUntil = input?.validUntil ? requireDateKey(input.validUntil, `${label}: validUntil`) : null;
+  if (validFrom && validUntil && validUntil < validFrom) {
+    throw new AvailabilityError(`${label}: validUntil must not be before validFrom`);
+  }
+
+  return {
+    dayOfWeek,
+    startTime: formatTimeOfDay(start),
+    endTime: formatTimeOfDay(end),
+    slotDuration,
+    validFrom,
+    validUntil,
+  };
+};
+
+// Two windows clash when they share a weekday and their validity periods meet
+const windowsClash = (a, b) =>
+  a.dayOfWeek === b.dayOfWeek &&
+  overlaps(parseTimeOfDay(a.startTime), parseTimeOfDay(a.endTime), parseTimeOfDay(b.startTime), parseTimeOfDay(b.endTime)) &&
+  (a.validUntil || "9999-12-31") >= (b.validFrom || "0000-01-01") &&
+  (b.validUntil || "9999-12-31") >= (a.validFrom || "0000-01-01");
+
+export const getWeeklySchedule = async (doctorId) => {
+  assertDoctorId(doctorId);
+  return DoctorAvailability.find({ doctorId }).sort({ dayOfWeek: 1, startTime: 1 }).lean();
+};
+
+/**
+ * Replace the doctor's weekly schedule. Existing appointments are left alone;
+ * the schedule only governs new bookings.
+ */
+export const setWeeklySchedule = async (doctorId, slots) => {
+  assertDoctorId(doctorId);
+  if (!Array.isArray(slots)) throw new AvailabilityError("slots array is required");
+
+  const windows = slots.map(readWindow);
+  for (let i = 0; i < windows.length; i += 1) {
+    for (let j = i + 1; j < windows.length; j += 1) {
+      if (windowsClash(windows[i], windows[j])) {
+        throw new AvailabilityError(
+          `Schedule entries ${i + 1} and ${j + 1} overlap on the same day`
+        );
+      }
+    }
+  }
+
+  // New windows go in before the old ones come out, so a failed write
+  // leaves the previous schedule in place instead of none at all
+  const previous = await DoctorAvailability.find({ doctorId }).select("_id").lean();
+  const created = windows.length
+    ? await DoctorAvailability.insertMany(windows.map((window) => ({ ...window, doctorId })))
+    : [];
+  if (previous.length) {
+    await DoctorAvailability.deleteMany({ doctorId, _id: { $in: previous.map(({ _id }) => _id) } });
+  }
+  return created;
+};
+
+// ---------------------------------------------------------------- exceptions
+
+export const listAvailabilityExceptions = async (doctorId, { from, to } = {}) => {
+  assertDoctorId(doctorId);
+  const filter = { doctorId };
+  if (from) filter.endDate = { $gte: requireDateKey(from, "from") };
+  if (to) filter.startDate = { $lte: requireDateKey(to, "to") };
+  return DoctorAvailabilityException.find(filter).sort({ startDate: 1, startTime: 1 }).limit(500).lean();
+};
+
+// Whole-day exceptions cover any time; blocked windows only the times they overlap
+const exceptionCovers = (exception, dateKey, start, end) => {
+  if (dateKey < exception.startDate || dateKey > exception.endDate) return false;
+  if (!exception.startTime) return true;
+  return overlaps(start, end, parseTimeOfDay(exception.startTime), parseTimeOfDay(exception.endTime));
+};
+
+const findActiveAppointments = async ({ doctorId, fromKey, toKey, excludeAppointmentId }) => {
+  const filter = {
+    doctorId,
+    status: { $nin: RELEASED_STATUSES },
+    appointmentDate: {
+      $gte: clinicDayStart(fromKey),
+      $lt: new Date(clinicDayStart(toKey).getTime() + DAY_MS),
+    },
+  };
+  if (excludeAppointmentId) filter._id = { $ne: excludeAppointmentId };
+
+  const appointments = await Appointment.find(filter)
+    .select("appointmentDate appointmentTime duration status patientName")
+    .lean();
+  return appointments
+    .map((appointment) => {
+      const start = parseTimeOfDay(appointment.appointmentTime);
+      return {
+        ...appointment,
+        dateKey: toDateKey(appointment.appointmentDate),
+        start,
+        end: start == null ? null : start + (appointment.duration || DEFAULT_APPOINTMENT_MINUTES),
+      };
+    })
+    .filter((appointment) => appointment.start != null);
+};
+
+/**
+ * Add leave (whole days over a date range) or a blocked window on one date.
+ * Appointments already booked in that time are returned so the doctor can
+ * move them; they are not cancelled automatically.
+ */
+export const addAvailabilityException = async (doctorId, body = {}) => {
+  assertDoctorId(doctorId);
+  const type = asText(body.type).toUpperCase() || "BLOCK";
+  if (!["LEAVE", "BLOCK"].includes(type)) throw new AvailabilityError("type must be LEAVE or BLOCK");
+
+  const startDate = requireDateKey(body.startDate ?? body.date, "startDate");
+  const endDate = body.endDate ? requireDateKey(body.endDate, "endDate") : startDate;
+  if (endDate < startDate) throw new AvailabilityError("endDate must not be before startDate");
+
+  let startTime = "";
+  let endTime = "";
+  if (type === "BLOCK" && (body.startTime || body.endTime)) {
+    const start = parseTimeOfDay(body.startTime);
+    const end = parseTimeOfDay(body.endTime);
+    if (start == null || end == null || end <= start) {
+      throw new AvailabilityError("A blocked window needs startTime before endTime (HH:MM)");
+    }
+    if (endDate !== startDate) {
+      throw new AvailabilityError("A blocked window with times must be on a single date");
+    }
+    startTime = formatTimeOfDay(start);
+    endTime = formatTimeOfDay(end);
+  }
+
+  const exception = await DoctorAvailabilityException.create({
+    doctorId,
+    type,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    reason: asText(body.reason).slice(0, 300),
+  });
+
+  const appointments = await findActiveAppointments({ doctorId, fromKey: startDate, toKey: endDate });
+  const affectedAppointments = appointments
+    .filter((appointment) => exceptionCovers(exception, appointment.dateKey, appointment.start, appointment.end))
+    .map(({ _id, dateKey, appointmentTime, patientName, status }) => ({
+      _id,
+      date: dateKey,
+      appointmentTime,
+      patientName,
+      status,
+    }));
+
+  return { exception, affectedAppointments };
+};
+
+export const removeAvailabilityException = async (doctorId, exceptionId) => {
+  assertDoctorId(doctorId);
+  if (!mongoose.Types.ObjectId.isValid(asText(exceptionId))) {
+    throw new AvailabilityError("Invalid exception id");
+  }
+  const removed = await DoctorAvailabilityException.findOneAndDelete({ _id: exceptionId, doctorId }).lean();
+  if (!removed) throw new AvailabilityError("Availability exception not found", 404);
+  return removed;
+};
+
+// ------------------------------------------------------------------ slots
+
+const loadDay = async ({ doctorId, dateKey, excludeAppointmentId }) => {
+  const [schedule, exceptions, appointments] = await Promise.all([
+    DoctorAvailability.find({ doctorId }).lean(),
+    DoctorAvailabilityException.find({
+      doctorId,
+      startDate: { $lte: dateKey },
+      endDate: { $gte: dateKey },
+    }).lean(),
+    findActiveAppointments({ doctorId, fromKey: dateKey, toKey: dateKey, excludeAppointmentId }),
+  ]);
+
+  const dayOfWeek = dayOfWeekFor(dateKey);
+  const windows = schedule
+    .filter(
+      (window) =>
+        window.dayOfWeek === dayOfWeek &&
+        (!window.validFrom || window.validFrom <= dateKey) &&
+        (!window.validUntil || window.validUntil >= dateKey)
+    )
+    .map((window) => ({
+      ...window,
+      start: parseTimeOfDay(window.startTime),
+      end: parseTimeOfDay(window.endTime),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  return {
+    scheduleConfigured: schedule.length > 0,
+    windows,
+    exceptions,
+    appointments: appointments.filter((appointment) => appointment.dateKey === dateKey),
+  };
+};
+
+/**
+ * Free slots for a doctor on a date. Each weekly window is cut into
+ * slotDuration-long slots; slots touching leave, a blocked window, an
+ * existing appointment or the past are left out.
+ */
+export const getAvailableSlots = async (doctorId, date, { now = new Date() } = {}) => {
+  assertDoctorId(doctorId);
+  const dateKey = requireDateKey(date);
+  const day = await loadDay({ doctorId, dateKey });
+  const today = clinicNow(now);
+
+  const slots = [];
+  if (dateKey >= today.dateKey) {
+    for (const window of day.windows) {
+      for (let start = window.start; start + window.slotDuration <= window.end; start += window.slotDuration) {
+        const end = start + window.slotDuration;
+        if (dateKey === today.dateKey && start <= today.minutes) continue;
+        if (day.exceptions.some((exception) => exceptionCovers(exception, dateKey, start, end))) continue;
+        if (day.appointments.some((appointment) => overlaps(start, end, appointment.start, appointment.end))) continue;
+        slots.push({ startTime: formatTimeOfDay(start), endTime: formatTimeOfDay(end), duration: window.slotDuration });
+      }
+    }
+  }
+
+  return {
+    date: dateKey,
+    scheduleConfigured: day.scheduleConfigured,
+    onLeave: day.exceptions.some((exception) => !exception.startTime),
+    slots,
+  };
+};
+
+/**
+ * Check that a doctor can take an appointment at date + time. Overlap with
+ * other appointments is always refused. With enforceSchedule (patient
+ * bookings) the time must also start on a slot of a weekly window, fit
+ * before the window ends, avoid leave/blocks and lie in the future. Doctors
+ * who have not set up a weekly schedule yet accept any time.
+ *
+ * Returns the normalised { dateKey, appointmentTime, duration }; duration
+ * defaults to the window's slot length.
+ */
+export const checkSlotAvailability = async ({
+  doctorId,
+  date,
+  time,
+  duration,
+  excludeAppointmentId = null,
+  enforceSchedule = true,
+  now = new Date(),
+}) => {
+  const dateKey = requireDateKey(date, "appointmentDate");
+  const start = parseTimeOfDay(time);
+  if (start == null) throw new AvailabilityError("appointmentTime must be HH:MM");
+  const requestedDuration = duration == null || duration === "" ? null : Number(duration);
+  if (requestedDuration != null && (!Number.isInteger(requestedDuration) || requestedDuration < 15 || requestedDuration > 120)) {
+    throw new AvailabilityError("duration must be 15 to 120 minutes");
+  }
+
+  const day = await loadDay({ doctorId, dateKey, excludeAppointmentId });
+  let slotDuration = DEFAULT_APPOINTMENT_MINUTES;
+
+  if (enforceSchedule) {
+    const today = clinicNow(now);
+    if (dateKey < today.dateKey || (dateKey === today.dateKey && start <= today.minutes)) {
+      throw new AvailabilityError("Appointments must be booked for a future time");
+    }
+
+    if (day.scheduleConfigured) {
+      const window = day.windows.find(
+        (entry) => start >= entry.start && start < entry.end && (start - entry.start) % entry.slotDuration === 0
+      );
+      if (!window) throw new AvailabilityError("The doctor is not available at this time", 409);
+      slotDuration = window.slotDuration;
+      if (start + (requestedDuration ?? slotDuration) > window.end) {
+        throw new AvailabilityError("The appointment runs past the end of the doctor's hours", 409);
+      }
+    }
+
+    const end = start + (requestedDuration ?? slotDuration);
+    const exception = day.exceptions.find((entry) => exceptionCovers(entry, dateKey, start, end));
+    if (exception) {
+      throw new AvailabilityError(
+        exception.type === "LEAVE" ? "The doctor is on leave on this date" : "The doctor is unavailable at this time",
+        409
+      );
+    }
+  }
+
+  const appointmentDuration = requestedDuration ?? slotDuration;
+  const end = start + appointmentDuration;
+  if (day.appointments.some((appointment) => overlaps(start, end, appointment.start, appointment.end))) {
+    throw new AvailabilityError("This time overlaps another appointment with the doctor", 409);
+  }
+
+  return { dateKey, appointmentTime: formatTimeOfDay(start), duration: appointmentDuration };
+};
+
+const acquireDayLock = async (lockKey) => {
+  const lockId = crypto.randomUUID();
+  for (let attempt = 0; attempt < LOCK_ATTEMPTS; attempt += 1) {
+    const now = new Date();
+    try {
+      const lock = await DoctorScheduleLock.findOneAndUpdate(
+        { _id: lockKey, lockedUntil: { $not: { $gt: now } } },
+        { $set: { lockId, lockedUntil: new Date(now.getTime() + LOCK_LEASE_MS) } },
+        { upsert: true, new: true }
+      ).lean();
+      if (lock?.lockId === lockId) return lockId;
+    } catch (error) {
+      // The upsert collides with a lease someone else still holds
+      if (error?.code !== 11000) throw error;
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+  throw new AvailabilityError("The doctor's calendar is busy; please try again", 409);
+};
+
+/**
+ * Check a slot and run `persist(slot)` (which saves the appointment) while
+ * holding the doctor-day lease, so concurrent requests cannot double-book.
+ */
+export const reserveAppointmentSlot = async (params, persist) => {
+  assertDoctorId(params.doctorId);
+  const dateKey = requireDateKey(params.date, "appointmentDate");
+  const lockKey = `${params.doctorId}:${dateKey}`;
+  const lockId = await acquireDayLock(lockKey);
+
+  try {
+    const slot = await checkSlotAvailability(params);
+    return await persist(slot);
+  } finally {
+    await DoctorScheduleLock.updateOne(
+      { _id: lockKey, lockId },
+      { $set: { lockId: null, lockedUntil: null } }
+    ).catch((error) => console.error("⚠️ Failed to release doctor schedule lock:", error.message));
+  }
+};
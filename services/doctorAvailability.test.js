@@ -0,0 +1,171 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const scheduleFindMock = jest.fn();
+const exceptionFindMock = jest.fn();
+const appointmentFindMock = jest.fn();
+const lockFindOneAndUpdateMock = jest.fn();
+const lockUpdateOneMock = jest.fn(async () => ({}));
+const deleteManyMock = jest.fn(async () => ({}));
+const insertManyMock = jest.fn(async (docs) => docs);
+
+const chain = (resolve) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => resolve(),
+  };
+  return query;
+};
+
+await jest.unstable_mockModule("../models/DoctorAvailability.js", () => ({
+  DoctorAvailability: {
+    find: (...args) => chain(() => scheduleFindMock(...args)),
+    deleteMany: deleteManyMock,
+    insertMany: insertManyMock,
+  },
+}));
+await jest.unstable_mockModule("../models/DoctorAvailabilityException.js", () => ({
+  DoctorAvailabilityException: { find: (...args) => chain(() => exceptionFindMock(...args)) },
+}));
+await jest.unstable_mockModule("../models/Appointment.js", () => ({
+  Appointment: { find: (...args) => chain(() => appointmentFindMock(...args)) },
+}));
+await jest.unstable_mockModule("../models/DoctorScheduleLock.js", () => ({
+  DoctorScheduleLock: {
+    findOneAndUpdate: (...args) => ({ lean: async () => lockFindOneAndUpdateMock(...args) }),
+    updateOne: lockUpdateOneMock,
+  },
+}));
+
+const {
+  AvailabilityError,
+  checkSlotAvailability,
+  getAvailableSlots,
+  parseTimeOfDay,
+  reserveAppointmentSlot,
+  setWeeklySchedule,
+  toDateKey,
+} = await import("./doctorAvailability.js");
+
+const DOCTOR_ID = "64d000000000000000000001";
+// 2026-10-21 is a Wednesday; "now" is 08:00 IST that morning
+const DATE = "2026-10-21";
+const now = new Date("2026-10-21T02:30:00Z");
+const wednesdayMorning = { dayOfWeek: 3, startTime: "09:00", endTime: "10:00", slotDuration: 15 };
+
+describe("doctorAvailability", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduleFindMock.mockResolvedValue([wednesdayMorning]);
+    exceptionFindMock.mockResolvedValue([]);
+    appointmentFindMock.mockResolvedValue([]);
+  });
+
+  it("parses clinic times and dates and rejects overlapping weekly windows", async () => {
+    expect(parseTimeOfDay("9:30")).toBe(570);
+    expect(parseTimeOfDay("2:15 PM")).toBe(855);
+    expect(parseTimeOfDay("25:00")).toBeNull();
+    expect(toDateKey("2026-02-30")).toBeNull();
+    // 20:00 UTC is already the next day in IST
+    expect(toDateKey(new Date("2026-10-20T20:00:00Z"))).toBe(DATE);
+
+    await expect(
+      setWeeklySchedule(DOCTOR_ID, [
+        wednesdayMorning,
+        { dayOfWeek: 3, startTime: "09:45", endTime: "11:00", slotDuration: 15 },
+      ])
+    ).rejects.toThrow("overlap on the same day");
+    expect(deleteManyMock).not.toHaveBeenCalled();
+
+    scheduleFindMock.mockResolvedValueOnce([{ _id: "old-1" }, { _id: "old-2" }]);
+    await setWeeklySchedule(DOCTOR_ID, [{ dayOfWeek: 1, startTime: "9:00", endTime: "12:00" }]);
+    expect(insertManyMock).toHaveBeenCalledWith([
+      expect.objectContaining({ doctorId: DOCTOR_ID, startTime: "09:00", endTime: "12:00", slotDuration: 15 }),
+    ]);
+    expect(deleteManyMock).toHaveBeenCalledWith({ doctorId: DOCTOR_ID, _id: { $in: ["old-1", "old-2"] } });
+    expect(insertManyMock.mock.invocationCallOrder[0]).toBeLessThan(deleteManyMock.mock.invocationCallOrder[0]);
+
+    // A failed insert keeps the current schedule
+    jest.clearAllMocks();
+    scheduleFindMock.mockResolvedValueOnce([{ _id: "old-1" }]);
+    insertManyMock.mockRejectedValueOnce(new Error("write failed"));
+    await expect(
+      setWeeklySchedule(DOCTOR_ID, [{ dayOfWeek: 2, startTime: "10:00", endTime: "11:00" }])
+    ).rejects.toThrow("write failed");
+    expect(deleteManyMock).not.toHaveBeenCalled();
+  });
+
+  it("lists free slots around appointments, blocks and past times", async () => {
+    appointmentFindMock.mockResolvedValue([
+      { appointmentDate: new Date(`${DATE}T00:00:00Z`), appointmentTime: "09:15", duration: 15 },
+    ]);
+    exceptionFindMock.mockResolvedValue([
+      { type: "BLOCK", startDate: DATE, endDate: DATE, startTime: "09:45", endTime: "10:00" },
+    ]);
+
+    const result = await getAvailableSlots(DOCTOR_ID, DATE, { now });
+    expect(result.slots.map((slot) => slot.startTime)).toEqual(["09:00", "09:30"]);
+
+    const later = await getAvailableSlots(DOCTOR_ID, DATE, { now: new Date("2026-10-21T03:45:00Z") });
+    expect(later.slots.map((slot) => slot.startTime)).toEqual(["09:30"]);
+  });
+
+  it("refuses bookings off the slot grid, on leave or on top of another appointment", async () => {
+    await expect(
+      checkSlotAvailability({ doctorId: DOCTOR_ID, date: DATE, time: "09:10", now })
+    ).rejects.toThrow("not available at this time");
+    await expect(
+      checkSlotAvailability({ doctorId: DOCTOR_ID, date: DATE, time: "09:45", duration: 30, now })
+    ).rejects.toThrow("runs past the end");
+
+    await expect(
+      checkSlotAvailability({ doctorId: DOCTOR_ID, date: DATE, time: "09:15", now })
+    ).resolves.toEqual({ dateKey: DATE, appointmentTime: "09:15", duration: 15 });
+
+    appointmentFindMock.mockResolvedValue([
+      { appointmentDate: new Date(`${DATE}T00:00:00Z`), appointmentTime: "9:00 AM", duration: 30 },
+    ]);
+    const clash = checkSlotAvailability({ doctorId: DOCTOR_ID, date: DATE, time: "09:15", now });
+    await expect(clash).rejects.toBeInstanceOf(AvailabilityError);
+    await expect(clash).rejects.toThrow("overlaps another appointment");
+    // Doctors can book outside their hours, but still not over another appointment
+    await expect(
+      checkSlotAvailability({ doctorId: DOCTOR_ID, date: DATE, time: "18:00", enforceSchedule: false, now })
+    ).resolves.toEqual(expect.objectContaining({ appointmentTime: "18:00", duration: 30 }));
+
+    appointmentFindMock.mockResolvedValue([]);
+    exceptionFindMock.mockResolvedValue([{ type: "LEAVE", startDate: "2026-10-20", endDate: "2026-10-22" }]);
+    await expect(
+      checkSlotAvailability({ doctorId: DOCTOR_ID, date: DATE, time: "09:00", now })
+    ).rejects.toThrow("on leave");
+  });
+
+  it("saves under the doctor-day lease and waits for a lease held elsewhere", async () => {
+    const busy = Object.assign(new Error("duplicate key"), { code: 11000 });
+    lockFindOneAndUpdateMock
+      .mockRejectedValueOnce(busy)
+      .mockImplementationOnce(async (_filter, update) => ({ lockId: update.$set.lockId }));
+    const persist = jest.fn(async (slot) => ({ saved: slot.appointmentTime }));
+
+    await expect(
+      reserveAppointmentSlot({ doctorId: DOCTOR_ID, date: DATE, time: "09:30", now }, persist)
+    ).resolves.toEqual({ saved: "09:30" });
+
+    expect(lockFindOneAndUpdateMock).toHaveBeenCalledTimes(2);
+    expect(lockFindOneAndUpdateMock.mock.calls[1][0]._id).toBe(`${DOCTOR_ID}:${DATE}`);
+    expect(lockUpdateOneMock).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: `${DOCTOR_ID}:${DATE}` }),
+      { $set: { lockId: null, lockedUntil: null } }
+    );
+
+    // A refused slot still releases the lease and never persists
+    lockFindOneAndUpdateMock.mockImplementationOnce(async (_filter, update) => ({ lockId: update.$set.lockId }));
+    persist.mockClear();
+    await expect(
+      reserveAppointmentSlot({ doctorId: DOCTOR_ID, date: DATE, time: "07:00", now }, persist)
+    ).rejects.toThrow(AvailabilityError);
+    expect(persist).not.toHaveBeenCalled();
+    expect(lockUpdateOneMock).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,282 @@
+import { Document } from "../models/File.js";
+import { DocumentExtraction } from "../models/DocumentExtraction.js";
+import DocumentReader from "./documentReader.js";
+import { detectInputLanguage, estimateExtractionConfidence } from "./aiAssistantPolicy.js";
+import { syncDocumentObservations } from "./labObservationStore.js";
+
+const parsePositiveInteger = (value, fallback) => {
+  const parsed = Number.parseInt(String(value || ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const MAX_EXTRACTION_ATTEMPTS = parsePositiveInteger(
+  process.env.DOCUMENT_EXTRACTION_MAX_ATTEMPTS,
+  3
+);
+const STALE_PROCESSING_MS = parsePositiveInteger(
+  process.env.DOCUMENT_EXTRACTION_STALE_MS,
+  15 * 60 * 1000
+);
+const RESUME_BATCH_SIZE = 200;
+const PDF_PAGE_HEADER_PATTERN = /📄 \*\*Page (\d+)\*\*\n─+\n/g;
+
+const documentReader = new DocumentReader();
+const pendingDocumentIds = [];
+const pendingDocumentIdSet = new Set();
+let drainPromise = null;
+
+/**
+ * Split formatted extraction text back into pages. PDF text carries the
+ * "📄 **Page N**" headers added by DocumentReader.formatPDFText; every other
+ * file type is stored as a single page.
+ */
+export const splitExtractedPages = (text = "") => {
+  const source = String(text || "");
+  const headers = [...source.matchAll(PDF_PAGE_HEADER_PATTERN)];
+  if (!headers.length) {
+    return source.trim() ? [{ pageNumber: 1, text: source.trim() }] : [];
+  }
+
+  return headers.map((match, index) => {
+    const start = match.index + match[0].length;
+    const end = index + 1 < headers.length ? headers[index + 1].index : source.length;
+    return {
+      pageNumber: Number(match[1]) || index + 1,
+      text: source.slice(start, end).trim(),
+    };
+  });
+};
+
+const buildExtractionPayload = (document, extractionResult) => {
+  const text = String(extractionResult.text || "");
+  const { originalText, ...metadata } = extractionResult.metadata || {};
+
+  return {
+    userId: String(document.userId || ""),
+    s3Key: String(document.s3Key || ""),
+    text,
+    pages: splitExtractedPages(text),
+    language: text.trim() ? detectInputLanguage(text) : "",
+    confidence: estimateExtractionConfidence({ metadata, text }),
+    metadata,
+    wordCount: extractionResult.wordCount || 0,
+    characterCount: extractionResult.characterCount || text.length,
+  };
+};
+
+const toExtractionResult = (record, { cached }) => ({
+  success: true,
+  cached,
+  text: record.text || "",
+  metadata: record.metadata || {},
+  wordCount: record.wordCount || 0,
+  characterCount: record.characterCount || 0,
+  language: record.language || "",
+  confidence: record.confidence
+    ? { level: record.confidence.level, reasons: [...(record.confidence.reasons || [])] }
+    : null,
+  pageCount: Array.isArray(record.pages) ? record.pages.length : 0,
+});
+
+const extractDocument = async (document) => {
+  if (!document?.s3Key) {
+    throw new Error("Document file not found in storage");
+  }
+  const bucketName = document.s3Bucket || process.env.AWS_S3_BUCKET_NAME;
+  const extractionResult = await documentReader.extractTextFromS3(document.s3Key, bucketName);
+  if (!extractionResult?.success) {
+    throw new Error(extractionResult?.error || "Text extraction failed");
+  }
+  return buildExtractionPayload(document, extractionResult);
+};
+
+const syncObservations = async (document, text) => {
+  try {
+    await syncDocumentObservations(document, text);
+  } catch (error) {
+    console.error(`⚠️ Failed to store lab observations for document ${document?._id}:`, error.message);
+  }
+};
+
+/**
+ * Run a claimed extraction job. Claiming is a conditional status flip so two
+ * workers (or a restart mid-job) never extract the same document twice.
+ */
+export const processDocumentExtraction = async (documentId, { now = new Date() } = {}) => {
+  const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MS);
+  const claimed = await DocumentExtraction.findOneAndUpdate(
+    {
+      documentId,
+      $or: [
+        { status: "queued" },
+        { status: "processing", startedAt: { $lte: staleBefore } },
+      ],
+    },
+    { $set: { status: "processing", startedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const document = await Document.findById(documentId);
+  if (!document) {
+    await DocumentExtraction.deleteOne({ documentId });
+    return null;
+  }
+
+  try {
+    const payload = await extractDocument(document);
+    const record = await DocumentExtraction.findOneAndUpdate(
+      { documentId },
+      { $set: { ...payload, status: "completed", lastError: "", completedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    await syncObservations(document, payload.text);
+    return record;
+  } catch (error) {
+    const canRetry = claimed.attempts < MAX_EXTRACTION_ATTEMPTS;
+    console.error(`❌ Background extraction failed for document ${documentId}:`, error.message);
+    await DocumentExtraction.updateOne(
+      { documentId },
+      {
+        $set: {
+          status: canRetry ? "queued" : "failed",
+          lastError: String(error.message || "Extraction failed").slice(0, 500),
+          ...(canRetry ? { queuedAt: new Date() } : {}),
+        },
+      }
+    );
+    if (canRetry) scheduleDocumentId(String(documentId));
+    return null;
+  }
+};
+
+const drainQueue = async () => {
+  while (pendingDocumentIds.length) {
+    const documentId = pendingDocumentIds.shift();
+    pendingDocumentIdSet.delete(documentId);
+    try {
+      await processDocumentExtraction(documentId);
+    } catch (error) {
+      console.error(`❌ Extraction queue error for document ${documentId}:`, error);
+    }
+  }
+};
+
+const scheduleDocumentId = (documentId) => {
+  if (!pendingDocumentIdSet.has(documentId)) {
+    pendingDocumentIdSet.add(documentId);
+    pendingDocumentIds.push(documentId);
+  }
+  if (!drainPromise) {
+    drainPromise = new Promise((resolve) => setImmediate(resolve))
+      .then(drainQueue)
+      .finally(() => {
+        drainPromise = null;
+        if (pendingDocumentIds.length) scheduleDocumentId(pendingDocumentIds[0]);
+      });
+  }
+};
+
+/**
+ * Queue a document for background extraction. Completed extractions of the
+ * same S3 object are kept unless `force` is set (explicit re-run).
+ */
+export const enqueueDocumentExtraction = async (document, { requestedBy = "", force = false } = {}) => {
+  const documentId = document?._id;
+  if (!documentId) return null;
+
+  const existing = await DocumentExtraction.findOne({ documentId }).select("status s3Key");
+  if (!force && existing) {
+    const isCurrent =
+      existing.status === "completed" && existing.s3Key === String(document.s3Key || "");
+    if (isCurrent || existing.status === "processing") return existing;
+  }
+
+  const record = await DocumentExtraction.findOneAndUpdate(
+    { documentId },
+    {
+      $set: {
+        userId: String(document.userId || ""),
+        s3Key: String(document.s3Key || ""),
+        status: "queued",
+        attempts: 0,
+        lastError: "",
+        requestedBy: String(requestedBy || ""),
+        queuedAt: new Date(),
+        startedAt: null,
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  scheduleDocumentId(String(documentId));
+  return record;
+};
+
+/**
+ * Read a document's extracted text from the store. A document uploaded before
+ * background extraction existed (or whose job has not finished yet) is
+ * extracted inline once and the result is persisted for later requests.
+ */
+export const getDocumentExtraction = async (document) => {
+  const documentId = document?._id;
+  const cached = documentId
+    ? await DocumentExtraction.findOne({ documentId, status: "completed" })
+    : null;
+  if (cached && (!cached.s3Key || cached.s3Key === String(document.s3Key || ""))) {
+    return toExtractionResult(cached, { cached: true });
+  }
+
+  let payload;
+  try {
+    payload = await extractDocument(document);
+  } catch (error) {
+    return { success: false, error: error.message, text: "", metadata: {} };
+  }
+
+  if (documentId) {
+    try {
+      await DocumentExtraction.findOneAndUpdate(
+        { documentId },
+        {
+          $set: { ...payload, status: "completed", lastError: "", completedAt: new Date() },
+          $inc: { attempts: 1 },
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      console.error(`⚠️ Failed to persist extraction for document ${documentId}:`, error.message);
+    }
+    await syncObservations(document, payload.text);
+  }
+
+  return toExtractionResult(payload, { cached: false });
+};
+
+export const getDocumentExtractionStatus = async (documentId) =>
+  DocumentExtraction.findOne({ documentId }).select("-text -pages");
+
+export const removeDocumentExtraction = async (documentId) =>
+  DocumentExtraction.deleteOne({ documentId });
+
+/**
+ * Re-queue jobs that were waiting or interrupted (server restart, crashed
+ * worker). Safe to call repeatedly: claiming in processDocumentExtraction
+ * skips anything another worker is still actively processing.
+ */
+export const resumePendingDocumentExtractions = async ({ now = new Date() } = {}) => {
+  const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MS);
+  const pending = await DocumentExtraction.find({
+    $or: [
+      { status: "queued" },
+      { status: "processing", startedAt: { $lte: staleBefore } },
+    ],
+  })
+    .sort({ queuedAt: 1 })
+    .limit(RESUME_BATCH_SIZE)
+    .select("documentId")
+    .lean();
+
+  pending.forEach((record) => scheduleDocumentId(String(record.documentId)));
+  return { resumed: pending.length };
+};
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { createWorker } from 'tesseract.js';
+import WordExtractor from 'word-extractor';
 import axios from 'axios';
 import s3Client from '../config/s3.js';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
@@ -86,6 +87,12 @@ class DocumentReader {
         extractedText = result.text;
         metadata = { ...metadata, ...result.metadata };
         console.log(`✅ Text extraction completed. Text length: ${extractedText.length}`);
+      } else if (this.supportedTypes.docx.includes(fileExtension)) {
+        console.log(`📃 Extracting text from Word document...`);
+        const result = await this.extractFromWord(tempFilePath, fileExtension);
+        extractedText = result.text;
+        metadata = { ...metadata, ...result.metadata };
+        console.log(`✅ Word extraction completed. Text length: ${extractedText.length}`);
       } else {
         throw new Error(`Unsupported file type: ${fileExtension}. Supported types: ${Object.values(this.supportedTypes).flat().join(', ')}`);
       }
@@ -349,6 +356,95 @@ class DocumentReader {
     }
   }
 
+  /**
+   * Extract text from a Word document (.docx, or legacy binary .doc)
+   * Body paragraphs, table rows and page headers/footers are returned as one
+   * text block. Legacy .doc files that the OLE parser cannot read fall back to
+   * a raw text scan, flagged with `fallbackUsed` so confidence is lowered.
+   */
+  async extractFromWord(filePath, fileExtension = 'docx') {
+    const wordFormat = String(fileExtension || '').toLowerCase() === 'doc' ? 'doc' : 'docx';
+
+    try {
+      const document = await new WordExtractor().extract(filePath);
+      const headers = this.formatWordSection(document.getHeaders({ includeFooters: false }));
+      const footers = this.formatWordSection(document.getFooters());
+      const body = this.formatWordSection(document.getBody());
+      const tableRows = body.split('\n').filter((line) => line.includes(' | ')).length;
+
+      const sections = [];
+      if (headers) sections.push(`**Header:**\n${headers}`);
+      if (body) sections.push(body);
+      if (footers) sections.push(`**Footer:**\n${footers}`);
+
+      return {
+        text: sections.join('\n\n'),
+        metadata: {
+          wordFormat,
+          extractor: 'word-extractor',
+          hasHeaders: Boolean(headers),
+          hasFooters: Boolean(footers),
+          tableRows
+        }
+      };
+    } catch (error) {
+      if (wordFormat !== 'doc') {
+        throw new Error(`Word extraction failed: ${error.message}`);
+      }
+
+      console.warn(`⚠️ Legacy .doc parsing failed, scanning raw text: ${error.message}`);
+      const text = this.extractPrintableText(fs.readFileSync(filePath));
+      if (!text) {
+        throw new Error(`Word extraction failed: ${error.message}`);
+      }
+
+      return {
+        text,
+        metadata: {
+          wordFormat,
+          extractor: 'binary-scan',
+          extractionError: error.message,
+          fallbackUsed: true
+        }
+      };
+    }
+  }
+
+  /**
+   * Normalize a Word text section: table cells become " | " separated rows
+   */
+  formatWordSection(text) {
+    return String(text || '')
+      .split('\n')
+      .map((line) =>
+        line
+          .split('\t')
+          .map((cell) => cell.trim())
+          .filter(Boolean)
+          .join(' | ')
+      )
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Recover readable runs from a binary file, checking both 8-bit and UTF-16LE
+   * encodings since legacy Word stores text pieces in either form
+   */
+  extractPrintableText(buffer, minRunLength = 4) {
+    const runPattern = new RegExp(`[\\x20-\\x7E\\u00A0-\\u024F\\u0900-\\u0AFF\\t]{${minRunLength},}`, 'g');
+    const collectRuns = (decoded) =>
+      (decoded.match(runPattern) || [])
+        .map((run) => run.replace(/\s+/g, ' ').trim())
+        .filter((run) => /[A-Za-z\u0900-\u0AFF]{2,}/.test(run));
+
+    const latinRuns = collectRuns(buffer.toString('latin1'));
+    const utf16Runs = collectRuns(buffer.toString('utf16le'));
+    const runs = utf16Runs.join('').length > latinRuns.join('').length ? utf16Runs : latinRuns;
+
+    return runs.join('\n').trim();
+  }
+
   /**
    * Get file type category
    */
@@ -0,0 +1,109 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import DocumentReader from "./documentReader.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturePath = (name) => path.join(__dirname, "..", "test", "data", name);
+
+const copyToTemp = (sourcePath, name = path.basename(sourcePath)) => {
+  const tempPath = path.join(os.tmpdir(), `document-reader-${Date.now()}-${name}`);
+  fs.copyFileSync(sourcePath, tempPath);
+  return tempPath;
+};
+
+describe("DocumentReader Word extraction", () => {
+  const tempFiles = [];
+
+  afterEach(() => {
+    tempFiles.splice(0).forEach((filePath) => {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+    jest.restoreAllMocks();
+  });
+
+  it("extracts paragraphs, tables and headers from a .docx file", async () => {
+    const reader = new DocumentReader();
+    const result = await reader.extractFromWord(fixturePath("discharge-summary.docx"), "docx");
+
+    expect(result.text).toContain("DISCHARGE SUMMARY");
+    expect(result.text).toContain("Diagnosis: Type 2 diabetes mellitus");
+    expect(result.text).toContain("HbA1c | 7.2 % | 4.0 - 5.6");
+    expect(result.text).toContain("**Header:**\nCity General Hospital - Department of Medicine");
+    expect(result.text).toContain("**Footer:**\nConfidential medical record");
+    expect(result.metadata).toMatchObject({
+      wordFormat: "docx",
+      hasHeaders: true,
+      hasFooters: true,
+      tableRows: 3,
+    });
+    expect(result.metadata.fallbackUsed).toBeUndefined();
+  });
+
+  it("extracts body and header text from a legacy .doc file", async () => {
+    const reader = new DocumentReader();
+    const result = await reader.extractFromWord(fixturePath("referral-letter.doc"), "doc");
+
+    expect(result.text).toContain("Patient Name: Ravi Kulkarni");
+    expect(result.text).toContain("Medication: Amlodipine 5 mg once daily.");
+    expect(result.text).toContain("**Header:**\nSunrise Clinic Letterhead");
+    expect(result.metadata).toMatchObject({ wordFormat: "doc", extractor: "word-extractor" });
+  });
+
+  it("falls back to a raw text scan when a .doc file cannot be parsed", async () => {
+    const corrupted = fs.readFileSync(fixturePath("referral-letter.doc"));
+    corrupted.fill(0, 0, 8);
+    const tempPath = path.join(os.tmpdir(), `document-reader-${Date.now()}-corrupted.doc`);
+    fs.writeFileSync(tempPath, corrupted);
+    tempFiles.push(tempPath);
+
+    const reader = new DocumentReader();
+    const result = await reader.extractFromWord(tempPath, "doc");
+
+    expect(result.text).toContain("Patient Name: Ravi Kulkarni");
+    expect(result.metadata).toMatchObject({
+      wordFormat: "doc",
+      extractor: "binary-scan",
+      fallbackUsed: true,
+    });
+  });
+
+  it("rejects unreadable .docx files instead of guessing", async () => {
+    const tempPath = path.join(os.tmpdir(), `document-reader-${Date.now()}-broken.docx`);
+    fs.writeFileSync(tempPath, "not a zip archive");
+    tempFiles.push(tempPath);
+
+    const reader = new DocumentReader();
+    await expect(reader.extractFromWord(tempPath, "docx")).rejects.toThrow(
+      "Word extraction failed"
+    );
+  });
+
+  it("returns the standard extraction result shape for Word files from S3", async () => {
+    const reader = new DocumentReader();
+    jest
+      .spyOn(reader, "downloadFromS3")
+      .mockImplementation(async () => {
+        const tempPath = copyToTemp(fixturePath("discharge-summary.docx"));
+        tempFiles.push(tempPath);
+        return tempPath;
+      });
+
+    const result = await reader.extractTextFromS3(
+      "medical-vault/123-discharge-summary.docx",
+      "medical-vault-storage"
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.text).toContain("Metformin 500 mg twice daily");
+    expect(result.metadata).toMatchObject({
+      fileType: "docx",
+      fileExtension: "docx",
+      wordFormat: "docx",
+    });
+    expect(result.wordCount).toBeGreaterThan(10);
+    expect(result.characterCount).toBe(result.text.length);
+  });
+});
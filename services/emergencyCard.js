@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import { User } from "../models/User.js";
+import { EmergencyCardToken } from "../models/EmergencyCardToken.js";
+
+/**
+ * Offline-verifiable emergency medical card. The card is a compact JWS
+ * (header.payload.signature, EdDSA / Ed25519) so a responder app can verify
+ * it with the public keys from GET /api/public/emergency-card/keys and the
+ * revocation list, without reaching the server at scan time.
+ */
+
+const CARD_TYPE = "mvcard+jws";
+const DEFAULT_TTL_DAYS = 30;
+const MAX_LIST_ITEMS = 8;
+const MAX_ITEM_LENGTH = 60;
+const INACTIVE_CONDITION_STATUSES = new Set(["inactive", "resolved"]);
+
+export class EmergencyCardError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "EmergencyCardError";
+    this.statusCode = statusCode;
+  }
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+const readPem = (value) => String(value || "").replace(/\\n/g, "\n").trim();
+
+const getCardTtlMs = () => {
+  const days = Number(process.env.EMERGENCY_CARD_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+const keyIdFor = (publicKey) =>
+  crypto
+    .createHash("sha256")
+    .update(publicKey.export({ format: "der", type: "spki" }))
+    .digest("base64url")
+    .slice(0, 16);
+
+let cachedKeyring = null;
+
+/**
+ * Build the keyring from the environment. The signing key is
+ * EMERGENCY_CARD_SIGNING_KEY (PKCS#8 PEM); keys rotated out stay verifiable
+ * through EMERGENCY_CARD_RETIRED_KEYS, a JSON array of { kid, publicKey }.
+ * Outside production a throwaway key is generated so local setups work.
+ */
+export const loadEmergencyCardKeyring = ({ env = process.env, reload = false } = {}) => {
+  if (cachedKeyring && !reload && env === process.env) return cachedKeyring;
+
+  let privateKey;
+  const signingPem = readPem(env.EMERGENCY_CARD_SIGNING_KEY);
+  if (signingPem) {
+    privateKey = crypto.createPrivateKey(signingPem);
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+      throw new EmergencyCardError("EMERGENCY_CARD_SIGNING_KEY must be an Ed25519 key", 500);
+    }
+  } else if (env.NODE_ENV === "production") {
+    throw new EmergencyCardError("Emergency card signing key is not configured", 503);
+  } else {
+    console.warn("⚠️ EMERGENCY_CARD_SIGNING_KEY not set; using a temporary key for emergency cards");
+    privateKey = crypto.generateKeyPairSync("ed25519").privateKey;
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const activeKid = String(env.EMERGENCY_CARD_KEY_ID || "").trim() || keyIdFor(publicKey);
+
+  let retired = [];
+  try {
+    retired = JSON.parse(env.EMERGENCY_CARD_RETIRED_KEYS || "[]");
+  } catch {
+    console.error("❌ EMERGENCY_CARD_RETIRED_KEYS is not valid JSON; ignoring retired keys");
+  }
+
+  const publicKeys = new Map([[activeKid, { publicKey, status: "active" }]]);
+  (Array.isArray(retired) ? retired : []).forEach((entry) => {
+    const kid = String(entry?.kid || "").trim();
+    const pem = readPem(entry?.publicKey);
+    if (!kid || !pem || publicKeys.has(kid)) return;
+    publicKeys.set(kid, { publicKey: crypto.createPublicKey(pem), status: "retired" });
+  });
+
+  const keyring = { activeKid, privateKey, publicKeys };
+  if (env === process.env) cachedKeyring = keyring;
+  return keyring;
+};
+
+/**
+ * Public keys in JWKS form for responder apps to cache.
+ */
+export const getEmergencyCardJwks = (keyring = loadEmergencyCardKeyring()) => ({
+  keys: Array.from(keyring.publicKeys.entries()).map(([kid, { publicKey, status }]) => ({
+    ...publicKey.export({ format: "jwk" }),
+    kid,
+    alg: "EdDSA",
+    use: "sig",
+    status,
+  })),
+});
+
+const clip = (value) => String(value ?? "").trim().slice(0, MAX_ITEM_LENGTH);
+const compactList = (items) => items.map(clip).filter(Boolean).slice(0, MAX_LIST_ITEMS);
+
+/**
+ * The card claims. Short keys keep the QR small:
+ * n name, bt blood type, al allergies, ec emergency contact, cc critical
+ * (active) conditions, md current medications.
+ */
+export const buildEmergencyCardClaims = (user, { cardId, issuedAt = new Date(), expiresAt }) => {
+  const contact = user.emergencyContact || {};
+  const claims = {
+    v: 1,
+    jti: cardId,
+    sub: String(user._id),
+    iat: Math.floor(issuedAt.getTime() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+    n: clip(user.name),
+    bt: clip(user.bloodType) || undefined,
+    al: compactList(String(user.allergies || "").split(/[,;\n]+/)),
+    ec: clip(contact.name) || clip(contact.phone)
+      ? { n: clip(contact.name), r: clip(contact.relationship), p: clip(contact.phone) }
+      : undefined,
+    cc: compactList(
+      (user.medicalHistory || [])
+        .filter((entry) => !INACTIVE_CONDITION_STATUSES.has(String(entry?.status || "").toLowerCase()))
+        .map((entry) => entry?.condition)
+    ),
+    md: compactList(
+      (user.medications || []).map((entry) =>
+        [entry?.name, entry?.dosage, entry?.frequency].map((part) => String(part || "").trim()).filter(Boolean).join(" ")
+      )
+    ),
+  };
+  return JSON.parse(JSON.stringify(claims));
+};
+
+export const signEmergencyCard = (claims, keyring = loadEmergencyCardKeyring()) => {
+  const header = base64url(JSON.stringify({ alg: "EdDSA", kid: keyring.activeKid, typ: CARD_TYPE }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign(null, Buffer.from(`${header}.${payload}`), keyring.privateKey);
+  return `${header}.${payload}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Verify a card the same way a responder app would offline. Revocation is
+ * checked separately against the revocation list.
+ */
+export const verifyEmergencyCardToken = (token, { keyring = loadEmergencyCardKeyring(), now = new Date() } = {}) => {
+  const parts = String(token || "").trim().split(".");
+  if (parts.length !== 3) return { valid: false, reason: "malformed" };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return { valid: false, reason: "malformed" };
+  }
+
+  if (header.alg !== "EdDSA" || header.typ !== CARD_TYPE) return { valid: false, reason: "unsupported" };
+  const key = keyring.publicKeys.get(String(header.kid || ""));
+  if (!key) return { valid: false, reason: "unknown_key" };
+
+  const signatureOk = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key.publicKey,
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!signatureOk) return { valid: false, reason: "bad_signature" };
+  if (!claims.exp || claims.exp * 1000 <= now.getTime()) {
+    return { valid: false, reason: "expired", kid: header.kid, claims };
+  }
+  return { valid: true, kid: header.kid, claims };
+};
+
+/**
+ * Revoke a patient's active cards, e.g. on /api/qr/rotate or /expire-all.
+ */
+export const revokeEmergencyCards = async (patientId, reason = "revoked") => {
+  const result = await EmergencyCardToken.updateMany(
+    { patientId, status: "active" },
+    { status: "revoked", revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount || 0;
+};
+
+export const hasActiveEmergencyCard = async (patientId) =>
+  Boolean(
+    await EmergencyCardToken.exists({ patientId, status: "active", expiresAt: { $gt: new Date() } })
+  );
+
+/**
+ * Issue a fresh card for the patient; any previous card is revoked so only
+ * one is valid at a time.
+ */
+export const issueEmergencyCard = async (patientId, { qrCodeId = null, now = new Date() } = {}) => {
+  const user = await User.findById(patientId).select(
+    "name bloodType allergies emergencyContact medicalHistory medications"
+  );
+  if (!user) throw new EmergencyCardError("User not found", 404);
+
+  const keyring = loadEmergencyCardKeyring();
+  const cardId = crypto.randomBytes(16).toString("base64url");
+  const expiresAt = new Date(now.getTime() + getCardTtlMs());
+  const token = signEmergencyCard(
+    buildEmergencyCardClaims(user, { cardId, issuedAt: now, expiresAt }),
+    keyring
+  );
+
+  await revokeEmergencyCards(patientId, "replaced");
+  await EmergencyCardToken.create({
+    patientId,
+    cardId,
+    kid: keyring.activeKid,
+    qrCodeId,
+    issuedAt: now,
+    expiresAt,
+  });
+
+  return { token, cardId, kid: keyring.activeKid, expiresAt };
+};
+
+/**
+ * Revoked cards that have not expired yet; anything expired is rejected by
+ * the `exp` claim anyway.
+ */
+export const listRevokedEmergencyCards = async ({ since = null, now = new Date() } = {}) => {
+  const filter = { status: "revoked", expiresAt: { $gt: now } };
+  if (since) filter.revokedAt = { $gt: since };
+  const revoked = await EmergencyCardToken.find(filter)
+    .select("cardId revokedAt expiresAt")
+    .sort({ revokedAt: 1 })
+    .lean();
+  return revoked.map((entry) => ({
+    jti: entry.cardId,
+    revokedAt: entry.revokedAt,
+    exp: Math.floor(new Date(entry.expiresAt).getTime() / 1000),
+  }));
+};
+
+export const isEmergencyCardRevoked = async (cardId) =>
+  Boolean(await EmergencyCardToken.exists({ cardId, status: "revoked" }));
@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import { describe, expect, it } from "@jest/globals";
+import {
+  buildEmergencyCardClaims,
+  getEmergencyCardJwks,
+  loadEmergencyCardKeyring,
+  signEmergencyCard,
+  verifyEmergencyCardToken,
+} from "./emergencyCard.js";
+
+const pemPair = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  return {
+    privatePem: privateKey.export({ format: "pem", type: "pkcs8" }),
+    publicPem: publicKey.export({ format: "pem", type: "spki" }),
+  };
+};
+
+const user = {
+  _id: "65f1a2b3c4d5e6f708192a3b",
+  name: "Asha Rao",
+  bloodType: "B+",
+  allergies: "Penicillin, Sulfa",
+  emergencyContact: { name: "Ravi Rao", relationship: "Spouse", phone: "9123456780" },
+  medicalHistory: [
+    { condition: "Type 2 diabetes mellitus", status: "Active" },
+    { condition: "Appendicitis", status: "Resolved" },
+  ],
+  medications: [{ name: "Metformin", dosage: "500 mg", frequency: "twice daily" }],
+};
+
+const issuedAt = new Date("2026-03-01T00:00:00Z");
+const expiresAt = new Date("2026-03-31T00:00:00Z");
+
+describe("offline emergency card", () => {
+  it("builds compact claims with only active conditions", () => {
+    const claims = buildEmergencyCardClaims(user, { cardId: "card-1", issuedAt, expiresAt });
+
+    expect(claims).toEqual({
+      v: 1,
+      jti: "card-1",
+      sub: user._id,
+      iat: 1772323200,
+      exp: 1774915200,
+      n: "Asha Rao",
+      bt: "B+",
+      al: ["Penicillin", "Sulfa"],
+      ec: { n: "Ravi Rao", r: "Spouse", p: "9123456780" },
+      cc: ["Type 2 diabetes mellitus"],
+      md: ["Metformin 500 mg twice daily"],
+    });
+  });
+
+  it("verifies signed cards against the published keys and rejects tampering", () => {
+    const { privatePem } = pemPair();
+    const keyring = loadEmergencyCardKeyring({
+      env: { EMERGENCY_CARD_SIGNING_KEY: privatePem, EMERGENCY_CARD_KEY_ID: "card-key-2" },
+    });
+    const token = signEmergencyCard(
+      buildEmergencyCardClaims(user, { cardId: "card-1", issuedAt, expiresAt }),
+      keyring
+    );
+
+    expect(verifyEmergencyCardToken(token, { keyring, now: issuedAt })).toMatchObject({
+      valid: true,
+      kid: "card-key-2",
+      claims: { bt: "B+" },
+    });
+    expect(verifyEmergencyCardToken(token, { keyring, now: expiresAt }).reason).toBe("expired");
+
+    const [header, payload, signature] = token.split(".");
+    const forged = Buffer.from(payload, "base64url").toString("utf8").replace("B+", "O-");
+    expect(
+      verifyEmergencyCardToken(`${header}.${Buffer.from(forged).toString("base64url")}.${signature}`, {
+        keyring,
+        now: issuedAt,
+      }).reason
+    ).toBe("bad_signature");
+
+    expect(getEmergencyCardJwks(keyring).keys[0]).toMatchObject({
+      kty: "OKP",
+      crv: "Ed25519",
+      kid: "card-key-2",
+      alg: "EdDSA",
+      status: "active",
+    });
+  });
+
+  it("keeps cards signed with a retired key verifiable after rotation", () => {
+    const oldKey = pemPair();
+    const newKey = pemPair();
+    const oldKeyring = loadEmergencyCardKeyring({
+      env: { EMERGENCY_CARD_SIGNING_KEY: oldKey.privatePem, EMERGENCY_CARD_KEY_ID: "card-key-1" },
+    });
+    const token = signEmergencyCard(
+      buildEmergencyCardClaims(user, { cardId: "card-1", issuedAt, expiresAt }),
+      oldKeyring
+    );
+
+    const rotatedKeyring = loadEmergencyCardKeyring({
+      env: {
+        EMERGENCY_CARD_SIGNING_KEY: newKey.privatePem,
+        EMERGENCY_CARD_KEY_ID: "card-key-2",
+        EMERGENCY_CARD_RETIRED_KEYS: JSON.stringify([{ kid: "card-key-1", publicKey: oldKey.publicPem }]),
+      },
+    });
+
+    expect(verifyEmergencyCardToken(token, { keyring: rotatedKeyring, now: issuedAt }).valid).toBe(true);
+    expect(getEmergencyCardJwks(rotatedKeyring).keys.map((key) => [key.kid, key.status])).toEqual([
+      ["card-key-2", "active"],
+      ["card-key-1", "retired"],
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+
+const getSecret = (env) => {
+  const secret = String(env.FAKE_PAYMENT_WEBHOOK_SECRET || "").trim();
+  if (!secret) {
+    throw Object.assign(new Error("FAKE_PAYMENT_WEBHOOK_SECRET is not configured"), { statusCode: 503 });
+  }
+  return secret;
+};
+
+/**
+ * Sign a fake-provider webhook body the way the provider would, for tests
+ * and for simulating payments locally.
+ */
+export const signFakeWebhook = (rawBody, env = process.env) =>
+  crypto.createHmac("sha256", getSecret(env)).update(rawBody).digest("hex");
+
+/**
+ * Local provider with no network calls; refunds always succeed. Webhook bodies look like
+ * { id, event: "payment.succeeded" | "payment.failed", intentId, paymentId, amount, reason }
+ * signed in the X-Fake-Signature header.
+ */
+export const createFakePaymentProvider = ({ env = process.env } = {}) => {
+  // Refuse to load without a secret of the deployment's own choosing
+  getSecret(env);
+
+  return {
+    name: "fake",
+
+    async createIntent({ amountMinor, currency }) {
+      const intentId = `fake_order_${crypto.randomBytes(8).toString("hex")}`;
+      return { intentId, clientPayload: { orderId: intentId, amount: amountMinor, currency } };
+    },
+
+    async createRefund() {
+      return { refundId: `fake_refund_${crypto.randomBytes(8).toString("hex")}` };
+    },
+
+    verifyWebhook(rawBody, headers = {}) {
+      const expected = Buffer.from(signFakeWebhook(rawBody, env), "hex");
+      const provided = Buffer.from(String(headers["x-fake-signature"] || ""), "hex");
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    },
+
+    parseWebhook(payload) {
+      const base = {
+        eventId: String(payload?.id || ""),
+        rawType: String(payload?.event || ""),
+        intentId: String(payload?.intentId || ""),
+        providerPaymentId: String(payload?.paymentId || ""),
+        amountMinor: Number(payload?.amount ?? NaN),
+      };
+      if (payload?.event === "payment.succeeded") return { ...base, type: "succeeded" };
+      if (payload?.event === "payment.failed") {
+        return { ...base, type: "failed", failureReason: String(payload?.reason || "Payment failed") };
+      }
+      return { ...base, type: "ignored" };
+    },
+  };
+};
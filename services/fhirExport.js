@@ -0,0 +1,369 @@
+import crypto from "crypto";
+import { User } from "../models/User.js";
+import { Appointment } from "../models/Appointment.js";
+import { Session } from "../models/Session.js";
+import { Document } from "../models/File.js";
+import { generateSignedUrl } from "../utils/s3Utils.js";
+
+/**
+ * Builds a FHIR R4 `collection` Bundle from a patient's vault. Resources are
+ * linked with `urn:uuid:` full URLs derived from the Mongo ids, so repeated
+ * exports of the same record produce the same references.
+ */
+
+const FHIR_CONDITION_CLINICAL_SYSTEM = "http://terminology.hl7.org/CodeSystem/condition-clinical";
+const FHIR_CONDITION_CATEGORY_SYSTEM = "http://terminology.hl7.org/CodeSystem/condition-category";
+const FHIR_ALLERGY_CLINICAL_SYSTEM = "http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical";
+const FHIR_ACT_CODE_SYSTEM = "http://terminology.hl7.org/CodeSystem/v3-ActCode";
+const NO_KNOWN_ALLERGY_PATTERN = /^(none|nil|na|n\/a|no|nka|nkda|no known (drug )?allergies?)$/i;
+
+const APPOINTMENT_STATUS_MAP = {
+  scheduled: "booked",
+  confirmed: "booked",
+  rescheduled: "booked",
+  completed: "fulfilled",
+  cancelled: "cancelled",
+  "no-show": "noshow",
+};
+
+const SESSION_ENCOUNTER_STATUS_MAP = {
+  pending: "planned",
+  accepted: "in-progress",
+  declined: "cancelled",
+  ended: "finished",
+};
+
+const fullUrlFor = (resourceType, id) => {
+  const hex = crypto
+    .createHash("sha1")
+    .update(`medicalvault/${resourceType}/${id}`)
+    .digest("hex");
+  // RFC 4122 name-based (v5) layout
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const toFhirId = (value) =>
+  String(value || "").replace(/[^A-Za-z0-9\-.]/g, "-").slice(0, 64);
+
+const asText = (value) => String(value ?? "").trim();
+
+const toFhirDate = (value) => {
+  const text = asText(value);
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) return text;
+  if (!value) return null;
+  const parsed = value instanceof Date ? value : new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const toFhirDateTime = (value) => {
+  if (!value) return null;
+  const parsed = value instanceof Date ? value : new Date(asText(value));
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+const toFhirGender = (value) => {
+  const gender = asText(value).toLowerCase();
+  if (["male", "m"].includes(gender)) return "male";
+  if (["female", "f"].includes(gender)) return "female";
+  if (gender === "other") return "other";
+  return "unknown";
+};
+
+const toConditionClinicalStatus = (value) => {
+  const status = asText(value).toLowerCase();
+  if (["inactive", "remission", "resolved"].includes(status)) return status;
+  if (status === "cured") return "resolved";
+  return "active";
+};
+
+const withoutEmpty = (resource) =>
+  Object.fromEntries(
+    Object.entries(resource).filter(([, value]) => {
+      if (value === null || value === undefined || value === "") return false;
+      if (Array.isArray(value)) return value.length > 0;
+      if (typeof value === "object" && !(value instanceof Date)) return Object.keys(value).length > 0;
+      return true;
+    })
+  );
+
+const toEntry = (resource) => ({
+  fullUrl: fullUrlFor(resource.resourceType, resource.id),
+  resource,
+});
+
+const referenceTo = (resourceType, id, display) =>
+  withoutEmpty({ reference: fullUrlFor(resourceType, id), display: asText(display) });
+
+const buildPatientResource = (user) => {
+  const patientId = toFhirId(user._id);
+  const telecom = [];
+  if (asText(user.mobile)) telecom.push({ system: "phone", value: asText(user.mobile), use: "mobile" });
+  if (asText(user.email)) telecom.push({ system: "email", value: asText(user.email) });
+
+  const contact = user.emergencyContact || {};
+  const contacts = asText(contact.name) || asText(contact.phone)
+    ? [
+        withoutEmpty({
+          relationship: asText(contact.relationship) ? [{ text: asText(contact.relationship) }] : [],
+          name: asText(contact.name) ? { text: asText(contact.name) } : null,
+          telecom: asText(contact.phone) ? [{ system: "phone", value: asText(contact.phone) }] : [],
+        }),
+      ]
+    : [];
+
+  return withoutEmpty({
+    resourceType: "Patient",
+    id: patientId,
+    active: user.status ? user.status !== "BLOCKED" : user.isActive !== false,
+    name: asText(user.name) ? [{ text: asText(user.name) }] : [],
+    telecom,
+    gender: toFhirGender(user.gender),
+    birthDate: toFhirDate(user.dateOfBirth),
+    contact: contacts,
+  });
+};
+
+const buildAllergyResources = (user, patientId) =>
+  asText(user.allergies)
+    .split(/[,;\n]+/)
+    .map((item) => item.trim())
+    .filter((item) => item && !NO_KNOWN_ALLERGY_PATTERN.test(item))
+    .map((substance, index) => ({
+      resourceType: "AllergyIntolerance",
+      id: toFhirId(`${patientId}-allergy-${index + 1}`),
+      clinicalStatus: {
+        coding: [{ system: FHIR_ALLERGY_CLINICAL_SYSTEM, code: "active" }],
+      },
+      code: { text: substance },
+      patient: referenceTo("Patient", patientId),
+    }));
+
+const buildConditionResources = (user, patientId) =>
+  (user.medicalHistory || [])
+    .filter((entry) => asText(entry?.condition))
+    .map((entry, index) => {
+      const clinicalStatus = toConditionClinicalStatus(entry.status);
+      return withoutEmpty({
+        resourceType: "Condition",
+        id: toFhirId(entry._id || `${patientId}-condition-${index + 1}`),
+        clinicalStatus: {
+          coding: [{ system: FHIR_CONDITION_CLINICAL_SYSTEM, code: clinicalStatus }],
+          text: asText(entry.status) || undefined,
+        },
+        category: [
+          { coding: [{ system: FHIR_CONDITION_CATEGORY_SYSTEM, code: "problem-list-item" }] },
+        ],
+        code: { text: asText(entry.condition) },
+        subject: referenceTo("Patient", patientId),
+        onsetDateTime: toFhirDate(entry.diagnosed),
+      });
+    });
+
+const buildMedicationResources = (user, patientId) =>
+  (user.medications || [])
+    .filter((entry) => asText(entry?.name))
+    .map((entry, index) => {
+      const dosageText = [asText(entry.dosage), asText(entry.frequency)].filter(Boolean).join(", ");
+      return withoutEmpty({
+        resourceType: "MedicationStatement",
+        id: toFhirId(entry._id || `${patientId}-medication-${index + 1}`),
+        status: "active",
+        medicationCodeableConcept: { text: asText(entry.name) },
+        subject: referenceTo("Patient", patientId),
+        effectiveDateTime: toFhirDate(entry.prescribed),
+        dosage: dosageText ? [{ text: dosageText }] : [],
+      });
+    });
+
+const buildAppointmentResources = (appointments, patientId) =>
+  appointments.flatMap((appointment) => {
+    const appointmentId = toFhirId(appointment._id);
+    const start = toFhirDateTime(appointment.appointmentDate);
+    const minutes = Number(appointment.duration) || 30;
+    const end = start ? new Date(new Date(start).getTime() + minutes * 60 * 1000).toISOString() : null;
+    const reason = asText(appointment.reason);
+
+    const resources = [
+      withoutEmpty({
+        resourceType: "Appointment",
+        id: appointmentId,
+        status: APPOINTMENT_STATUS_MAP[appointment.status] || "booked",
+        appointmentType: { text: asText(appointment.appointmentType) || "consultation" },
+        description: reason,
+        start,
+        end,
+        minutesDuration: minutes,
+        comment: asText(appointment.notes),
+        participant: [
+          { actor: referenceTo("Patient", patientId, appointment.patientName), status: "accepted" },
+          { actor: { display: asText(appointment.doctorName) || "Doctor" }, status: "accepted" },
+        ],
+      }),
+    ];
+
+    if (appointment.status === "completed") {
+      resources.push(
+        withoutEmpty({
+          resourceType: "Encounter",
+          id: toFhirId(`${appointmentId}-encounter`),
+          status: "finished",
+          class: { system: FHIR_ACT_CODE_SYSTEM, code: "AMB", display: "ambulatory" },
+          subject: referenceTo("Patient", patientId),
+          participant: asText(appointment.doctorName)
+            ? [{ individual: { display: asText(appointment.doctorName) } }]
+            : [],
+          appointment: [referenceTo("Appointment", appointmentId)],
+          period: withoutEmpty({ start, end }),
+          reasonCode: reason ? [{ text: reason }] : [],
+        })
+      );
+    }
+
+    return resources;
+  });
+
+const escapeHtml = (value) =>
+  asText(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const buildSessionResources = (sessions, patientId) =>
+  sessions
+    .filter((session) => asText(session.diagnosis) || asText(session.notes))
+    .flatMap((session) => {
+      const encounterId = toFhirId(`session-${session._id}`);
+      const doctorName = asText(session.doctorId?.name);
+      const notes = asText(session.notes);
+      const diagnosis = asText(session.diagnosis);
+
+      const encounter = withoutEmpty({
+        resourceType: "Encounter",
+        id: encounterId,
+        status: SESSION_ENCOUNTER_STATUS_MAP[session.status] || "unknown",
+        class: { system: FHIR_ACT_CODE_SYSTEM, code: "AMB", display: "ambulatory" },
+        subject: referenceTo("Patient", patientId),
+        participant: doctorName ? [{ individual: { display: doctorName } }] : [],
+        period: withoutEmpty({
+          start: toFhirDateTime(session.visitDate || session.createdAt),
+          end: toFhirDateTime(session.endedAt),
+        }),
+        text: notes
+          ? {
+              status: "additional",
+              div: `<div xmlns="http://www.w3.org/1999/xhtml"><p>${escapeHtml(notes)}</p></div>`,
+            }
+          : null,
+      });
+      if (!diagnosis) return [encounter];
+
+      return [
+        encounter,
+        withoutEmpty({
+          resourceType: "Condition",
+          id: toFhirId(`session-${session._id}-diagnosis`),
+          clinicalStatus: {
+            coding: [{ system: FHIR_CONDITION_CLINICAL_SYSTEM, code: "active" }],
+          },
+          category: [
+            { coding: [{ system: FHIR_CONDITION_CATEGORY_SYSTEM, code: "encounter-diagnosis" }] },
+          ],
+          code: { text: diagnosis },
+          subject: referenceTo("Patient", patientId),
+          encounter: referenceTo("Encounter", encounterId),
+          recordedDate: toFhirDateTime(session.visitDate || session.createdAt),
+          note: notes ? [{ text: notes }] : [],
+        }),
+      ];
+    });
+
+const buildDocumentResources = (documents, patientId, documentUrls = {}) =>
+  documents.map((doc) => {
+    const category = asText(doc.category || doc.type) || "Report";
+    return withoutEmpty({
+      resourceType: "DocumentReference",
+      id: toFhirId(doc._id),
+      status: "current",
+      type: { text: asText(doc.type) || category },
+      category: [{ text: category }],
+      subject: referenceTo("Patient", patientId),
+      date: toFhirDateTime(doc.uploadedAt || doc.createdAt),
+      description: asText(doc.title),
+      content: [
+        {
+          attachment: withoutEmpty({
+            contentType: asText(doc.mimeType),
+            url: documentUrls[String(doc._id)] || "",
+            title: asText(doc.originalName || doc.title),
+            size: Number(doc.fileSize || doc.size) || null,
+            creation: toFhirDateTime(doc.date),
+          }),
+        },
+      ],
+    });
+  });
+
+/**
+ * Assemble the Bundle from already-loaded records. Kept free of database
+ * access so the mapping can be tested directly.
+ */
+export const buildPatientBundle = ({
+  user,
+  appointments = [],
+  sessions = [],
+  documents = [],
+  documentUrls = {},
+  now = new Date(),
+}) => {
+  const patient = buildPatientResource(user);
+  const resources = [
+    patient,
+    ...buildAllergyResources(user, patient.id),
+    ...buildConditionResources(user, patient.id),
+    ...buildMedicationResources(user, patient.id),
+    ...buildAppointmentResources(appointments, patient.id),
+    ...buildSessionResources(sessions, patient.id),
+    ...buildDocumentResources(documents, patient.id, documentUrls),
+  ];
+
+  return {
+    resourceType: "Bundle",
+    id: crypto.randomUUID(),
+    meta: { lastUpdated: now.toISOString() },
+    type: "collection",
+    timestamp: now.toISOString(),
+    entry: resources.map(toEntry),
+  };
+};
+
+/**
+ * Load a patient's vault and export it as a FHIR Bundle. Document URLs are
+ * short-lived signed S3 links; `fallbackUrlFor` supplies the API proxy URL
+ * when signing fails. Returns null when the patient does not exist.
+ */
+export const exportPatientBundle = async (patientId, { fallbackUrlFor = () => "" } = {}) => {
+  const user = await User.findById(patientId);
+  if (!user) return null;
+
+  const [appointments, sessions, documents] = await Promise.all([
+    Appointment.find({ patientId: String(patientId) }).sort({ appointmentDate: 1 }),
+    Session.find({ patientId }).populate("doctorId", "name").sort({ createdAt: 1 }),
+    Document.find({ userId: String(patientId) }).sort({ uploadedAt: 1 }),
+  ]);
+
+  const documentUrls = Object.fromEntries(
+    await Promise.all(
+      documents.map(async (doc) => {
+        try {
+          return [String(doc._id), await generateSignedUrl(doc.s3Key, doc.s3Bucket)];
+        } catch (error) {
+          console.error(`Error generating FHIR attachment URL for doc ${doc._id}:`, error.message);
+          return [String(doc._id), fallbackUrlFor(doc)];
+        }
+      })
+    )
+  );
+
+  return buildPatientBundle({ user, appointments, sessions, documents, documentUrls });
+};
@@ -0,0 +1,113 @@
+import { describe, expect, it } from "@jest/globals";
+import { buildPatientBundle } from "./fhirExport.js";
+
+const patientId = "65f1a2b3c4d5e6f708192a3b";
+
+const user = {
+  _id: patientId,
+  name: "Asha Rao",
+  email: "asha@example.com",
+  mobile: "9876543210",
+  gender: "Female",
+  dateOfBirth: "1974-03-09",
+  allergies: "Penicillin, Sulfa drugs",
+  emergencyContact: { name: "Ravi Rao", relationship: "Spouse", phone: "9123456780" },
+  medicalHistory: [{ condition: "Type 2 diabetes mellitus", diagnosed: "2020-01-15", status: "Controlled" }],
+  medications: [{ name: "Metformin", dosage: "500 mg", frequency: "twice daily", prescribed: "2024-01-15" }],
+};
+
+const resourcesOf = (bundle, type) =>
+  bundle.entry.map((entry) => entry.resource).filter((resource) => resource.resourceType === type);
+
+describe("FHIR R4 export", () => {
+  it("maps the patient profile, allergies, conditions and medications", () => {
+    const bundle = buildPatientBundle({ user, now: new Date("2026-03-01T00:00:00Z") });
+
+    expect(bundle).toMatchObject({ resourceType: "Bundle", type: "collection" });
+    // bdl-1: total is only allowed on searchset and history bundles
+    expect(bundle).not.toHaveProperty("total");
+    expect(bundle.entry).toHaveLength(5);
+    expect(resourcesOf(bundle, "Patient")[0]).toMatchObject({
+      id: patientId,
+      gender: "female",
+      birthDate: "1974-03-09",
+      contact: [{ name: { text: "Ravi Rao" }, relationship: [{ text: "Spouse" }] }],
+    });
+    expect(resourcesOf(bundle, "AllergyIntolerance").map((item) => item.code.text)).toEqual([
+      "Penicillin",
+      "Sulfa drugs",
+    ]);
+    expect(resourcesOf(bundle, "Condition")[0]).toMatchObject({
+      code: { text: "Type 2 diabetes mellitus" },
+      onsetDateTime: "2020-01-15",
+      clinicalStatus: { coding: [{ code: "active" }] },
+    });
+    expect(resourcesOf(bundle, "MedicationStatement")[0]).toMatchObject({
+      status: "active",
+      dosage: [{ text: "500 mg, twice daily" }],
+    });
+  });
+
+  it("links appointments, session diagnoses and documents to the patient entry", () => {
+    const bundle = buildPatientBundle({
+      user: { ...user, allergies: "None", medicalHistory: [], medications: [] },
+      appointments: [
+        {
+          _id: "65f1a2b3c4d5e6f708192a40",
+          appointmentDate: new Date("2026-02-10T05:00:00Z"),
+          duration: 30,
+          reason: "Diabetes follow-up",
+          status: "completed",
+          doctorName: "Dr. Mehta",
+        },
+      ],
+      sessions: [
+        {
+          _id: "65f1a2b3c4d5e6f708192a41",
+          status: "ended",
+          diagnosis: "Uncontrolled hyperglycaemia",
+          notes: "Increase metformin <check HbA1c>",
+          visitDate: new Date("2026-02-10T05:15:00Z"),
+          doctorId: { name: "Dr. Mehta" },
+        },
+      ],
+      documents: [
+        {
+          _id: "65f1a2b3c4d5e6f708192a42",
+          title: "HbA1c report",
+          type: "Report",
+          category: "Report",
+          mimeType: "application/pdf",
+          uploadedAt: new Date("2026-02-11T00:00:00Z"),
+        },
+      ],
+      documentUrls: { "65f1a2b3c4d5e6f708192a42": "https://signed.example/report.pdf" },
+    });
+
+    const patientUrl = bundle.entry[0].fullUrl;
+    expect(patientUrl).toMatch(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(resourcesOf(bundle, "AllergyIntolerance")).toHaveLength(0);
+    expect(resourcesOf(bundle, "Appointment")[0]).toMatchObject({
+      status: "fulfilled",
+      end: "2026-02-10T05:30:00.000Z",
+    });
+
+    const encounters = resourcesOf(bundle, "Encounter");
+    expect(encounters).toHaveLength(2);
+    expect(encounters.every((encounter) => encounter.subject.reference === patientUrl)).toBe(true);
+
+    const sessionEncounter = encounters.find((encounter) => encounter.id.startsWith("session-"));
+    expect(sessionEncounter.text.div).toContain("&lt;check HbA1c&gt;");
+    const diagnosis = resourcesOf(bundle, "Condition")[0];
+    expect(diagnosis.category[0].coding[0].code).toBe("encounter-diagnosis");
+    expect(
+      bundle.entry.find((entry) => entry.resource === sessionEncounter).fullUrl
+    ).toBe(diagnosis.encounter.reference);
+
+    expect(resourcesOf(bundle, "DocumentReference")[0]).toMatchObject({
+      status: "current",
+      subject: { reference: patientUrl },
+      content: [{ attachment: { url: "https://signed.example/report.pdf", contentType: "application/pdf" } }],
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { FieldReencryptionJob } from "../models/FieldReencryptionJob.js";
+import { User } from "../models/User.js";
+import { Document } from "../models/File.js";
+import { Session } from "../models/Session.js";
+import { LabObservation } from "../models/LabObservation.js";
+import { DocumentExtraction } from "../models/DocumentExtraction.js";
+import { HealthRecordImport } from "../models/HealthRecordImport.js";
+import { TwoFactorCredential } from "../models/TwoFactorCredential.js";
+import { isEncryptingSetter, loadFieldKeyring, planFieldReencryption } from "../utils/fieldEncryption.js";
+
+/**
+ * Moves every field stored through encryptField onto the active key, so a
+ * retired key can be dropped from DATA_ENCRYPTION_RETIRED_KEYS afterwards.
+ * Plaintext left over from before a key was configured is encrypted too.
+ *
+ * The job walks each collection in _id order through the raw driver (no
+ * getters or setters) and saves its position after every batch, so a
+ * restarted run picks up where the last one stopped. Each write only lands
+ * if the field still holds the value that was read; anything the app
+ * rewrote in between is already under the active key.
+ */
+
+const DEFAULT_BATCH_SIZE = 200;
+const LEASE_MS = 2 * 60 * 1000;
+const MAX_UNREADABLE_SAMPLES = 20;
+const RESUMABLE_STATUSES = ["running", "paused", "failed"];
+const COUNTERS = ["scanned", "reencrypted", "encrypted", "unreadable", "conflicts"];
+
+export const ENCRYPTED_MODELS = [
+  User,
+  Document,
+  Session,
+  LabObservation,
+  DocumentExtraction,
+  HealthRecordImport,
+  TwoFactorCredential,
+];
+
+export class FieldReencryptionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "FieldReencryptionError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Paths whose setter is encryptField (or wraps it). Fields inside arrays of
+ * subdocuments come back as "pages.$.text".
+ */
+export const findEncryptedPaths = (schema, prefix = "") => {
+  const paths = [];
+  schema.eachPath((path, schemaType) => {
+    if (isEncryptingSetter(schemaType.options?.set)) {
+      paths.push(`${prefix}${path}`);
+    } else if (schemaType.schema) {
+      const separator = schemaType.$isMongooseDocumentArray ? ".$." : ".";
+      paths.push(...findEncryptedPaths(schemaType.schema, `${prefix}${path}${separator}`));
+    }
+  });
+  return paths;
+};
+
+const readPath = (source, path) => path.split(".").reduce((value, key) => value?.[key], source);
+
+// "pages.$.text" on a document with three pages -> pages.0.text, pages.1.text, pages.2.text
+const expandPath = (doc, path) => {
+  const [arrayPath, rest] = path.split(".$.");
+  if (rest === undefined) return [path];
+  const items = readPath(doc, arrayPath);
+  return Array.isArray(items) ? items.map((_, index) => `${arrayPath}.${index}.${rest}`) : [];
+};
+
+const projectionFor = (paths) =>
+  Object.fromEntries(paths.map((path) => [path.split(".$.")[0], 1]));
+
+const toCursorId = (value) =>
+  mongoose.Types.ObjectId.isValid(value) && String(new mongoose.Types.ObjectId(value)) === value
+    ? new mongoose.Types.ObjectId(value)
+    : value;
+
+/**
+ * Changes one document needs; writes nothing.
+ */
+export const planDocumentReencryption = (doc, paths, keyring) => {
+  const set = {};
+  const expected = {};
+  const counts = { reencrypted: 0, encrypted: 0, unreadable: 0 };
+  const unreadablePaths = [];
+
+  for (const path of paths.flatMap((entry) => expandPath(doc, entry))) {
+    const current = readPath(doc, path);
+    if (typeof current !== "string") continue;
+    const plan = planFieldReencryption(current, keyring);
+    if (plan.action === "unreadable") {
+      counts.unreadable += 1;
+      unreadablePaths.push(path);
+    } else if (plan.action !== "keep") {
+      counts[plan.action === "encrypt" ? "encrypted" : "reencrypted"] += 1;
+      set[path] = plan.value;
+      expected[path] = current;
+    }
+  }
+  return { set, expected, counts, unreadablePaths };
+};
+
+const summarizeJob = (job) => {
+  const totals = Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+  (job.models || []).forEach((entry) => {
+    COUNTERS.forEach((counter) => {
+      totals[counter] += Number(entry[counter]) || 0;
+    });
+  });
+  return {
+    jobId: String(job._id),
+    targetKid: job.targetKid,
+    dryRun: job.dryRun === true,
+    status: job.status,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt || null,
+    error: job.error || "",
+    totals,
+    models: (job.models || []).map((entry) => ({
+      modelName: entry.modelName,
+      paths: entry.paths,
+      done: entry.done === true,
+      ...Object.fromEntries(COUNTERS.map((counter) => [counter, Number(entry[counter]) || 0])),
+      unreadableSamples: entry.unreadableSamples || [],
+    })),
+  };
+};
+
+/**
+ * Take the lease on the job for the active key: resume an unfinished one, or
+ * start a new one. Only one worker runs a job at a time.
+ */
+export const claimFieldReencryptionJob = async ({
+  dryRun = false,
+  startedBy = "system",
+  models = ENCRYPTED_MODELS,
+  keyring = loadFieldKeyring(),
+  now = new Date(),
+} = {}) => {
+  if (!keyring.activeKid) {
+    throw new FieldReencryptionError("DATA_ENCRYPTION_KEY is not configured", 409);
+  }
+
+  const leaseId = crypto.randomUUID();
+  const lease = { status: "running", leaseId, leaseUntil: new Date(now.getTime() + LEASE_MS), error: "" };
+  const existing = await FieldReencryptionJob.findOne({
+    targetKid: keyring.activeKid,
+    dryRun: dryRun === true,
+    status: { $in: RESUMABLE_STATUSES },
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  if (existing) {
+    const claimed = await FieldReencryptionJob.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: { $in: RESUMABLE_STATUSES },
+        $or: [{ status: { $ne: "running" } }, { leaseUntil: null }, { leaseUntil: { $lte: now } }],
+      },
+      { $set: lease },
+      { new: true }
+    ).lean();
+    if (!claimed) {
+      throw new FieldReencryptionError("A re-encryption job for this key is already running", 409);
+    }
+    return claimed;
+  }
+
+  const job = await FieldReencryptionJob.create({
+    targetKid: keyring.activeKid,
+    dryRun: dryRun === true,
+    startedBy,
+    startedAt: now,
+    ...lease,
+    models: models
+      .map((model) => ({ modelName: model.modelName, paths: findEncryptedPaths(model.schema) }))
+      .filter((entry) => entry.paths.length > 0),
+  });
+  return typeof job.toObject === "function" ? job.toObject() : job;
+};
+
+/**
+ * Work through a claimed job batch by batch. Resolves with the job summary
+ * once every model is done, or early if the job was paused or its lease lost.
+ */
+export const processFieldReencryptionJob = async (
+  job,
+  { batchSize = DEFAULT_BATCH_SIZE, models = ENCRYPTED_MODELS, keyring = loadFieldKeyring(), onProgress } = {}
+) => {
+  const modelsByName = new Map(models.map((model) => [model.modelName, model]));
+  const state = {
+    ...job,
+    models: job.models.map((entry) => ({
+      ...entry,
+      ...Object.fromEntries(COUNTERS.map((counter) => [counter, Number(entry[counter]) || 0])),
+      unreadableSamples: [...(entry.unreadableSamples || [])],
+    })),
+  };
+  const size = Math.min(Math.max(Number(batchSize) || DEFAULT_BATCH_SIZE, 1), 1000);
+
+  // Progress only sticks while this worker still holds a running lease
+  const saveProgress = async (update) => {
+    const result = await FieldReencryptionJob.updateOne(
+      { _id: job._id, leaseId: job.leaseId, status: "running" },
+      { $set: update }
+    );
+    return result.matchedCount > 0;
+  };
+
+  try {
+    if (state.targetKid !== keyring.activeKid) {
+      throw new FieldReencryptionError("The active encryption key changed since this job started", 409);
+    }
+
+    for (const [index, progress] of state.models.entries()) {
+      const model = modelsByName.get(progress.modelName);
+      if (progress.done || !model) continue;
+      const projection = projectionFor(progress.paths);
+
+      while (!progress.done) {
+        const filter = progress.lastId ? { _id: { $gt: toCursorId(progress.lastId) } } : {};
+        const docs = await model.collection.find(filter, { projection }).sort({ _id: 1 }).limit(size).toArray();
+
+        for (const doc of docs) {
+          const { set, expected, counts, unreadablePaths } = planDocumentReencryption(doc, progress.paths, keyring);
+          progress.scanned += 1;
+          progress.unreadable += counts.unreadable;
+          unreadablePaths.forEach((path) => {
+            if (progress.unreadableSamples.length < MAX_UNREADABLE_SAMPLES) {
+              progress.unreadableSamples.push(`${doc._id}:${path}`);
+            }
+          });
+
+          if (Object.keys(set).length > 0) {
+            const result = state.dryRun
+              ? { matchedCount: 1 }
+              : await model.collection.updateOne({ _id: doc._id, ...expected }, { $set: set });
+            if (result.matchedCount > 0) {
+              progress.reencrypted += counts.reencrypted;
+              progress.encrypted += counts.encrypted;
+            } else {
+              progress.conflicts += 1;
+            }
+          }
+          progress.lastId = String(doc._id);
+        }
+
+        progress.done = docs.length < size;
+        const stillOwned = await saveProgress({
+          [`models.${index}`]: { ...progress, unreadableSamples: [...progress.unreadableSamples] },
+          leaseUntil: new Date(Date.now() + LEASE_MS),
+        });
+        if (!stillOwned) {
+          console.warn(`⚠️ Re-encryption job ${job._id} was paused or taken over; stopping this worker`);
+          return summarizeJob({ ...state, status: "paused" });
+        }
+        onProgress?.(summarizeJob(state));
+      }
+    }
+
+    Object.assign(state, { status: "completed", finishedAt: new Date(), leaseId: null, leaseUntil: null });
+    await saveProgress({ status: "completed", finishedAt: state.finishedAt, leaseId: null, leaseUntil: null });
+    return summarizeJob(state);
+  } catch (error) {
+    await saveProgress({ status: "failed", error: String(error.message || error), leaseId: null, leaseUntil: null });
+    throw error;
+  }
+};
+
+export const runFieldReencryption = async (options = {}) =>
+  processFieldReencryptionJob(await claimFieldReencryptionJob(options), options);
+
+export const pauseFieldReencryption = async (jobId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(jobId || ""))) {
+    throw new FieldReencryptionError("Invalid job id");
+  }
+  const job = await FieldReencryptionJob.findOneAndUpdate(
+    { _id: jobId, status: "running" },
+    { $set: { status: "paused", leaseId: null, leaseUntil: null } },
+    { new: true }
+  ).lean();
+  if (!job) throw new FieldReencryptionError("No running re-encryption job with that id", 404);
+  return summarizeJob(job);
+};
+
+/**
+ * Key IDs in use (never key material) and the latest job's progress.
+ */
+export const getFieldEncryptionStatus = async ({ keyring = loadFieldKeyring() } = {}) => {
+  const latest = await FieldReencryptionJob.findOne({}).sort({ createdAt: -1 }).lean();
+  return {
+    activeKid: keyring.activeKid,
+    retiredKids: [...keyring.keys.keys()].filter((kid) => kid !== keyring.activeKid),
+    latestJob: latest ? summarizeJob(latest) : null,
+  };
+};
@@ -0,0 +1,184 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const jobUpdateOneMock = jest.fn();
+
+await jest.unstable_mockModule("../models/FieldReencryptionJob.js", () => ({
+  FieldReencryptionJob: {
+    updateOne: (...args) => jobUpdateOneMock(...args),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+const { encryptField, getCiphertextKeyId, loadFieldKeyring, tryDecryptField } = await import(
+  "../utils/fieldEncryption.js"
+);
+const { findEncryptedPaths, processFieldReencryptionJob } = await import("./fieldReencryption.js");
+
+const OLD_KEY = crypto.randomBytes(32);
+const NEW_KEY = crypto.randomBytes(32);
+const keyring = loadFieldKeyring({
+  env: {
+    DATA_ENCRYPTION_KEY: NEW_KEY.toString("hex"),
+    DATA_ENCRYPTION_KEY_ID: "key-2",
+    DATA_ENCRYPTION_RETIRED_KEYS: JSON.stringify([{ kid: "key-1", key: OLD_KEY.toString("base64") }]),
+  },
+});
+
+const encryptLegacy = (plain, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return `enc:v1:${iv.toString("base64")}:${cipher.getAuthTag().toString("base64")}:${data.toString("base64")}`;
+};
+
+const objectId = (suffix) => new mongoose.Types.ObjectId(`64f0000000000000000000${suffix}`);
+
+// Just enough of the driver collection for the job: _id cursor, limit and compare-and-set updates
+const fakeModel = (modelName, schema, docs) => {
+  const collection = {
+    docs,
+    updateOne: jest.fn(async ({ _id, ...expected }, { $set }) => {
+      const doc = docs.find((entry) => entry._id.equals(_id));
+      const read = (path) => path.split(".").reduce((value, key) => value?.[key], doc);
+      if (!doc || Object.entries(expected).some(([path, value]) => read(path) !== value)) {
+        return { matchedCount: 0 };
+      }
+      Object.entries($set).forEach(([path, value]) => {
+        const keys = path.split(".");
+        const parent = keys.slice(0, -1).reduce((target, key) => target[key], doc);
+        parent[keys[keys.length - 1]] = value;
+      });
+      return { matchedCount: 1 };
+    }),
+    find: jest.fn((filter) => {
+      let size = Infinity;
+      const cursor = {
+        sort: () => cursor,
+        limit: (value) => {
+          size = value;
+          return cursor;
+        },
+        toArray: async () =>
+          docs
+            .filter((doc) => !filter._id || String(doc._id) > String(filter._id.$gt))
+            .slice(0, size)
+            .map(({ _id, ...fields }) => ({ ...structuredClone(fields), _id })),
+      };
+      return cursor;
+    }),
+  };
+  return { modelName, schema, collection };
+};
+
+const patientSchema = new mongoose.Schema({
+  name: String,
+  aadhaar: { type: String, set: encryptField },
+  pages: [new mongoose.Schema({ text: { type: String, set: encryptField } })],
+});
+
+const jobFor = (model, progress = {}) => ({
+  _id: objectId("99"),
+  targetKid: "key-2",
+  dryRun: false,
+  status: "running",
+  leaseId: "lease-1",
+  models: [{ modelName: model.modelName, paths: findEncryptedPaths(model.schema), lastId: "", done: false, ...progress }],
+});
+
+describe("fieldReencryption", () => {
+  let model;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobUpdateOneMock.mockResolvedValue({ matchedCount: 1 });
+    model = fakeModel("Patient", patientSchema, [
+      { _id: objectId("01"), aadhaar: encryptLegacy("1111", OLD_KEY), pages: [{ text: "plain page" }] },
+      { _id: objectId("02"), aadhaar: "2222", pages: [] },
+      { _id: objectId("03"), aadhaar: encryptLegacy("3333", crypto.randomBytes(32)), pages: [] },
+    ]);
+  });
+
+  it("reads v1 and retired-key ciphertext and labels new ciphertext with the active key", () => {
+    expect(findEncryptedPaths(patientSchema)).toEqual(["aadhaar", "pages.$.text"]);
+    expect(tryDecryptField(encryptLegacy("legacy", OLD_KEY), keyring)).toBe("legacy");
+    expect(tryDecryptField(encryptLegacy("lost", crypto.randomBytes(32)), keyring)).toBeNull();
+    expect(tryDecryptField("not encrypted", keyring)).toBe("not encrypted");
+
+    const previous = { ...process.env };
+    process.env.DATA_ENCRYPTION_KEY = NEW_KEY.toString("hex");
+    process.env.DATA_ENCRYPTION_KEY_ID = "key-2";
+    try {
+      const stored = encryptField("9999");
+      expect(getCiphertextKeyId(stored)).toBe("key-2");
+      expect(tryDecryptField(stored, keyring)).toBe("9999");
+    } finally {
+      process.env = previous;
+    }
+  });
+
+  it("re-encrypts onto the active key in batches, resumably, and leaves data alone in a dry run", async () => {
+    const dryRun = await processFieldReencryptionJob({ ...jobFor(model), dryRun: true }, {
+      batchSize: 2,
+      models: [model],
+      keyring,
+    });
+    expect(model.collection.updateOne).not.toHaveBeenCalled();
+    expect(dryRun.totals).toEqual({ scanned: 3, reencrypted: 1, encrypted: 2, unreadable: 1, conflicts: 0 });
+
+    // Second document changed after it was read: the write is skipped, not clobbered
+    const originalFind = model.collection.find.getMockImplementation();
+    model.collection.find.mockImplementationOnce((...args) => {
+      const cursor = originalFind(...args);
+      const toArray = cursor.toArray;
+      cursor.toArray = async () => {
+        const docs = await toArray();
+        model.collection.docs[1].aadhaar = encryptField("changed");
+        return docs;
+      };
+      return cursor;
+    });
+
+    jobUpdateOneMock.mockClear();
+    const onProgress = jest.fn();
+    const summary = await processFieldReencryptionJob(jobFor(model), {
+      batchSize: 2,
+      models: [model],
+      keyring,
+      onProgress,
+    });
+
+    expect(summary.status).toBe("completed");
+    expect(summary.totals).toEqual({ scanned: 3, reencrypted: 1, encrypted: 1, unreadable: 1, conflicts: 1 });
+    expect(summary.models[0].unreadableSamples).toEqual([`${objectId("03")}:aadhaar`]);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+
+    const [first] = model.collection.docs;
+    expect(getCiphertextKeyId(first.aadhaar)).toBe("key-2");
+    expect(tryDecryptField(first.aadhaar, keyring)).toBe("1111");
+    expect(tryDecryptField(first.pages[0].text, keyring)).toBe("plain page");
+
+    // Each batch saves its position under this worker's lease
+    const [progressFilter, progressUpdate] = jobUpdateOneMock.mock.calls[0];
+    expect(progressFilter).toEqual({ _id: objectId("99"), leaseId: "lease-1", status: "running" });
+    expect(progressUpdate.$set["models.0"]).toMatchObject({ lastId: String(objectId("02")), done: false });
+
+    model.collection.find.mockClear();
+    const resumed = await processFieldReencryptionJob(
+      jobFor(model, { lastId: String(objectId("02")), scanned: 2 }),
+      { batchSize: 2, models: [model], keyring }
+    );
+    expect(model.collection.find.mock.calls[0][0]).toEqual({ _id: { $gt: objectId("02") } });
+    expect(resumed.totals.scanned).toBe(3);
+  });
+
+  it("stops when the job is paused from elsewhere", async () => {
+    jobUpdateOneMock.mockResolvedValue({ matchedCount: 0 });
+    const summary = await processFieldReencryptionJob(jobFor(model), { batchSize: 2, models: [model], keyring });
+    expect(summary.status).toBe("paused");
+    expect(summary.totals.scanned).toBe(2);
+  });
+});
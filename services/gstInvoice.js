@@ -0,0 +1,436 @@
+import PDFDocument from "pdfkit";
+import { StoreInvoice } from "../models/StoreInvoice.js";
+import { StoreOrder } from "../models/StoreOrder.js";
+
+/**
+ * GST tax invoices for store orders. Each order line carries the HSN code and
+ * GST rate copied from its Product at checkout. Deliveries inside the
+ * seller's state are split into CGST + SGST; anything else is charged IGST.
+ * Invoice numbers are sequential within an Indian financial year (April-March)
+ * with no gaps: a number exists only once its invoice has been stored.
+ *
+ * An invoice is issued when its order becomes invoiceable (payment settled,
+ * or delivery for cash on delivery) and is dated at that event, so the
+ * monthly GST summary holds every sale in the month it happened. Downloads
+ * only read the stored invoice.
+ */
+
+export const GST_RATES = [0, 5, 12, 18, 28];
+export const DEFAULT_GST_RATE = 18;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// GST state codes, used for place of supply
+const GST_STATE_CODES = {
+  "JAMMU AND KASHMIR": "01",
+  "HIMACHAL PRADESH": "02",
+  PUNJAB: "03",
+  CHANDIGARH: "04",
+  UTTARAKHAND: "05",
+  HARYANA: "06",
+  DELHI: "07",
+  RAJASTHAN: "08",
+  "UTTAR PRADESH": "09",
+  BIHAR: "10",
+  SIKKIM: "11",
+  "ARUNACHAL PRADESH": "12",
+  NAGALAND: "13",
+  MANIPUR: "14",
+  MIZORAM: "15",
+  TRIPURA: "16",
+  MEGHALAYA: "17",
+  ASSAM: "18",
+  "WEST BENGAL": "19",
+  JHARKHAND: "20",
+  ODISHA: "21",
+  CHHATTISGARH: "22",
+  "MADHYA PRADESH": "23",
+  GUJARAT: "24",
+  "DADRA AND NAGAR HAVELI AND DAMAN AND DIU": "26",
+  MAHARASHTRA: "27",
+  KARNATAKA: "29",
+  GOA: "30",
+  LAKSHADWEEP: "31",
+  KERALA: "32",
+  "TAMIL NADU": "33",
+  PUDUCHERRY: "34",
+  "ANDAMAN AND NICOBAR ISLANDS": "35",
+  TELANGANA: "36",
+  "ANDHRA PRADESH": "37",
+  LADAKH: "38",
+};
+
+export class InvoiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "InvoiceError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const normalizeGstRate = (value, fallback = DEFAULT_GST_RATE) => {
+  const rate = Number(value);
+  return GST_RATES.includes(rate) ? rate : fallback;
+};
+
+const normalizeStateName = (value) =>
+  asText(value).toUpperCase().replace(/&/g, "AND").replace(/[^A-Z ]/g, " ").replace(/\s+/g, " ").trim();
+
+export const getGstStateCode = (state) => GST_STATE_CODES[normalizeStateName(state)] || "";
+
+export const computeLineGst = (lineTotal, gstRate) => round2((Number(lineTotal) || 0) * (gstRate / 100));
+
+export const loadSellerProfile = (env = process.env) => ({
+  name: asText(env.STORE_LEGAL_NAME) || "Store",
+  gstin: asText(env.STORE_GSTIN).toUpperCase(),
+  address: asText(env.STORE_ADDRESS),
+  state: asText(env.STORE_STATE),
+  stateCode: getGstStateCode(env.STORE_STATE),
+});
+
+export const resolveSupplyType = (sellerState, deliveryState) =>
+  normalizeStateName(sellerState) && normalizeStateName(sellerState) === normalizeStateName(deliveryState)
+    ? "INTRA_STATE"
+    : "INTER_STATE";
+
+// "2026-27" for any date from 1 April 2026 to 31 March 2027, in IST
+export const getFinancialYear = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+export const buildInvoiceLines = (items = [], supplyType) =>
+  items.map((item) => {
+    const discount = round2(item.discount);
+    const taxableValue = round2(item.lineTotal - discount);
+    const gstRate = normalizeGstRate(item.gstRate);
+    const tax = computeLineGst(taxableValue, gstRate);
+    const cgst = supplyType === "INTRA_STATE" ? round2(tax / 2) : 0;
+    const sgst = supplyType === "INTRA_STATE" ? round2(tax - cgst) : 0;
+    const igst = supplyType === "INTRA_STATE" ? 0 : tax;
+    return {
+      description: asText(item.name) || "Item",
+      hsnCode: asText(item.hsnCode),
+      quantity: Math.max(1, Number(item.quantity) || 1),
+      unitPrice: round2(item.unitPrice),
+      discount,
+      taxableValue,
+      gstRate,
+      cgst,
+      sgst,
+      igst,
+      total: round2(taxableValue + tax),
+    };
+  });
+
+const sumLines = (lines, field) => round2(lines.reduce((sum, line) => sum + (Number(line[field]) || 0), 0));
+
+const MAX_ISSUE_ATTEMPTS = 5;
+
+const duplicateKeyOn = (error, field) => error?.code === 11000 && Boolean(error.keyPattern?.[field]);
+
+const isInvoiceable = (order) =>
+  !["AWAITING_VERIFICATION", "CANCELLED"].includes(order.status) &&
+  (order.paymentStatus === "PAID" || order.status === "DELIVERED");
+
+const latestDate = (...dates) =>
+  dates
+    .filter(Boolean)
+    .map((date) => new Date(date))
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+
+// When the order became invoiceable: payment (or, for a prescription order
+// paid up front, its approval) or else delivery
+export const getInvoiceableAt = (order) =>
+  order.paymentStatus === "PAID"
+    ? latestDate(order.payment?.paidAt, order.prescription?.reviewedAt)
+    : latestDate(order.deliveredAt);
+
+/**
+ * Issue the order's invoice with the next number, dated when the order became
+ * invoiceable. Returns the existing invoice if the order already has one.
+ */
+export const issueStoreInvoice = async (order, { now = new Date(), env = process.env } = {}) => {
+  const existing = await StoreInvoice.findOne({ orderId: order._id }).lean();
+  if (existing) return existing;
+  if (!isInvoiceable(order)) {
+    throw new InvoiceError("An invoice is available once the order is paid or delivered", 409);
+  }
+
+  const issuedAt = getInvoiceableAt(order) || now;
+
+  const seller = loadSellerProfile(env);
+  const delivery = order.delivery || {};
+  const supplyType = resolveSupplyType(seller.state, delivery.state);
+  const lines = buildInvoiceLines(order.items, supplyType);
+  const deliveryCharges = round2(order.totals?.deliveryCharges);
+  const totals = {
+    taxableValue: sumLines(lines, "taxableValue"),
+    cgst: sumLines(lines, "cgst"),
+    sgst: sumLines(lines, "sgst"),
+    igst: sumLines(lines, "igst"),
+    deliveryCharges,
+    grandTotal: round2(sumLines(lines, "total") + deliveryCharges),
+  };
+
+  const financialYear = getFinancialYear(issuedAt);
+  const prefix = asText(env.STORE_INVOICE_PREFIX) || "INV";
+  const snapshot = {
+    financialYear,
+    orderId: order._id,
+    principalId: order.principalId,
+    issuedAt,
+    supplyType,
+    seller,
+    buyer: {
+      name: asText(delivery.fullName),
+      address: [delivery.addressLine1, delivery.addressLine2, delivery.city, delivery.pincode]
+        .map(asText)
+        .filter(Boolean)
+        .join(", "),
+      state: asText(delivery.state),
+      stateCode: getGstStateCode(delivery.state),
+    },
+    lines,
+    totals,
+    paymentMethod: asText(order.paymentMethod),
+  };
+
+  // The number is the year's latest + 1 and is taken by inserting the invoice
+  // itself, so a lost race never burns a number: the unique index on orderId
+  // stops a second invoice for the order, the one on (financialYear, sequence)
+  // sends a different order racing for the same number round again.
+  for (let attempt = 1; attempt <= MAX_ISSUE_ATTEMPTS; attempt += 1) {
+    const latest = await StoreInvoice.findOne({ financialYear }).sort({ sequence: -1 }).select("sequence").lean();
+    const sequence = (latest?.sequence || 0) + 1;
+    try {
+      const invoice = await StoreInvoice.create({
+        ...snapshot,
+        invoiceNumber: `${prefix}/${financialYear}/${String(sequence).padStart(6, "0")}`,
+        sequence,
+      });
+      const issued = invoice.toObject();
+      await StoreOrder.updateOne({ _id: order._id }, { $set: { invoiceNumber: issued.invoiceNumber } });
+      return issued;
+    } catch (error) {
+      // Another request issued this order's invoice first
+      if (duplicateKeyOn(error, "orderId")) return StoreInvoice.findOne({ orderId: order._id }).lean();
+      if (!duplicateKeyOn(error, "sequence") && !duplicateKeyOn(error, "invoiceNumber")) throw error;
+    }
+  }
+  throw new InvoiceError("Could not assign an invoice number; try again", 409);
+};
+
+/**
+ * Issue the invoice for an order that just became invoiceable. Never throws:
+ * the payment or delivery that triggered it has already happened, and
+ * issueMissingStoreInvoices picks up any order this could not invoice.
+ */
+export const issueStoreInvoiceForOrder = async (orderId, { env = process.env } = {}) => {
+  try {
+    const order = await StoreOrder.findById(orderId).lean();
+    if (!order || !isInvoiceable(order)) return null;
+    return await issueStoreInvoice(order, { env });
+  } catch (error) {
+    console.error(`❌ Could not issue GST invoice for store order ${orderId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Invoice orders that became invoiceable without getting one. Safe to re-run.
+ */
+export const issueMissingStoreInvoices = async ({ limit = 200, env = process.env } = {}) => {
+  const orders = await StoreOrder.find({
+    invoiceNumber: { $in: ["", null] },
+    status: { $nin: ["AWAITING_VERIFICATION", "CANCELLED"] },
+    $or: [{ paymentStatus: "PAID" }, { status: "DELIVERED" }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let issued = 0;
+  for (const order of orders) {
+    try {
+      const invoice = await issueStoreInvoice(order, { env });
+      // Also records the number on orders invoiced before it was kept there
+      await StoreOrder.updateOne({ _id: order._id }, { $set: { invoiceNumber: invoice.invoiceNumber } });
+      issued += 1;
+    } catch (error) {
+      console.error(`❌ Could not issue GST invoice for store order ${order._id}:`, error.message);
+    }
+  }
+  return { issued };
+};
+
+export const getStoreInvoice = (orderId) => StoreInvoice.findOne({ orderId }).lean();
+
+const formatAmount = (value) => round2(value).toFixed(2);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", day: "2-digit", month: "short", year: "numeric" });
+
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { seller, buyer, totals } = invoice;
+    const intraState = invoice.supplyType === "INTRA_STATE";
+
+    doc.fontSize(16).text("TAX INVOICE", { align: "center" }).moveDown(0.5);
+    doc.fontSize(10);
+    doc.text(seller.name);
+    if (seller.address) doc.text(seller.address);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+    if (seller.state) doc.text(`State: ${seller.state}${seller.stateCode ? ` (${seller.stateCode})` : ""}`);
+    doc.moveDown();
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`);
+    doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`);
+    doc.text(`Order ID: ${invoice.orderId}`);
+    doc.text(`Place of Supply: ${buyer.state}${buyer.stateCode ? ` (${buyer.stateCode})` : ""}`);
+    doc.moveDown();
+    doc.text("Bill To:");
+    doc.text(buyer.name);
+    if (buyer.address) doc.text(buyer.address);
+    if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`);
+    doc.moveDown();
+
+    const columns = intraState
+      ? ["Item", "HSN", "Qty", "Rate", "Disc", "Taxable", "GST %", "CGST", "SGST", "Total"]
+      : ["Item", "HSN", "Qty", "Rate", "Disc", "Taxable", "GST %", "IGST", "Total"];
+    const widths = intraState
+      ? [110, 45, 28, 48, 45, 55, 35, 45, 45, 59]
+      : [135, 50, 28, 50, 50, 60, 35, 55, 52];
+    const drawRow = (cells, { bold = false } = {}) => {
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      cells.forEach((cell, index) => {
+        doc.text(String(cell), x, y, { width: widths[index] - 4, align: index < 2 ? "left" : "right" });
+        x += widths[index];
+      });
+      doc.x = doc.page.margins.left;
+      doc.moveDown(0.4);
+    };
+
+    drawRow(columns, { bold: true });
+    for (const line of invoice.lines) {
+      const taxCells = intraState ? [formatAmount(line.cgst), formatAmount(line.sgst)] : [formatAmount(line.igst)];
+      drawRow([
+        line.description,
+        line.hsnCode || "-",
+        line.quantity,
+        formatAmount(line.unitPrice),
+        formatAmount(line.discount),
+        formatAmount(line.taxableValue),
+        line.gstRate,
+        ...taxCells,
+        formatAmount(line.total),
+      ]);
+    }
+
+    doc.moveDown();
+    doc.font("Helvetica");
+    const summary = [
+      ["Taxable Value", totals.taxableValue],
+      ...(intraState ? [["CGST", totals.cgst], ["SGST", totals.sgst]] : [["IGST", totals.igst]]),
+      ["Delivery Charges", totals.deliveryCharges],
+      ["Grand Total (INR)", totals.grandTotal],
+    ];
+    for (const [label, value] of summary) {
+      doc.text(`${label}: ${formatAmount(value)}`, { align: "right" });
+    }
+    doc.moveDown();
+    doc.fontSize(8).text("This is a computer-generated invoice and does not require a signature.", { align: "center" });
+    doc.end();
+  });
+
+const parseMonth = (month) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(asText(month));
+  if (!match) throw new InvoiceError("month must be in YYYY-MM format");
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  return {
+    from: new Date(Date.UTC(year, monthIndex, 1) - IST_OFFSET_MS),
+    to: new Date(Date.UTC(year, monthIndex + 1, 1) - IST_OFFSET_MS),
+  };
+};
+
+const emptyTaxTotals = () => ({ taxableValue: 0, cgst: 0, sgst: 0, igst: 0 });
+
+const addTax = (target, line) => {
+  target.taxableValue = round2(target.taxableValue + line.taxableValue);
+  target.cgst = round2(target.cgst + line.cgst);
+  target.sgst = round2(target.sgst + line.sgst);
+  target.igst = round2(target.igst + line.igst);
+};
+
+/**
+ * Month-wise GST summary of issued invoices, grouped by rate and by HSN code
+ * (IST calendar month).
+ */
+export const buildMonthlyGstSummary = async ({ month }) => {
+  const { from, to } = parseMonth(month);
+  const invoices = await StoreInvoice.find({ issuedAt: { $gte: from, $lt: to } })
+    .select("invoiceNumber supplyType lines totals")
+    .sort({ sequence: 1 })
+    .lean();
+
+  const byRate = new Map();
+  const byHsn = new Map();
+  const totals = { ...emptyTaxTotals(), deliveryCharges: 0, grandTotal: 0 };
+
+  for (const invoice of invoices) {
+    totals.deliveryCharges = round2(totals.deliveryCharges + (invoice.totals?.deliveryCharges || 0));
+    totals.grandTotal = round2(totals.grandTotal + (invoice.totals?.grandTotal || 0));
+    for (const line of invoice.lines || []) {
+      addTax(totals, line);
+
+      const rateKey = `${line.gstRate}:${invoice.supplyType}`;
+      if (!byRate.has(rateKey)) {
+        byRate.set(rateKey, { gstRate: line.gstRate, supplyType: invoice.supplyType, ...emptyTaxTotals() });
+      }
+      addTax(byRate.get(rateKey), line);
+
+      const hsnKey = `${line.hsnCode || "-"}:${line.gstRate}`;
+      if (!byHsn.has(hsnKey)) {
+        byHsn.set(hsnKey, { hsnCode: line.hsnCode || "", gstRate: line.gstRate, quantity: 0, ...emptyTaxTotals() });
+      }
+      const hsnRow = byHsn.get(hsnKey);
+      hsnRow.quantity += line.quantity;
+      addTax(hsnRow, line);
+    }
+  }
+
+  return {
+    month,
+    invoiceCount: invoices.length,
+    firstInvoiceNumber: invoices[0]?.invoiceNumber || "",
+    lastInvoiceNumber: invoices.at(-1)?.invoiceNumber || "",
+    totals,
+    byRate: [...byRate.values()].sort((a, b) => a.gstRate - b.gstRate || a.supplyType.localeCompare(b.supplyType)),
+    byHsn: [...byHsn.values()].sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.gstRate - b.gstRate),
+  };
+};
+
+export const gstSummaryToCsv = (summary) => {
+  const rows = [
+    ["section", "gst_rate", "supply_type", "hsn_code", "quantity", "taxable_value", "cgst", "sgst", "igst"],
+    ...summary.byRate.map((row) => [
+      "rate", row.gstRate, row.supplyType, "", "", row.taxableValue, row.cgst, row.sgst, row.igst,
+    ]),
+    ...summary.byHsn.map((row) => [
+      "hsn", row.gstRate, "", row.hsnCode, row.quantity, row.taxableValue, row.cgst, row.sgst, row.igst,
+    ]),
+    ["total", "", "", "", "", summary.totals.taxableValue, summary.totals.cgst, summary.totals.sgst, summary.totals.igst],
+  ];
+  return `${rows.map((row) => row.join(",")).join("\n")}\n`;
+};
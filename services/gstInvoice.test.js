@@ -0,0 +1,202 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const invoiceFindOneMock = jest.fn(async () => null);
+const invoiceCreateMock = jest.fn(async (doc) => ({ toObject: () => doc }));
+const invoiceFindMock = jest.fn();
+const orderFindByIdMock = jest.fn();
+const orderFindMock = jest.fn(async () => []);
+const orderUpdateOneMock = jest.fn(async () => ({ modifiedCount: 1 }));
+
+await jest.unstable_mockModule("../models/StoreInvoice.js", () => ({
+  StoreInvoice: {
+    findOne: (...args) => {
+      const query = {
+        sort: () => query,
+        select: () => query,
+        lean: async () => invoiceFindOneMock(...args),
+      };
+      return query;
+    },
+    create: invoiceCreateMock,
+    find: (...args) => ({ select: () => ({ sort: () => ({ lean: async () => invoiceFindMock(...args) }) }) }),
+  },
+}));
+
+await jest.unstable_mockModule("../models/StoreOrder.js", () => ({
+  StoreOrder: {
+    findById: (...args) => ({ lean: async () => orderFindByIdMock(...args) }),
+    find: (...args) => ({ sort: () => ({ limit: () => ({ lean: async () => orderFindMock(...args) }) }) }),
+    updateOne: orderUpdateOneMock,
+  },
+}));
+
+const {
+  InvoiceError,
+  buildMonthlyGstSummary,
+  getFinancialYear,
+  issueMissingStoreInvoices,
+  issueStoreInvoice,
+  issueStoreInvoiceForOrder,
+  gstSummaryToCsv,
+  renderInvoicePdf,
+} = await import("./gstInvoice.js");
+
+const env = { STORE_LEGAL_NAME: "Health Store Pvt Ltd", STORE_GSTIN: "27abcde1234f1z5", STORE_STATE: "Maharashtra" };
+const makeOrder = (state, overrides = {}) => ({
+  _id: "order-1",
+  principalId: "patient-1",
+  status: "PLACED",
+  paymentStatus: "PAID",
+  paymentMethod: "upi",
+  delivery: { fullName: "Asha", addressLine1: "1 Main Rd", city: "Pune", state, pincode: "411001" },
+  items: [
+    { name: "Paracetamol", hsnCode: "3004", quantity: 2, unitPrice: 50, lineTotal: 100, gstRate: 12 },
+    { name: "Thermometer", hsnCode: "9025", quantity: 1, unitPrice: 300, lineTotal: 300, gstRate: 18 },
+  ],
+  totals: { deliveryCharges: 40 },
+  ...overrides,
+});
+
+describe("gstInvoice", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("numbers invoices per financial year and splits tax by place of supply", async () => {
+    expect(getFinancialYear(new Date("2026-03-31T18:00:00Z"))).toBe("2025-26");
+    expect(getFinancialYear(new Date("2026-03-31T19:00:00Z"))).toBe("2026-27");
+
+    invoiceFindOneMock.mockImplementation(async (filter) => (filter.financialYear ? { sequence: 41 } : null));
+    const now = new Date("2026-05-02T06:00:00Z");
+    const local = await issueStoreInvoice(makeOrder("maharashtra"), { now, env });
+
+    expect(invoiceFindOneMock).toHaveBeenCalledWith({ financialYear: "2026-27" });
+    expect(local).toMatchObject({ invoiceNumber: "INV/2026-27/000042", sequence: 42, supplyType: "INTRA_STATE" });
+    expect(local.seller).toMatchObject({ gstin: "27ABCDE1234F1Z5", stateCode: "27" });
+    expect(local.lines[0]).toMatchObject({ hsnCode: "3004", cgst: 6, sgst: 6, igst: 0, total: 112 });
+    expect(local.totals).toEqual({
+      taxableValue: 400, cgst: 33, sgst: 33, igst: 0, deliveryCharges: 40, grandTotal: 506,
+    });
+
+    const interstate = await issueStoreInvoice(makeOrder("Karnataka"), { now, env });
+    expect(interstate.supplyType).toBe("INTER_STATE");
+    expect(interstate.buyer.stateCode).toBe("29");
+    expect(interstate.totals).toMatchObject({ cgst: 0, sgst: 0, igst: 66 });
+
+    await expect(
+      issueStoreInvoice(makeOrder("Goa", { status: "AWAITING_VERIFICATION" }), { now, env })
+    ).rejects.toThrow(InvoiceError);
+
+    const pdf = await renderInvoicePdf(interstate);
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("returns the existing invoice instead of issuing a new number", async () => {
+    invoiceFindOneMock.mockResolvedValueOnce({ invoiceNumber: "INV/2026-27/000001" });
+
+    const invoice = await issueStoreInvoice(makeOrder("Goa", { status: "CANCELLED" }), { env });
+
+    expect(invoice.invoiceNumber).toBe("INV/2026-27/000001");
+    expect(invoiceCreateMock).not.toHaveBeenCalled();
+  });
+
+  it("never skips a number when issues race", async () => {
+    const duplicate = (field) => Object.assign(new Error("E11000"), { code: 11000, keyPattern: { [field]: 1 } });
+    const now = new Date("2026-05-02T06:00:00Z");
+
+    // Another order took 8 first: this one moves on to 9
+    invoiceCreateMock.mockRejectedValueOnce(duplicate("sequence")).mockImplementationOnce(async (doc) => ({
+      toObject: () => doc,
+    }));
+    invoiceFindOneMock
+      .mockImplementationOnce(async () => null)
+      .mockImplementationOnce(async () => ({ sequence: 7 }))
+      .mockImplementationOnce(async () => ({ sequence: 8 }));
+    const next = await issueStoreInvoice(makeOrder("Goa"), { now, env });
+    expect(next.invoiceNumber).toBe("INV/2026-27/000009");
+
+    // The same order was invoiced concurrently: return that invoice, no number used
+    invoiceCreateMock.mockClear();
+    invoiceCreateMock.mockRejectedValueOnce(duplicate("orderId"));
+    invoiceFindOneMock
+      .mockImplementationOnce(async () => null)
+      .mockImplementationOnce(async () => ({ sequence: 9 }))
+      .mockImplementationOnce(async () => ({ invoiceNumber: "INV/2026-27/000010", orderId: "order-1" }));
+    const raced = await issueStoreInvoice(makeOrder("Goa"), { now, env });
+    expect(raced.invoiceNumber).toBe("INV/2026-27/000010");
+    expect(invoiceCreateMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("dates an invoice when its order became invoiceable, not when it is issued", async () => {
+    const later = new Date("2026-04-10T06:00:00Z");
+    invoiceFindOneMock.mockImplementation(async (filter) => (filter.financialYear ? { sequence: 3 } : null));
+
+    // Paid on 28 March: the invoice belongs to March and to FY 2025-26
+    const paidAt = new Date("2026-03-28T09:00:00Z");
+    const prepaid = await issueStoreInvoice(makeOrder("Goa", { payment: { paidAt } }), { now: later, env });
+    expect(prepaid).toMatchObject({ issuedAt: paidAt, financialYear: "2025-26", invoiceNumber: "INV/2025-26/000004" });
+    expect(orderUpdateOneMock).toHaveBeenCalledWith(
+      { _id: "order-1" },
+      { $set: { invoiceNumber: "INV/2025-26/000004" } }
+    );
+
+    const deliveredAt = new Date("2026-04-02T09:00:00Z");
+    const cod = await issueStoreInvoice(
+      makeOrder("Goa", { paymentMethod: "cod", paymentStatus: "PENDING", status: "DELIVERED", deliveredAt }),
+      { now: later, env }
+    );
+    expect(cod).toMatchObject({ issuedAt: deliveredAt, financialYear: "2026-27" });
+  });
+
+  it("issues invoices from order events and catches up on ones that were missed", async () => {
+    invoiceFindOneMock.mockImplementation(async (filter) => (filter.financialYear ? { sequence: 1 } : null));
+
+    orderFindByIdMock.mockResolvedValueOnce(makeOrder("Goa", { paymentStatus: "PENDING", paymentMethod: "cod" }));
+    await expect(issueStoreInvoiceForOrder("order-1", { env })).resolves.toBeNull();
+    expect(invoiceCreateMock).not.toHaveBeenCalled();
+
+    orderFindByIdMock.mockResolvedValueOnce(makeOrder("Goa"));
+    await expect(issueStoreInvoiceForOrder("order-1", { env })).resolves.toMatchObject({
+      invoiceNumber: expect.stringMatching(/\/000002$/),
+    });
+
+    orderFindMock.mockResolvedValueOnce([makeOrder("Goa", { _id: "order-2" })]);
+    await expect(issueMissingStoreInvoices({ env })).resolves.toEqual({ issued: 1 });
+    expect(orderFindMock.mock.calls[0][0]).toMatchObject({
+      invoiceNumber: { $in: ["", null] },
+      $or: [{ paymentStatus: "PAID" }, { status: "DELIVERED" }],
+    });
+  });
+
+  it("summarises a month of invoices by rate and HSN", async () => {
+    invoiceFindMock.mockResolvedValue([
+      {
+        invoiceNumber: "INV/2026-27/000001",
+        supplyType: "INTRA_STATE",
+        totals: { deliveryCharges: 40, grandTotal: 152 },
+        lines: [{ hsnCode: "3004", gstRate: 12, quantity: 2, taxableValue: 100, cgst: 6, sgst: 6, igst: 0 }],
+      },
+      {
+        invoiceNumber: "INV/2026-27/000002",
+        supplyType: "INTER_STATE",
+        totals: { deliveryCharges: 0, grandTotal: 224 },
+        lines: [{ hsnCode: "3004", gstRate: 12, quantity: 4, taxableValue: 200, cgst: 0, sgst: 0, igst: 24 }],
+      },
+    ]);
+
+    const summary = await buildMonthlyGstSummary({ month: "2026-05" });
+
+    expect(invoiceFindMock.mock.calls[0][0].issuedAt).toEqual({
+      $gte: new Date("2026-04-30T18:30:00Z"),
+      $lt: new Date("2026-05-31T18:30:00Z"),
+    });
+    expect(summary.byRate).toHaveLength(2);
+    expect(summary.byHsn).toEqual([
+      { hsnCode: "3004", gstRate: 12, quantity: 6, taxableValue: 300, cgst: 6, sgst: 6, igst: 24 },
+    ]);
+    expect(summary.totals).toMatchObject({ taxableValue: 300, grandTotal: 376 });
+    expect(gstSummaryToCsv(summary).split("\n")[3]).toBe("hsn,12,,3004,6,300,6,6,24");
+
+    await expect(buildMonthlyGstSummary({ month: "May 2026" })).rejects.toThrow("YYYY-MM");
+  });
+});
@@ -0,0 +1,511 @@
+import { XMLParser } from "fast-xml-parser";
+
+/**
+ * Parses FHIR R4 Bundles and C-CDA documents from other providers into the
+ * profile fields we keep on User (medicalHistory, medications, allergies,
+ * bloodType) and diffs them against the patient's current profile.
+ */
+
+export const IMPORT_SECTIONS = ["medicalHistory", "medications", "allergies", "bloodType"];
+
+const BLOOD_GROUP_LOINC = "882-1";
+const CCDA_SECTION_CODES = {
+  allergies: { loinc: "48765-2", templateRoot: "2.16.840.1.113883.10.20.22.2.6" },
+  problems: { loinc: "11450-4", templateRoot: "2.16.840.1.113883.10.20.22.2.5" },
+  medications: { loinc: "10160-0", templateRoot: "2.16.840.1.113883.10.20.22.2.1" },
+};
+const CCDA_PROBLEM_STATUS_TEMPLATE = "2.16.840.1.113883.10.20.22.4.6";
+
+const CONDITION_STATUS_MAP = {
+  active: "Active",
+  recurrence: "Active",
+  relapse: "Active",
+  remission: "Controlled",
+  inactive: "Inactive",
+  resolved: "Resolved",
+  completed: "Resolved",
+  suspended: "Inactive",
+  aborted: "Inactive",
+};
+const SKIPPED_VERIFICATION_STATUSES = new Set(["refuted", "entered-in-error"]);
+const SKIPPED_MEDICATION_STATUSES = new Set(["stopped", "completed", "cancelled", "entered-in-error", "not-taken"]);
+const INACTIVE_ALLERGY_STATUSES = new Set(["inactive", "resolved"]);
+
+export class HealthRecordImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "HealthRecordImportError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => String(value ?? "").trim();
+
+const normalizeKey = (value) => asText(value).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const emptyRecord = () => ({ medicalHistory: [], medications: [], allergies: [], bloodType: null });
+
+/**
+ * Normalize "A Rh(D) positive", "O NEG", "AB+" and similar to "A+", "O-", "AB+".
+ */
+export const normalizeBloodType = (value) => {
+  const text = asText(value);
+  const group = text.match(/(?:^|[^A-Za-z])(AB|A|B|O)(?![A-Za-z])/i);
+  if (!group) return null;
+
+  const rest = text.slice(group.index + group[0].length);
+  let rh = "";
+  if (/negative|\bneg\b/i.test(rest)) rh = "-";
+  else if (/positive|\bpos\b/i.test(rest)) rh = "+";
+  else if (/^\s*-/.test(rest)) rh = "-";
+  else if (/^\s*\+/.test(rest)) rh = "+";
+  return `${group[1].toUpperCase()}${rh}`;
+};
+
+// HL7 TS ("20200115093000+0530") or ISO string -> "YYYY-MM-DD"
+const toIsoDate = (value) => {
+  const text = asText(value);
+  if (!text) return "";
+  const hl7 = text.match(/^(\d{4})(\d{2})?(\d{2})?/);
+  if (hl7 && !text.includes("-")) {
+    return [hl7[1], hl7[2], hl7[3]].filter(Boolean).join("-");
+  }
+  const iso = text.match(/^(\d{4}(?:-\d{2}(?:-\d{2})?)?)/);
+  return iso ? iso[1] : "";
+};
+
+const addUnique = (list, item, key) => {
+  const itemKey = normalizeKey(key);
+  if (!itemKey || list.some((existing) => existing.__key === itemKey)) return;
+  list.push({ ...item, __key: itemKey });
+};
+
+const stripKeys = (record) => ({
+  medicalHistory: record.medicalHistory.map(({ __key, ...item }) => item),
+  medications: record.medications.map(({ __key, ...item }) => item),
+  allergies: record.allergies.map(({ __key, name }) => name),
+  bloodType: record.bloodType,
+});
+
+// ---------------- FHIR ----------------
+
+const codeableText = (concept) => {
+  if (!concept) return "";
+  if (asText(concept.text)) return asText(concept.text);
+  const coding = (concept.coding || []).find((item) => asText(item.display)) || (concept.coding || [])[0];
+  return asText(coding?.display || coding?.code);
+};
+
+const codingCode = (concept) => asText(concept?.coding?.[0]?.code).toLowerCase();
+
+const hasLoincCode = (concept, code) =>
+  (concept?.coding || []).some(
+    (coding) => asText(coding.code) === code && /loinc/i.test(asText(coding.system) || "loinc")
+  );
+
+const formatFhirTiming = (timing) => {
+  if (!timing) return "";
+  if (codeableText(timing.code)) return codeableText(timing.code);
+  const repeat = timing.repeat || {};
+  if (!repeat.frequency || !repeat.periodUnit) return "";
+  const unitNames = { h: "hour", d: "day", wk: "week", mo: "month" };
+  const unit = unitNames[repeat.periodUnit] || repeat.periodUnit;
+  const period = Number(repeat.period) || 1;
+  return `${repeat.frequency} time${repeat.frequency > 1 ? "s" : ""} every ${period > 1 ? `${period} ${unit}s` : unit}`;
+};
+
+const formatFhirDosage = (dosage) => {
+  if (!dosage) return { dosage: "", frequency: "" };
+  const dose = dosage.doseAndRate?.[0]?.doseQuantity;
+  const doseText = dose?.value !== undefined ? `${dose.value} ${asText(dose.unit || dose.code)}`.trim() : "";
+  return {
+    dosage: doseText || asText(dosage.text),
+    frequency: formatFhirTiming(dosage.timing) || (doseText ? asText(dosage.text) : ""),
+  };
+};
+
+const collectFhirResources = (input) => {
+  if (!input || typeof input !== "object") return [];
+  if (input.resourceType === "Bundle") {
+    return (input.entry || []).flatMap((entry) => collectFhirResources(entry?.resource));
+  }
+  return input.resourceType ? [input] : [];
+};
+
+export const parseFhirBundle = (bundle) => {
+  if (!bundle || typeof bundle !== "object" || !bundle.resourceType) {
+    throw new HealthRecordImportError("FHIR import must be a Bundle or resource with a resourceType");
+  }
+
+  const record = emptyRecord();
+  const warnings = [];
+  let skipped = 0;
+
+  collectFhirResources(bundle).forEach((resource) => {
+    switch (resource.resourceType) {
+      case "Condition": {
+        const name = codeableText(resource.code);
+        if (!name || SKIPPED_VERIFICATION_STATUSES.has(codingCode(resource.verificationStatus))) {
+          skipped += 1;
+          return;
+        }
+        const clinical = codingCode(resource.clinicalStatus);
+        addUnique(
+          record.medicalHistory,
+          {
+            condition: name,
+            diagnosed: toIsoDate(resource.onsetDateTime || resource.onsetPeriod?.start || resource.recordedDate),
+            status: CONDITION_STATUS_MAP[clinical] || (clinical ? "Active" : ""),
+          },
+          name
+        );
+        return;
+      }
+      case "MedicationStatement":
+      case "MedicationRequest": {
+        const name =
+          codeableText(resource.medicationCodeableConcept) || asText(resource.medicationReference?.display);
+        if (!name || SKIPPED_MEDICATION_STATUSES.has(asText(resource.status).toLowerCase())) {
+          skipped += 1;
+          return;
+        }
+        const { dosage, frequency } = formatFhirDosage(
+          resource.dosage?.[0] || resource.dosageInstruction?.[0]
+        );
+        addUnique(
+          record.medications,
+          {
+            name,
+            dosage,
+            frequency,
+            prescribed: toIsoDate(
+              resource.effectiveDateTime || resource.effectivePeriod?.start || resource.authoredOn || resource.dateAsserted
+            ),
+          },
+          name
+        );
+        return;
+      }
+      case "AllergyIntolerance": {
+        const name = codeableText(resource.code);
+        if (
+          !name ||
+          SKIPPED_VERIFICATION_STATUSES.has(codingCode(resource.verificationStatus)) ||
+          INACTIVE_ALLERGY_STATUSES.has(codingCode(resource.clinicalStatus))
+        ) {
+          skipped += 1;
+          return;
+        }
+        addUnique(record.allergies, { name }, name);
+        return;
+      }
+      case "Observation": {
+        if (!hasLoincCode(resource.code, BLOOD_GROUP_LOINC)) return;
+        const bloodType = normalizeBloodType(
+          codeableText(resource.valueCodeableConcept) || resource.valueString
+        );
+        if (bloodType) record.bloodType = bloodType;
+        return;
+      }
+      default:
+    }
+  });
+
+  if (skipped) warnings.push(`${skipped} inactive, refuted or unnamed entries were skipped`);
+  return { record: stripKeys(record), warnings };
+};
+
+// ---------------- C-CDA ----------------
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  textNodeName: "#text",
+  isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute,
+  processEntities: true,
+});
+
+const children = (node, name) => (node && typeof node === "object" ? node[name] || [] : []);
+const child = (node, ...path) =>
+  path.reduce((current, name) => children(current, name)[0], node);
+const attr = (node, name) => asText(node?.[`@_${name}`]);
+const nodeText = (node) => {
+  if (node === undefined || node === null) return "";
+  if (typeof node !== "object") return asText(node);
+  return asText(node["#text"]);
+};
+
+const findDeep = (node, name, found = []) => {
+  if (!node || typeof node !== "object") return found;
+  Object.entries(node).forEach(([key, value]) => {
+    if (key.startsWith("@_") || key === "#text") return;
+    (Array.isArray(value) ? value : [value]).forEach((item) => {
+      if (key === name) found.push(item);
+      findDeep(item, name, found);
+    });
+  });
+  return found;
+};
+
+const hasTemplate = (node, root) =>
+  children(node, "templateId").some((template) => attr(template, "root").startsWith(root));
+
+const ccdaCodeText = (codeNode) =>
+  attr(codeNode, "displayName") ||
+  nodeText(child(codeNode, "originalText")) ||
+  attr(codeNode, "code");
+
+const findSection = (sections, { loinc, templateRoot }) =>
+  sections.find(
+    (section) => attr(child(section, "code"), "code") === loinc || hasTemplate(section, templateRoot)
+  );
+
+const isNegated = (node) => attr(node, "negationInd").toLowerCase() === "true";
+
+const parseCcdaProblems = (section, record) => {
+  children(section, "entry").forEach((entry) => {
+    const act = child(entry, "act");
+    const observations = findDeep(entry, "observation");
+    const problem =
+      observations.find((obs) => hasTemplate(obs, "2.16.840.1.113883.10.20.22.4.4")) ||
+      observations.find((obs) => child(obs, "value") && !hasTemplate(obs, CCDA_PROBLEM_STATUS_TEMPLATE));
+    if (!problem || isNegated(problem)) return;
+
+    const name = ccdaCodeText(child(problem, "value"));
+    if (!name) return;
+
+    const statusObservation = observations.find((obs) => hasTemplate(obs, CCDA_PROBLEM_STATUS_TEMPLATE));
+    const rawStatus = statusObservation
+      ? attr(child(statusObservation, "value"), "displayName")
+      : attr(child(act || problem, "statusCode"), "code");
+
+    addUnique(
+      record.medicalHistory,
+      {
+        condition: name,
+        diagnosed: toIsoDate(attr(child(problem, "effectiveTime", "low"), "value")),
+        status: CONDITION_STATUS_MAP[rawStatus.toLowerCase()] || rawStatus,
+      },
+      name
+    );
+  });
+};
+
+const parseCcdaMedications = (section, record) => {
+  children(section, "entry").forEach((entry) => {
+    const administration = child(entry, "substanceAdministration");
+    if (!administration || isNegated(administration)) return;
+
+    const material = findDeep(administration, "manufacturedMaterial")[0];
+    const name = ccdaCodeText(child(material, "code")) || nodeText(child(material, "name"));
+    if (!name) return;
+
+    const dose = child(administration, "doseQuantity");
+    const doseValue = attr(dose, "value");
+    const doseUnit = attr(dose, "unit");
+    const effectiveTimes = children(administration, "effectiveTime");
+    const periodic = effectiveTimes.find((time) => /PIVL_TS/i.test(attr(time, "type")));
+    const period = child(periodic, "period");
+    const range = effectiveTimes.find((time) => child(time, "low")) || effectiveTimes[0];
+
+    addUnique(
+      record.medications,
+      {
+        name,
+        dosage: doseValue ? `${doseValue}${doseUnit && doseUnit !== "1" ? ` ${doseUnit}` : ""}` : "",
+        frequency: period ? `every ${attr(period, "value")} ${attr(period, "unit")}`.trim() : "",
+        prescribed: toIsoDate(attr(child(range, "low"), "value") || attr(range, "value")),
+      },
+      name
+    );
+  });
+};
+
+const parseCcdaAllergies = (section, record) => {
+  children(section, "entry").forEach((entry) => {
+    const observations = findDeep(entry, "observation");
+    if (!observations.length || observations.some(isNegated)) return;
+
+    const substance = findDeep(entry, "playingEntity")[0];
+    const name = ccdaCodeText(child(substance, "code")) || nodeText(child(substance, "name"));
+    if (name) addUnique(record.allergies, { name }, name);
+  });
+};
+
+export const parseCcdaDocument = (xml) => {
+  let parsed;
+  try {
+    parsed = xmlParser.parse(String(xml || ""));
+  } catch (error) {
+    throw new HealthRecordImportError(`Invalid C-CDA XML: ${error.message}`);
+  }
+
+  const document = child(parsed, "ClinicalDocument");
+  if (!document) {
+    throw new HealthRecordImportError("C-CDA import must contain a ClinicalDocument root element");
+  }
+
+  const record = emptyRecord();
+  const warnings = [];
+  const sections = findDeep(child(document, "component"), "section");
+
+  const problems = findSection(sections, CCDA_SECTION_CODES.problems);
+  const medications = findSection(sections, CCDA_SECTION_CODES.medications);
+  const allergies = findSection(sections, CCDA_SECTION_CODES.allergies);
+  if (problems) parseCcdaProblems(problems, record);
+  if (medications) parseCcdaMedications(medications, record);
+  if (allergies) parseCcdaAllergies(allergies, record);
+  if (!problems && !medications && !allergies) {
+    warnings.push("No problem, medication or allergy sections were found");
+  }
+
+  const bloodGroup = findDeep(document, "observation").find(
+    (obs) => attr(child(obs, "code"), "code") === BLOOD_GROUP_LOINC
+  );
+  if (bloodGroup) {
+    const value = child(bloodGroup, "value");
+    record.bloodType = normalizeBloodType(ccdaCodeText(value) || nodeText(value));
+  }
+
+  return { record: stripKeys(record), warnings };
+};
+
+/**
+ * Accepts a FHIR Bundle (object or JSON string) or a C-CDA XML string and
+ * returns `{ format, record, warnings }`.
+ */
+export const parseHealthRecordImport = (input, format = "") => {
+  const requested = asText(format).toLowerCase();
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (requested === "ccda" || (!requested && trimmed.startsWith("<"))) {
+      return { format: "ccda", ...parseCcdaDocument(trimmed) };
+    }
+    try {
+      return { format: "fhir", ...parseFhirBundle(JSON.parse(trimmed)) };
+    } catch (error) {
+      if (error instanceof HealthRecordImportError) throw error;
+      throw new HealthRecordImportError("Import must be a FHIR Bundle (JSON) or a C-CDA document (XML)");
+    }
+  }
+  if (requested === "ccda") {
+    throw new HealthRecordImportError("C-CDA imports must be sent as XML");
+  }
+  return { format: "fhir", ...parseFhirBundle(input) };
+};
+
+// ---------------- Diff / apply ----------------
+
+const diffList = (currentItems, incomingItems, keyOf, fields) => {
+  const currentByKey = new Map(currentItems.map((item) => [normalizeKey(keyOf(item)), item]));
+  const diff = { add: [], update: [], unchanged: 0 };
+
+  incomingItems.forEach((incoming) => {
+    const current = currentByKey.get(normalizeKey(keyOf(incoming)));
+    if (!current) {
+      diff.add.push(incoming);
+      return;
+    }
+    const changes = fields.filter(
+      (field) => asText(incoming[field]) && asText(incoming[field]) !== asText(current[field])
+    );
+    if (changes.length) {
+      diff.update.push({ current: pickFields(current, fields, keyOf), incoming, changedFields: changes });
+    } else {
+      diff.unchanged += 1;
+    }
+  });
+  return diff;
+};
+
+const pickFields = (item, fields, keyOf) => ({
+  ...Object.fromEntries(fields.map((field) => [field, asText(item[field])])),
+  key: keyOf(item),
+});
+
+const splitAllergies = (value) =>
+  asText(value)
+    .split(/[,;\n]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Compare an imported record with the patient's profile. Imports only ever
+ * add or update entries; nothing already on the profile is removed.
+ */
+export const buildImportDiff = (user, record) => {
+  const currentAllergyKeys = new Set(splitAllergies(user.allergies).map(normalizeKey));
+  const newAllergies = record.allergies.filter((name) => !currentAllergyKeys.has(normalizeKey(name)));
+  const currentBloodType = asText(user.bloodType) || null;
+
+  return {
+    medicalHistory: diffList(
+      user.medicalHistory || [],
+      record.medicalHistory,
+      (item) => item.condition,
+      ["diagnosed", "status"]
+    ),
+    medications: diffList(
+      user.medications || [],
+      record.medications,
+      (item) => item.name,
+      ["dosage", "frequency", "prescribed"]
+    ),
+    allergies: {
+      add: newAllergies,
+      unchanged: record.allergies.length - newAllergies.length,
+    },
+    bloodType: {
+      current: currentBloodType,
+      incoming: record.bloodType,
+      changed: Boolean(record.bloodType) && record.bloodType !== currentBloodType,
+    },
+  };
+};
+
+export const summarizeImportDiff = (diff) => ({
+  medicalHistory: { add: diff.medicalHistory.add.length, update: diff.medicalHistory.update.length },
+  medications: { add: diff.medications.add.length, update: diff.medications.update.length },
+  allergies: { add: diff.allergies.add.length },
+  bloodType: { changed: diff.bloodType.changed },
+});
+
+const mergeList = (currentItems, diffSection, keyOf) => {
+  const merged = currentItems.map((item) => (typeof item?.toObject === "function" ? item.toObject() : { ...item }));
+  diffSection.update.forEach(({ incoming, changedFields }) => {
+    const target = merged.find((item) => normalizeKey(keyOf(item)) === normalizeKey(keyOf(incoming)));
+    if (!target) return;
+    changedFields.forEach((field) => {
+      target[field] = incoming[field];
+    });
+  });
+  return [...merged, ...diffSection.add];
+};
+
+/**
+ * Apply a diff to a User document (in memory; the caller saves). Returns the
+ * sections that actually changed.
+ */
+export const applyImportDiff = (user, diff, sections = IMPORT_SECTIONS) => {
+  const selected = new Set(sections.filter((section) => IMPORT_SECTIONS.includes(section)));
+  const applied = [];
+
+  if (selected.has("medicalHistory") && (diff.medicalHistory.add.length || diff.medicalHistory.update.length)) {
+    user.medicalHistory = mergeList(user.medicalHistory || [], diff.medicalHistory, (item) => item.condition);
+    applied.push("medicalHistory");
+  }
+  if (selected.has("medications") && (diff.medications.add.length || diff.medications.update.length)) {
+    user.medications = mergeList(user.medications || [], diff.medications, (item) => item.name);
+    applied.push("medications");
+  }
+  if (selected.has("allergies") && diff.allergies.add.length) {
+    user.allergies = [...splitAllergies(user.allergies), ...diff.allergies.add].join(", ");
+    applied.push("allergies");
+  }
+  if (selected.has("bloodType") && diff.bloodType.changed) {
+    user.bloodType = diff.bloodType.incoming;
+    applied.push("bloodType");
+  }
+  return applied;
+};
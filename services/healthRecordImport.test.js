@@ -0,0 +1,149 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  HealthRecordImportError,
+  applyImportDiff,
+  buildImportDiff,
+  normalizeBloodType,
+  parseHealthRecordImport,
+} from "./healthRecordImport.js";
+
+const FHIR_BUNDLE = {
+  resourceType: "Bundle",
+  type: "collection",
+  entry: [
+    {
+      resource: {
+        resourceType: "Condition",
+        clinicalStatus: { coding: [{ code: "active" }] },
+        code: { coding: [{ system: "http://snomed.info/sct", code: "44054006", display: "Type 2 diabetes mellitus" }] },
+        onsetDateTime: "2020-01-15T00:00:00Z",
+      },
+    },
+    {
+      resource: {
+        resourceType: "Condition",
+        verificationStatus: { coding: [{ code: "refuted" }] },
+        code: { text: "Asthma" },
+      },
+    },
+    {
+      resource: {
+        resourceType: "MedicationStatement",
+        status: "active",
+        medicationCodeableConcept: { text: "Metformin" },
+        effectiveDateTime: "2024-01-15",
+        dosage: [
+          {
+            doseAndRate: [{ doseQuantity: { value: 500, unit: "mg" } }],
+            timing: { repeat: { frequency: 2, period: 1, periodUnit: "d" } },
+          },
+        ],
+      },
+    },
+    { resource: { resourceType: "AllergyIntolerance", code: { text: "Penicillin" } } },
+    {
+      resource: {
+        resourceType: "Observation",
+        code: { coding: [{ system: "http://loinc.org", code: "882-1" }] },
+        valueCodeableConcept: { text: "Blood group B Rh(D) negative" },
+      },
+    },
+  ],
+};
+
+const CCDA_DOCUMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <component><structuredBody>
+    <component><section>
+      <code code="11450-4" codeSystem="2.16.840.1.113883.6.1"/>
+      <entry><act><statusCode code="active"/>
+        <entryRelationship typeCode="SUBJ"><observation>
+          <templateId root="2.16.840.1.113883.10.20.22.4.4"/>
+          <effectiveTime><low value="20190310"/></effectiveTime>
+          <value xsi:type="CD" code="38341003" displayName="Essential hypertension"/>
+        </observation></entryRelationship>
+      </act></entry>
+    </section></component>
+    <component><section>
+      <code code="10160-0"/>
+      <entry><substanceAdministration>
+        <effectiveTime xsi:type="IVL_TS"><low value="20230601"/></effectiveTime>
+        <effectiveTime xsi:type="PIVL_TS"><period value="24" unit="h"/></effectiveTime>
+        <doseQuantity value="5" unit="mg"/>
+        <consumable><manufacturedProduct><manufacturedMaterial>
+          <code code="17767" displayName="Amlodipine"/>
+        </manufacturedMaterial></manufacturedProduct></consumable>
+      </substanceAdministration></entry>
+    </section></component>
+    <component><section>
+      <code code="48765-2"/>
+      <entry><act><entryRelationship><observation>
+        <participant><participantRole><playingEntity>
+          <code code="2670" displayName="Codeine"/>
+        </playingEntity></participantRole></participant>
+      </observation></entryRelationship></act></entry>
+      <entry><act><entryRelationship><observation negationInd="true">
+        <participant><participantRole><playingEntity><name>Latex</name></playingEntity></participantRole></participant>
+      </observation></entryRelationship></act></entry>
+    </section></component>
+  </structuredBody></component>
+</ClinicalDocument>`;
+
+describe("health record import", () => {
+  it("maps a FHIR Bundle onto profile fields and skips refuted entries", () => {
+    const { format, record, warnings } = parseHealthRecordImport(FHIR_BUNDLE);
+
+    expect(format).toBe("fhir");
+    expect(record).toEqual({
+      medicalHistory: [{ condition: "Type 2 diabetes mellitus", diagnosed: "2020-01-15", status: "Active" }],
+      medications: [
+        { name: "Metformin", dosage: "500 mg", frequency: "2 times every day", prescribed: "2024-01-15" },
+      ],
+      allergies: ["Penicillin"],
+      bloodType: "B-",
+    });
+    expect(warnings).toHaveLength(1);
+  });
+
+  it("maps C-CDA problem, medication and allergy sections", () => {
+    const { format, record } = parseHealthRecordImport(CCDA_DOCUMENT);
+
+    expect(format).toBe("ccda");
+    expect(record.medicalHistory).toEqual([
+      { condition: "Essential hypertension", diagnosed: "2019-03-10", status: "Active" },
+    ]);
+    expect(record.medications).toEqual([
+      { name: "Amlodipine", dosage: "5 mg", frequency: "every 24 h", prescribed: "2023-06-01" },
+    ]);
+    expect(record.allergies).toEqual(["Codeine"]);
+  });
+
+  it("diffs against the current profile and only adds or updates", () => {
+    const user = {
+      medicalHistory: [{ condition: "type 2 diabetes mellitus", diagnosed: "", status: "Controlled" }],
+      medications: [{ name: "Metformin", dosage: "500 mg", frequency: "2 times every day", prescribed: "2024-01-15" }],
+      allergies: "Sulfa",
+      bloodType: "B-",
+    };
+    const { record } = parseHealthRecordImport(FHIR_BUNDLE);
+    const diff = buildImportDiff(user, record);
+
+    expect(diff.medicalHistory.update[0].changedFields).toEqual(["diagnosed", "status"]);
+    expect(diff.medications).toMatchObject({ add: [], update: [], unchanged: 1 });
+    expect(diff.allergies.add).toEqual(["Penicillin"]);
+    expect(diff.bloodType.changed).toBe(false);
+
+    const applied = applyImportDiff(user, diff, ["medicalHistory", "allergies"]);
+    expect(applied).toEqual(["medicalHistory", "allergies"]);
+    expect(user.medicalHistory).toEqual([
+      { condition: "type 2 diabetes mellitus", diagnosed: "2020-01-15", status: "Active" },
+    ]);
+    expect(user.allergies).toBe("Sulfa, Penicillin");
+  });
+
+  it("normalizes blood group notations and rejects unknown payloads", () => {
+    expect(normalizeBloodType("AB POS")).toBe("AB+");
+    expect(normalizeBloodType("O-")).toBe("O-");
+    expect(() => parseHealthRecordImport("hello")).toThrow(HealthRecordImportError);
+  });
+});
@@ -0,0 +1,391 @@
+import { InventoryMovement } from "../models/InventoryMovement.js";
+import { InventoryOrder } from "../models/InventoryOrder.js";
+import { InventoryProduct } from "../models/InventoryProduct.js";
+
+/**
+ * Inventory catalog kept in the database. Every InventoryProduct row is a
+ * catalog item: STORE rows mirror a store Product, CATALOG rows (NFC band,
+ * medical kit, ...) are added and retired through the inventory admin. Items
+ * are looked up by productKey, productId, SKU or any of their aliases, which
+ * is how external SKUs and legacy ids are mapped onto a product.
+ */
+
+// Items the inventory module used to hard-code; seeded by the catalog migration
+export const LEGACY_CATALOG_SEED = Object.freeze([
+  {
+    productKey: "NFC_BAND",
+    productName: "NFC Band",
+    sku: "NFC-BAND-001",
+    productId: "band-1",
+    unitPrice: 600,
+    reorderLevel: 20,
+    aliases: ["nfc-band-001", "band-1", "nfc band", "nfc", "nfc healthband", "healthband", "band"],
+  },
+  {
+    productKey: "MEDICAL_KIT",
+    productName: "Medical Kit",
+    sku: "MED-KIT-001",
+    productId: "kit-1",
+    unitPrice: 1000,
+    reorderLevel: 15,
+    aliases: ["med-kit-001", "kit-1", "medical kit", "smart medical kit", "kit"],
+  },
+]);
+
+const PRODUCT_KEY_PATTERN = /^[A-Z0-9_-]{3,64}$/;
+const MAX_ALIASES = 50;
+
+export class InventoryCatalogError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "InventoryCatalogError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const toNumber = (value, fallback = 0) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const normalizeCatalogKey = (value) => asText(value).toUpperCase();
+
+export const normalizeAliases = (values) =>
+  [
+    ...new Set(
+      (Array.isArray(values) ? values : [values])
+        .map((value) => asText(value).toLowerCase().slice(0, 120))
+        .filter(Boolean)
+    ),
+  ];
+
+const matchRank = (product, raw) => {
+  if (product.productKey === raw) return 0;
+  if (product.productKey === raw.toUpperCase()) return 1;
+  if (product.productId === raw) return 2;
+  if (product.sku === raw) return 3;
+  return 4;
+};
+
+/**
+ * Find the catalog item a key, product id, SKU or alias refers to. Exact key
+ * matches win over SKU and alias matches. Retired items are returned too;
+ * callers decide whether they may still be used.
+ */
+export const findCatalogProduct = async (value, { productModel = InventoryProduct } = {}) => {
+  const raw = asText(value);
+  if (!raw) return null;
+
+  const candidates = await productModel
+    .find({
+      $or: [
+        { productKey: raw },
+        { productKey: raw.toUpperCase() },
+        { productId: raw },
+        { sku: raw },
+        { aliases: raw.toLowerCase() },
+      ],
+    })
+    .limit(5)
+    .lean();
+
+  return candidates.sort((a, b) => matchRank(a, raw) - matchRank(b, raw))[0] || null;
+};
+
+export const assertCatalogProductActive = (product) => {
+  if (product?.isActive === false) {
+    throw new InventoryCatalogError(
+      `${product.productName || product.productKey} has been retired from the catalog`,
+      409
+    );
+  }
+  return product;
+};
+
+const mapCatalogProduct = (product) => ({
+  _id: product._id,
+  productKey: product.productKey,
+  productId: product.productId,
+  productName: product.productName || product.name,
+  sku: product.sku || "",
+  unitPrice: toNumber(product.unitPrice, 0),
+  reorderLevel: toNumber(product.reorderLevel, 0),
+  aliases: product.aliases || [],
+  trackLots: Boolean(product.trackLots),
+  source: product.source || "STORE",
+  isActive: product.isActive !== false,
+  retiredAt: product.retiredAt || null,
+  retiredReason: product.retiredReason || "",
+  totalStock: toNumber(product.totalStock, 0),
+  reservedStock: toNumber(product.reservedStock, 0),
+  availableStock: toNumber(product.availableStock, 0),
+  updatedAt: product.updatedAt || null,
+});
+
+export const listCatalogProducts = async ({ includeRetired = false, source } = {}) => {
+  const filter = {};
+  if (!includeRetired) filter.isActive = { $ne: false };
+
+  const normalizedSource = normalizeCatalogKey(source);
+  if (normalizedSource && normalizedSource !== "ALL") {
+    if (!["STORE", "CATALOG"].includes(normalizedSource)) {
+      throw new InventoryCatalogError("source must be STORE or CATALOG");
+    }
+    filter.source = normalizedSource;
+  }
+
+  const products = await InventoryProduct.find(filter).sort({ productName: 1, createdAt: 1 }).lean();
+  return products.map(mapCatalogProduct);
+};
+
+const loadCatalogProduct = async (productKey) => {
+  const product = await InventoryProduct.findOne({ productKey: asText(productKey) });
+  if (!product) throw new InventoryCatalogError("Catalog product not found", 404);
+  return product;
+};
+
+const assertCatalogManaged = (product) => {
+  if (product.source !== "CATALOG") {
+    throw new InventoryCatalogError("Store products are managed from the store product admin", 409);
+  }
+};
+
+// Another item already answering to one of these aliases would make lookups ambiguous
+const assertAliasesAvailable = async (aliases, excludeId = null) => {
+  if (!aliases.length) return;
+
+  const filter = {
+    $or: [
+      { aliases: { $in: aliases } },
+      { productKey: { $in: aliases.map((alias) => alias.toUpperCase()) } },
+    ],
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const clash = await InventoryProduct.findOne(filter).select("productKey aliases").lean();
+  if (!clash) return;
+
+  const taken = aliases.find(
+    (alias) => clash.aliases?.includes(alias) || clash.productKey === alias.toUpperCase()
+  );
+  throw new InventoryCatalogError(`"${taken}" already maps to ${clash.productKey}`, 409);
+};
+
+const readProductFields = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.productName !== undefined) {
+    const productName = asText(body.productName ?? body.name).slice(0, 120);
+    if (!productName) throw new InventoryCatalogError("productName is required");
+    fields.productName = productName;
+    fields.name = productName;
+  }
+  if (!partial || body.sku !== undefined) {
+    fields.sku = asText(body.sku).slice(0, 120);
+  }
+  if (!partial || body.unitPrice !== undefined) {
+    const unitPrice = toNumber(body.unitPrice, -1);
+    if (unitPrice < 0) throw new InventoryCatalogError("unitPrice must be 0 or greater");
+    fields.unitPrice = unitPrice;
+  }
+  if (body.reorderLevel !== undefined || !partial) {
+    const reorderLevel = Math.floor(toNumber(body.reorderLevel ?? 10, -1));
+    if (reorderLevel < 0) throw new InventoryCatalogError("reorderLevel must be 0 or greater");
+    fields.reorderLevel = reorderLevel;
+  }
+  if (body.trackLots !== undefined) {
+    fields.trackLots = body.trackLots === true || body.trackLots === "true";
+  }
+  return fields;
+};
+
+export const createCatalogProduct = async (body = {}) => {
+  const productKey = normalizeCatalogKey(body.productKey);
+  if (!PRODUCT_KEY_PATTERN.test(productKey)) {
+    throw new InventoryCatalogError(
+      "productKey must be 3-64 characters of A-Z, 0-9, underscore or hyphen"
+    );
+  }
+
+  const fields = readProductFields(body);
+  const aliases = normalizeAliases([...(body.aliases || []), fields.sku, fields.productName]);
+  await assertAliasesAvailable(aliases);
+
+  try {
+    const product = await InventoryProduct.create({
+      ...fields,
+      productKey,
+      productId: asText(body.productId) || productKey,
+      aliases,
+      source: "CATALOG",
+      totalStock: 0,
+      reservedStock: 0,
+    });
+    return mapCatalogProduct(product.toObject());
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new InventoryCatalogError("A catalog product with this key or product id already exists", 409);
+    }
+    throw error;
+  }
+};
+
+export const updateCatalogProduct = async (productKey, body = {}) => {
+  const product = await loadCatalogProduct(productKey);
+  assertCatalogManaged(product);
+
+  const fields = readProductFields(body, { partial: true });
+  // Keep the old SKU and name as aliases so earlier references still resolve
+  const aliases = normalizeAliases([...product.aliases, fields.sku, fields.productName]);
+  await assertAliasesAvailable(aliases, product._id);
+
+  product.set({ ...fields, aliases });
+  await product.save();
+  return mapCatalogProduct(product.toObject());
+};
+
+/**
+ * Replace the aliases (external SKUs, partner ids, names) that resolve to a
+ * product. Works for store and catalog items alike.
+ */
+export const setCatalogProductAliases = async (productKey, aliases) => {
+  if (!Array.isArray(aliases)) throw new InventoryCatalogError("aliases must be an array");
+
+  const normalized = normalizeAliases(aliases);
+  if (normalized.length > MAX_ALIASES) {
+    throw new InventoryCatalogError(`A product can have at most ${MAX_ALIASES} aliases`);
+  }
+
+  const product = await loadCatalogProduct(productKey);
+  await assertAliasesAvailable(normalized, product._id);
+
+  product.aliases = normalized;
+  await product.save();
+  return mapCatalogProduct(product.toObject());
+};
+
+export const retireCatalogProduct = async (productKey, { reason = "", now = new Date() } = {}) => {
+  const product = await loadCatalogProduct(productKey);
+  assertCatalogManaged(product);
+  if (product.isActive === false) {
+    throw new InventoryCatalogError("Catalog product is already retired", 409);
+  }
+  if (toNumber(product.reservedStock, 0) > 0) {
+    throw new InventoryCatalogError(
+      `${product.reservedStock} units are still reserved for open orders`,
+      409
+    );
+  }
+
+  product.set({ isActive: false, retiredAt: now, retiredReason: asText(reason).slice(0, 300) });
+  await product.save();
+  return mapCatalogProduct(product.toObject());
+};
+
+export const restoreCatalogProduct = async (productKey) => {
+  const product = await loadCatalogProduct(productKey);
+  assertCatalogManaged(product);
+  if (product.isActive !== false) {
+    throw new InventoryCatalogError("Catalog product is not retired", 409);
+  }
+
+  product.set({ isActive: true, retiredAt: null, retiredReason: "" });
+  await product.save();
+  return mapCatalogProduct(product.toObject());
+};
+
+const remapLedgerKeys = async (keys, knownKeys, remap, { productModel }) => {
+  const unresolved = [];
+  let remapped = 0;
+
+  for (const key of keys) {
+    if (!key || knownKeys.has(key)) continue;
+
+    const product = await findCatalogProduct(key, { productModel });
+    if (!product) {
+      unresolved.push(key);
+      continue;
+    }
+    remapped += await remap(key, product.productKey);
+  }
+  return { remapped, unresolved };
+};
+
+/**
+ * Migration from the hard-coded catalog, run on every server start and
+ * on demand from the admin API: seed the legacy items as
+ * CATALOG rows (keeping any admin edits) and rewrite ledger movements and
+ * inventory orders recorded under keys that are not catalog product keys
+ * (old SKUs, product ids, names) to the product they resolve to today.
+ * Safe to run more than once.
+ */
+export const migrateLegacyInventoryCatalog = async ({
+  productModel = InventoryProduct,
+  movementModel = InventoryMovement,
+  orderModel = InventoryOrder,
+} = {}) => {
+  for (const seed of LEGACY_CATALOG_SEED) {
+    await productModel.updateOne(
+      { productKey: seed.productKey },
+      {
+        $setOnInsert: {
+          productKey: seed.productKey,
+          productName: seed.productName,
+          name: seed.productName,
+          sku: seed.sku,
+          productId: seed.productId,
+          unitPrice: seed.unitPrice,
+          reorderLevel: seed.reorderLevel,
+          totalStock: 0,
+          reserved: 0,
+          reservedStock: 0,
+          available: 0,
+          availableStock: 0,
+          status: "OUT_OF_STOCK",
+          isActive: true,
+        },
+        $set: { source: "CATALOG" },
+        $addToSet: { aliases: { $each: seed.aliases } },
+      },
+      { upsert: true }
+    );
+  }
+
+  const knownKeys = new Set(await productModel.distinct("productKey"));
+
+  const movements = await remapLedgerKeys(
+    await movementModel.distinct("productKey"),
+    knownKeys,
+    async (from, to) => {
+      const result = await movementModel.updateMany(
+        { productKey: from },
+        { $set: { productKey: to, legacyProductKey: from } }
+      );
+      return result.modifiedCount || 0;
+    },
+    { productModel }
+  );
+
+  const orders = await remapLedgerKeys(
+    await orderModel.distinct("items.productKey"),
+    knownKeys,
+    async (from, to) => {
+      const result = await orderModel.updateMany(
+        { "items.productKey": from },
+        { $set: { "items.$[item].productKey": to } },
+        { arrayFilters: [{ "item.productKey": from }] }
+      );
+      return result.modifiedCount || 0;
+    },
+    { productModel }
+  );
+
+  return {
+    seededKeys: LEGACY_CATALOG_SEED.map((seed) => seed.productKey),
+    remappedMovements: movements.remapped,
+    remappedOrders: orders.remapped,
+    unresolvedKeys: [...new Set([...movements.unresolved, ...orders.unresolved])],
+  };
+};
@@ -0,0 +1,130 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const productFindOneMock = jest.fn();
+const productFindMock = jest.fn();
+
+await jest.unstable_mockModule("../models/InventoryProduct.js", () => ({
+  InventoryProduct: {
+    find: (...args) => ({ limit: () => ({ lean: async () => productFindMock(...args) }) }),
+    findOne: (...args) => {
+      const result = productFindOneMock(...args);
+      return Object.assign(Promise.resolve(result), {
+        select: () => ({ lean: async () => result }),
+      });
+    },
+    create: jest.fn(),
+  },
+}));
+await jest.unstable_mockModule("../models/InventoryMovement.js", () => ({ InventoryMovement: {} }));
+await jest.unstable_mockModule("../models/InventoryOrder.js", () => ({ InventoryOrder: {} }));
+
+const {
+  createCatalogProduct,
+  findCatalogProduct,
+  InventoryCatalogError,
+  migrateLegacyInventoryCatalog,
+  retireCatalogProduct,
+} = await import("./inventoryCatalog.js");
+
+const makeProductModel = (rows) => ({
+  find: jest.fn(() => ({ limit: () => ({ lean: async () => rows }) })),
+});
+
+const makeCatalogDoc = (overrides = {}) => {
+  const doc = {
+    _id: "inv-1",
+    productKey: "NFC_BAND",
+    productName: "NFC Band",
+    source: "CATALOG",
+    isActive: true,
+    reservedStock: 0,
+    aliases: [],
+    ...overrides,
+  };
+  doc.set = jest.fn((fields) => Object.assign(doc, fields));
+  doc.save = jest.fn(async () => doc);
+  doc.toObject = () => ({ ...doc });
+  return doc;
+};
+
+describe("inventoryCatalog", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("prefers exact key matches over SKU and alias matches", async () => {
+    const productModel = makeProductModel([
+      { productKey: "WRIST_STRAP", aliases: ["band"] },
+      { productKey: "BAND", aliases: [] },
+    ]);
+
+    const product = await findCatalogProduct("band", { productModel });
+
+    expect(product.productKey).toBe("BAND");
+    expect(productModel.find.mock.calls[0][0].$or).toContainEqual({ aliases: "band" });
+    await expect(findCatalogProduct("  ", { productModel })).resolves.toBeNull();
+  });
+
+  it("rejects new products whose aliases already map elsewhere", async () => {
+    productFindOneMock.mockReturnValueOnce({ productKey: "MEDICAL_KIT", aliases: ["first aid kit"] });
+
+    await expect(
+      createCatalogProduct({ productKey: "aid-kit", productName: "First Aid Kit", unitPrice: 450 })
+    ).rejects.toThrow('"first aid kit" already maps to MEDICAL_KIT');
+    await expect(createCatalogProduct({ productKey: "x", productName: "X" })).rejects.toThrow(
+      InventoryCatalogError
+    );
+  });
+
+  it("only retires catalog items without reserved stock", async () => {
+    productFindOneMock.mockReturnValueOnce(makeCatalogDoc({ reservedStock: 3 }));
+    await expect(retireCatalogProduct("NFC_BAND")).rejects.toThrow("3 units are still reserved");
+
+    productFindOneMock.mockReturnValueOnce(makeCatalogDoc({ source: "STORE" }));
+    await expect(retireCatalogProduct("NFC_BAND")).rejects.toThrow("store product admin");
+
+    const now = new Date("2026-05-01T00:00:00Z");
+    productFindOneMock.mockReturnValueOnce(makeCatalogDoc());
+    const retired = await retireCatalogProduct("NFC_BAND", { reason: "Discontinued", now });
+    expect(retired).toMatchObject({ isActive: false, retiredAt: now, retiredReason: "Discontinued" });
+  });
+
+  it("seeds legacy items and remaps ledger keys to catalog products", async () => {
+    const productModel = {
+      updateOne: jest.fn(async () => ({})),
+      distinct: jest.fn(async () => ["NFC_BAND", "MEDICAL_KIT"]),
+      find: jest.fn((query) => ({
+        limit: () => ({
+          lean: async () =>
+            query.$or.some((clause) => clause.aliases === "nfc-band-001")
+              ? [{ productKey: "NFC_BAND" }]
+              : [],
+        }),
+      })),
+    };
+    const movementModel = {
+      distinct: jest.fn(async () => ["NFC_BAND", "nfc-band-001", "gone-1"]),
+      updateMany: jest.fn(async () => ({ modifiedCount: 4 })),
+    };
+    const orderModel = {
+      distinct: jest.fn(async () => ["MEDICAL_KIT"]),
+      updateMany: jest.fn(),
+    };
+
+    const result = await migrateLegacyInventoryCatalog({ productModel, movementModel, orderModel });
+
+    expect(productModel.updateOne).toHaveBeenCalledTimes(2);
+    expect(productModel.updateOne.mock.calls[0][1].$set).toEqual({ source: "CATALOG" });
+    expect(movementModel.updateMany).toHaveBeenCalledWith(
+      { productKey: "nfc-band-001" },
+      { $set: { productKey: "NFC_BAND", legacyProductKey: "nfc-band-001" } }
+    );
+    expect(orderModel.updateMany).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      seededKeys: ["NFC_BAND", "MEDICAL_KIT"],
+      remappedMovements: 4,
+      remappedOrders: 0,
+      unresolvedKeys: ["gone-1"],
+    });
+  });
+});
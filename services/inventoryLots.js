@@ -0,0 +1,214 @@
+import mongoose from "mongoose";
+import { InventoryLot } from "../models/InventoryLot.js";
+
+/**
+ * Batch/lot tracking for inventory products. Restocks can receive stock into
+ * a lot (batch number, manufacture date, expiry); fulfilment draws from the
+ * first-expiring lot first. Stock received without a lot stays "unbatched"
+ * and is used only after the lots run out, so products that never used lots
+ * keep working on plain counts.
+ */
+
+const DEFAULT_NEAR_EXPIRY_DAYS = 30;
+const MAX_ALLOCATION_ATTEMPTS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class InventoryLotError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "InventoryLotError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const toDateOrNull = (value) => {
+  if (!value) return null;
+  const parsed = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+export const getNearExpiryWindowDays = () =>
+  Number(process.env.INVENTORY_NEAR_EXPIRY_DAYS) || DEFAULT_NEAR_EXPIRY_DAYS;
+
+/**
+ * Validate the lot details sent with a restock. Returns null when none were
+ * sent. Receiving the same batch again tops up the existing lot, so its
+ * expiry has to match.
+ */
+export const prepareLotReceipt = async ({ productKey, lot, required = false, now = new Date() }) => {
+  const batchNumber = asText(lot?.batchNumber).slice(0, 64);
+  if (!batchNumber) {
+    if (required) throw new InventoryLotError("This product is tracked in lots; batchNumber is required");
+    if (lot?.expiresAt || lot?.manufacturedAt) {
+      throw new InventoryLotError("batchNumber is required when lot dates are given");
+    }
+    return null;
+  }
+
+  const expiresAt = toDateOrNull(lot?.expiresAt);
+  if (!expiresAt) throw new InventoryLotError("expiresAt must be a valid date for a lot");
+  if (expiresAt <= now) throw new InventoryLotError("Cannot receive a lot that has already expired");
+
+  const manufacturedAt = toDateOrNull(lot?.manufacturedAt);
+  if (lot?.manufacturedAt && !manufacturedAt) {
+    throw new InventoryLotError("manufacturedAt must be a valid date");
+  }
+  if (manufacturedAt && (manufacturedAt > now || manufacturedAt >= expiresAt)) {
+    throw new InventoryLotError("manufacturedAt must be in the past and before expiresAt");
+  }
+
+  const existing = await InventoryLot.findOne({ productKey, batchNumber }).select("expiresAt").lean();
+  if (existing && existing.expiresAt.getTime() !== expiresAt.getTime()) {
+    throw new InventoryLotError(
+      `Batch ${batchNumber} is already recorded with expiry ${existing.expiresAt.toISOString().slice(0, 10)}`,
+      409
+    );
+  }
+
+  return { batchNumber, manufacturedAt, expiresAt };
+};
+
+export const receiveLot = async ({ product, quantity, lot, actor = {}, now = new Date() }) =>
+  InventoryLot.findOneAndUpdate(
+    { productKey: product.productKey, batchNumber: lot.batchNumber },
+    {
+      $setOnInsert: {
+        productKey: product.productKey,
+        inventoryProductId: product._id || null,
+        batchNumber: lot.batchNumber,
+        manufacturedAt: lot.manufacturedAt,
+        expiresAt: lot.expiresAt,
+        receivedAt: now,
+        createdBy: { adminId: actor.adminId || null, name: actor.name || "System" },
+      },
+      $inc: { quantity, remaining: quantity },
+      $set: { status: "ACTIVE" },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+const toAllocation = (lot, quantity) => ({
+  lotId: lot._id,
+  batchNumber: lot.batchNumber,
+  expiresAt: lot.expiresAt,
+  quantity,
+});
+
+/**
+ * Draw units from the product's unexpired lots, earliest expiry first.
+ * `unbatched` is the part of the quantity no lot could cover.
+ */
+export const allocateLotsFefo = async ({ productKey, quantity, trackLots = false, now = new Date() }) => {
+  const allocations = [];
+  const requested = Math.max(0, Math.floor(Number(quantity) || 0));
+  let needed = requested;
+
+  for (let attempt = 0; needed > 0 && attempt < MAX_ALLOCATION_ATTEMPTS; attempt += 1) {
+    const lot = await InventoryLot.findOne({
+      productKey,
+      status: "ACTIVE",
+      remaining: { $gt: 0 },
+      expiresAt: { $gt: now },
+    })
+      .sort({ expiresAt: 1, receivedAt: 1 })
+      .lean();
+    if (!lot) break;
+
+    const take = Math.min(needed, lot.remaining);
+    const claimed = await InventoryLot.findOneAndUpdate(
+      { _id: lot._id, status: "ACTIVE", remaining: { $gte: take } },
+      [
+        { $set: { remaining: { $subtract: ["$remaining", take] } } },
+        { $set: { status: { $cond: [{ $eq: ["$remaining", 0] }, "DEPLETED", "$status"] } } },
+      ],
+      { new: true }
+    ).lean();
+    // Another fulfilment drew from this lot first; look again
+    if (!claimed) continue;
+
+    allocations.push(toAllocation(lot, take));
+    needed -= take;
+  }
+
+  // For a lot-tracked product, units no valid lot covers may be the ones an
+  // expired lot still holds for open orders: refuse rather than ship them
+  if (trackLots && needed > 0) {
+    const heldExpired = await InventoryLot.findOne({ productKey, status: "EXPIRED", remaining: { $gt: 0 } })
+      .select("batchNumber remaining")
+      .lean();
+    if (heldExpired) {
+      await returnLotAllocations(allocations);
+      throw new InventoryLotError(
+        `Only ${requested - needed} of ${requested} units of ${productKey} are in unexpired lots; ` +
+          `lot ${heldExpired.batchNumber} has expired with ${heldExpired.remaining} units still reserved`,
+        409
+      );
+    }
+    console.warn(`⚠️ ${needed} units of lot-tracked ${productKey} shipped without a batch`);
+  }
+
+  return { allocations, unbatched: needed };
+};
+
+/**
+ * Put allocated units back into their lots (returns, rolled-back
+ * fulfilment). Units returned into an expired lot are written off again by
+ * the next expiry sweep.
+ */
+export const returnLotAllocations = async (allocations = []) => {
+  for (const allocation of Array.isArray(allocations) ? allocations : []) {
+    const quantity = Math.floor(Number(allocation?.quantity) || 0);
+    if (!mongoose.Types.ObjectId.isValid(asText(allocation?.lotId)) || quantity <= 0) continue;
+
+    await InventoryLot.updateOne({ _id: allocation.lotId }, [
+      {
+        $set: {
+          remaining: { $add: ["$remaining", quantity] },
+          status: { $cond: [{ $eq: ["$status", "DEPLETED"] }, "ACTIVE", "$status"] },
+        },
+      },
+    ]);
+  }
+};
+
+export const listInventoryLots = async ({ productKey, status, limit = 100 } = {}) => {
+  const filter = {};
+  if (asText(productKey) && asText(productKey).toUpperCase() !== "ALL") {
+    filter.productKey = asText(productKey);
+  }
+
+  const normalizedStatus = asText(status).toUpperCase();
+  if (normalizedStatus && normalizedStatus !== "ALL") {
+    if (!["ACTIVE", "DEPLETED", "EXPIRED"].includes(normalizedStatus)) {
+      throw new InventoryLotError("status must be ACTIVE, DEPLETED or EXPIRED");
+    }
+    filter.status = normalizedStatus;
+  }
+
+  const safeLimit = Math.min(500, Math.max(1, Math.floor(Number(limit) || 100)));
+  return InventoryLot.find(filter).sort({ expiresAt: 1, createdAt: 1 }).limit(safeLimit).lean();
+};
+
+/**
+ * Lots with stock left that expire within the window, soonest first.
+ */
+export const getNearExpiryLots = async ({ productKey, days = getNearExpiryWindowDays(), now = new Date() } = {}) => {
+  const filter = {
+    status: "ACTIVE",
+    remaining: { $gt: 0 },
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+  };
+  if (productKey) filter.productKey = productKey;
+
+  const lots = await InventoryLot.find(filter).sort({ expiresAt: 1 }).limit(200).lean();
+  return lots.map((lot) => ({
+    lotId: lot._id,
+    productKey: lot.productKey,
+    batchNumber: lot.batchNumber,
+    expiresAt: lot.expiresAt,
+    remaining: lot.remaining,
+    daysLeft: Math.ceil((new Date(lot.expiresAt).getTime() - now.getTime()) / DAY_MS),
+  }));
+};
@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const lotFindOneMock = jest.fn();
+const lotFindOneAndUpdateMock = jest.fn();
+const lotUpdateOneMock = jest.fn(async () => ({}));
+
+await jest.unstable_mockModule("../models/InventoryLot.js", () => ({
+  InventoryLot: {
+    findOne: (...args) => {
+      const result = () => lotFindOneMock(...args);
+      return {
+        select: () => ({ lean: async () => result() }),
+        sort: () => ({ lean: async () => result() }),
+      };
+    },
+    findOneAndUpdate: (...args) => ({ lean: async () => lotFindOneAndUpdateMock(...args) }),
+    updateOne: lotUpdateOneMock,
+  },
+}));
+
+const { allocateLotsFefo, InventoryLotError, prepareLotReceipt, returnLotAllocations } = await import(
+  "./inventoryLots.js"
+);
+
+const now = new Date("2026-06-01T00:00:00Z");
+const lotA = { _id: "64b0000000000000000000a1", batchNumber: "A-1", expiresAt: new Date("2026-07-01"), remaining: 3 };
+const lotB = { _id: "64b0000000000000000000b2", batchNumber: "B-7", expiresAt: new Date("2026-09-01"), remaining: 10 };
+
+describe("inventoryLots", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("validates lot details sent with a restock", async () => {
+    await expect(prepareLotReceipt({ productKey: "MEDICAL_KIT", lot: {}, now })).resolves.toBeNull();
+    await expect(
+      prepareLotReceipt({ productKey: "MEDICAL_KIT", lot: {}, required: true, now })
+    ).rejects.toThrow("batchNumber is required");
+    await expect(
+      prepareLotReceipt({ productKey: "MEDICAL_KIT", lot: { batchNumber: "K1", expiresAt: "2026-05-01" }, now })
+    ).rejects.toThrow("already expired");
+    await expect(
+      prepareLotReceipt({
+        productKey: "MEDICAL_KIT",
+        lot: { batchNumber: "K1", manufacturedAt: "2027-01-01", expiresAt: "2026-12-01" },
+        now,
+      })
+    ).rejects.toThrow(InventoryLotError);
+
+    lotFindOneMock.mockResolvedValueOnce({ expiresAt: new Date("2026-10-01T00:00:00Z") });
+    await expect(
+      prepareLotReceipt({ productKey: "MEDICAL_KIT", lot: { batchNumber: "K1", expiresAt: "2026-12-01" }, now })
+    ).rejects.toThrow("already recorded with expiry 2026-10-01");
+
+    lotFindOneMock.mockResolvedValueOnce(null);
+    await expect(
+      prepareLotReceipt({
+        productKey: "MEDICAL_KIT",
+        lot: { batchNumber: " K2 ", manufacturedAt: "2026-01-01", expiresAt: "2026-12-01" },
+        now,
+      })
+    ).resolves.toEqual({
+      batchNumber: "K2",
+      manufacturedAt: new Date("2026-01-01"),
+      expiresAt: new Date("2026-12-01"),
+    });
+  });
+
+  it("allocates from the earliest-expiring lots first and retries lost races", async () => {
+    // Lot A is drawn down to 1 unit between the read and the claim
+    lotFindOneMock
+      .mockResolvedValueOnce(lotA)
+      .mockResolvedValueOnce({ ...lotA, remaining: 1 })
+      .mockResolvedValueOnce(lotB);
+    lotFindOneAndUpdateMock
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ ...lotA, remaining: 0 })
+      .mockResolvedValueOnce({ ...lotB, remaining: 5 });
+
+    const result = await allocateLotsFefo({ productKey: "MEDICAL_KIT", quantity: 6, now });
+
+    expect(lotFindOneMock.mock.calls[0][0]).toMatchObject({
+      status: "ACTIVE",
+      expiresAt: { $gt: now },
+    });
+    expect(result.allocations.map(({ batchNumber, quantity }) => [batchNumber, quantity])).toEqual([
+      ["A-1", 1],
+      ["B-7", 5],
+    ]);
+    expect(result.unbatched).toBe(0);
+  });
+
+  it("reports units no lot could cover and returns allocations to their lots", async () => {
+    lotFindOneMock.mockResolvedValueOnce(lotA).mockResolvedValueOnce(null);
+    lotFindOneAndUpdateMock.mockResolvedValueOnce({ ...lotA, remaining: 0 });
+
+    const result = await allocateLotsFefo({ productKey: "MEDICAL_KIT", quantity: 5, now });
+    expect(result.unbatched).toBe(2);
+
+    await returnLotAllocations([...result.allocations, { lotId: "not-an-id", quantity: 2 }]);
+    expect(lotUpdateOneMock).toHaveBeenCalledTimes(1);
+    expect(lotUpdateOneMock.mock.calls[0][0]).toEqual({ _id: lotA._id });
+  });
+
+  it("refuses to ship a lot-tracked product from an expired lot's held units", async () => {
+    lotFindOneMock
+      .mockResolvedValueOnce(lotA)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ batchNumber: "OLD-2", remaining: 4 });
+    lotFindOneAndUpdateMock.mockResolvedValueOnce({ ...lotA, remaining: 0 });
+
+    await expect(
+      allocateLotsFefo({ productKey: "MEDICAL_KIT", quantity: 5, trackLots: true, now })
+    ).rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining("Only 3 of 5 units") });
+    expect(lotFindOneMock.mock.calls[2][0]).toEqual({
+      productKey: "MEDICAL_KIT",
+      status: "EXPIRED",
+      remaining: { $gt: 0 },
+    });
+    expect(lotUpdateOneMock).toHaveBeenCalledTimes(1);
+    expect(lotUpdateOneMock.mock.calls[0][0]).toEqual({ _id: lotA._id });
+
+    // Stock received before the product was lot-tracked still ships
+    lotFindOneMock.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+    await expect(
+      allocateLotsFefo({ productKey: "MEDICAL_KIT", quantity: 2, trackLots: true, now })
+    ).resolves.toEqual({ allocations: [], unbatched: 2 });
+  });
+});
@@ -5,35 +5,16 @@ import { InventoryProduct } from "../models/InventoryProduct.js";
 import { Product } from "../models/Product.js";
 import { listInventoryRowsWithProductDetails } from "./storeInventoryBridge.js";
 import { ensureInventoryForProduct } from "./storeInventoryBridge.js";
-
-export const INVENTORY_CATALOG = Object.freeze([
-  {
-    productKey: "NFC_BAND",
-    productName: "NFC Band",
-    sku: "NFC-BAND-001",
-    productId: "band-1",
-    unitPrice: 600,
-    reorderLevel: 20,
-  },
-  {
-    productKey: "MEDICAL_KIT",
-    productName: "Medical Kit",
-    sku: "MED-KIT-001",
-    productId: "kit-1",
-    unitPrice: 1000,
-    reorderLevel: 15,
-  },
-]);
-
-const CATALOG_BY_KEY = new Map(
-  INVENTORY_CATALOG.map((product) => [product.productKey, product])
-);
-const CATALOG_BY_PRODUCT_ID = new Map(
-  INVENTORY_CATALOG.map((product) => [product.productId.toLowerCase(), product])
-);
-const CATALOG_BY_SKU = new Map(
-  INVENTORY_CATALOG.map((product) => [product.sku.toLowerCase(), product])
-);
+import { assertCatalogProductActive, findCatalogProduct } from "./inventoryCatalog.js";
+import {
+  allocateLotsFefo,
+  getNearExpiryLots,
+  getNearExpiryWindowDays,
+  prepareLotReceipt,
+  receiveLot,
+  returnLotAllocations,
+} from "./inventoryLots.js";
+import { InventoryLot } from "../models/InventoryLot.js";
 
 const MOVEMENT_TYPES = new Set(["IN", "OUT", "RETURN", "DAMAGED", "ADJUSTMENT"]);
 const COMPLETED_STATUSES = new Set(["completed", "delivered"]);
@@ -117,41 +98,27 @@ const buildActor = (actor, fallbackSource = "system") => ({
   source: actor?.source || fallbackSource,
 });
 
-const normalizeProductKeyValue = (value) => {
+/**
+ * Resolve a key, product id, SKU or alias to the catalog productKey. Store
+ * product ids that have no inventory row yet are passed through so the row
+ * can be created on first use. Retired items are rejected unless allowed.
+ */
+const resolveProductKey = async (
+  value,
+  { productModel = InventoryProduct, allowRetired = true } = {}
+) => {
   if (!value && value !== 0) return null;
 
   const raw = String(value).trim();
   if (!raw) return null;
 
-  if (mongoose.Types.ObjectId.isValid(raw)) return raw;
-
-  const upper = raw.toUpperCase();
-  if (CATALOG_BY_KEY.has(upper)) return upper;
-
-  const lower = raw.toLowerCase();
-  if (CATALOG_BY_PRODUCT_ID.has(lower)) {
-    return CATALOG_BY_PRODUCT_ID.get(lower).productKey;
-  }
-  if (CATALOG_BY_SKU.has(lower)) {
-    return CATALOG_BY_SKU.get(lower).productKey;
-  }
-
-  if (lower.includes("nfc") || lower.includes("healthband") || lower.includes("band")) {
-    return "NFC_BAND";
-  }
-  if (
-    lower.includes("medical kit") ||
-    lower.includes("smart medical kit") ||
-    lower.includes("kit")
-  ) {
-    return "MEDICAL_KIT";
-  }
-
-  if (/^[a-z0-9_-]{3,120}$/i.test(raw)) {
-    return raw;
+  const product = await findCatalogProduct(raw, { productModel });
+  if (product) {
+    if (!allowRetired) assertCatalogProductActive(product);
+    return product.productKey;
   }
 
-  return null;
+  return mongoose.Types.ObjectId.isValid(raw) ? raw : null;
 };
 
 const computeInventoryStatus = (availableStock) =>
@@ -308,7 +275,16 @@ export const normalizeDateRange = ({ from, to, defaultDays = 30 } = {}) => {
   return { start: startOfDay(rangeEnd), end: endOfDay(rangeStart) };
 };
 
-export const sanitizeOrderItems = (items) => {
+const resolveItemProduct = async (item, { productModel = InventoryProduct } = {}) => {
+  for (const candidate of [item?.productKey, item?.productId, item?.id, item?.sku, item?.name]) {
+    if (!candidate && candidate !== 0) continue;
+    const product = await findCatalogProduct(candidate, { productModel });
+    if (product) return product;
+  }
+  return null;
+};
+
+export const sanitizeOrderItems = async (items, { productModel = InventoryProduct } = {}) => {
   if (!Array.isArray(items) || !items.length) {
     throw new InventoryError("Order items are required", 400);
   }
@@ -316,24 +292,19 @@ export const sanitizeOrderItems = (items) => {
   const merged = new Map();
 
   for (const item of items) {
-    const productKey =
-      normalizeProductKeyValue(item?.productKey) ||
-      normalizeProductKeyValue(item?.productId) ||
-      normalizeProductKeyValue(item?.id) ||
-      normalizeProductKeyValue(item?.sku) ||
-      normalizeProductKeyValue(item?.name);
-
-    if (!productKey) {
+    const catalogEntry = await resolveItemProduct(item, { productModel });
+    if (!catalogEntry) {
       throw new InventoryError("Unsupported product found in order payload", 400);
     }
+    assertCatalogProductActive(catalogEntry);
+    const { productKey } = catalogEntry;
 
     const quantityRaw = Math.floor(toNumber(item?.qty ?? item?.quantity, 0));
     if (quantityRaw <= 0) continue;
 
-    const catalogEntry = CATALOG_BY_KEY.get(productKey);
     const unitPrice = Math.max(
       0,
-      toNumber(item?.unitPrice, catalogEntry?.unitPrice ?? 0)
+      toNumber(item?.unitPrice, catalogEntry.unitPrice ?? 0)
     );
 
     const existing = merged.get(productKey);
@@ -343,8 +314,8 @@ export const sanitizeOrderItems = (items) => {
     } else {
       merged.set(productKey, {
         productKey,
-        productId: item?.productId || catalogEntry?.productId || "",
-        name: item?.name || catalogEntry?.productName || productKey,
+        productId: item?.productId || catalogEntry.productId || "",
+        name: item?.name || catalogEntry.productName || productKey,
         quantity: quantityRaw,
         unitPrice,
       });
@@ -358,108 +329,16 @@ export const sanitizeOrderItems = (items) => {
   return normalizedItems;
 };
 
-export const ensureInventoryProducts = async (productModel = InventoryProduct) => {
-  for (const product of INVENTORY_CATALOG) {
-    await productModel.findOneAndUpdate(
-      { productKey: product.productKey },
-      {
-        $setOnInsert: {
-          productKey: product.productKey,
-          reorderLevel: product.reorderLevel,
-          totalStock: 0,
-          reservedStock: 0,
-          availableStock: 0,
-          status: "OUT_OF_STOCK",
-          isActive: true,
-          lastRestocked: null,
-          lastRestockedAt: null,
-        },
-        $set: {
-          productName: product.productName,
-          name: product.productName,
-          sku: product.sku,
-          productId: product.productId,
-          unitPrice: product.unitPrice,
-        },
-      },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
-  }
-
-  const products = await productModel
-    .find({
-      productKey: { $in: INVENTORY_CATALOG.map((product) => product.productKey) },
-    })
-    .sort({ productName: 1, createdAt: 1 });
-
-  for (const product of products) {
-    const catalogEntry = CATALOG_BY_KEY.get(product.productKey);
-    if (!catalogEntry) continue;
-
-    let requiresSave = false;
-
-    if (product.productName !== catalogEntry.productName) {
-      product.productName = catalogEntry.productName;
-      requiresSave = true;
-    }
-    if (product.name !== catalogEntry.productName) {
-      product.name = catalogEntry.productName;
-      requiresSave = true;
-    }
-    if (product.sku !== catalogEntry.sku) {
-      product.sku = catalogEntry.sku;
-      requiresSave = true;
-    }
-    if (product.productId !== catalogEntry.productId) {
-      product.productId = catalogEntry.productId;
-      requiresSave = true;
-    }
-    if (toNumber(product.unitPrice, catalogEntry.unitPrice) !== catalogEntry.unitPrice) {
-      product.unitPrice = catalogEntry.unitPrice;
-      requiresSave = true;
-    }
-    if (product.reorderLevel == null || toNumber(product.reorderLevel, -1) < 0) {
-      product.reorderLevel = catalogEntry.reorderLevel;
-      requiresSave = true;
-    }
-    if (product.totalStock == null) {
-      product.totalStock = 0;
-      requiresSave = true;
-    }
-    if (product.reservedStock == null) {
-      product.reservedStock = 0;
-      requiresSave = true;
-    }
-    if (product.lastRestocked == null && product.lastRestockedAt != null) {
-      product.lastRestocked = product.lastRestockedAt;
-      requiresSave = true;
-    }
-    if (product.lastRestockedAt == null && product.lastRestocked != null) {
-      product.lastRestockedAt = product.lastRestocked;
-      requiresSave = true;
-    }
-    if (product.isActive == null) {
-      product.isActive = true;
-      requiresSave = true;
-    }
-
-    if (requiresSave) {
-      await product.save();
-    }
-  }
-
-  return productModel.find({
-    productKey: { $in: INVENTORY_CATALOG.map((product) => product.productKey) },
-  });
-};
-
-const normalizeMovementInput = ({ movementType, quantity, reason, productKey }) => {
+const normalizeMovementInput = async (
+  { movementType, quantity, reason, productKey },
+  { productModel = InventoryProduct } = {}
+) => {
   const normalizedType = String(movementType || "").trim().toUpperCase();
   if (!MOVEMENT_TYPES.has(normalizedType)) {
     throw new InventoryError("Invalid movement type", 400);
   }
 
-  const normalizedProductKey = normalizeProductKeyValue(productKey);
+  const normalizedProductKey = await resolveProductKey(productKey, { productModel });
   if (!normalizedProductKey) {
     throw new InventoryError("Invalid product key", 400);
   }
@@ -740,16 +619,16 @@ const listSnapshotProducts = async (
   { productModel = InventoryProduct } = {}
 ) => {
   const normalizedProductKey = productKey
-    ? normalizeProductKeyValue(productKey)
+    ? await resolveProductKey(productKey, { productModel })
     : null;
 
   if (productKey && !normalizedProductKey) {
     throw new InventoryError("Invalid product key", 400);
   }
 
-  await ensureInventoryProducts(productModel);
-
-  const filter = normalizedProductKey ? { productKey: normalizedProductKey } : {};
+  const filter = normalizedProductKey
+    ? { productKey: normalizedProductKey }
+    : { isActive: { $ne: false } };
   return productModel.find(filter).sort({ productName: 1, createdAt: 1 }).lean();
 };
 
@@ -774,36 +653,10 @@ const buildOrderItemsPayload = (payload) => {
   return [];
 };
 
-const resolveInventoryProductForItem = async (
-  rawItem,
-  { productModel = InventoryProduct } = {}
-) => {
-  const directProductId = String(rawItem?.productId || "").trim();
-  if (
-    directProductId &&
-    mongoose.Types.ObjectId.isValid(directProductId) &&
-    !normalizeProductKeyValue(directProductId)
-  ) {
-    return productModel.findById(directProductId);
-  }
-
-  const productKey =
-    normalizeProductKeyValue(rawItem?.productKey) ||
-    normalizeProductKeyValue(rawItem?.productId) ||
-    normalizeProductKeyValue(rawItem?.id) ||
-    normalizeProductKeyValue(rawItem?.sku) ||
-    normalizeProductKeyValue(rawItem?.name);
-
-  if (!productKey) return null;
-  return productModel.findOne({ productKey });
-};
-
 const resolveOrderItems = async (
   payload,
   { productModel = InventoryProduct } = {}
 ) => {
-  await ensureInventoryProducts(productModel);
-
   const rawItems = buildOrderItemsPayload(payload);
   if (!rawItems.length) {
     throw new InventoryError("Order items are required", 400);
@@ -815,10 +668,11 @@ const resolveOrderItems = async (
     const quantity = Math.floor(toNumber(rawItem?.qty ?? rawItem?.quantity, 0));
     if (quantity <= 0) continue;
 
-    const product = await resolveInventoryProductForItem(rawItem, { productModel });
+    const product = await resolveItemProduct(rawItem, { productModel });
     if (!product) {
       throw new InventoryError("Product not found for order item", 404);
     }
+    assertCatalogProductActive(product);
 
     const cacheKey = String(product._id);
     const unitPrice = Math.max(0, toNumber(rawItem?.unitPrice, product.unitPrice));
@@ -854,16 +708,13 @@ const resolveStoredOrderItems = async (
     throw new InventoryError("Order items are missing", 400);
   }
 
-  await ensureInventoryProducts(productModel);
-
+  // Orders placed before an item was retired still complete and return normally
   const merged = new Map();
   for (const item of order.items) {
     const product =
       item?.productRef && mongoose.Types.ObjectId.isValid(String(item.productRef))
         ? await productModel.findById(item.productRef)
-        : await productModel.findOne({
-            productKey: normalizeProductKeyValue(item?.productKey || item?.productId || item?.name),
-          });
+        : await resolveItemProduct(item, { productModel });
 
     if (!product) {
       throw new InventoryError("Order item references an unknown product", 404);
@@ -893,9 +744,7 @@ const resolveStoredOrderItems = async (
 
 export const recordManualMovement = async (payload, deps = {}) => {
   const { movementType, productKey, quantity, adjustmentSign, reason } =
-    normalizeMovementInput(payload || {});
-
-  await ensureInventoryProducts(deps.productModel || InventoryProduct);
+    await normalizeMovementInput(payload || {}, deps);
 
   return createMovement(
     {
@@ -917,10 +766,13 @@ export const recordManualMovement = async (payload, deps = {}) => {
 };
 
 export const recordRestock = async (
-  { productKey, quantity, reason, referenceId, actor },
+  { productKey, quantity, reason, referenceId, actor, lot },
   { productModel = InventoryProduct, movementModel = InventoryMovement } = {}
 ) => {
-  const normalizedProductKey = normalizeProductKeyValue(productKey);
+  const normalizedProductKey = await resolveProductKey(productKey, {
+    productModel,
+    allowRetired: false,
+  });
   if (!normalizedProductKey) {
     throw new InventoryError("Invalid product key", 400);
   }
@@ -933,9 +785,19 @@ export const recordRestock = async (
   const reasonText = String(reason || "").trim() || "Manual restock";
   const happenedAt = new Date();
 
-  await ensureInventoryProducts(productModel);
   await ensureInventoryLinkedToProduct(normalizedProductKey, { productModel });
 
+  const target = await productModel
+    .findOne({ productKey: normalizedProductKey })
+    .select("trackLots")
+    .lean();
+  const lotReceipt = await prepareLotReceipt({
+    productKey: normalizedProductKey,
+    lot,
+    required: Boolean(target?.trackLots),
+    now: happenedAt,
+  });
+
   const updatedProduct = await updateProductWithPipeline(
     { productKey: normalizedProductKey },
     withDerivedInventoryState([
@@ -965,14 +827,31 @@ export const recordRestock = async (
       referenceId,
       happenedAt,
       actor,
-      metadata: { operation: "restock" },
+      metadata: lotReceipt
+        ? {
+            operation: "restock",
+            batchNumber: lotReceipt.batchNumber,
+            expiresAt: lotReceipt.expiresAt,
+          }
+        : { operation: "restock" },
     },
     { movementModel, productModel }
   );
 
+  const receivedLot = lotReceipt
+    ? await receiveLot({
+        product: updatedProduct,
+        quantity: qty,
+        lot: lotReceipt,
+        actor: buildActor(actor, "admin"),
+        now: happenedAt,
+      })
+    : null;
+
   return {
     movement,
     product: mapInventoryProduct(updatedProduct),
+    lot: receivedLot,
   };
 };
 
@@ -980,7 +859,7 @@ export const recordAdjustment = async (
   { productKey, quantity, reason, referenceId, actor },
   { productModel = InventoryProduct, movementModel = InventoryMovement } = {}
 ) => {
-  const normalizedProductKey = normalizeProductKeyValue(productKey);
+  const normalizedProductKey = await resolveProductKey(productKey, { productModel });
   if (!normalizedProductKey) {
     throw new InventoryError("Invalid product key", 400);
   }
@@ -996,7 +875,6 @@ export const recordAdjustment = async (
   const filter = { productKey: normalizedProductKey };
   let pipeline;
 
-  await ensureInventoryProducts(productModel);
   await ensureInventoryLinkedToProduct(normalizedProductKey, { productModel });
 
   if (signedQuantity > 0) {
@@ -1052,11 +930,97 @@ export const recordAdjustment = async (
   };
 };
 
+/**
+ * Write off stock in lots that have passed their expiry as DAMAGED. Units
+ * already reserved for open orders cannot be taken back: they stay on the
+ * EXPIRED lot as `remaining` (lot-tracked fulfilment refuses to ship them)
+ * and are written off by a later sweep once their orders release them.
+ * `writtenOff` only ever counts units that left stock with a movement.
+ */
+export const expireInventoryLots = async (
+  { now = new Date(), limit = 200 } = {},
+  { productModel = InventoryProduct, movementModel = InventoryMovement } = {}
+) => {
+  const lots = await InventoryLot.find({ remaining: { $gt: 0 }, expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let expiredLots = 0;
+  let unitsWrittenOff = 0;
+
+  for (const lot of lots) {
+    const product = await productModel.findOne({ productKey: lot.productKey }).lean();
+    const { availableStock } = resolveComputedAvailableStock(product || {});
+    const quantity = Math.max(0, Math.min(lot.remaining, availableStock));
+
+    // Claim the lot for this pass; stops FEFO allocation from drawing on it
+    const claimed = await InventoryLot.findOneAndUpdate(
+      { _id: lot._id, remaining: lot.remaining, writtenOff: lot.writtenOff || 0 },
+      {
+        $set: { status: "EXPIRED", expiredAt: lot.expiredAt || now },
+        $inc: { remaining: -quantity, writtenOff: quantity },
+      },
+      { new: true }
+    ).lean();
+    if (!claimed) continue;
+    if (lot.status !== "EXPIRED") expiredLots += 1;
+
+    let written = 0;
+    if (quantity > 0) {
+      const updatedProduct = await updateProductWithPipeline(
+        {
+          productKey: lot.productKey,
+          $expr: { $gte: [{ $subtract: ["$totalStock", "$reservedStock"] }, quantity] },
+        },
+        withDerivedInventoryState([
+          { $set: { totalStock: { $subtract: ["$totalStock", quantity] } } },
+        ]),
+        { productModel }
+      );
+
+      if (updatedProduct) {
+        await createMovement(
+          {
+            movementType: "DAMAGED",
+            productKey: lot.productKey,
+            quantity,
+            reason: `Lot ${lot.batchNumber} expired`,
+            referenceId: String(lot._id),
+            idempotencyKey: `lot-expiry:${lot._id}:${claimed.writtenOff}`,
+            happenedAt: now,
+            metadata: {
+              operation: "lot_expiry",
+              batchNumber: lot.batchNumber,
+              expiresAt: lot.expiresAt,
+            },
+          },
+          { movementModel, productModel }
+        );
+        written = quantity;
+      } else {
+        // Stock moved since it was read; put the units back on the lot for the next sweep
+        await InventoryLot.updateOne({ _id: lot._id }, { $inc: { remaining: quantity, writtenOff: -quantity } });
+      }
+    }
+
+    unitsWrittenOff += written;
+    const held = lot.remaining - written;
+    if (held > 0) {
+      console.warn(
+        `⚠️ Lot ${lot.batchNumber} of ${lot.productKey} expired with ${held} units still reserved; they will not ship`
+      );
+    }
+  }
+
+  return { expiredLots, unitsWrittenOff };
+};
+
 export const updateProductReorderLevel = async (
   { productKey, reorderLevel },
   { productModel = InventoryProduct } = {}
 ) => {
-  const normalizedProductKey = normalizeProductKeyValue(productKey);
+  const normalizedProductKey = await resolveProductKey(productKey, { productModel });
   if (!normalizedProductKey) {
     throw new InventoryError("Invalid product key", 400);
   }
@@ -1066,7 +1030,6 @@ export const updateProductReorderLevel = async (
     throw new InventoryError("Reorder level must be 0 or greater", 400);
   }
 
-  await ensureInventoryProducts(productModel);
   await ensureInventoryLinkedToProduct(normalizedProductKey, { productModel });
 
   const updated = await productModel.findOneAndUpdate(
@@ -1268,13 +1231,24 @@ export const completeInventoryOrder = async (
 
   const orderItems = await resolveStoredOrderItems(order, { productModel });
   const completedItems = [];
+  const lotAllocations = [];
 
   try {
     for (const item of orderItems) {
-      await completeInventoryForItem(item, { productModel });
+      const completedProduct = await completeInventoryForItem(item, { productModel });
       completedItems.push(item);
+
+      const { allocations } = await allocateLotsFefo({
+        productKey: item.productKey,
+        quantity: item.quantity,
+        trackLots: Boolean(completedProduct?.trackLots),
+      });
+      lotAllocations.push(
+        ...allocations.map((allocation) => ({ productKey: item.productKey, ...allocation }))
+      );
     }
 
+    order.lotAllocations = lotAllocations;
     order.orderStatus = "COMPLETED";
     order.status = status;
     order.completedAt = new Date();
@@ -1286,6 +1260,9 @@ export const completeInventoryOrder = async (
       idempotent: false,
     };
   } catch (error) {
+    await returnLotAllocations(lotAllocations).catch((rollbackError) =>
+      console.error("Lot allocation rollback failed:", rollbackError)
+    );
     for (const item of completedItems.reverse()) {
       try {
         await rollbackCompletedInventoryForItem(item, { productModel });
@@ -1450,8 +1427,9 @@ export const recordReturnForOrder = async (
   const movementReason =
     String(reason || "").trim() || "Order cancelled/refunded";
 
+  const wasCompleted = String(order.orderStatus || "").toUpperCase() === "COMPLETED";
   for (const item of orderItems) {
-    if (String(order.orderStatus || "").toUpperCase() === "COMPLETED") {
+    if (wasCompleted) {
       await restockCompletedInventoryForItem(item, { productModel });
     } else {
       await releaseReservedInventoryForItem(item, { productModel });
@@ -1481,6 +1459,8 @@ export const recordReturnForOrder = async (
     );
   }
 
+  if (wasCompleted) await returnLotAllocations(order.lotAllocations);
+
   order.status = "Refunded";
   order.returnProcessedAt = new Date();
   await order.save();
@@ -1493,16 +1473,22 @@ export const recordReturnForOrder = async (
   };
 };
 
-const normalizeProductFilter = (value) => {
+// Filters also accept keys of products that no longer exist, for their ledger history
+const normalizeProductFilter = async (value, { productModel = InventoryProduct } = {}) => {
   if (!value || String(value).toUpperCase() === "ALL") return null;
-  return normalizeProductKeyValue(value);
+
+  const resolved = await resolveProductKey(value, { productModel });
+  if (resolved) return resolved;
+
+  const raw = String(value).trim();
+  return /^[a-z0-9_-]{3,120}$/i.test(raw) ? raw : null;
 };
 
 export const getInventoryRows = async (
   { productKey } = {},
   { productModel = InventoryProduct } = {}
 ) => {
-  const normalizedProduct = normalizeProductFilter(productKey);
+  const normalizedProduct = await normalizeProductFilter(productKey, { productModel });
   if (productKey && !normalizedProduct && String(productKey).toUpperCase() !== "ALL") {
     throw new InventoryError("Invalid product filter", 400);
   }
@@ -1581,7 +1567,7 @@ export const getDashboardMetrics = async (
   } = {}
 ) => {
   const dateRange = normalizeDateRange({ from, to, defaultDays: 30 });
-  const normalizedProduct = normalizeProductFilter(productKey);
+  const normalizedProduct = await normalizeProductFilter(productKey, { productModel });
   if (productKey && !normalizedProduct && String(productKey).toUpperCase() !== "ALL") {
     throw new InventoryError("Invalid product filter", 400);
   }
@@ -1643,6 +1629,9 @@ export const getDashboardMetrics = async (
   const lowStockAlerts = inventoryRows.filter((row) => row.status !== "In Stock");
   const trend = buildWeeklyTrend(salesMovements, dateRange.start, dateRange.end);
 
+  const nearExpiryLots = await getNearExpiryLots({ productKey: normalizedProduct, now });
+  const productNames = new Map(inventoryRows.map((row) => [row.productKey, row.product]));
+
   const productSummary = inventoryRows.map((row) => ({
     productKey: row.productKey,
     name: row.product,
@@ -1677,6 +1666,14 @@ export const getDashboardMetrics = async (
       },
       lowStockAlerts,
       pendingOrders,
+      nearExpiry: {
+        windowDays: getNearExpiryWindowDays(),
+        totalUnits: nearExpiryLots.reduce((sum, lot) => sum + lot.remaining, 0),
+        lots: nearExpiryLots.map((lot) => ({
+          ...lot,
+          product: productNames.get(lot.productKey) || lot.productKey,
+        })),
+      },
     },
     inventoryRows,
     insights: {
@@ -1696,7 +1693,7 @@ export const getLedgerEntries = async (
   } = {}
 ) => {
   const dateRange = normalizeDateRange({ from, to, defaultDays: 30 });
-  const normalizedProduct = normalizeProductFilter(productKey);
+  const normalizedProduct = await normalizeProductFilter(productKey, { productModel });
   if (productKey && !normalizedProduct && String(productKey).toUpperCase() !== "ALL") {
     throw new InventoryError("Invalid product filter", 400);
   }
@@ -1715,8 +1712,7 @@ export const getLedgerEntries = async (
   if (normalizedProduct) filter.productKey = normalizedProduct;
   if (normalizedMovementType !== "ALL") filter.movementType = normalizedMovementType;
 
-  const [products, totalItems, entries] = await Promise.all([
-    ensureInventoryProducts(productModel),
+  const [totalItems, entries] = await Promise.all([
     movementModel.countDocuments(filter),
     movementModel
       .find(filter)
@@ -1726,6 +1722,10 @@ export const getLedgerEntries = async (
       .lean(),
   ]);
 
+  const products = await productModel
+    .find({ productKey: { $in: [...new Set(entries.map((entry) => entry.productKey))] } })
+    .select("productKey productName name")
+    .lean();
   const productMap = new Map(
     products.map((product) => [product.productKey, product.productName || product.name])
   );
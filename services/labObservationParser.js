@@ -0,0 +1,402 @@
+/**
+ * Pulls structured lab values (analyte / value / unit / reference range /
+ * date) out of extracted report text. Pure functions only so the parser can
+ * be unit tested without a database.
+ */
+
+const UNIT_PATTERN =
+  /^\s*(mg\/dl|g\/dl|g\/l|mmol\/l|mmol\/mol|[µμu]mol\/l|mg\/l|m?iu\/l|[µμu]iu\/ml|u\/l|ng\/ml|ng\/dl|pg\/ml|meq\/l|ml\/min(?:\/1\.73\s?m(?:2|²))?|fl|pg|10\^?[36]\/[µμu]l|x?\s?10\^?[36]\/[µμu]l|(?:cells|lakhs?|million|mill)\/(?:cumm|cmm|[µμu]l)|\/(?:cumm|cmm|[µμu]l|hpf)|%)(?![a-z])/i;
+
+const RANGE_PATTERN = /(\d+(?:\.\d+)?)\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?)/i;
+const LIMIT_PATTERN = /(<=|>=|<|>|≤|≥|up\s?to|upto|below|above)\s*(\d+(?:\.\d+)?)/i;
+
+/**
+ * Canonical analytes. `aliases` are matched case-insensitively on word
+ * boundaries; `plausible` rejects numbers that are clearly not the analyte
+ * value (dates, sample ids, reference text picked up by mistake).
+ */
+export const LAB_ANALYTES = [
+  {
+    code: "HbA1c",
+    name: "HbA1c",
+    aliases: ["hba1c", "hb a1c", "glycated haemoglobin", "glycated hemoglobin", "glycosylated haemoglobin", "glycosylated hemoglobin", "a1c"],
+    defaultUnit: "%",
+    plausible: [3, 20],
+  },
+  {
+    code: "GlucoseFasting",
+    name: "Glucose (Fasting)",
+    aliases: ["fasting blood sugar", "fasting blood glucose", "fasting plasma glucose", "fasting glucose", "glucose fasting", "glucose - fasting", "fbs"],
+    defaultUnit: "mg/dL",
+    plausible: [20, 700],
+  },
+  {
+    code: "GlucosePostprandial",
+    name: "Glucose (Post Prandial)",
+    aliases: ["post prandial blood sugar", "postprandial blood sugar", "post prandial glucose", "postprandial glucose", "glucose pp", "glucose - pp", "ppbs"],
+    defaultUnit: "mg/dL",
+    plausible: [20, 900],
+  },
+  {
+    code: "GlucoseRandom",
+    name: "Glucose (Random)",
+    aliases: ["random blood sugar", "random blood glucose", "random glucose", "rbs", "blood glucose", "blood sugar", "glucose"],
+    defaultUnit: "mg/dL",
+    plausible: [20, 900],
+  },
+  {
+    code: "Creatinine",
+    name: "Creatinine",
+    aliases: ["serum creatinine", "s. creatinine", "creatinine"],
+    defaultUnit: "mg/dL",
+    plausible: [0.1, 25],
+  },
+  {
+    code: "Urea",
+    name: "Blood Urea",
+    aliases: ["blood urea nitrogen", "blood urea", "serum urea", "bun", "urea"],
+    defaultUnit: "mg/dL",
+    plausible: [1, 400],
+  },
+  {
+    code: "eGFR",
+    name: "eGFR",
+    aliases: ["egfr", "estimated gfr"],
+    defaultUnit: "mL/min/1.73m2",
+    plausible: [1, 200],
+  },
+  {
+    code: "UricAcid",
+    name: "Uric Acid",
+    aliases: ["serum uric acid", "uric acid"],
+    defaultUnit: "mg/dL",
+    plausible: [0.5, 20],
+  },
+  {
+    code: "Hemoglobin",
+    name: "Hemoglobin",
+    aliases: ["haemoglobin", "hemoglobin", "hb", "hgb"],
+    defaultUnit: "g/dL",
+    plausible: [2, 25],
+  },
+  {
+    code: "WBC",
+    name: "Total WBC Count",
+    aliases: ["total leucocyte count", "total leukocyte count", "total wbc count", "white blood cells", "wbc count", "wbc", "tlc"],
+    defaultUnit: "/µL",
+    plausible: [0.1, 500000],
+  },
+  {
+    code: "RBC",
+    name: "RBC Count",
+    aliases: ["red blood cells", "rbc count", "rbc"],
+    defaultUnit: "million/µL",
+    plausible: [0.5, 10],
+  },
+  {
+    code: "Platelets",
+    name: "Platelet Count",
+    aliases: ["platelet count", "platelets", "plt"],
+    defaultUnit: "/µL",
+    plausible: [1, 2000000],
+  },
+  {
+    code: "Hematocrit",
+    name: "Hematocrit (PCV)",
+    aliases: ["haematocrit", "hematocrit", "pcv", "hct"],
+    defaultUnit: "%",
+    plausible: [5, 80],
+  },
+  {
+    code: "MCV",
+    name: "MCV",
+    aliases: ["mean corpuscular volume", "mcv"],
+    defaultUnit: "fL",
+    plausible: [40, 150],
+  },
+  {
+    code: "TotalCholesterol",
+    name: "Total Cholesterol",
+    aliases: ["total cholesterol", "serum cholesterol", "cholesterol total", "cholesterol"],
+    defaultUnit: "mg/dL",
+    plausible: [40, 800],
+  },
+  {
+    code: "LDL",
+    name: "LDL Cholesterol",
+    aliases: ["ldl cholesterol", "ldl-c", "ldl"],
+    defaultUnit: "mg/dL",
+    plausible: [5, 500],
+  },
+  {
+    code: "HDL",
+    name: "HDL Cholesterol",
+    aliases: ["hdl cholesterol", "hdl-c", "hdl"],
+    defaultUnit: "mg/dL",
+    plausible: [5, 200],
+  },
+  {
+    code: "Triglycerides",
+    name: "Triglycerides",
+    aliases: ["triglycerides", "triglyceride", "tg"],
+    defaultUnit: "mg/dL",
+    plausible: [10, 5000],
+  },
+  {
+    code: "TSH",
+    name: "TSH",
+    aliases: ["thyroid stimulating hormone", "tsh"],
+    defaultUnit: "µIU/mL",
+    plausible: [0.001, 200],
+  },
+  {
+    code: "ALT",
+    name: "ALT (SGPT)",
+    aliases: ["sgpt", "alt", "alanine aminotransferase", "alanine transaminase"],
+    defaultUnit: "U/L",
+    plausible: [1, 5000],
+  },
+  {
+    code: "AST",
+    name: "AST (SGOT)",
+    aliases: ["sgot", "ast", "aspartate aminotransferase", "aspartate transaminase"],
+    defaultUnit: "U/L",
+    plausible: [1, 5000],
+  },
+  {
+    code: "Bilirubin",
+    name: "Total Bilirubin",
+    aliases: ["total bilirubin", "bilirubin total", "serum bilirubin", "bilirubin"],
+    defaultUnit: "mg/dL",
+    plausible: [0.05, 50],
+  },
+  {
+    code: "Sodium",
+    name: "Sodium",
+    aliases: ["serum sodium", "sodium", "na+"],
+    defaultUnit: "mmol/L",
+    plausible: [90, 200],
+  },
+  {
+    code: "Potassium",
+    name: "Potassium",
+    aliases: ["serum potassium", "potassium", "k+"],
+    defaultUnit: "mmol/L",
+    plausible: [1, 10],
+  },
+  {
+    code: "VitaminD",
+    name: "Vitamin D (25-OH)",
+    aliases: ["25-oh vitamin d", "25 hydroxy vitamin d", "vitamin d3", "vitamin d"],
+    defaultUnit: "ng/mL",
+    plausible: [1, 200],
+  },
+  {
+    code: "VitaminB12",
+    name: "Vitamin B12",
+    aliases: ["vitamin b12", "vit b12", "cobalamin"],
+    defaultUnit: "pg/mL",
+    plausible: [20, 5000],
+  },
+];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const aliasMatchers = LAB_ANALYTES.flatMap((analyte) =>
+  analyte.aliases.map((alias) => ({
+    analyte,
+    alias,
+    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegex(alias)}(?![a-z0-9])`, "i"),
+  }))
+);
+
+const analyteByCode = new Map(LAB_ANALYTES.map((analyte) => [analyte.code.toLowerCase(), analyte]));
+
+/**
+ * Resolve a user-supplied analyte (code, display name or alias) to its
+ * canonical entry, e.g. "hba1c", "Glycated Hemoglobin" -> HbA1c.
+ */
+export const resolveAnalyte = (value = "") => {
+  const normalized = String(value || "").trim().toLowerCase();
+  if (!normalized) return null;
+  if (analyteByCode.has(normalized)) return analyteByCode.get(normalized);
+  return (
+    LAB_ANALYTES.find(
+      (analyte) =>
+        analyte.name.toLowerCase() === normalized || analyte.aliases.includes(normalized)
+    ) || null
+  );
+};
+
+/**
+ * List the analytes named anywhere in free text (e.g. a chat prompt), in
+ * catalogue order and without duplicates.
+ */
+export const findMentionedAnalytes = (text = "") => {
+  const source = String(text || "");
+  const found = new Set();
+  aliasMatchers.forEach(({ analyte, pattern }) => {
+    if (!found.has(analyte.code) && pattern.test(source)) found.add(analyte.code);
+  });
+  return LAB_ANALYTES.filter((analyte) => found.has(analyte.code));
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const buildUtcDate = (year, monthIndex, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, monthIndex, day));
+  if (
+    Number.isNaN(date.getTime()) ||
+    date.getUTCMonth() !== monthIndex ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Parse the date formats printed on Indian lab reports. Numeric dates are
+ * read day-first (DD/MM/YYYY).
+ */
+export const parseReportDate = (value = "") => {
+  const text = String(value || "").trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return buildUtcDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (match) return buildUtcDate(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+
+  match = text.match(/^(\d{1,2})[\s-]+([a-z]{3,9})[\s,-]+(\d{4})/i);
+  if (match) {
+    const monthIndex = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+    if (monthIndex >= 0) return buildUtcDate(Number(match[3]), monthIndex, Number(match[1]));
+  }
+  return null;
+};
+
+const DATE_VALUE = "(\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{1,2}[\\s-]+[A-Za-z]{3,9}[\\s,-]+\\d{4})";
+const LABELLED_DATE_PATTERN = new RegExp(
+  `(?:sample\\s+collected|collected|collection|sample|specimen|reported|report|test)\\s*(?:date|on|at)?\\s*(?:&\\s*time)?\\s*[:\\-]?\\s*${DATE_VALUE}`,
+  "i"
+);
+const ANY_DATE_PATTERN = new RegExp(`(?:^|\\s)${DATE_VALUE}`);
+
+/**
+ * Find the sample/report date printed in the report, preferring labelled
+ * dates ("Collected on", "Report Date") over the first date-looking value.
+ */
+export const detectReportDate = (text = "") => {
+  const source = String(text || "");
+  const labelled = source.match(LABELLED_DATE_PATTERN);
+  if (labelled) {
+    const parsed = parseReportDate(labelled[1]);
+    if (parsed) return parsed;
+  }
+  const anyDate = source.match(ANY_DATE_PATTERN);
+  return anyDate ? parseReportDate(anyDate[1]) : null;
+};
+
+const findAnalyteInLine = (line) => {
+  let best = null;
+  for (const matcher of aliasMatchers) {
+    const match = line.match(matcher.pattern);
+    if (!match) continue;
+    const start = match.index + match[1].length;
+    const end = start + matcher.alias.length;
+    if (!best || start < best.start || (start === best.start && end > best.end)) {
+      best = { analyte: matcher.analyte, label: line.slice(start, end), start, end };
+    }
+  }
+  return best;
+};
+
+const parseReferenceRange = (text = "") => {
+  const range = text.match(RANGE_PATTERN);
+  if (range) {
+    const low = Number(range[1]);
+    const high = Number(range[2]);
+    if (low <= high) return { low, high, text: range[0].trim() };
+  }
+  const limit = text.match(LIMIT_PATTERN);
+  if (limit) {
+    const operator = limit[1].toLowerCase().replace(/\s+/g, "");
+    const bound = Number(limit[2]);
+    const isUpper = ["<", "<=", "≤", "upto", "below"].includes(operator);
+    return {
+      low: isUpper ? null : bound,
+      high: isUpper ? bound : null,
+      text: limit[0].trim(),
+    };
+  }
+  return null;
+};
+
+const resolveFlag = (value, range) => {
+  if (!range) return "unknown";
+  if (range.high != null && value > range.high) return "high";
+  if (range.low != null && value < range.low) return "low";
+  return "normal";
+};
+
+/**
+ * Parse a single line of report text. Table rows extracted from PDFs and
+ * Word files ("HbA1c | 7.2 % | 4.0 - 5.6") and colon style lines
+ * ("Creatinine: 1.1 mg/dL (0.6 - 1.2)") are both supported.
+ */
+export const parseObservationLine = (line = "") => {
+  const source = String(line || "").replace(/\s+/g, " ").trim();
+  if (!source || source.length > 240) return null;
+
+  const found = findAnalyteInLine(source);
+  if (!found) return null;
+
+  const rest = source.slice(found.end);
+  const valueMatch = rest.match(/(?:^|[\s|:=\-(\t])\s*([<>]?)\s*(\d+(?:,\d{3})*(?:\.\d+)?)(?!\d)(?![/.-]\d)/);
+  if (!valueMatch) return null;
+
+  const value = Number(valueMatch[2].replace(/,/g, ""));
+  const [minPlausible, maxPlausible] = found.analyte.plausible;
+  if (!Number.isFinite(value) || value < minPlausible || value > maxPlausible) return null;
+
+  const afterValue = rest.slice(valueMatch.index + valueMatch[0].length);
+  const unitMatch = afterValue.match(UNIT_PATTERN);
+  const unit = unitMatch ? unitMatch[1].replace(/\s+/g, "") : found.analyte.defaultUnit;
+  const referenceRange = parseReferenceRange(
+    unitMatch ? afterValue.slice(unitMatch[0].length) : afterValue
+  );
+
+  return {
+    analyte: found.analyte.code,
+    analyteName: found.analyte.name,
+    label: found.label,
+    value,
+    comparator: valueMatch[1] || "",
+    unit,
+    referenceRange,
+    flag: resolveFlag(value, referenceRange),
+    sourceText: source,
+  };
+};
+
+/**
+ * Extract every recognised observation from a report. The first reading of
+ * each analyte wins so repeated summary lines do not create duplicates.
+ */
+export const parseLabObservations = (text = "", { fallbackDate = null } = {}) => {
+  const observedAt = detectReportDate(text) || fallbackDate || null;
+  const seen = new Set();
+  const observations = [];
+
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const observation = parseObservationLine(line.replace(/\*\*/g, ""));
+      if (!observation || seen.has(observation.analyte)) return;
+      seen.add(observation.analyte);
+      observations.push({ ...observation, observedAt });
+    });
+
+  return observations;
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  detectReportDate,
+  findMentionedAnalytes,
+  parseLabObservations,
+  parseObservationLine,
+  resolveAnalyte,
+} from "./labObservationParser.js";
+
+const SAMPLE_REPORT = `**CITY DIAGNOSTICS**
+Patient: Asha Rao    Age/Sex: 52/F
+Sample Collected: 14/02/2026 08:30
+Reported On: 15/02/2026
+
+Test | Result | Unit | Reference Range
+HbA1c | 7.2 | % | 4.0 - 5.6
+Fasting Blood Sugar | 132 | mg/dL | 70 - 100
+Serum Creatinine | 0.9 | mg/dL | 0.6 - 1.2
+Haemoglobin | 10.8 | g/dL | 12.0 - 15.5
+LDL Cholesterol | 142 | mg/dL | < 100
+Vitamin D | 18.4 | ng/mL | 30 - 100`;
+
+describe("lab observation parser", () => {
+  it("extracts value, unit, reference range and flag per analyte", () => {
+    const observations = parseLabObservations(SAMPLE_REPORT);
+    const byCode = Object.fromEntries(observations.map((item) => [item.analyte, item]));
+
+    expect(Object.keys(byCode)).toEqual(
+      expect.arrayContaining(["HbA1c", "GlucoseFasting", "Creatinine", "Hemoglobin", "LDL", "VitaminD"])
+    );
+    expect(byCode.HbA1c).toMatchObject({
+      value: 7.2,
+      unit: "%",
+      referenceRange: { low: 4, high: 5.6 },
+      flag: "high",
+    });
+    expect(byCode.Creatinine.flag).toBe("normal");
+    expect(byCode.Hemoglobin.flag).toBe("low");
+    expect(byCode.LDL).toMatchObject({ value: 142, referenceRange: { low: null, high: 100 }, flag: "high" });
+  });
+
+  it("prefers the labelled collection date and reads numeric dates day-first", () => {
+    expect(detectReportDate(SAMPLE_REPORT).toISOString().slice(0, 10)).toBe("2026-02-14");
+  });
+
+  it("does not read dates or sample ids as analyte values", () => {
+    expect(parseObservationLine("HbA1c collected 12/03/2026")).toBeNull();
+  });
+
+  it("resolves analyte aliases used in queries and prompts", () => {
+    expect(resolveAnalyte("glycated hemoglobin").code).toBe("HbA1c");
+    expect(resolveAnalyte("not-a-test")).toBeNull();
+    expect(findMentionedAnalytes("How has my HbA1c and creatinine changed?").map((a) => a.code)).toEqual([
+      "HbA1c",
+      "Creatinine",
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+import { LabObservation } from "../models/LabObservation.js";
+import { detectReportDate, parseLabObservations, parseReportDate } from "./labObservationParser.js";
+
+const MAX_OBSERVATIONS = 500;
+
+const toValidDate = (value) => {
+  if (!value) return null;
+  const parsed = value instanceof Date ? value : parseReportDate(value) || new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Re-parse a report's extracted text into observations. Existing rows for the
+ * document are replaced, so re-running extraction never duplicates values.
+ */
+export const syncDocumentObservations = async (document, text) => {
+  const documentId = document?._id;
+  if (!documentId) return { stored: 0 };
+
+  await LabObservation.deleteMany({ documentId });
+  if (String(document.type || document.category || "") !== "Report") {
+    return { stored: 0 };
+  }
+
+  const reportDate = detectReportDate(text);
+  const documentDate = toValidDate(document.date);
+  const uploadDate = toValidDate(document.uploadedAt) || new Date();
+  const observedAt = reportDate || documentDate || uploadDate;
+  const observedAtSource = reportDate ? "report" : documentDate ? "document_date" : "upload_date";
+
+  const observations = parseLabObservations(text, { fallbackDate: observedAt });
+  if (!observations.length) return { stored: 0 };
+
+  await LabObservation.insertMany(
+    observations.map((observation) => ({
+      userId: String(document.userId || ""),
+      documentId,
+      analyte: observation.analyte,
+      analyteName: observation.analyteName,
+      label: observation.label,
+      value: observation.value,
+      comparator: observation.comparator,
+      unit: observation.unit,
+      referenceLow: observation.referenceRange?.low ?? null,
+      referenceHigh: observation.referenceRange?.high ?? null,
+      referenceText: observation.referenceRange?.text || "",
+      flag: observation.flag,
+      observedAt,
+      observedAtSource,
+      sourceText: observation.sourceText,
+    }))
+  );
+
+  return { stored: observations.length };
+};
+
+export const removeDocumentObservations = async (documentId) =>
+  LabObservation.deleteMany({ documentId });
+
+export const findPatientObservations = async ({
+  userId,
+  analytes = [],
+  from = null,
+  to = null,
+  limit = MAX_OBSERVATIONS,
+}) => {
+  const filter = { userId: String(userId) };
+  if (analytes.length) filter.analyte = { $in: analytes };
+  if (from || to) {
+    filter.observedAt = {};
+    if (from) filter.observedAt.$gte = from;
+    if (to) filter.observedAt.$lte = to;
+  }
+
+  return LabObservation.find(filter)
+    .sort({ observedAt: 1, createdAt: 1 })
+    .limit(Math.min(Math.max(Number(limit) || MAX_OBSERVATIONS, 1), MAX_OBSERVATIONS));
+};
+
+export const formatObservation = (observation) => ({
+  id: observation._id,
+  documentId: observation.documentId,
+  analyte: observation.analyte,
+  analyteName: observation.analyteName,
+  label: observation.label,
+  value: observation.value,
+  comparator: observation.comparator || "",
+  unit: observation.unit,
+  referenceRange: {
+    low: observation.referenceLow ?? null,
+    high: observation.referenceHigh ?? null,
+    text: observation.referenceText || "",
+  },
+  flag: observation.flag,
+  observedAt: observation.observedAt,
+  observedAtSource: observation.observedAtSource,
+});
+
+/**
+ * Group observations into one chart-ready time series per analyte.
+ */
+export const buildObservationSeries = (observations = []) => {
+  const seriesByAnalyte = new Map();
+  observations.forEach((observation) => {
+    if (!seriesByAnalyte.has(observation.analyte)) {
+      seriesByAnalyte.set(observation.analyte, {
+        analyte: observation.analyte,
+        analyteName: observation.analyteName,
+        unit: observation.unit,
+        points: [],
+      });
+    }
+    seriesByAnalyte.get(observation.analyte).points.push({
+      date: observation.observedAt,
+      value: observation.value,
+      unit: observation.unit,
+      flag: observation.flag,
+      documentId: observation.documentId,
+    });
+  });
+  return Array.from(seriesByAnalyte.values());
+};
+
+/**
+ * Render observations in the "Date | Test | Value" line format the AI
+ * assistant's chart rules expect.
+ */
+export const formatObservationsForAI = (observations = []) =>
+  observations
+    .map((observation) => {
+      const date = new Date(observation.observedAt).toISOString().slice(0, 10);
+      const value = `${observation.comparator || ""}${observation.value}`;
+      const unit = observation.unit ? ` ${observation.unit}` : "";
+      const range = observation.referenceText ? ` | Ref: ${observation.referenceText}` : "";
+      return `Date: ${date} | Test: ${observation.analyteName || observation.analyte} | Value: ${value}${unit}${range}`;
+    })
+    .join("\n");
@@ -0,0 +1,349 @@
+import mongoose from "mongoose";
+import { MassIncident } from "../models/MassIncident.js";
+import { SosEvent } from "../models/SosEvent.js";
+import { User } from "../models/User.js";
+import { Notification } from "../models/Notification.js";
+import { sendPushNotification } from "../config/firebase.js";
+
+/**
+ * Mass incidents: clusters of SOS events raised close together in a short
+ * window. Incidents move active → monitoring → resolved (monitoring can go
+ * back to active when new SOS events arrive); an incident merged into
+ * another one ends in `merged`.
+ */
+
+export const MASS_INCIDENT_TRANSITIONS = {
+  active: ["monitoring", "resolved"],
+  monitoring: ["active", "resolved"],
+  resolved: [],
+  merged: [],
+};
+
+const OPEN_STATUSES = ["active", "monitoring"];
+const EARTH_RADIUS_METERS = 6378100;
+const MAX_BROADCAST_MESSAGE_LENGTH = 300;
+
+export class MassIncidentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "MassIncidentError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const readPositive = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Clustering and broadcast settings; each can be overridden from the env.
+ */
+export const loadMassIncidentConfig = (env = process.env) => ({
+  windowMinutes: readPositive(env.MASS_INCIDENT_WINDOW_MINUTES, 10),
+  radiusMeters: readPositive(env.MASS_INCIDENT_RADIUS_METERS, 15),
+  threshold: Math.round(readPositive(env.MASS_INCIDENT_THRESHOLD, 8)),
+  broadcastMaxRadiusMeters: readPositive(env.MASS_INCIDENT_BROADCAST_MAX_RADIUS_METERS, 5000),
+  locationMaxAgeHours: readPositive(env.MASS_INCIDENT_LOCATION_MAX_AGE_HOURS, 6),
+});
+
+export const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const appendIncidentAction = (incident, { action, note = "", message = "", actor = {}, changedAt = new Date() }) => {
+  if (!Array.isArray(incident.actionHistory)) incident.actionHistory = [];
+  incident.actionHistory.push({
+    action,
+    status: incident.status,
+    note: asText(note),
+    message: asText(message),
+    changedByAdminId: actor.adminId || null,
+    changedByName: asText(actor.name) || "System",
+    changedAt,
+  });
+};
+
+const addMembers = (incident, events) => {
+  const members = new Set((incident.sosEventIds || []).map(String));
+  events.forEach((event) => {
+    if (!members.has(String(event._id))) {
+      members.add(String(event._id));
+      incident.sosEventIds.push(event._id);
+    }
+    if (!incident.firstSOSAt || event.createdAt < incident.firstSOSAt) incident.firstSOSAt = event.createdAt;
+    if (!incident.lastSOSAt || event.createdAt > incident.lastSOSAt) incident.lastSOSAt = event.createdAt;
+  });
+  incident.sosCount = Math.max(incident.sosCount || 0, incident.sosEventIds.length);
+};
+
+export const transitionMassIncident = (incident, { status, actor = {}, note = "", now = new Date() } = {}) => {
+  const next = asText(status).toLowerCase();
+  const allowed = MASS_INCIDENT_TRANSITIONS[incident.status] || [];
+  if (!allowed.includes(next)) {
+    throw new MassIncidentError(`Cannot move a ${incident.status} incident to ${next || "an empty status"}`, 409);
+  }
+
+  const previous = incident.status;
+  incident.status = next;
+  if (next === "monitoring") incident.monitoringAt = now;
+  if (next === "resolved") incident.resolvedAt = now;
+  appendIncidentAction(incident, {
+    action: "status_changed",
+    note,
+    message: `Status updated from ${previous} to ${next}`,
+    actor,
+    changedAt: now,
+  });
+  return incident;
+};
+
+/**
+ * Called for every geolocated SOS: when enough SOS events landed nearby in
+ * the window, create or update the open incident around them and attach
+ * those events to it. Returns the incident, or null below the threshold.
+ */
+export const clusterSosEvent = async (sosEvent, { config = loadMassIncidentConfig(), now = new Date() } = {}) => {
+  const [lng, lat] = sosEvent.location.coordinates;
+  const since = new Date(now.getTime() - config.windowMinutes * 60 * 1000);
+
+  const sosNearby = await SosEvent.find({
+    location: {
+      $near: {
+        $geometry: { type: "Point", coordinates: [lng, lat] },
+        $maxDistance: config.radiusMeters,
+      },
+    },
+    createdAt: { $gte: since },
+  });
+  if (sosNearby.length < config.threshold) return null;
+
+  let incident = await MassIncident.findOne({
+    status: { $in: OPEN_STATUSES },
+    center: {
+      $near: {
+        $geometry: { type: "Point", coordinates: [lng, lat] },
+        $maxDistance: config.radiusMeters,
+      },
+    },
+  });
+
+  if (!incident) {
+    incident = new MassIncident({
+      center: { type: "Point", coordinates: [lng, lat] },
+      radiusMeters: config.radiusMeters,
+      status: "active",
+    });
+  } else if (incident.status === "monitoring") {
+    incident.status = "active";
+    appendIncidentAction(incident, {
+      action: "reactivated",
+      message: "New SOS events arrived while monitoring",
+      changedAt: now,
+    });
+  }
+
+  addMembers(incident, sosNearby);
+  incident.lastSOSAt = now;
+  await incident.save();
+
+  await SosEvent.updateMany(
+    { _id: { $in: sosNearby.map((event) => event._id) }, massIncidentId: null },
+    { $set: { massIncidentId: incident._id } }
+  );
+  return incident;
+};
+
+const ensureOpen = (incident) => {
+  if (!OPEN_STATUSES.includes(incident.status)) {
+    throw new MassIncidentError(`Incident is ${incident.status}`, 409);
+  }
+};
+
+const toObjectIds = (values, label) => {
+  const ids = (Array.isArray(values) ? values : []).map(asText).filter(Boolean);
+  if (!ids.length) throw new MassIncidentError(`${label} array is required`);
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length) throw new MassIncidentError(`Invalid ${label}: ${invalid.join(", ")}`);
+  return [...new Set(ids)].map((id) => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Attach SOS events an admin knows belong to the incident.
+ */
+export const attachSosEventsToIncident = async (incident, { sosEventIds, actor = {}, now = new Date() } = {}) => {
+  ensureOpen(incident);
+  const ids = toObjectIds(sosEventIds, "sosEventIds");
+  const events = await SosEvent.find({ _id: { $in: ids } }).select("_id createdAt massIncidentId").lean();
+  if (events.length !== ids.length) {
+    throw new MassIncidentError("Some SOS events were not found", 404);
+  }
+
+  const before = incident.sosEventIds.length;
+  addMembers(incident, events);
+  appendIncidentAction(incident, {
+    action: "events_attached",
+    message: `Attached ${incident.sosEventIds.length - before} SOS events`,
+    actor,
+    changedAt: now,
+  });
+  await incident.save();
+  await SosEvent.updateMany({ _id: { $in: ids } }, { $set: { massIncidentId: incident._id } });
+  return incident;
+};
+
+/**
+ * Fold overlapping incidents into `target`. The target grows to cover the
+ * merged areas and takes over their SOS events; the others end as `merged`.
+ */
+export const mergeMassIncidents = async (target, { incidentIds, actor = {}, now = new Date() } = {}) => {
+  ensureOpen(target);
+  const ids = toObjectIds(incidentIds, "incidentIds").filter((id) => !id.equals(target._id));
+  if (!ids.length) throw new MassIncidentError("Nothing to merge");
+
+  const sources = await MassIncident.find({ _id: { $in: ids } });
+  if (sources.length !== ids.length) {
+    throw new MassIncidentError("Some incidents were not found", 404);
+  }
+
+  sources.forEach((source) => {
+    ensureOpen(source);
+    const distance = distanceMeters(target.center.coordinates, source.center.coordinates);
+    if (distance > target.radiusMeters + source.radiusMeters) {
+      throw new MassIncidentError(
+        `Incident ${source._id} does not overlap (${Math.round(distance)}m apart)`
+      );
+    }
+    target.radiusMeters = Math.max(target.radiusMeters, Math.ceil(distance + source.radiusMeters));
+  });
+
+  const sourceEvents = await SosEvent.find({
+    $or: [
+      { _id: { $in: sources.flatMap((source) => source.sosEventIds || []) } },
+      { massIncidentId: { $in: ids } },
+    ],
+  })
+    .select("_id createdAt")
+    .lean();
+  addMembers(target, sourceEvents);
+  sources.forEach((source) => {
+    if (source.firstSOSAt < target.firstSOSAt) target.firstSOSAt = source.firstSOSAt;
+    if (source.lastSOSAt > target.lastSOSAt) target.lastSOSAt = source.lastSOSAt;
+  });
+  appendIncidentAction(target, {
+    action: "merged",
+    message: `Merged incidents ${sources.map((source) => String(source._id)).join(", ")}`,
+    actor,
+    changedAt: now,
+  });
+  await target.save();
+
+  await Promise.all(
+    sources.map((source) => {
+      source.status = "merged";
+      source.mergedIntoId = target._id;
+      appendIncidentAction(source, {
+        action: "merged_into",
+        message: `Merged into incident ${target._id}`,
+        actor,
+        changedAt: now,
+      });
+      return source.save();
+    })
+  );
+  await SosEvent.updateMany(
+    { _id: { $in: target.sosEventIds } },
+    { $set: { massIncidentId: target._id } }
+  );
+  return { incident: target, merged: sources.map((source) => String(source._id)) };
+};
+
+/**
+ * Alert every app user whose last known location (reported recently) falls
+ * inside the incident radius, or a wider radius chosen by the admin.
+ */
+export const broadcastIncidentAlert = async (
+  incident,
+  { title, message, radiusMeters, actor = {}, config = loadMassIncidentConfig(), now = new Date() } = {}
+) => {
+  ensureOpen(incident);
+  const alertTitle = asText(title) || "Emergency alert near you";
+  const body = asText(message);
+  if (!body) throw new MassIncidentError("message is required");
+  if (body.length > MAX_BROADCAST_MESSAGE_LENGTH) {
+    throw new MassIncidentError(`message must be at most ${MAX_BROADCAST_MESSAGE_LENGTH} characters`);
+  }
+
+  const radius = radiusMeters === undefined || radiusMeters === null || radiusMeters === ""
+    ? incident.radiusMeters
+    : Number(radiusMeters);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > config.broadcastMaxRadiusMeters) {
+    throw new MassIncidentError(`radiusMeters must be between 1 and ${config.broadcastMaxRadiusMeters}`);
+  }
+
+  const recipients = await User.find({
+    "lastKnownLocation.point": {
+      $geoWithin: { $centerSphere: [incident.center.coordinates, radius / EARTH_RADIUS_METERS] },
+    },
+    "lastKnownLocation.updatedAt": { $gte: new Date(now.getTime() - config.locationMaxAgeHours * 60 * 60 * 1000) },
+    isActive: { $ne: false },
+  })
+    .select("_id fcmToken")
+    .lean();
+
+  const data = {
+    type: "MASS_INCIDENT_ALERT",
+    massIncidentId: String(incident._id),
+    lat: String(incident.center.coordinates[1]),
+    lng: String(incident.center.coordinates[0]),
+  };
+  if (recipients.length) {
+    await Notification.insertMany(
+      recipients.map((recipient) => ({
+        title: alertTitle,
+        body,
+        type: "system",
+        data,
+        recipientId: recipient._id,
+        recipientRole: "patient",
+        senderId: actor.adminId || "system",
+        senderRole: actor.adminId ? "admin" : "system",
+      }))
+    );
+  }
+
+  const pushResults = await Promise.allSettled(
+    recipients
+      .filter((recipient) => recipient.fcmToken)
+      .map((recipient) => sendPushNotification(recipient.fcmToken, { title: alertTitle, body }, data))
+  );
+  const pushSent = pushResults.filter((result) => result.status === "fulfilled" && result.value?.success).length;
+
+  const broadcast = {
+    title: alertTitle,
+    message: body,
+    radiusMeters: radius,
+    recipientCount: recipients.length,
+    pushSent,
+    sentByAdminId: actor.adminId || null,
+    sentAt: now,
+  };
+  incident.broadcasts.push(broadcast);
+  appendIncidentAction(incident, {
+    action: "broadcast_sent",
+    note: body,
+    message: `Alert sent to ${recipients.length} users within ${radius}m`,
+    actor,
+    changedAt: now,
+  });
+  await incident.save();
+  return broadcast;
+};
@@ -0,0 +1,141 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const incidentFindMock = jest.fn();
+const sosFindMock = jest.fn();
+const sosUpdateManyMock = jest.fn(async () => ({}));
+const userFindMock = jest.fn();
+const notificationInsertManyMock = jest.fn(async (docs) => docs);
+const sendPushNotificationMock = jest.fn(async () => ({ success: true }));
+
+await jest.unstable_mockModule("../models/MassIncident.js", () => ({
+  MassIncident: { find: incidentFindMock },
+}));
+await jest.unstable_mockModule("../models/SosEvent.js", () => ({
+  SosEvent: {
+    find: (...args) => ({ select: () => ({ lean: async () => sosFindMock(...args) }) }),
+    updateMany: sosUpdateManyMock,
+  },
+}));
+await jest.unstable_mockModule("../models/User.js", () => ({
+  User: {
+    find: (...args) => ({ select: () => ({ lean: async () => userFindMock(...args) }) }),
+  },
+}));
+await jest.unstable_mockModule("../models/Notification.js", () => ({
+  Notification: { insertMany: notificationInsertManyMock },
+}));
+await jest.unstable_mockModule("../config/firebase.js", () => ({
+  sendPushNotification: sendPushNotificationMock,
+}));
+
+const mongoose = (await import("mongoose")).default;
+const {
+  MassIncidentError,
+  broadcastIncidentAlert,
+  loadMassIncidentConfig,
+  mergeMassIncidents,
+  transitionMassIncident,
+} = await import("./massIncidents.js");
+
+const actor = { adminId: "64b000000000000000000001", name: "Ops" };
+const makeIncident = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: "active",
+  center: { type: "Point", coordinates: [72.8777, 19.076] },
+  radiusMeters: 15,
+  sosCount: 0,
+  sosEventIds: [],
+  firstSOSAt: new Date("2026-03-01T09:00:00Z"),
+  lastSOSAt: new Date("2026-03-01T09:05:00Z"),
+  actionHistory: [],
+  broadcasts: [],
+  save: jest.fn(async function save() {
+    return this;
+  }),
+  ...overrides,
+});
+
+describe("massIncidents", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("reads thresholds from the env and enforces the lifecycle", () => {
+    expect(loadMassIncidentConfig({ MASS_INCIDENT_THRESHOLD: "5", MASS_INCIDENT_RADIUS_METERS: "nope" })).toMatchObject({
+      threshold: 5,
+      radiusMeters: 15,
+      windowMinutes: 10,
+    });
+
+    const incident = makeIncident();
+    transitionMassIncident(incident, { status: "monitoring", actor });
+    expect(incident.monitoringAt).toBeInstanceOf(Date);
+    transitionMassIncident(incident, { status: "resolved", actor, note: "Crowd dispersed" });
+    expect(incident.actionHistory.map((entry) => entry.message)).toEqual([
+      "Status updated from active to monitoring",
+      "Status updated from monitoring to resolved",
+    ]);
+    expect(() => transitionMassIncident(incident, { status: "active", actor })).toThrow(MassIncidentError);
+  });
+
+  it("merges overlapping incidents and rejects distant ones", async () => {
+    const eventA = new mongoose.Types.ObjectId();
+    const eventB = new mongoose.Types.ObjectId();
+    const target = makeIncident({ sosEventIds: [eventA] });
+    // ~11m east of the target centre
+    const source = makeIncident({
+      center: { type: "Point", coordinates: [72.8778, 19.076] },
+      sosEventIds: [eventB],
+      firstSOSAt: new Date("2026-03-01T08:55:00Z"),
+    });
+    incidentFindMock.mockResolvedValueOnce([source]);
+    sosFindMock.mockResolvedValueOnce([{ _id: eventB, createdAt: new Date("2026-03-01T08:55:00Z") }]);
+
+    const result = await mergeMassIncidents(target, { incidentIds: [String(source._id)], actor });
+
+    expect(result.merged).toEqual([String(source._id)]);
+    expect(target.sosEventIds.map(String)).toEqual([String(eventA), String(eventB)]);
+    expect(target.radiusMeters).toBeGreaterThan(25);
+    expect(target.firstSOSAt).toEqual(new Date("2026-03-01T08:55:00Z"));
+    expect(source).toMatchObject({ status: "merged", mergedIntoId: target._id });
+    expect(sosUpdateManyMock).toHaveBeenCalledWith(
+      { _id: { $in: target.sosEventIds } },
+      { $set: { massIncidentId: target._id } }
+    );
+
+    const distant = makeIncident({ center: { type: "Point", coordinates: [72.9, 19.1] } });
+    incidentFindMock.mockResolvedValueOnce([distant]);
+    await expect(
+      mergeMassIncidents(makeIncident(), { incidentIds: [String(distant._id)], actor })
+    ).rejects.toThrow("does not overlap");
+  });
+
+  it("broadcasts to users recently seen inside the radius", async () => {
+    userFindMock.mockResolvedValue([
+      { _id: "user-1", fcmToken: "token-1" },
+      { _id: "user-2", fcmToken: null },
+    ]);
+    const incident = makeIncident();
+    const now = new Date("2026-03-01T10:00:00Z");
+
+    const broadcast = await broadcastIncidentAlert(incident, {
+      message: "Avoid the station area; responders are on site.",
+      radiusMeters: 500,
+      actor,
+      now,
+      config: loadMassIncidentConfig({}),
+    });
+
+    const [filter] = userFindMock.mock.calls[0];
+    expect(filter["lastKnownLocation.point"].$geoWithin.$centerSphere[0]).toEqual([72.8777, 19.076]);
+    expect(filter["lastKnownLocation.updatedAt"].$gte).toEqual(new Date("2026-03-01T04:00:00Z"));
+    expect(notificationInsertManyMock.mock.calls[0][0]).toHaveLength(2);
+    expect(sendPushNotificationMock).toHaveBeenCalledTimes(1);
+    expect(broadcast).toMatchObject({ radiusMeters: 500, recipientCount: 2, pushSent: 1 });
+    expect(incident.actionHistory.at(-1).message).toBe("Alert sent to 2 users within 500m");
+
+    await expect(
+      broadcastIncidentAlert(incident, { message: "Too far", radiusMeters: 50000, config: loadMassIncidentConfig({}) })
+    ).rejects.toThrow("radiusMeters must be between");
+  });
+});
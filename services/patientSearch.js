@@ -0,0 +1,109 @@
+import { User } from "../models/User.js";
+import { tryDecryptField } from "../utils/fieldEncryption.js";
+import {
+  USER_BLIND_INDEX_FIELDS,
+  computeBlindIndex,
+  isBlindIndexConfigured,
+  normalizeAadhaar,
+  normalizeAllergy,
+  normalizePhone,
+} from "../utils/blindIndex.js";
+
+/**
+ * Exact-match patient search on encrypted fields through their blind indexes
+ * (see utils/blindIndex.js), plus the backfill that indexes patients saved
+ * before BLIND_INDEX_KEY was set or after it was rotated.
+ */
+
+export class PatientSearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PatientSearchError";
+    this.statusCode = statusCode;
+  }
+}
+
+const present = (value) => value !== undefined && value !== null && String(value).trim() !== "";
+
+export const hasPatientSearchTerms = ({ aadhaar, phone, allergy } = {}) =>
+  [aadhaar, phone, allergy].some(present);
+
+/**
+ * Mongo filter on User for the given terms; all given terms must match.
+ * Phone matches the patient's own mobile number or their emergency contact.
+ */
+export const buildPatientSearchFilter = ({ aadhaar, phone, allergy } = {}) => {
+  if (!hasPatientSearchTerms({ aadhaar, phone, allergy })) return {};
+  if (!isBlindIndexConfigured()) {
+    throw new PatientSearchError("Search by Aadhaar, phone or allergy is not configured on this server", 503);
+  }
+
+  const filter = {};
+  if (present(aadhaar)) {
+    if (!normalizeAadhaar(aadhaar)) throw new PatientSearchError("aadhaar must be 12 digits");
+    filter.aadhaarIndex = computeBlindIndex("aadhaar", aadhaar);
+  }
+  if (present(phone)) {
+    const digits = normalizePhone(phone);
+    if (!digits) throw new PatientSearchError("phone must be a phone number");
+    // Under $and so callers can still add their own $or
+    filter.$and = [
+      {
+        $or: [
+          { emergencyPhoneIndex: computeBlindIndex("emergencyPhone", digits) },
+          { mobile: { $in: [...new Set([String(phone).trim(), digits, `0${digits}`, `91${digits}`, `+91${digits}`])] } },
+        ],
+      },
+    ];
+  }
+  if (present(allergy)) {
+    if (String(allergy).length > 100) throw new PatientSearchError("allergy is too long");
+    filter.allergyIndex = computeBlindIndex("allergy", normalizeAllergy(allergy));
+  }
+  return filter;
+};
+
+const readPath = (source, path) => path.split(".").reduce((value, key) => value?.[key], source);
+
+/**
+ * Recompute every patient's blind indexes from the decrypted fields. Safe to
+ * re-run; fields no configured key can decrypt are left alone and counted.
+ */
+export const rebuildUserBlindIndexes = async ({ batchSize = 200, onProgress } = {}) => {
+  if (!isBlindIndexConfigured()) {
+    throw new PatientSearchError("BLIND_INDEX_KEY is not configured", 409);
+  }
+  const size = Math.min(Math.max(Number(batchSize) || 200, 1), 1000);
+  const totals = { scanned: 0, updated: 0, unreadable: 0 };
+  let lastId = null;
+
+  for (;;) {
+    // Raw driver reads: the stored ciphertext, not the getter output
+    const docs = await User.collection
+      .find(lastId ? { _id: { $gt: lastId } } : {}, { projection: { aadhaar: 1, emergencyContact: 1, allergies: 1 } })
+      .sort({ _id: 1 })
+      .limit(size)
+      .toArray();
+    if (docs.length === 0) break;
+
+    for (const doc of docs) {
+      const set = {};
+      USER_BLIND_INDEX_FIELDS.forEach(({ path, indexPath, compute }) => {
+        const stored = readPath(doc, path);
+        const plain = stored == null ? null : tryDecryptField(stored);
+        if (stored != null && plain == null) {
+          totals.unreadable += 1;
+          return;
+        }
+        set[indexPath] = compute(plain);
+      });
+      await User.collection.updateOne({ _id: doc._id }, { $set: set });
+      totals.scanned += 1;
+      totals.updated += Object.keys(set).length > 0 ? 1 : 0;
+    }
+    lastId = docs[docs.length - 1]._id;
+    onProgress?.({ ...totals });
+    if (docs.length < size) break;
+  }
+  return totals;
+};
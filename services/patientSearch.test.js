@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import { afterAll, describe, expect, it } from "@jest/globals";
+
+const previousEnv = { ...process.env };
+process.env.DATA_ENCRYPTION_KEY = crypto.randomBytes(32).toString("hex");
+process.env.DATA_ENCRYPTION_KEY_ID = "data-key-1";
+process.env.BLIND_INDEX_KEY = crypto.randomBytes(32).toString("hex");
+
+const { User } = await import("../models/User.js");
+const { findEncryptedPaths } = await import("./fieldReencryption.js");
+const { PatientSearchError, buildPatientSearchFilter } = await import("./patientSearch.js");
+const { redactBlindIndexParams } = await import("../utils/blindIndex.js");
+
+const runUpdateHooks = (query) =>
+  new Promise((resolve, reject) =>
+    User.schema.s.hooks.execPre("findOneAndUpdate", query, [], (error) => (error ? reject(error) : resolve()))
+  );
+
+describe("patientSearch", () => {
+  afterAll(() => {
+    process.env = previousEnv;
+  });
+
+  it("keeps blind indexes in sync on save and on update, and matches them on search", async () => {
+    const patient = new User({
+      name: "Asha",
+      email: "asha@example.com",
+      password: "secret123",
+      mobile: "9000000001",
+      aadhaar: "1234 5678 9012",
+      emergencyContact: { name: "Ravi", phone: "+91 98765 43210" },
+      allergies: "Penicillin, dust",
+    });
+
+    expect(patient.get("aadhaar", null, { getters: false })).toMatch(/^enc:v2:data-key-1:/);
+    expect(patient.aadhaarIndex).toBe(buildPatientSearchFilter({ aadhaar: "123456789012" }).aadhaarIndex);
+    expect(patient.aadhaarIndex).not.toContain("1234");
+    expect(buildPatientSearchFilter({ phone: "098765-43210" }).$and[0].$or[0]).toEqual({
+      emergencyPhoneIndex: patient.emergencyPhoneIndex,
+    });
+    // Two allergies padded with decoys so the count does not show
+    expect(patient.allergyIndex).toHaveLength(8);
+    expect(patient.allergyIndex).toContain(buildPatientSearchFilter({ allergy: "  PENICILLIN " }).allergyIndex);
+    // Never part of API output
+    expect(User.schema.path("aadhaarIndex").options.select).toBe(false);
+    expect(findEncryptedPaths(User.schema)).toEqual(["aadhaar", "emergencyContact.phone", "allergies"]);
+
+    const update = User.findByIdAndUpdate(patient._id, { emergencyContact: { name: "Ravi" }, allergies: "dust" });
+    await runUpdateHooks(update);
+    const { $set } = update.getUpdate();
+    expect($set.emergencyPhoneIndex).toBeNull();
+    expect($set.allergyIndex).toContain(buildPatientSearchFilter({ allergy: "Dust" }).allergyIndex);
+    expect($set.allergyIndex).not.toContain(buildPatientSearchFilter({ allergy: "penicillin" }).allergyIndex);
+    expect($set).not.toHaveProperty("aadhaarIndex");
+  });
+
+  it("rejects malformed terms, and keeps them out of request logs", () => {
+    expect(buildPatientSearchFilter({})).toEqual({});
+    expect(() => buildPatientSearchFilter({ aadhaar: "1234" })).toThrow(PatientSearchError);
+    expect(() => buildPatientSearchFilter({ phone: "abc" })).toThrow("phone must be a phone number");
+
+    expect(redactBlindIndexParams("/api/superadmin/users?role=PATIENT&aadhaar=123456789012")).toBe(
+      "/api/superadmin/users?role=PATIENT&aadhaar=%5Bredacted%5D"
+    );
+    expect(redactBlindIndexParams("/api/users/all-patients?page=2")).toBe("/api/users/all-patients?page=2");
+
+    delete process.env.BLIND_INDEX_KEY;
+    try {
+      expect(() => buildPatientSearchFilter({ phone: "9876543210" })).toThrow(
+        expect.objectContaining({ statusCode: 503 })
+      );
+    } finally {
+      process.env.BLIND_INDEX_KEY = crypto.randomBytes(32).toString("hex");
+    }
+  });
+});
@@ -0,0 +1,290 @@
+import { StoreOrder } from "../models/StoreOrder.js";
+import { PaymentWebhookEvent } from "../models/PaymentWebhookEvent.js";
+import { applyInventoryForStoreOrderStatus } from "./storeInventoryBridge.js";
+import { releaseCouponForOrder } from "./storeCoupons.js";
+import { issueStoreInvoiceForOrder } from "./gstInvoice.js";
+import { createRazorpayProvider } from "./razorpayProvider.js";
+import { createFakePaymentProvider } from "./fakePaymentProvider.js";
+
+/**
+ * Payment gateway for store orders. Online orders start PENDING_PAYMENT with a
+ * provider intent; signed provider webhooks move them to PAID. A declined
+ * attempt is only recorded, since the buyer can retry on the same intent;
+ * intents that expire unpaid cancel the order and release its stock.
+ *
+ * A provider is an object with createIntent, createRefund, verifyWebhook and parseWebhook;
+ * parseWebhook normalizes events to type "succeeded" | "failed" | "ignored", where
+ * "failed" is one payment attempt, not the intent.
+ */
+
+const DEFAULT_INTENT_TTL_MINUTES = 30;
+const CANCELLABLE_ORDER_STATUSES = new Set(["AWAITING_VERIFICATION", "PLACED", "PROCESSING"]);
+
+const PAYMENT_PROVIDERS = {
+  razorpay: createRazorpayProvider,
+  fake: createFakePaymentProvider,
+};
+
+export class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PaymentError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const isProduction = () => asText(process.env.NODE_ENV).toLowerCase() === "production";
+
+export const getPaymentIntentTtlMinutes = () =>
+  Number(process.env.PAYMENT_INTENT_TTL_MINUTES) || DEFAULT_INTENT_TTL_MINUTES;
+
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const configured = asText(process.env.PAYMENT_PROVIDER).toLowerCase();
+  const key = asText(name).toLowerCase() || configured;
+  if (!key) throw new PaymentError("Online payments are not configured", 503);
+
+  const factory = PAYMENT_PROVIDERS[key];
+  // Anyone holding the fake provider's secret can settle orders, so it only
+  // exists where it was chosen explicitly, and never in production
+  if (!factory || (key === "fake" && (configured !== "fake" || isProduction()))) {
+    throw new PaymentError(`Unknown payment provider: ${key}`, 404);
+  }
+  try {
+    return factory();
+  } catch (error) {
+    throw wrapProviderError(error);
+  }
+};
+
+const wrapProviderError = (error) => {
+  if (error instanceof PaymentError) return error;
+  const statusCode = Number(error?.statusCode) || 502;
+  return new PaymentError(error?.message || "Payment provider request failed", statusCode);
+};
+
+/**
+ * Open a provider intent for a newly created order. Returns
+ * the `payment` subdocument to store and the payload the client needs to
+ * launch the provider checkout.
+ */
+export const createPaymentIntent = async ({ orderId, total, currency = "INR", now = new Date() }) => {
+  const provider = getPaymentProvider();
+  const amountMinor = Math.round(Math.max(0, Number(total) || 0) * 100);
+  if (amountMinor <= 0) throw new PaymentError("Order total must be greater than zero");
+
+  let intent;
+  try {
+    intent = await provider.createIntent({
+      receipt: String(orderId),
+      amountMinor,
+      currency,
+      notes: { storeOrderId: String(orderId) },
+    });
+  } catch (error) {
+    console.error(`❌ Payment intent creation failed (${provider.name}):`, error.message);
+    throw wrapProviderError(error);
+  }
+
+  const expiresAt = new Date(now.getTime() + getPaymentIntentTtlMinutes() * 60 * 1000);
+  return {
+    payment: {
+      provider: provider.name,
+      intentId: intent.intentId,
+      status: "CREATED",
+      amountMinor,
+      currency,
+      expiresAt,
+    },
+    checkout: { provider: provider.name, expiresAt, ...intent.clientPayload },
+  };
+};
+
+/**
+ * Refund a captured payment in full through the provider that took it.
+ */
+export const refundProviderPayment = async ({ providerName, providerPaymentId, amountMinor, notes = {} }) => {
+  const provider = getPaymentProvider(providerName);
+  try {
+    return await provider.createRefund({ providerPaymentId, amountMinor, notes });
+  } catch (error) {
+    console.error(`❌ Refund failed (${provider.name}):`, error.message);
+    throw wrapProviderError(error);
+  }
+};
+
+/**
+ * Move an order out of PENDING_PAYMENT to FAILED (or EXPIRED on timeout),
+ * then cancel it and release its reserved stock. Returns false when another
+ * webhook or the timeout job already settled the payment.
+ */
+export const failOrderPayment = async (orderId, { reason = "", status = "FAILED", now = new Date() } = {}) => {
+  const previous = await StoreOrder.findOneAndUpdate(
+    { _id: orderId, paymentStatus: "PENDING_PAYMENT", "payment.status": "CREATED" },
+    {
+      $set: {
+        paymentStatus: "FAILED",
+        "payment.status": status,
+        "payment.failedAt": now,
+        "payment.failureReason": asText(reason).slice(0, 300),
+      },
+    },
+    { new: false }
+  ).lean();
+  if (!previous) return false;
+
+  if (CANCELLABLE_ORDER_STATUSES.has(previous.status)) {
+    await applyInventoryForStoreOrderStatus({ order: previous, nextStatus: "CANCELLED" });
+    await StoreOrder.updateOne({ _id: previous._id, status: previous.status }, { $set: { status: "CANCELLED" } });
+    await releaseCouponForOrder(previous._id, { now });
+  }
+  return true;
+};
+
+// One declined attempt: note it on the order and leave the intent open for a retry
+const recordFailedAttempt = async (order, event, now) => {
+  const recorded = await StoreOrder.updateOne(
+    { _id: order._id, paymentStatus: "PENDING_PAYMENT", "payment.status": "CREATED" },
+    {
+      $set: {
+        "payment.lastAttemptFailedAt": now,
+        "payment.lastAttemptFailureReason": asText(event.failureReason).slice(0, 300),
+      },
+      $inc: { "payment.failedAttempts": 1 },
+    }
+  );
+  return recorded.modifiedCount > 0 ? "attempt_failed" : "already_settled";
+};
+
+const markOrderPaid = async (order, event, now) => {
+  const paidFields = {
+    paymentStatus: "PAID",
+    "payment.status": "PAID",
+    "payment.providerPaymentId": event.providerPaymentId,
+    "payment.paidAt": now,
+  };
+
+  const paid = await StoreOrder.updateOne(
+    { _id: order._id, paymentStatus: "PENDING_PAYMENT", status: { $ne: "CANCELLED" } },
+    { $set: paidFields }
+  );
+  if (paid.modifiedCount > 0) return "paid";
+
+  // The money arrived after the order was cancelled, whether for a failed or
+  // expired payment or with its intent still open; keep the record so it can
+  // be refunded.
+  const late = await StoreOrder.updateOne(
+    {
+      _id: order._id,
+      $or: [{ paymentStatus: "FAILED" }, { paymentStatus: "PENDING_PAYMENT", status: "CANCELLED" }],
+    },
+    { $set: { ...paidFields, "payment.refundRequired": true } }
+  );
+  if (late.modifiedCount > 0) {
+    console.warn(`⚠️ Payment captured for cancelled store order ${order._id}; refund required`);
+    return "paid_after_cancel";
+  }
+  return "already_paid";
+};
+
+const applyPaymentEvent = async (providerName, event, now) => {
+  if (event.type === "ignored") return { outcome: "ignored", order: null };
+
+  const order = await StoreOrder.findOne({ "payment.provider": providerName, "payment.intentId": event.intentId })
+    .select("_id status paymentStatus payment")
+    .lean();
+  if (!event.intentId || !order) return { outcome: "unknown_intent", order: null };
+
+  if (event.type === "failed") {
+    return { outcome: await recordFailedAttempt(order, event, now), order };
+  }
+
+  if (Number.isFinite(event.amountMinor) && event.amountMinor !== order.payment?.amountMinor) {
+    console.error(
+      `❌ Payment amount mismatch for store order ${order._id}: expected ${order.payment?.amountMinor}, got ${event.amountMinor}`
+    );
+    return { outcome: "amount_mismatch", order };
+  }
+  const outcome = await markOrderPaid(order, event, now);
+  // A settled payment makes the order invoiceable, dated at the payment
+  if (outcome === "paid") await issueStoreInvoiceForOrder(order._id);
+  return { outcome, order };
+};
+
+/**
+ * Verify and apply one webhook delivery. Redelivered events are recognised by
+ * their provider event id; order updates are conditional as well, so
+ * concurrent deliveries of the same event settle the order only once.
+ */
+export const handlePaymentWebhook = async ({ providerName, rawBody, headers = {}, now = new Date() }) => {
+  const provider = getPaymentProvider(providerName);
+  const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ""));
+
+  let verified = false;
+  try {
+    verified = provider.verifyWebhook(body, headers);
+  } catch (error) {
+    throw wrapProviderError(error);
+  }
+  if (!verified) throw new PaymentError("Invalid webhook signature", 401);
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString("utf8"));
+  } catch {
+    throw new PaymentError("Webhook body must be JSON");
+  }
+
+  const event = provider.parseWebhook(payload, headers, body);
+  if (!event.eventId) throw new PaymentError("Webhook event id is missing");
+
+  const seen = await PaymentWebhookEvent.findOne({ provider: provider.name, eventId: event.eventId })
+    .select("outcome")
+    .lean();
+  if (seen) return { duplicate: true, outcome: seen.outcome };
+
+  const { outcome, order } = await applyPaymentEvent(provider.name, event, now);
+
+  try {
+    await PaymentWebhookEvent.create({
+      provider: provider.name,
+      eventId: event.eventId,
+      type: event.rawType,
+      intentId: event.intentId,
+      orderId: order?._id || null,
+      outcome,
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    return { duplicate: true, outcome };
+  }
+
+  return { duplicate: false, outcome };
+};
+
+/**
+ * Cancel online orders whose payment intent expired without a webhook.
+ */
+export const expireStalePayments = async ({ now = new Date(), limit = 100 } = {}) => {
+  const stale = await StoreOrder.find({
+    paymentStatus: "PENDING_PAYMENT",
+    "payment.status": "CREATED",
+    "payment.expiresAt": { $lte: now },
+  })
+    .select("_id")
+    .limit(limit)
+    .lean();
+
+  let expired = 0;
+  for (const order of stale) {
+    try {
+      if (await failOrderPayment(order._id, { reason: "Payment timed out", status: "EXPIRED", now })) {
+        expired += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to expire payment for store order ${order._id}:`, error.message);
+    }
+  }
+  return { expired };
+};
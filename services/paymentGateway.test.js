@@ -0,0 +1,178 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const orderFindOneMock = jest.fn();
+const orderFindOneAndUpdateMock = jest.fn();
+const orderUpdateOneMock = jest.fn(async () => ({ modifiedCount: 1 }));
+const orderFindMock = jest.fn();
+const webhookFindOneMock = jest.fn(async () => null);
+const webhookCreateMock = jest.fn(async (doc) => doc);
+const applyInventoryMock = jest.fn(async () => ({ inventoryUpdated: true }));
+const releaseCouponMock = jest.fn(async () => true);
+const issueInvoiceMock = jest.fn(async () => ({ invoiceNumber: "INV/2025-26/000001" }));
+
+await jest.unstable_mockModule("../models/StoreOrder.js", () => ({
+  StoreOrder: {
+    findOne: (...args) => ({ select: () => ({ lean: async () => orderFindOneMock(...args) }) }),
+    findOneAndUpdate: (...args) => ({ lean: async () => orderFindOneAndUpdateMock(...args) }),
+    updateOne: orderUpdateOneMock,
+    find: (...args) => ({ select: () => ({ limit: () => ({ lean: async () => orderFindMock(...args) }) }) }),
+  },
+}));
+await jest.unstable_mockModule("../models/PaymentWebhookEvent.js", () => ({
+  PaymentWebhookEvent: {
+    findOne: (...args) => ({ select: () => ({ lean: async () => webhookFindOneMock(...args) }) }),
+    create: webhookCreateMock,
+  },
+}));
+await jest.unstable_mockModule("./storeInventoryBridge.js", () => ({
+  applyInventoryForStoreOrderStatus: applyInventoryMock,
+}));
+await jest.unstable_mockModule("./storeCoupons.js", () => ({
+  releaseCouponForOrder: releaseCouponMock,
+}));
+await jest.unstable_mockModule("./gstInvoice.js", () => ({
+  issueStoreInvoiceForOrder: issueInvoiceMock,
+}));
+
+const { PaymentError, createPaymentIntent, expireStalePayments, handlePaymentWebhook } =
+  await import("./paymentGateway.js");
+const { signFakeWebhook } = await import("./fakePaymentProvider.js");
+
+const now = new Date("2026-03-01T10:00:00Z");
+const order = {
+  _id: "order-1",
+  status: "PLACED",
+  paymentStatus: "PENDING_PAYMENT",
+  payment: { provider: "fake", intentId: "fake_order_1", status: "CREATED", amountMinor: 50000 },
+};
+
+const deliver = (body, { signature } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return handlePaymentWebhook({
+    providerName: "fake",
+    rawBody,
+    headers: { "x-fake-signature": signature ?? signFakeWebhook(rawBody) },
+    now,
+  });
+};
+
+describe("paymentGateway", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PAYMENT_PROVIDER = "fake";
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = "local-test-webhook-secret";
+  });
+
+  it("only loads a provider that was configured, and the fake one only with its own secret", async () => {
+    delete process.env.PAYMENT_PROVIDER;
+    await expect(createPaymentIntent({ orderId: "order-1", total: 10 })).rejects.toMatchObject({ statusCode: 503 });
+    // Webhooks name their provider; the fake one is refused unless it was chosen
+    await expect(
+      handlePaymentWebhook({ providerName: "fake", rawBody: Buffer.from("{}"), headers: {} })
+    ).rejects.toMatchObject({ statusCode: 404 });
+
+    process.env.PAYMENT_PROVIDER = "fake";
+    delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    await expect(createPaymentIntent({ orderId: "order-1", total: 10 })).rejects.toMatchObject({
+      statusCode: 503,
+      message: "FAKE_PAYMENT_WEBHOOK_SECRET is not configured",
+    });
+  });
+
+  it("creates an intent in minor units with an expiry", async () => {
+    const { payment, checkout } = await createPaymentIntent({ orderId: "order-1", total: 499.99, now });
+
+    expect(payment).toMatchObject({ provider: "fake", status: "CREATED", amountMinor: 49999, currency: "INR" });
+    expect(payment.intentId).toMatch(/^fake_order_/);
+    expect(payment.expiresAt).toEqual(new Date("2026-03-01T10:30:00Z"));
+    expect(checkout).toMatchObject({ provider: "fake", orderId: payment.intentId, amount: 49999 });
+
+    process.env.PAYMENT_PROVIDER = "paypal";
+    await expect(createPaymentIntent({ orderId: "order-1", total: 10 })).rejects.toThrow(PaymentError);
+  });
+
+  it("marks orders paid once and ignores redelivered or forged webhooks", async () => {
+    orderFindOneMock.mockResolvedValue(order);
+    const body = { id: "evt_1", event: "payment.succeeded", intentId: "fake_order_1", paymentId: "pay_1", amount: 50000 };
+
+    await expect(deliver(body)).resolves.toEqual({ duplicate: false, outcome: "paid" });
+    expect(orderUpdateOneMock).toHaveBeenCalledWith(
+      { _id: "order-1", paymentStatus: "PENDING_PAYMENT", status: { $ne: "CANCELLED" } },
+      { $set: expect.objectContaining({ paymentStatus: "PAID", "payment.providerPaymentId": "pay_1" }) }
+    );
+    expect(webhookCreateMock).toHaveBeenCalledWith(expect.objectContaining({ eventId: "evt_1", outcome: "paid" }));
+    expect(issueInvoiceMock).toHaveBeenCalledWith("order-1");
+
+    webhookFindOneMock.mockResolvedValueOnce({ outcome: "paid" });
+    await expect(deliver(body)).resolves.toEqual({ duplicate: true, outcome: "paid" });
+    expect(orderUpdateOneMock).toHaveBeenCalledTimes(1);
+    expect(issueInvoiceMock).toHaveBeenCalledTimes(1);
+
+    await expect(deliver(body, { signature: "00".repeat(32) })).rejects.toMatchObject({ statusCode: 401 });
+    const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+    await expect(deliver({ ...body, id: "evt_2", amount: 100 })).resolves.toMatchObject({ outcome: "amount_mismatch" });
+    errorSpy.mockRestore();
+  });
+
+  it("flags a capture on a cancelled order for refund instead of marking it paid", async () => {
+    orderFindOneMock.mockResolvedValue({ ...order, status: "CANCELLED" });
+    orderUpdateOneMock.mockResolvedValueOnce({ modifiedCount: 0 }).mockResolvedValueOnce({ modifiedCount: 1 });
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(
+      deliver({ id: "evt_4", event: "payment.succeeded", intentId: "fake_order_1", paymentId: "pay_2", amount: 50000 })
+    ).resolves.toEqual({ duplicate: false, outcome: "paid_after_cancel" });
+    warnSpy.mockRestore();
+
+    const [lateFilter, lateUpdate] = orderUpdateOneMock.mock.calls[1];
+    expect(lateFilter).toEqual({
+      _id: "order-1",
+      $or: [{ paymentStatus: "FAILED" }, { paymentStatus: "PENDING_PAYMENT", status: "CANCELLED" }],
+    });
+    expect(lateUpdate.$set).toMatchObject({ paymentStatus: "PAID", "payment.refundRequired": true });
+    expect(issueInvoiceMock).not.toHaveBeenCalled();
+  });
+
+  it("records a declined attempt without cancelling, and cancels when the intent expires", async () => {
+    orderFindOneMock.mockResolvedValue(order);
+
+    await expect(
+      deliver({ id: "evt_3", event: "payment.failed", intentId: "fake_order_1", reason: "Card declined" })
+    ).resolves.toEqual({ duplicate: false, outcome: "attempt_failed" });
+    expect(orderUpdateOneMock).toHaveBeenCalledWith(
+      { _id: "order-1", paymentStatus: "PENDING_PAYMENT", "payment.status": "CREATED" },
+      {
+        $set: { "payment.lastAttemptFailedAt": now, "payment.lastAttemptFailureReason": "Card declined" },
+        $inc: { "payment.failedAttempts": 1 },
+      }
+    );
+    expect(orderFindOneAndUpdateMock).not.toHaveBeenCalled();
+    expect(applyInventoryMock).not.toHaveBeenCalled();
+    expect(releaseCouponMock).not.toHaveBeenCalled();
+
+    // The retry on the same intent still goes through
+    await expect(
+      deliver({ id: "evt_5", event: "payment.succeeded", intentId: "fake_order_1", paymentId: "pay_3", amount: 50000 })
+    ).resolves.toEqual({ duplicate: false, outcome: "paid" });
+
+    jest.clearAllMocks();
+    orderFindMock.mockResolvedValue([{ _id: "order-2" }, { _id: "order-3" }]);
+    orderFindOneAndUpdateMock
+      .mockResolvedValueOnce({ ...order, _id: "order-2", status: "AWAITING_VERIFICATION" })
+      .mockResolvedValueOnce(null);
+
+    await expect(expireStalePayments({ now })).resolves.toEqual({ expired: 1 });
+    expect(orderFindMock.mock.calls[0][0]["payment.expiresAt"]).toEqual({ $lte: now });
+    expect(orderFindOneAndUpdateMock.mock.calls[0][1].$set["payment.status"]).toBe("EXPIRED");
+    expect(applyInventoryMock).toHaveBeenCalledWith({
+      order: { ...order, _id: "order-2", status: "AWAITING_VERIFICATION" },
+      nextStatus: "CANCELLED",
+    });
+    expect(orderUpdateOneMock).toHaveBeenCalledWith(
+      { _id: "order-2", status: "AWAITING_VERIFICATION" },
+      { $set: { status: "CANCELLED" } }
+    );
+    expect(releaseCouponMock).toHaveBeenCalledWith("order-2", { now });
+    expect(applyInventoryMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,529 @@
+import mongoose from "mongoose";
+import { Counter } from "../models/Counter.js";
+import { InventoryProduct } from "../models/InventoryProduct.js";
+import { PurchaseOrder } from "../models/PurchaseOrder.js";
+import { Supplier } from "../models/Supplier.js";
+import { assertCatalogProductActive, findCatalogProduct } from "./inventoryCatalog.js";
+import { getFinancialYear } from "./gstInvoice.js";
+import { recordRestock } from "./inventoryService.js";
+
+/**
+ * Suppliers and purchase orders for restocking inventory. A PO moves
+ * DRAFT -> ORDERED -> PARTIALLY_RECEIVED -> RECEIVED (or CANCELLED); every
+ * receipt books the delivered units through recordRestock, so stock, the
+ * ledger and lots stay in one place. Products below their reorder level get
+ * an automatic draft PO with their preferred supplier.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ["DRAFT", "ORDERED", "PARTIALLY_RECEIVED"];
+const RECEIVABLE_STATUSES = ["ORDERED", "PARTIALLY_RECEIVED"];
+const LEAD_TIME_LOOKBACK_DAYS = 365;
+
+export class PurchaseOrderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PurchaseOrderError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const toNumber = (value, fallback = 0) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const toDateOrNull = (value, label) => {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new PurchaseOrderError(`${label} must be a valid date`);
+  return date;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(asText(id))) throw new PurchaseOrderError(`Invalid ${label} id`);
+};
+
+const outstandingQuantity = (line) => Math.max(0, line.quantityOrdered - (line.quantityReceived || 0));
+
+const resolveProductKeys = async (values) => {
+  const keys = [];
+  for (const value of Array.isArray(values) ? values : [values]) {
+    if (!asText(value)) continue;
+    const product = await findCatalogProduct(value);
+    if (!product) throw new PurchaseOrderError(`Unknown inventory product "${asText(value)}"`);
+    keys.push(product.productKey);
+  }
+  return [...new Set(keys)];
+};
+
+// ---------------------------------------------------------------- suppliers
+
+const readSupplierFields = async (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = asText(body.name).slice(0, 160);
+    if (!name) throw new PurchaseOrderError("Supplier name is required");
+    fields.name = name;
+  }
+  for (const key of ["contactName", "email", "phone", "gstin", "address", "notes"]) {
+    if (body[key] !== undefined) fields[key] = asText(body[key]);
+  }
+  if (body.leadTimeDays !== undefined) {
+    const leadTimeDays = Math.floor(toNumber(body.leadTimeDays, -1));
+    if (leadTimeDays < 0 || leadTimeDays > 365) {
+      throw new PurchaseOrderError("leadTimeDays must be between 0 and 365");
+    }
+    fields.leadTimeDays = leadTimeDays;
+  }
+  if (body.productKeys !== undefined) fields.productKeys = await resolveProductKeys(body.productKeys);
+  if (body.isActive !== undefined) fields.isActive = body.isActive === true || body.isActive === "true";
+  return fields;
+};
+
+const saveSupplier = async (supplier) => {
+  try {
+    return await supplier.save();
+  } catch (error) {
+    if (error?.code === 11000) throw new PurchaseOrderError("A supplier with this name already exists", 409);
+    if (error?.name === "ValidationError") throw new PurchaseOrderError(error.message);
+    throw error;
+  }
+};
+
+export const listSuppliers = async ({ includeInactive = false } = {}) =>
+  Supplier.find(includeInactive ? {} : { isActive: true }).sort({ name: 1 }).lean();
+
+export const createSupplier = async (body = {}, actor = {}) => {
+  const fields = await readSupplierFields(body);
+  return saveSupplier(new Supplier({ ...fields, createdByAdminId: actor.adminId || null }));
+};
+
+export const updateSupplier = async (supplierId, body = {}) => {
+  assertObjectId(supplierId, "supplier");
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) throw new PurchaseOrderError("Supplier not found", 404);
+
+  supplier.set(await readSupplierFields(body, { partial: true }));
+  return saveSupplier(supplier);
+};
+
+// ---------------------------------------------------------- purchase orders
+
+const nextPoNumber = async (now) => {
+  const financialYear = getFinancialYear(now);
+  const { seq } = await Counter.findOneAndUpdate(
+    { _id: `purchase_order:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `PO/${financialYear}/${String(seq).padStart(5, "0")}`;
+};
+
+const resolvePoLines = async (lines) => {
+  if (!Array.isArray(lines) || !lines.length) {
+    throw new PurchaseOrderError("A purchase order needs at least one line");
+  }
+
+  const merged = new Map();
+  for (const input of lines) {
+    const product = await findCatalogProduct(input?.productKey ?? input?.sku);
+    if (!product) throw new PurchaseOrderError(`Unknown inventory product "${asText(input?.productKey)}"`);
+    assertCatalogProductActive(product);
+
+    const quantity = Math.floor(toNumber(input?.quantity ?? input?.quantityOrdered, 0));
+    if (quantity < 1) throw new PurchaseOrderError(`Quantity for ${product.productKey} must be at least 1`);
+    const unitCost = toNumber(input?.unitCost, 0);
+    if (unitCost < 0) throw new PurchaseOrderError("unitCost must be 0 or greater");
+
+    const existing = merged.get(product.productKey);
+    if (existing) {
+      existing.quantityOrdered += quantity;
+      continue;
+    }
+    merged.set(product.productKey, {
+      productKey: product.productKey,
+      productName: product.productName || product.name || product.productKey,
+      quantityOrdered: quantity,
+      unitCost,
+    });
+  }
+  return [...merged.values()];
+};
+
+const loadSupplier = async (supplierId) => {
+  assertObjectId(supplierId, "supplier");
+  const supplier = await Supplier.findById(supplierId).lean();
+  if (!supplier) throw new PurchaseOrderError("Supplier not found", 404);
+  if (!supplier.isActive) throw new PurchaseOrderError("Supplier is inactive", 409);
+  return supplier;
+};
+
+const loadPurchaseOrder = async (purchaseOrderId) => {
+  assertObjectId(purchaseOrderId, "purchase order");
+  const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId);
+  if (!purchaseOrder) throw new PurchaseOrderError("Purchase order not found", 404);
+  return purchaseOrder;
+};
+
+// Concurrent edits of the same PO surface as a version conflict
+const savePurchaseOrder = async (purchaseOrder) => {
+  try {
+    return await purchaseOrder.save();
+  } catch (error) {
+    if (error?.name === "VersionError") {
+      throw new PurchaseOrderError("Purchase order was changed by someone else; reload and try again", 409);
+    }
+    throw error;
+  }
+};
+
+export const listPurchaseOrders = async ({ status, supplierId, limit = 50 } = {}) => {
+  const filter = {};
+  const normalizedStatus = asText(status).toUpperCase();
+  if (normalizedStatus === "OPEN") filter.status = { $in: OPEN_STATUSES };
+  else if (normalizedStatus && normalizedStatus !== "ALL") filter.status = normalizedStatus;
+  if (supplierId) {
+    assertObjectId(supplierId, "supplier");
+    filter.supplierId = supplierId;
+  }
+
+  const safeLimit = Math.min(200, Math.max(1, Math.floor(toNumber(limit, 50))));
+  return PurchaseOrder.find(filter).sort({ createdAt: -1 }).limit(safeLimit).lean();
+};
+
+export const createPurchaseOrder = async ({
+  supplierId,
+  lines,
+  expectedDeliveryAt,
+  notes = "",
+  source = "MANUAL",
+  actor = {},
+  now = new Date(),
+}) => {
+  const supplier = await loadSupplier(supplierId);
+  const poLines = await resolvePoLines(lines);
+
+  return PurchaseOrder.create({
+    poNumber: await nextPoNumber(now),
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    source,
+    lines: poLines,
+    expectedDeliveryAt: toDateOrNull(expectedDeliveryAt, "expectedDeliveryAt"),
+    notes: asText(notes).slice(0, 1000),
+    createdByAdminId: actor.adminId || null,
+  });
+};
+
+export const updatePurchaseOrderDraft = async (purchaseOrderId, body = {}) => {
+  const purchaseOrder = await loadPurchaseOrder(purchaseOrderId);
+  if (purchaseOrder.status !== "DRAFT") {
+    throw new PurchaseOrderError("Only draft purchase orders can be edited", 409);
+  }
+
+  if (body.lines !== undefined) purchaseOrder.lines = await resolvePoLines(body.lines);
+  if (body.expectedDeliveryAt !== undefined) {
+    purchaseOrder.expectedDeliveryAt = toDateOrNull(body.expectedDeliveryAt, "expectedDeliveryAt");
+  }
+  if (body.notes !== undefined) purchaseOrder.notes = asText(body.notes).slice(0, 1000);
+  return savePurchaseOrder(purchaseOrder);
+};
+
+/**
+ * Send a draft to the supplier. Without an expected delivery date the
+ * supplier's quoted lead time is used.
+ */
+export const placePurchaseOrder = async (purchaseOrderId, { now = new Date() } = {}) => {
+  const purchaseOrder = await loadPurchaseOrder(purchaseOrderId);
+  if (purchaseOrder.status !== "DRAFT") {
+    throw new PurchaseOrderError("Only draft purchase orders can be placed", 409);
+  }
+  const supplier = await loadSupplier(purchaseOrder.supplierId);
+
+  purchaseOrder.status = "ORDERED";
+  purchaseOrder.orderedAt = now;
+  if (!purchaseOrder.expectedDeliveryAt) {
+    purchaseOrder.expectedDeliveryAt = new Date(now.getTime() + supplier.leadTimeDays * DAY_MS);
+  }
+  return savePurchaseOrder(purchaseOrder);
+};
+
+const refreshReceiptStatus = (purchaseOrder, now) => {
+  const received = purchaseOrder.lines.some((line) => line.quantityReceived > 0);
+  const complete = purchaseOrder.lines.every((line) => outstandingQuantity(line) === 0);
+
+  if (complete) {
+    purchaseOrder.status = "RECEIVED";
+    purchaseOrder.receivedAt = purchaseOrder.receivedAt || now;
+  } else {
+    purchaseOrder.status = received ? "PARTIALLY_RECEIVED" : "ORDERED";
+    purchaseOrder.receivedAt = null;
+  }
+};
+
+/**
+ * Receive some or all outstanding units. The quantities are claimed on the
+ * PO first so two receipts cannot over-receive; lines whose restock then
+ * fails are handed back before the error is rethrown.
+ */
+export const receivePurchaseOrder = async (
+  purchaseOrderId,
+  { lines, actor = {}, now = new Date() } = {}
+) => {
+  const purchaseOrder = await loadPurchaseOrder(purchaseOrderId);
+  if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+    throw new PurchaseOrderError(`Cannot receive against a ${purchaseOrder.status} purchase order`, 409);
+  }
+  if (!Array.isArray(lines) || !lines.length) {
+    throw new PurchaseOrderError("Receipt lines are required");
+  }
+
+  const receipt = [];
+  for (const input of lines) {
+    const productKey = asText(input?.productKey);
+    const line = purchaseOrder.lines.find(
+      (entry) => entry.productKey === productKey || entry.productKey === productKey.toUpperCase()
+    );
+    if (!line) throw new PurchaseOrderError(`${productKey || "Product"} is not on this purchase order`);
+
+    const quantity = Math.floor(toNumber(input?.quantity, 0));
+    if (quantity < 1) throw new PurchaseOrderError(`Quantity for ${line.productKey} must be at least 1`);
+
+    const pending = receipt
+      .filter((entry) => entry.line === line)
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    const outstanding = outstandingQuantity(line) - pending;
+    if (quantity > outstanding) {
+      throw new PurchaseOrderError(`Only ${outstanding} units of ${line.productKey} are outstanding`, 409);
+    }
+
+    receipt.push({
+      line,
+      quantity,
+      lot: {
+        batchNumber: input?.batchNumber,
+        manufacturedAt: input?.manufacturedAt,
+        expiresAt: input?.expiresAt,
+      },
+    });
+  }
+
+  for (const entry of receipt) entry.line.quantityReceived += entry.quantity;
+  purchaseOrder.firstReceivedAt = purchaseOrder.firstReceivedAt || now;
+  purchaseOrder.receipts.push({
+    receivedAt: now,
+    receivedBy: { adminId: actor.adminId || null, name: actor.name || "Admin" },
+    lines: receipt.map((entry) => ({
+      productKey: entry.line.productKey,
+      quantity: entry.quantity,
+      batchNumber: asText(entry.lot.batchNumber),
+    })),
+  });
+  refreshReceiptStatus(purchaseOrder, now);
+  await savePurchaseOrder(purchaseOrder);
+
+  const receiptDoc = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+  let restocked = 0;
+  try {
+    for (const [index, entry] of receipt.entries()) {
+      const { movement } = await recordRestock({
+        productKey: entry.line.productKey,
+        quantity: entry.quantity,
+        reason: `Received on ${purchaseOrder.poNumber}`,
+        referenceId: purchaseOrder.poNumber,
+        actor: { ...actor, source: "admin" },
+        lot: entry.lot,
+      });
+      receiptDoc.lines[index].movementId = movement?._id || null;
+      restocked += 1;
+    }
+  } catch (error) {
+    for (const entry of receipt.slice(restocked)) entry.line.quantityReceived -= entry.quantity;
+    receiptDoc.lines.splice(restocked);
+    if (!restocked) purchaseOrder.receipts.pop();
+    if (!purchaseOrder.receipts.length) purchaseOrder.firstReceivedAt = null;
+    refreshReceiptStatus(purchaseOrder, now);
+    await savePurchaseOrder(purchaseOrder);
+    throw error;
+  }
+
+  return savePurchaseOrder(purchaseOrder);
+};
+
+export const cancelPurchaseOrder = async (purchaseOrderId, { reason = "", now = new Date() } = {}) => {
+  const purchaseOrder = await loadPurchaseOrder(purchaseOrderId);
+  if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+    throw new PurchaseOrderError(`A ${purchaseOrder.status} purchase order cannot be cancelled`, 409);
+  }
+
+  // Units already received stay booked; only the outstanding remainder is dropped
+  purchaseOrder.status = "CANCELLED";
+  purchaseOrder.cancelledAt = now;
+  purchaseOrder.cancelReason = asText(reason).slice(0, 300);
+  return savePurchaseOrder(purchaseOrder);
+};
+
+// Order enough to bring available stock back to twice the reorder level
+const suggestedReorderQuantity = (product) =>
+  Math.max(1, toNumber(product.reorderLevel, 0) * 2 - toNumber(product.availableStock, 0));
+
+/**
+ * Raise AUTO_REORDER drafts for products whose available stock is below
+ * their reorder level and which are not already on an open PO. Each product
+ * goes to the active supplier with the shortest lead time that carries it;
+ * lines for the same supplier share one draft.
+ */
+export const generateReorderDrafts = async ({ now = new Date() } = {}) => {
+  const lowStock = await InventoryProduct.find({
+    isActive: { $ne: false },
+    $expr: { $lt: ["$availableStock", "$reorderLevel"] },
+  })
+    .select("productKey productName name availableStock reorderLevel")
+    .lean();
+  if (!lowStock.length) return { drafts: [], unassigned: [] };
+
+  const productKeys = lowStock.map((product) => product.productKey);
+  const openOrders = await PurchaseOrder.find({
+    status: { $in: OPEN_STATUSES },
+    "lines.productKey": { $in: productKeys },
+  })
+    .select("lines")
+    .lean();
+  const covered = new Set(
+    openOrders.flatMap((order) =>
+      order.lines.filter((line) => outstandingQuantity(line) > 0).map((line) => line.productKey)
+    )
+  );
+
+  const suppliers = await Supplier.find({ isActive: true, productKeys: { $in: productKeys } })
+    .sort({ leadTimeDays: 1, name: 1 })
+    .lean();
+
+  const linesBySupplier = new Map();
+  const unassigned = [];
+  for (const product of lowStock) {
+    if (covered.has(product.productKey)) continue;
+
+    const supplier = suppliers.find((entry) => entry.productKeys.includes(product.productKey));
+    if (!supplier) {
+      unassigned.push(product.productKey);
+      continue;
+    }
+    const key = String(supplier._id);
+    if (!linesBySupplier.has(key)) linesBySupplier.set(key, []);
+    linesBySupplier.get(key).push({
+      productKey: product.productKey,
+      quantity: suggestedReorderQuantity(product),
+    });
+  }
+
+  const drafts = [];
+  for (const [supplierId, lines] of linesBySupplier.entries()) {
+    const existing = await PurchaseOrder.findOne({ supplierId, status: "DRAFT", source: "AUTO_REORDER" });
+    if (existing) {
+      existing.lines.push(...(await resolvePoLines(lines)));
+      drafts.push(await savePurchaseOrder(existing));
+      continue;
+    }
+    drafts.push(
+      await createPurchaseOrder({
+        supplierId,
+        lines,
+        source: "AUTO_REORDER",
+        notes: "Raised automatically for stock below the reorder level",
+        now,
+      })
+    );
+  }
+
+  return { drafts, unassigned };
+};
+
+const mapOpenOrder = (order, now) => {
+  const outstandingLines = order.lines
+    .map((line) => ({
+      productKey: line.productKey,
+      productName: line.productName,
+      outstanding: outstandingQuantity(line),
+      unitCost: line.unitCost,
+    }))
+    .filter((line) => line.outstanding > 0);
+  const expected = order.expectedDeliveryAt ? new Date(order.expectedDeliveryAt) : null;
+  const overdue = Boolean(expected && expected < now);
+
+  return {
+    _id: order._id,
+    poNumber: order.poNumber,
+    supplierId: order.supplierId,
+    supplierName: order.supplierName,
+    status: order.status,
+    orderedAt: order.orderedAt,
+    expectedDeliveryAt: order.expectedDeliveryAt,
+    overdue,
+    daysOverdue: overdue ? Math.floor((now.getTime() - expected.getTime()) / DAY_MS) : 0,
+    outstandingUnits: outstandingLines.reduce((sum, line) => sum + line.outstanding, 0),
+    outstandingValue: round2(
+      outstandingLines.reduce((sum, line) => sum + line.outstanding * line.unitCost, 0)
+    ),
+    lines: outstandingLines,
+  };
+};
+
+/**
+ * Open (placed, not fully received) POs with what is still due, plus each
+ * supplier's quoted lead time against the lead time seen on deliveries in
+ * the last year (order placed to first receipt).
+ */
+export const getPurchaseOrderReport = async ({ now = new Date() } = {}) => {
+  const [openOrders, draftCount, deliveries, suppliers] = await Promise.all([
+    PurchaseOrder.find({ status: { $in: RECEIVABLE_STATUSES } }).sort({ expectedDeliveryAt: 1 }).lean(),
+    PurchaseOrder.countDocuments({ status: "DRAFT" }),
+    PurchaseOrder.find({
+      orderedAt: { $gte: new Date(now.getTime() - LEAD_TIME_LOOKBACK_DAYS * DAY_MS) },
+      firstReceivedAt: { $ne: null },
+    })
+      .select("supplierId orderedAt firstReceivedAt expectedDeliveryAt")
+      .lean(),
+    Supplier.find({}).select("name leadTimeDays isActive").sort({ name: 1 }).lean(),
+  ]);
+
+  const open = openOrders.map((order) => mapOpenOrder(order, now));
+
+  const supplierLeadTimes = suppliers.map((supplier) => {
+    const supplierId = String(supplier._id);
+    const received = deliveries.filter((order) => String(order.supplierId) === supplierId);
+    const leadDays = received.map(
+      (order) => (new Date(order.firstReceivedAt) - new Date(order.orderedAt)) / DAY_MS
+    );
+    const onTime = received.filter(
+      (order) => order.expectedDeliveryAt && new Date(order.firstReceivedAt) <= new Date(order.expectedDeliveryAt)
+    ).length;
+
+    return {
+      supplierId: supplier._id,
+      name: supplier.name,
+      isActive: supplier.isActive,
+      quotedLeadTimeDays: supplier.leadTimeDays,
+      averageLeadTimeDays: leadDays.length
+        ? round2(leadDays.reduce((sum, days) => sum + days, 0) / leadDays.length)
+        : null,
+      deliveries: received.length,
+      onTimeRate: received.length ? round2(onTime / received.length) : null,
+      openOrders: open.filter((order) => String(order.supplierId) === supplierId).length,
+    };
+  });
+
+  return {
+    generatedAt: now.toISOString(),
+    draftCount,
+    overdueCount: open.filter((order) => order.overdue).length,
+    openOrders: open,
+    supplierLeadTimes,
+  };
+};
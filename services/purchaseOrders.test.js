@@ -0,0 +1,177 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const poFindByIdMock = jest.fn();
+const poFindMock = jest.fn();
+const poFindOneMock = jest.fn();
+const poCreateMock = jest.fn(async (doc) => ({ _id: "po-new", ...doc }));
+const supplierFindMock = jest.fn();
+const supplierFindByIdMock = jest.fn();
+const productFindMock = jest.fn();
+const recordRestockMock = jest.fn();
+
+const chain = (resolve) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => resolve(),
+  };
+  return query;
+};
+
+await jest.unstable_mockModule("../models/PurchaseOrder.js", () => ({
+  PurchaseOrder: {
+    findById: poFindByIdMock,
+    find: (...args) => chain(() => poFindMock(...args)),
+    findOne: poFindOneMock,
+    create: poCreateMock,
+  },
+}));
+await jest.unstable_mockModule("../models/Supplier.js", () => ({
+  Supplier: {
+    find: (...args) => chain(() => supplierFindMock(...args)),
+    findById: (...args) => chain(() => supplierFindByIdMock(...args)),
+  },
+}));
+await jest.unstable_mockModule("../models/InventoryProduct.js", () => ({
+  InventoryProduct: { find: (...args) => chain(() => productFindMock(...args)) },
+}));
+await jest.unstable_mockModule("../models/Counter.js", () => ({
+  Counter: { findOneAndUpdate: jest.fn(async () => ({ seq: 12 })) },
+}));
+await jest.unstable_mockModule("./inventoryService.js", () => ({ recordRestock: recordRestockMock }));
+await jest.unstable_mockModule("./inventoryCatalog.js", () => ({
+  findCatalogProduct: jest.fn(async (value) => ({ productKey: String(value).toUpperCase(), productName: String(value) })),
+  assertCatalogProductActive: (product) => product,
+}));
+await jest.unstable_mockModule("./gstInvoice.js", () => ({ getFinancialYear: () => "2026-27" }));
+
+const { generateReorderDrafts, PurchaseOrderError, receivePurchaseOrder } = await import("./purchaseOrders.js");
+
+const PO_ID = "64c000000000000000000001";
+const FAST_SUPPLIER = { _id: "64c0000000000000000000f1", name: "Fast Medical", leadTimeDays: 2, isActive: true };
+const SLOW_SUPPLIER = { _id: "64c0000000000000000000f2", name: "Slow Traders", leadTimeDays: 10, isActive: true };
+const now = new Date("2026-10-19T06:00:00Z");
+
+const buildPurchaseOrder = () => {
+  const purchaseOrder = {
+    _id: PO_ID,
+    poNumber: "PO/2026-27/00003",
+    status: "ORDERED",
+    lines: [
+      { productKey: "MEDICAL_KIT", quantityOrdered: 10, quantityReceived: 0, unitCost: 100 },
+      { productKey: "NFC_BAND", quantityOrdered: 5, quantityReceived: 0, unitCost: 50 },
+    ],
+    receipts: [],
+    firstReceivedAt: null,
+    receivedAt: null,
+  };
+  purchaseOrder.save = jest.fn(async () => purchaseOrder);
+  return purchaseOrder;
+};
+
+describe("purchaseOrders", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("receives part of an order through recordRestock and refuses to over-receive", async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    poFindByIdMock.mockResolvedValue(purchaseOrder);
+    recordRestockMock.mockResolvedValue({ movement: { _id: "mv-1" } });
+
+    await receivePurchaseOrder(PO_ID, {
+      lines: [{ productKey: "medical_kit", quantity: 4, batchNumber: "K-9", expiresAt: "2027-06-01" }],
+      actor: { adminId: null, name: "Store Admin" },
+      now,
+    });
+
+    expect(recordRestockMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        productKey: "MEDICAL_KIT",
+        quantity: 4,
+        referenceId: "PO/2026-27/00003",
+        lot: expect.objectContaining({ batchNumber: "K-9", expiresAt: "2027-06-01" }),
+      })
+    );
+    expect(purchaseOrder.status).toBe("PARTIALLY_RECEIVED");
+    expect(purchaseOrder.lines[0].quantityReceived).toBe(4);
+    expect(purchaseOrder.firstReceivedAt).toBe(now);
+    expect(purchaseOrder.receipts[0].lines[0]).toEqual(
+      expect.objectContaining({ productKey: "MEDICAL_KIT", quantity: 4, movementId: "mv-1" })
+    );
+
+    const overReceipt = receivePurchaseOrder(PO_ID, {
+      lines: [
+        { productKey: "MEDICAL_KIT", quantity: 4 },
+        { productKey: "MEDICAL_KIT", quantity: 3 },
+      ],
+      now,
+    });
+    await expect(overReceipt).rejects.toThrow("Only 2 units of MEDICAL_KIT are outstanding");
+    await expect(overReceipt).rejects.toBeInstanceOf(PurchaseOrderError);
+    expect(recordRestockMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("hands back claimed quantities when a restock fails", async () => {
+    const purchaseOrder = buildPurchaseOrder();
+    poFindByIdMock.mockResolvedValue(purchaseOrder);
+    recordRestockMock
+      .mockResolvedValueOnce({ movement: { _id: "mv-1" } })
+      .mockRejectedValueOnce(new Error("lot rejected"));
+
+    await expect(
+      receivePurchaseOrder(PO_ID, {
+        lines: [
+          { productKey: "MEDICAL_KIT", quantity: 10 },
+          { productKey: "NFC_BAND", quantity: 5 },
+        ],
+        now,
+      })
+    ).rejects.toThrow("lot rejected");
+
+    expect(purchaseOrder.lines.map((line) => line.quantityReceived)).toEqual([10, 0]);
+    expect(purchaseOrder.receipts).toHaveLength(1);
+    expect(purchaseOrder.receipts[0].lines).toHaveLength(1);
+    expect(purchaseOrder.status).toBe("PARTIALLY_RECEIVED");
+    expect(purchaseOrder.receivedAt).toBeNull();
+  });
+
+  it("drafts reorders with the fastest supplier and skips products already on order", async () => {
+    productFindMock.mockResolvedValue([
+      { productKey: "MEDICAL_KIT", availableStock: 3, reorderLevel: 10 },
+      { productKey: "NFC_BAND", availableStock: 1, reorderLevel: 5 },
+      { productKey: "THERMOMETER", availableStock: 0, reorderLevel: 4 },
+      { productKey: "GLUCO_STRIPS", availableStock: 2, reorderLevel: 20 },
+    ]);
+    // NFC_BAND is still outstanding on a placed order
+    poFindMock.mockResolvedValue([
+      { lines: [{ productKey: "NFC_BAND", quantityOrdered: 10, quantityReceived: 2 }] },
+    ]);
+    supplierFindMock.mockResolvedValue([
+      { ...FAST_SUPPLIER, productKeys: ["MEDICAL_KIT"] },
+      { ...SLOW_SUPPLIER, productKeys: ["MEDICAL_KIT", "THERMOMETER", "NFC_BAND"] },
+    ]);
+    poFindOneMock.mockResolvedValue(null);
+    supplierFindByIdMock.mockImplementation((id) => (id === FAST_SUPPLIER._id ? FAST_SUPPLIER : SLOW_SUPPLIER));
+
+    const { drafts, unassigned } = await generateReorderDrafts({ now });
+
+    expect(unassigned).toEqual(["GLUCO_STRIPS"]);
+    expect(drafts).toHaveLength(2);
+    expect(poCreateMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        poNumber: "PO/2026-27/00012",
+        supplierId: FAST_SUPPLIER._id,
+        source: "AUTO_REORDER",
+        lines: [expect.objectContaining({ productKey: "MEDICAL_KIT", quantityOrdered: 17 })],
+      })
+    );
+    expect(poCreateMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        supplierId: SLOW_SUPPLIER._id,
+        lines: [expect.objectContaining({ productKey: "THERMOMETER", quantityOrdered: 8 })],
+      })
+    );
+  });
+});
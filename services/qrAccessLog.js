@@ -0,0 +1,121 @@
+import QRCode from "../models/QRCode.js";
+import { QRAccessLog } from "../models/QRAccessLog.js";
+import { DoctorUser } from "../models/DoctorUser.js";
+import { Notification } from "../models/Notification.js";
+import { sendNotification } from "../utils/notifications.js";
+
+const MAX_LOG_ENTRIES = 200;
+
+const describeViewer = async (role, requesterId) => {
+  if (role === "doctor") {
+    const doctor = await DoctorUser.findById(requesterId).select("name").lean();
+    return doctor?.name ? `Dr. ${doctor.name}` : "A doctor";
+  }
+  if (role === "admin" || role === "superadmin") return "A MedicalVault administrator";
+  return "Someone";
+};
+
+const notifyFirstAccess = async ({ qrDoc, endpoint, requesterRole, requesterId, documentCount }) => {
+  const viewer = await describeViewer(requesterRole, requesterId);
+  const title = "Your QR share was opened";
+  const body = documentCount
+    ? `${viewer} opened your shared link and viewed ${documentCount} document${documentCount === 1 ? "" : "s"}`
+    : `${viewer} opened your shared link`;
+  const data = {
+    type: "QR_SHARE_ACCESSED",
+    shareId: String(qrDoc._id),
+    endpoint,
+    requesterRole,
+  };
+
+  const notification = await Notification.create({
+    title,
+    body,
+    type: "qr_scan",
+    data,
+    recipientId: qrDoc.patientId,
+    recipientRole: "patient",
+    senderId: requesterId || "system",
+    senderRole: ["doctor", "admin"].includes(requesterRole) ? requesterRole : "system",
+  });
+  await sendNotification(String(qrDoc.patientId), title, body, data);
+
+  const { broadcastNotification } = await import("../controllers/notificationController.js");
+  await broadcastNotification(notification);
+};
+
+/**
+ * Record a hit on a share. The owner looking at their own share is not
+ * logged. The first access by anyone else can notify the patient when the
+ * share was created with `notifyOnAccess`. Never throws: logging must not
+ * break the share itself.
+ */
+export const recordShareAccess = async ({
+  req,
+  qrDoc,
+  endpoint,
+  documentIds = [],
+  outcome = "granted",
+}) => {
+  try {
+    const requesterRole = String(req.auth?.role || "").trim().toLowerCase();
+    const requesterId = String(req.auth?.id || "");
+    if (requesterRole === "patient" && requesterId === String(qrDoc.patientId)) return null;
+
+    const entry = await QRAccessLog.create({
+      qrCodeId: qrDoc._id,
+      patientId: qrDoc.patientId,
+      endpoint,
+      outcome,
+      requesterId,
+      requesterRole,
+      ipAddress: String(req.ip || ""),
+      userAgent: String(req.get?.("user-agent") || "").slice(0, 300),
+      documentIds,
+      documentCount: documentIds.length,
+    });
+
+    if (outcome !== "granted") return entry;
+
+    // Only the request that flips firstAccessedAt sends the notification
+    const firstAccess = await QRCode.findOneAndUpdate(
+      { _id: qrDoc._id, firstAccessedAt: null },
+      { $set: { firstAccessedAt: entry.createdAt } },
+      { new: false }
+    ).lean();
+
+    if (firstAccess?.notifyOnAccess) {
+      await notifyFirstAccess({
+        qrDoc: firstAccess,
+        endpoint,
+        requesterRole,
+        requesterId,
+        documentCount: documentIds.length,
+      });
+    }
+    return entry;
+  } catch (error) {
+    console.error(`⚠️ Failed to record QR access for share ${qrDoc?._id}:`, error.message);
+    return null;
+  }
+};
+
+export const listShareAccessLog = async ({ patientId, qrCodeId, limit = MAX_LOG_ENTRIES }) => {
+  const entries = await QRAccessLog.find({ patientId, qrCodeId })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || MAX_LOG_ENTRIES, 1), MAX_LOG_ENTRIES))
+    .lean();
+
+  return entries.map((entry) => ({
+    id: String(entry._id),
+    endpoint: entry.endpoint,
+    outcome: entry.outcome,
+    requesterId: entry.requesterId,
+    requesterRole: entry.requesterRole,
+    ipAddress: entry.ipAddress,
+    userAgent: entry.userAgent,
+    documentIds: (entry.documentIds || []).map(String),
+    documentCount: entry.documentCount || 0,
+    accessedAt: entry.createdAt,
+  }));
+};
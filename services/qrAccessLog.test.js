@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const accessLogCreateMock = jest.fn(async (entry) => ({ ...entry, _id: "log-1", createdAt: new Date() }));
+const qrFindOneAndUpdateMock = jest.fn();
+const notificationCreateMock = jest.fn(async (doc) => doc);
+const sendNotificationMock = jest.fn(async () => true);
+const broadcastNotificationMock = jest.fn(async () => {});
+
+await jest.unstable_mockModule("../models/QRAccessLog.js", () => ({
+  QRAccessLog: { create: accessLogCreateMock },
+}));
+await jest.unstable_mockModule("../models/QRCode.js", () => ({
+  default: {
+    findOneAndUpdate: (...args) => ({ lean: async () => qrFindOneAndUpdateMock(...args) }),
+  },
+}));
+await jest.unstable_mockModule("../models/DoctorUser.js", () => ({
+  DoctorUser: {
+    findById: () => ({ select: () => ({ lean: async () => ({ name: "Mehta" }) }) }),
+  },
+}));
+await jest.unstable_mockModule("../models/Notification.js", () => ({
+  Notification: { create: notificationCreateMock },
+}));
+await jest.unstable_mockModule("../utils/notifications.js", () => ({
+  sendNotification: sendNotificationMock,
+}));
+await jest.unstable_mockModule("../controllers/notificationController.js", () => ({
+  broadcastNotification: broadcastNotificationMock,
+}));
+
+const { recordShareAccess } = await import("./qrAccessLog.js");
+
+const share = { _id: "share-1", patientId: "patient-1", notifyOnAccess: true, firstAccessedAt: null };
+const makeReq = (role, id) => ({
+  auth: { role, id },
+  ip: "10.0.0.8",
+  get: (name) => (name === "user-agent" ? "ResponderApp/2.1" : ""),
+});
+
+describe("QR share access log", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("records who accessed a share and notifies the patient once", async () => {
+    qrFindOneAndUpdateMock.mockResolvedValueOnce(share).mockResolvedValueOnce(null);
+
+    await recordShareAccess({
+      req: makeReq("doctor", "doctor-1"),
+      qrDoc: share,
+      endpoint: "resolve",
+      documentIds: ["doc-1", "doc-2"],
+    });
+    await recordShareAccess({ req: makeReq("doctor", "doctor-1"), qrDoc: share, endpoint: "preview" });
+
+    expect(accessLogCreateMock).toHaveBeenCalledTimes(2);
+    expect(accessLogCreateMock.mock.calls[0][0]).toMatchObject({
+      qrCodeId: "share-1",
+      endpoint: "resolve",
+      requesterRole: "doctor",
+      requesterId: "doctor-1",
+      ipAddress: "10.0.0.8",
+      userAgent: "ResponderApp/2.1",
+      documentCount: 2,
+    });
+    expect(sendNotificationMock).toHaveBeenCalledTimes(1);
+    expect(sendNotificationMock.mock.calls[0][2]).toBe(
+      "Dr. Mehta opened your shared link and viewed 2 documents"
+    );
+  });
+
+  it("skips the owner and does not notify on denied attempts", async () => {
+    await recordShareAccess({ req: makeReq("patient", "patient-1"), qrDoc: share, endpoint: "resolve" });
+    await recordShareAccess({
+      req: makeReq("patient", "patient-2"),
+      qrDoc: share,
+      endpoint: "resolve",
+      outcome: "denied",
+    });
+
+    expect(accessLogCreateMock).toHaveBeenCalledTimes(1);
+    expect(accessLogCreateMock.mock.calls[0][0].outcome).toBe("denied");
+    expect(qrFindOneAndUpdateMock).not.toHaveBeenCalled();
+    expect(sendNotificationMock).not.toHaveBeenCalled();
+  });
+});
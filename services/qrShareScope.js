@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+
+/**
+ * Scope rules for QR share links. A share without a scope keeps the original
+ * behaviour (every document, basic profile); a scoped share narrows both the
+ * documents and the profile fields a viewer gets back.
+ */
+
+export const SHARE_DOCUMENT_TYPES = ["Report", "Prescription", "Bill", "Insurance"];
+
+export const SHARE_PROFILE_FIELDS = [
+  "name",
+  "age",
+  "gender",
+  "dateOfBirth",
+  "bloodType",
+  "height",
+  "weight",
+  "profilePicture",
+  "allergies",
+  "emergencyContact",
+  "medicalHistory",
+  "medications",
+];
+
+// Profile returned by /preview before scoped shares existed
+export const DEFAULT_PREVIEW_FIELDS = ["name", "age", "gender", "bloodType", "profilePicture"];
+
+export const SHARE_SCOPE_PRESETS = {
+  emergency_card: {
+    includeDocuments: false,
+    profileFields: ["name", "age", "gender", "bloodType", "allergies", "emergencyContact", "medicalHistory", "medications"],
+  },
+  prescriptions: {
+    documentTypes: ["Prescription"],
+    profileFields: DEFAULT_PREVIEW_FIELDS,
+  },
+};
+
+export const DEFAULT_SHARE_TTL_MINUTES = 15;
+export const MAX_SHARE_TTL_MINUTES = 7 * 24 * 60;
+export const MAX_SHARE_USES = 100;
+
+export class ShareScopeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ShareScopeError";
+    this.statusCode = statusCode;
+  }
+}
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+const toOptionalDate = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new ShareScopeError(`Invalid ${label} date`);
+  }
+  return parsed;
+};
+
+const canonicalDocumentType = (value) =>
+  SHARE_DOCUMENT_TYPES.find((type) => type.toLowerCase() === String(value).toLowerCase().replace(/s$/, ""));
+
+/**
+ * Validate a scope from the generate request. Returns null for an unscoped
+ * (full vault) share.
+ */
+export const normalizeShareScope = (input) => {
+  if (!input || typeof input !== "object" || !Object.keys(input).length) return null;
+
+  const preset = input.preset ? SHARE_SCOPE_PRESETS[String(input.preset)] : null;
+  if (input.preset && !preset) {
+    throw new ShareScopeError(`Unknown scope preset: ${input.preset}`);
+  }
+  const source = { ...(preset || {}), ...input };
+
+  const documentTypes = toList(source.documentTypes).map((value) => {
+    const type = canonicalDocumentType(value);
+    if (!type) throw new ShareScopeError(`Unknown document type: ${value}`);
+    return type;
+  });
+
+  const documentIds = toList(source.documentIds).map((value) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new ShareScopeError(`Invalid document id: ${value}`);
+    }
+    return new mongoose.Types.ObjectId(value);
+  });
+
+  const profileFields = toList(source.profileFields ?? DEFAULT_PREVIEW_FIELDS);
+  const unknownFields = profileFields.filter((field) => !SHARE_PROFILE_FIELDS.includes(field));
+  if (unknownFields.length) {
+    throw new ShareScopeError(`Unknown profile fields: ${unknownFields.join(", ")}`);
+  }
+
+  const dateFrom = toOptionalDate(source.dateFrom, "dateFrom");
+  const dateTo = toOptionalDate(source.dateTo, "dateTo");
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    throw new ShareScopeError("dateFrom must be before dateTo");
+  }
+
+  return {
+    preset: input.preset ? String(input.preset) : "",
+    includeDocuments: source.includeDocuments !== false,
+    documentTypes,
+    documentIds,
+    dateFrom,
+    dateTo,
+    profileFields,
+  };
+};
+
+/**
+ * Validate ttlMinutes / maxUses from the generate request.
+ */
+export const normalizeShareLimits = ({ ttlMinutes, maxUses } = {}) => {
+  let ttl = DEFAULT_SHARE_TTL_MINUTES;
+  if (ttlMinutes !== undefined && ttlMinutes !== null && ttlMinutes !== "") {
+    ttl = Number(ttlMinutes);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_SHARE_TTL_MINUTES) {
+      throw new ShareScopeError(`ttlMinutes must be between 1 and ${MAX_SHARE_TTL_MINUTES}`);
+    }
+  }
+
+  let uses = null;
+  if (maxUses !== undefined && maxUses !== null && maxUses !== "") {
+    uses = Number(maxUses);
+    if (!Number.isInteger(uses) || uses < 1 || uses > MAX_SHARE_USES) {
+      throw new ShareScopeError(`maxUses must be between 1 and ${MAX_SHARE_USES}`);
+    }
+  }
+
+  return { ttlMs: ttl * 60 * 1000, maxUses: uses };
+};
+
+const hasScope = (qrDoc) => Boolean(qrDoc?.scope);
+
+/**
+ * Mongo filter for the documents a share exposes, or null when the share
+ * exposes no documents at all (e.g. emergency-card-only links).
+ */
+export const buildSharedDocumentFilter = (qrDoc) => {
+  const filter = { userId: String(qrDoc.patientId || "") };
+  if (!hasScope(qrDoc)) return filter;
+
+  const scope = qrDoc.scope;
+  if (scope.includeDocuments === false) return null;
+  if (scope.documentTypes?.length) filter.category = { $in: scope.documentTypes };
+  if (scope.documentIds?.length) filter._id = { $in: scope.documentIds };
+  if (scope.dateFrom || scope.dateTo) {
+    filter.uploadedAt = {};
+    if (scope.dateFrom) filter.uploadedAt.$gte = scope.dateFrom;
+    if (scope.dateTo) filter.uploadedAt.$lte = scope.dateTo;
+  }
+  return filter;
+};
+
+export const getSharedProfileFields = (qrDoc) =>
+  hasScope(qrDoc) ? qrDoc.scope.profileFields : DEFAULT_PREVIEW_FIELDS;
+
+export const formatShareScope = (qrDoc) =>
+  hasScope(qrDoc)
+    ? {
+        preset: qrDoc.scope.preset || "",
+        includeDocuments: qrDoc.scope.includeDocuments !== false,
+        documentTypes: qrDoc.scope.documentTypes || [],
+        documentIds: (qrDoc.scope.documentIds || []).map(String),
+        dateFrom: qrDoc.scope.dateFrom || null,
+        dateTo: qrDoc.scope.dateTo || null,
+        profileFields: qrDoc.scope.profileFields,
+      }
+    : null;
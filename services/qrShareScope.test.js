@@ -0,0 +1,51 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  DEFAULT_PREVIEW_FIELDS,
+  ShareScopeError,
+  buildSharedDocumentFilter,
+  getSharedProfileFields,
+  normalizeShareLimits,
+  normalizeShareScope,
+} from "./qrShareScope.js";
+
+const patientId = "65f1a2b3c4d5e6f708192a3b";
+
+describe("QR share scope", () => {
+  it("keeps unscoped shares on the full-vault behaviour", () => {
+    const share = { patientId, scope: normalizeShareScope(undefined) };
+
+    expect(share.scope).toBeNull();
+    expect(buildSharedDocumentFilter(share)).toEqual({ userId: patientId });
+    expect(getSharedProfileFields(share)).toEqual(DEFAULT_PREVIEW_FIELDS);
+  });
+
+  it("narrows documents by type, id and date window", () => {
+    const scope = normalizeShareScope({
+      documentTypes: ["prescriptions"],
+      documentIds: ["65f1a2b3c4d5e6f708192a42"],
+      dateFrom: "2025-09-01",
+      profileFields: ["name", "bloodType"],
+    });
+    const filter = buildSharedDocumentFilter({ patientId, scope });
+
+    expect(filter.category).toEqual({ $in: ["Prescription"] });
+    expect(filter._id.$in.map(String)).toEqual(["65f1a2b3c4d5e6f708192a42"]);
+    expect(filter.uploadedAt.$gte.toISOString()).toBe("2025-09-01T00:00:00.000Z");
+    expect(getSharedProfileFields({ scope })).toEqual(["name", "bloodType"]);
+  });
+
+  it("exposes no documents for emergency-card-only shares", () => {
+    const scope = normalizeShareScope({ preset: "emergency_card" });
+
+    expect(buildSharedDocumentFilter({ patientId, scope })).toBeNull();
+    expect(scope.profileFields).toContain("allergies");
+  });
+
+  it("rejects unknown scope values and out-of-range limits", () => {
+    expect(() => normalizeShareScope({ profileFields: ["password"] })).toThrow(ShareScopeError);
+    expect(() => normalizeShareScope({ documentTypes: ["xray"] })).toThrow(ShareScopeError);
+    expect(() => normalizeShareLimits({ ttlMinutes: 0 })).toThrow(ShareScopeError);
+    expect(normalizeShareLimits({ ttlMinutes: 60, maxUses: 3 })).toEqual({ ttlMs: 3600000, maxUses: 3 });
+    expect(normalizeShareLimits({})).toEqual({ ttlMs: 15 * 60 * 1000, maxUses: null });
+  });
+});
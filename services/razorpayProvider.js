@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import axios from "axios";
+
+const RAZORPAY_API_URL = "https://api.razorpay.com/v1";
+
+const providerError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const safeEqualHex = (expected, provided) => {
+  const a = Buffer.from(String(expected || ""), "hex");
+  const b = Buffer.from(String(provided || ""), "hex");
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Razorpay adapter: payment intents are Razorpay orders, and webhooks are
+ * signed with HMAC-SHA256 of the raw body (X-Razorpay-Signature).
+ */
+export const createRazorpayProvider = ({ env = process.env, http = axios } = {}) => {
+  const keyId = String(env.RAZORPAY_KEY_ID || "").trim();
+  const keySecret = String(env.RAZORPAY_KEY_SECRET || "").trim();
+  const webhookSecret = String(env.RAZORPAY_WEBHOOK_SECRET || "").trim();
+
+  return {
+    name: "razorpay",
+
+    async createIntent({ receipt, amountMinor, currency, notes = {} }) {
+      if (!keyId || !keySecret) throw providerError("Razorpay is not configured", 503);
+
+      const { data } = await http.post(
+        `${RAZORPAY_API_URL}/orders`,
+        { amount: amountMinor, currency, receipt, notes },
+        { auth: { username: keyId, password: keySecret }, timeout: 10000 }
+      );
+      return {
+        intentId: data.id,
+        clientPayload: { keyId, orderId: data.id, amount: data.amount, currency: data.currency },
+      };
+    },
+
+    async createRefund({ providerPaymentId, amountMinor, notes = {} }) {
+      if (!keyId || !keySecret) throw providerError("Razorpay is not configured", 503);
+
+      const { data } = await http.post(
+        `${RAZORPAY_API_URL}/payments/${encodeURIComponent(providerPaymentId)}/refund`,
+        { amount: amountMinor, notes },
+        { auth: { username: keyId, password: keySecret }, timeout: 10000 }
+      );
+      return { refundId: data.id };
+    },
+
+    verifyWebhook(rawBody, headers = {}) {
+      if (!webhookSecret) throw providerError("Razorpay webhook secret is not configured", 503);
+      const expected = crypto.createHmac("sha256", webhookSecret).update(rawBody).digest("hex");
+      return safeEqualHex(expected, headers["x-razorpay-signature"]);
+    },
+
+    parseWebhook(payload, headers = {}, rawBody = "") {
+      const eventId =
+        String(headers["x-razorpay-event-id"] || "").trim() ||
+        crypto.createHash("sha256").update(rawBody).digest("hex");
+      const payment = payload?.payload?.payment?.entity || {};
+      const order = payload?.payload?.order?.entity || {};
+      const base = {
+        eventId,
+        rawType: String(payload?.event || ""),
+        intentId: payment.order_id || order.id || "",
+        providerPaymentId: payment.id || "",
+        amountMinor: Number(payment.amount ?? order.amount_paid ?? NaN),
+      };
+
+      if (payload?.event === "payment.captured" || payload?.event === "order.paid") {
+        return { ...base, type: "succeeded" };
+      }
+      if (payload?.event === "payment.failed") {
+        return {
+          ...base,
+          type: "failed",
+          failureReason: payment.error_description || payment.error_reason || "Payment failed",
+        };
+      }
+      return { ...base, type: "ignored" };
+    },
+  };
+};
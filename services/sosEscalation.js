@@ -0,0 +1,193 @@
+import { SosEvent } from "../models/SosEvent.js";
+import { AdminUser } from "../models/AdminUser.js";
+import { Notification } from "../models/Notification.js";
+import { recordSecurityAlert } from "./securityMonitorService.js";
+import { notifyEmergencyContact } from "./sosWorkflow.js";
+
+/**
+ * Escalation of SOS events nobody has acknowledged. Each severity has three
+ * thresholds, in minutes since the SOS was raised:
+ *   1. re-notify SOS admins
+ *   2. notify the patient's emergency contact
+ *   3. raise an SOS_ESCALATION security alert for ops
+ * A stage is claimed with a conditional update on `escalation.level` before
+ * its side effect runs, so restarts or a second instance never repeat it.
+ */
+
+export const SOS_ESCALATION_STAGES = ["admins_renotified", "contact_notified", "ops_alert_raised"];
+
+export const DEFAULT_ESCALATION_THRESHOLDS = {
+  red: [5, 15, 30],
+  yellow: [15, 45, 120],
+  green: [60, 240, 720],
+};
+
+const BATCH_SIZE = 100;
+const SYSTEM_ACTOR = { adminId: null, name: "System" };
+
+const isValidThresholdList = (value) =>
+  Array.isArray(value) &&
+  value.length === SOS_ESCALATION_STAGES.length &&
+  value.every((minutes, index) => Number.isFinite(minutes) && minutes > 0 && (index === 0 || minutes >= value[index - 1]));
+
+/**
+ * Read SOS_ESCALATION_THRESHOLDS (JSON, e.g. {"red":[5,15,30]}). Severities
+ * missing or invalid in the override keep their defaults.
+ */
+export const loadEscalationThresholds = (env = process.env) => {
+  const raw = String(env.SOS_ESCALATION_THRESHOLDS || "").trim();
+  if (!raw) return { ...DEFAULT_ESCALATION_THRESHOLDS };
+
+  let overrides = {};
+  try {
+    overrides = JSON.parse(raw);
+  } catch {
+    console.error("❌ SOS_ESCALATION_THRESHOLDS is not valid JSON; using defaults");
+    return { ...DEFAULT_ESCALATION_THRESHOLDS };
+  }
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ESCALATION_THRESHOLDS).map(([severity, defaults]) => {
+      const override = overrides?.[severity];
+      if (override === undefined) return [severity, defaults];
+      const minutes = Array.isArray(override) ? override.map(Number) : null;
+      if (!isValidThresholdList(minutes)) {
+        console.error(`❌ Invalid SOS escalation thresholds for ${severity}; using defaults`);
+        return [severity, defaults];
+      }
+      return [severity, minutes];
+    })
+  );
+};
+
+/**
+ * The highest stage (1-3) an event should have reached by `now`, 0 if none.
+ */
+export const getDueEscalationLevel = (event, thresholds, now = new Date()) => {
+  const minutes = thresholds[event.severity] || thresholds.red;
+  const ageMinutes = (now.getTime() - new Date(event.createdAt).getTime()) / 60000;
+  return minutes.filter((threshold) => ageMinutes >= threshold).length;
+};
+
+// Events raised before escalation existed have no level; they count as 0
+const escalationLevelFilter = (condition, { includeUnset }) =>
+  includeUnset
+    ? { $or: [{ "escalation.level": null }, { "escalation.level": condition }] }
+    : { "escalation.level": condition };
+
+const claimStage = (event, level, now) =>
+  SosEvent.findOneAndUpdate(
+    { _id: event._id, status: "open", ...escalationLevelFilter(level - 1, { includeUnset: level === 1 }) },
+    {
+      $set: { "escalation.level": level, "escalation.lastEscalatedAt": now },
+      $push: {
+        actionHistory: {
+          action: "escalated",
+          status: "open",
+          severity: event.severity,
+          message: `Unacknowledged SOS escalated: ${SOS_ESCALATION_STAGES[level - 1]}`,
+          changedByName: SYSTEM_ACTOR.name,
+          changedAt: now,
+        },
+      },
+    },
+    { new: true }
+  );
+
+const renotifySosAdmins = async (event, minutesOpen) => {
+  const admins = await AdminUser.find({
+    isActive: { $ne: false },
+    $or: [{ role: { $in: ["SUPER_ADMIN", "SOS_ADMIN"] } }, { permissions: "HANDLE_SOS" }],
+  })
+    .select("_id")
+    .lean();
+  if (!admins.length) return 0;
+
+  const title = `Unacknowledged ${event.severity.toUpperCase()} SOS`;
+  const body = `An SOS has been open for ${minutesOpen} minutes without acknowledgement.`;
+  const data = { type: "SOS_ESCALATION", sosEventId: String(event._id), severity: event.severity };
+
+  const notifications = await Notification.insertMany(
+    admins.map((admin) => ({
+      title,
+      body,
+      type: "system",
+      data,
+      recipientId: admin._id,
+      recipientRole: "admin",
+      senderId: "system",
+      senderRole: "system",
+    }))
+  );
+
+  // The stream matches on recipientRole, so one broadcast reaches every connected admin
+  const { broadcastNotification } = await import("../controllers/notificationController.js");
+  await broadcastNotification(notifications[0]);
+  return notifications.length;
+};
+
+const raiseOpsAlert = async (event, minutesOpen) => {
+  const alert = await recordSecurityAlert({
+    type: "SOS_ESCALATION",
+    severity: event.severity === "red" ? "CRITICAL" : "HIGH",
+    reason: `${event.severity.toUpperCase()} SOS unacknowledged for ${minutesOpen} minutes`,
+    metadata: {
+      sosEventId: String(event._id),
+      userId: String(event.userId),
+      severity: event.severity,
+      createdAt: event.createdAt,
+    },
+  });
+  if (alert) {
+    await SosEvent.updateOne({ _id: event._id }, { $set: { "escalation.alertId": alert._id } });
+  }
+  return alert;
+};
+
+const runStage = async (event, level, now) => {
+  const minutesOpen = Math.floor((now.getTime() - new Date(event.createdAt).getTime()) / 60000);
+  if (level === 1) {
+    await renotifySosAdmins(event, minutesOpen);
+  } else if (level === 2) {
+    await notifyEmergencyContact(event, {
+      actor: SYSTEM_ACTOR,
+      title: "SOS needs attention",
+      body: `raised an SOS ${minutesOpen} minutes ago that has not been answered yet. Please try to reach them.`,
+    });
+    await event.save();
+  } else if (level === 3) {
+    await raiseOpsAlert(event, minutesOpen);
+  }
+};
+
+/**
+ * Escalate every open SOS that is past its next threshold. Returns the
+ * number of stages run.
+ */
+export const runSosEscalations = async ({ now = new Date(), thresholds = loadEscalationThresholds() } = {}) => {
+  const earliestThreshold = Math.min(...Object.values(thresholds).map((minutes) => minutes[0]));
+  const candidates = await SosEvent.find({
+    status: "open",
+    ...escalationLevelFilter({ $lt: SOS_ESCALATION_STAGES.length }, { includeUnset: true }),
+    createdAt: { $lte: new Date(now.getTime() - earliestThreshold * 60000) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let escalated = 0;
+  for (const candidate of candidates) {
+    const dueLevel = getDueEscalationLevel(candidate, thresholds, now);
+    for (let level = (candidate.escalation?.level || 0) + 1; level <= dueLevel; level += 1) {
+      const claimed = await claimStage(candidate, level, now);
+      if (!claimed) break; // acknowledged meanwhile, or another worker took this stage
+      try {
+        await runStage(claimed, level, now);
+        escalated += 1;
+      } catch (error) {
+        console.error(`❌ SOS escalation stage ${level} failed for ${candidate._id}:`, error.message);
+      }
+    }
+  }
+  return { escalated };
+};
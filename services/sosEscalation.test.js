@@ -0,0 +1,108 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const sosFindMock = jest.fn();
+const sosFindOneAndUpdateMock = jest.fn();
+const sosUpdateOneMock = jest.fn(async () => ({}));
+const adminFindMock = jest.fn();
+const notificationInsertManyMock = jest.fn(async (docs) => docs);
+const broadcastNotificationMock = jest.fn(async () => {});
+const recordSecurityAlertMock = jest.fn(async () => ({ _id: "alert-1" }));
+const notifyEmergencyContactMock = jest.fn(async () => ({ notified: false }));
+
+await jest.unstable_mockModule("../models/SosEvent.js", () => ({
+  SosEvent: {
+    find: (...args) => ({
+      sort: () => ({ limit: () => ({ lean: async () => sosFindMock(...args) }) }),
+    }),
+    findOneAndUpdate: sosFindOneAndUpdateMock,
+    updateOne: sosUpdateOneMock,
+  },
+}));
+await jest.unstable_mockModule("../models/AdminUser.js", () => ({
+  AdminUser: {
+    find: (...args) => ({ select: () => ({ lean: async () => adminFindMock(...args) }) }),
+  },
+}));
+await jest.unstable_mockModule("../models/Notification.js", () => ({
+  Notification: { insertMany: notificationInsertManyMock },
+}));
+await jest.unstable_mockModule("../controllers/notificationController.js", () => ({
+  broadcastNotification: broadcastNotificationMock,
+}));
+await jest.unstable_mockModule("./securityMonitorService.js", () => ({
+  recordSecurityAlert: recordSecurityAlertMock,
+}));
+await jest.unstable_mockModule("./sosWorkflow.js", () => ({
+  notifyEmergencyContact: notifyEmergencyContactMock,
+}));
+
+const { DEFAULT_ESCALATION_THRESHOLDS, getDueEscalationLevel, loadEscalationThresholds, runSosEscalations } =
+  await import("./sosEscalation.js");
+
+const now = new Date("2026-03-01T10:00:00Z");
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000);
+
+describe("sosEscalation", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("merges threshold overrides and ignores invalid ones", () => {
+    const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+    const thresholds = loadEscalationThresholds({
+      SOS_ESCALATION_THRESHOLDS: JSON.stringify({ red: [2, 4, 8], yellow: [30, 10, 60] }),
+    });
+    errorSpy.mockRestore();
+
+    expect(thresholds.red).toEqual([2, 4, 8]);
+    expect(thresholds.yellow).toEqual(DEFAULT_ESCALATION_THRESHOLDS.yellow);
+    expect(thresholds.green).toEqual(DEFAULT_ESCALATION_THRESHOLDS.green);
+
+    expect(getDueEscalationLevel({ severity: "red", createdAt: minutesAgo(16) }, thresholds, now)).toBe(3);
+    expect(getDueEscalationLevel({ severity: "green", createdAt: minutesAgo(16) }, thresholds, now)).toBe(0);
+  });
+
+  it("runs each due stage once, in order, for events it can claim", async () => {
+    // Raised before escalation existed, so it has no escalation level yet
+    const event = { _id: "sos-1", userId: "patient-1", severity: "red", createdAt: minutesAgo(31) };
+    sosFindMock.mockResolvedValue([event]);
+    const claimed = { ...event, save: jest.fn(async () => {}) };
+    sosFindOneAndUpdateMock.mockResolvedValue(claimed);
+    adminFindMock.mockResolvedValue([{ _id: "admin-1" }, { _id: "admin-2" }]);
+
+    const result = await runSosEscalations({ now, thresholds: DEFAULT_ESCALATION_THRESHOLDS });
+
+    expect(result).toEqual({ escalated: 3 });
+    expect(sosFindMock.mock.calls[0][0].$or).toEqual([
+      { "escalation.level": null },
+      { "escalation.level": { $lt: 3 } },
+    ]);
+    expect(sosFindOneAndUpdateMock.mock.calls[0][0].$or).toEqual([
+      { "escalation.level": null },
+      { "escalation.level": 0 },
+    ]);
+    expect(sosFindOneAndUpdateMock.mock.calls.slice(1).map(([filter]) => filter["escalation.level"])).toEqual([1, 2]);
+    expect(notificationInsertManyMock.mock.calls[0][0]).toHaveLength(2);
+    expect(broadcastNotificationMock).toHaveBeenCalledTimes(1);
+    expect(notifyEmergencyContactMock).toHaveBeenCalledWith(claimed, expect.objectContaining({ title: "SOS needs attention" }));
+    expect(claimed.save).toHaveBeenCalledTimes(1);
+    expect(recordSecurityAlertMock).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "SOS_ESCALATION", severity: "CRITICAL" })
+    );
+    expect(sosUpdateOneMock).toHaveBeenCalledWith({ _id: "sos-1" }, { $set: { "escalation.alertId": "alert-1" } });
+  });
+
+  it("stops when a stage was already claimed or the event was acknowledged", async () => {
+    sosFindMock.mockResolvedValue([
+      { _id: "sos-2", userId: "patient-2", severity: "red", createdAt: minutesAgo(20), escalation: { level: 1 } },
+    ]);
+    sosFindOneAndUpdateMock.mockResolvedValue(null);
+
+    const result = await runSosEscalations({ now, thresholds: DEFAULT_ESCALATION_THRESHOLDS });
+
+    expect(result).toEqual({ escalated: 0 });
+    expect(sosFindOneAndUpdateMock).toHaveBeenCalledTimes(1);
+    expect(sosFindOneAndUpdateMock.mock.calls[0][0]).toMatchObject({ status: "open", "escalation.level": 1 });
+    expect(notifyEmergencyContactMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,230 @@
+import mongoose from "mongoose";
+import { User } from "../models/User.js";
+import { Notification } from "../models/Notification.js";
+import { sendNotification } from "../utils/notifications.js";
+
+/**
+ * Responder workflow for SosEvents: open → in_progress (acknowledged) →
+ * resolved. Every transition is appended to `actionHistory` so the event
+ * carries its own timeline.
+ */
+
+export const SOS_SEVERITIES = ["red", "yellow", "green"];
+const MAX_NOTE_LENGTH = 1000;
+
+export class SosWorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SosWorkflowError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+const clipNote = (value) => asText(value).slice(0, MAX_NOTE_LENGTH);
+
+const ensureNotResolved = (event) => {
+  if (event.status === "resolved") {
+    throw new SosWorkflowError("SOS event is already resolved", 409);
+  }
+};
+
+export const appendSosAction = (event, { action, note = "", message = "", actor = {}, changedAt = new Date() }) => {
+  if (!Array.isArray(event.actionHistory)) event.actionHistory = [];
+  event.actionHistory.push({
+    action,
+    status: event.status,
+    severity: event.severity,
+    note: clipNote(note),
+    message: asText(message),
+    changedByAdminId: actor.adminId || null,
+    changedByName: asText(actor.name) || "Admin",
+    changedAt,
+  });
+};
+
+/**
+ * Validate a responder from the request body. Without one, the acting admin
+ * becomes the responder.
+ */
+export const normalizeResponder = (input, actor = {}) => {
+  if (!input || typeof input !== "object" || !Object.keys(input).length) {
+    return { adminId: actor.adminId || null, name: asText(actor.name), phone: "" };
+  }
+
+  const adminId = asText(input.adminId);
+  if (adminId && !mongoose.Types.ObjectId.isValid(adminId)) {
+    throw new SosWorkflowError("Invalid responder adminId");
+  }
+  const name = asText(input.name);
+  if (!adminId && !name) {
+    throw new SosWorkflowError("Responder needs an adminId or a name");
+  }
+  return { adminId: adminId || null, name, phone: asText(input.phone) };
+};
+
+const assignResponder = (event, responder, actor, now) => {
+  event.assignedResponder = { ...responder, assignedAt: now };
+  appendSosAction(event, {
+    action: "responder_assigned",
+    message: `Responder assigned: ${responder.name || responder.adminId}`,
+    actor,
+    changedAt: now,
+  });
+};
+
+export const acknowledgeSosEvent = (event, { actor = {}, responder, note = "", now = new Date() } = {}) => {
+  if (event.status !== "open") {
+    throw new SosWorkflowError(`SOS event is already ${event.status}`, 409);
+  }
+
+  event.status = "in_progress";
+  event.acknowledgedAt = now;
+  event.acknowledgedByAdminId = actor.adminId || null;
+  appendSosAction(event, {
+    action: "acknowledged",
+    note,
+    message: "Status updated from open to in_progress",
+    actor,
+    changedAt: now,
+  });
+  assignResponder(event, normalizeResponder(responder, actor), actor, now);
+  return event;
+};
+
+export const assignSosResponder = (event, { actor = {}, responder, now = new Date() } = {}) => {
+  ensureNotResolved(event);
+  if (event.status === "open") {
+    throw new SosWorkflowError("Acknowledge the SOS event before assigning a responder", 409);
+  }
+  assignResponder(event, normalizeResponder(responder, actor), actor, now);
+  return event;
+};
+
+export const addSosNote = (event, { actor = {}, note, now = new Date() } = {}) => {
+  if (!asText(note)) throw new SosWorkflowError("note is required");
+  appendSosAction(event, { action: "note_added", note, actor, changedAt: now });
+  return event;
+};
+
+export const changeSosSeverity = (event, { actor = {}, severity, note = "", now = new Date() } = {}) => {
+  ensureNotResolved(event);
+  const next = asText(severity).toLowerCase();
+  if (!SOS_SEVERITIES.includes(next)) {
+    throw new SosWorkflowError(`severity must be one of: ${SOS_SEVERITIES.join(", ")}`);
+  }
+  if (next === event.severity) {
+    throw new SosWorkflowError(`SOS event is already ${next}`, 409);
+  }
+
+  const previous = event.severity;
+  event.severity = next;
+  appendSosAction(event, {
+    action: "severity_changed",
+    note,
+    message: `Severity changed from ${previous} to ${next}`,
+    actor,
+    changedAt: now,
+  });
+  return event;
+};
+
+export const resolveSosEvent = (event, { actor = {}, note = "", now = new Date() } = {}) => {
+  ensureNotResolved(event);
+
+  const previous = event.status;
+  event.status = "resolved";
+  event.resolvedAt = now;
+  event.resolutionNote = clipNote(note);
+  appendSosAction(event, {
+    action: "resolved",
+    note,
+    message: `Status updated from ${previous} to resolved`,
+    actor,
+    changedAt: now,
+  });
+  return event;
+};
+
+const phoneCandidates = (phone) => {
+  const raw = asText(phone);
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) return [];
+  return [...new Set([raw, digits, `+${digits}`, digits.slice(-10)])];
+};
+
+/**
+ * Tell the patient's emergency contact about the event. The contact is only
+ * a name and phone number, so they are reached in-app when that number
+ * belongs to a MedicalVault account; otherwise the attempt is recorded as
+ * skipped. Never throws: the transition itself has already happened.
+ */
+export const notifyEmergencyContact = async (event, { actor = {}, title, body, data = {} }) => {
+  try {
+    const patient = await User.findById(event.userId).select("name emergencyContact");
+    const contact = patient?.emergencyContact || {};
+    const candidates = phoneCandidates(contact.phone);
+
+    const contactUser = candidates.length
+      ? await User.findOne({ mobile: { $in: candidates }, _id: { $ne: event.userId } }).select("_id name")
+      : null;
+
+    if (!contactUser) {
+      appendSosAction(event, {
+        action: "contact_notification_skipped",
+        message: candidates.length
+          ? "Emergency contact has no MedicalVault account"
+          : "Patient has no emergency contact on file",
+        actor,
+      });
+      return { notified: false };
+    }
+
+    const patientName = asText(patient.name) || "Your contact";
+    const payload = {
+      ...data,
+      sosEventId: String(event._id),
+      patientId: String(event.userId),
+      status: event.status,
+    };
+    const notification = await Notification.create({
+      title,
+      body: `${patientName}: ${body}`,
+      type: "system",
+      data: payload,
+      recipientId: contactUser._id,
+      recipientRole: "patient",
+      senderId: actor.adminId || "system",
+      senderRole: actor.adminId ? "admin" : "system",
+    });
+    await sendNotification(String(contactUser._id), title, notification.body, payload);
+
+    const { broadcastNotification } = await import("../controllers/notificationController.js");
+    await broadcastNotification(notification);
+
+    appendSosAction(event, {
+      action: "contact_notified",
+      message: `Emergency contact ${asText(contact.name) || "on file"} notified in-app`,
+      actor,
+    });
+    return { notified: true, contactUserId: String(contactUser._id) };
+  } catch (error) {
+    console.error(`⚠️ Failed to notify emergency contact for SOS ${event?._id}:`, error.message);
+    return { notified: false };
+  }
+};
+
+export const toAdminSosPayload = (event) => {
+  const plain = typeof event?.toObject === "function" ? event.toObject() : event;
+  const coordinates = Array.isArray(plain?.location?.coordinates) ? plain.location.coordinates : [];
+  return {
+    ...plain,
+    geo:
+      coordinates.length === 2
+        ? { lng: Number(coordinates[0]), lat: Number(coordinates[1]) }
+        : null,
+    actionHistory: [...(plain?.actionHistory || [])].sort(
+      (a, b) => new Date(b?.changedAt || 0).getTime() - new Date(a?.changedAt || 0).getTime()
+    ),
+  };
+};
@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const userFindByIdMock = jest.fn();
+const userFindOneMock = jest.fn();
+const notificationCreateMock = jest.fn(async (doc) => ({ ...doc, _id: "notification-1" }));
+const sendNotificationMock = jest.fn(async () => true);
+const broadcastNotificationMock = jest.fn(async () => {});
+
+await jest.unstable_mockModule("../models/User.js", () => ({
+  User: {
+    findById: (...args) => ({ select: async () => userFindByIdMock(...args) }),
+    findOne: (...args) => ({ select: async () => userFindOneMock(...args) }),
+  },
+}));
+await jest.unstable_mockModule("../models/Notification.js", () => ({
+  Notification: { create: notificationCreateMock },
+}));
+await jest.unstable_mockModule("../utils/notifications.js", () => ({
+  sendNotification: sendNotificationMock,
+}));
+await jest.unstable_mockModule("../controllers/notificationController.js", () => ({
+  broadcastNotification: broadcastNotificationMock,
+}));
+
+const {
+  SosWorkflowError,
+  acknowledgeSosEvent,
+  changeSosSeverity,
+  notifyEmergencyContact,
+  resolveSosEvent,
+} = await import("./sosWorkflow.js");
+
+const actor = { adminId: "64b000000000000000000001", name: "Asha (SOS desk)" };
+const makeEvent = () => ({
+  _id: "sos-1",
+  userId: "patient-1",
+  status: "open",
+  severity: "red",
+  actionHistory: [],
+});
+
+describe("sosWorkflow", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("acknowledges an open event and defaults the responder to the acting admin", () => {
+    const now = new Date("2026-03-01T10:00:00Z");
+    const event = acknowledgeSosEvent(makeEvent(), { actor, note: "Calling patient", now });
+
+    expect(event.status).toBe("in_progress");
+    expect(event.acknowledgedAt).toBe(now);
+    expect(event.assignedResponder).toMatchObject({ adminId: actor.adminId, name: actor.name, assignedAt: now });
+    expect(event.actionHistory.map((entry) => entry.action)).toEqual(["acknowledged", "responder_assigned"]);
+    expect(event.actionHistory[0]).toMatchObject({
+      status: "in_progress",
+      note: "Calling patient",
+      changedByName: actor.name,
+    });
+
+    expect(() => acknowledgeSosEvent(event, { actor })).toThrow(SosWorkflowError);
+  });
+
+  it("records severity changes and refuses changes after resolution", () => {
+    const event = makeEvent();
+    changeSosSeverity(event, { actor, severity: "Yellow" });
+    expect(event.severity).toBe("yellow");
+    expect(event.actionHistory.at(-1).message).toBe("Severity changed from red to yellow");
+
+    expect(() => changeSosSeverity(event, { actor, severity: "purple" })).toThrow("severity must be one of");
+
+    resolveSosEvent(event, { actor, note: "Patient stable at home" });
+    expect(event.status).toBe("resolved");
+    expect(event.resolutionNote).toBe("Patient stable at home");
+
+    try {
+      changeSosSeverity(event, { actor, severity: "green" });
+      throw new Error("expected a conflict");
+    } catch (error) {
+      expect(error.statusCode).toBe(409);
+    }
+  });
+
+  it("notifies an emergency contact who has an account and records skips otherwise", async () => {
+    userFindByIdMock.mockResolvedValue({
+      name: "Ravi",
+      emergencyContact: { name: "Meera", phone: "+91 98765-43210" },
+    });
+    userFindOneMock.mockResolvedValueOnce({ _id: "contact-1", name: "Meera" });
+
+    const event = makeEvent();
+    const result = await notifyEmergencyContact(event, {
+      actor,
+      title: "SOS acknowledged",
+      body: "their SOS alert has been acknowledged.",
+    });
+
+    expect(result).toEqual({ notified: true, contactUserId: "contact-1" });
+    expect(userFindOneMock.mock.calls[0][0].mobile.$in).toEqual(
+      expect.arrayContaining(["919876543210", "+919876543210", "9876543210"])
+    );
+    expect(notificationCreateMock).toHaveBeenCalledWith(
+      expect.objectContaining({ recipientId: "contact-1", body: "Ravi: their SOS alert has been acknowledged." })
+    );
+    expect(sendNotificationMock).toHaveBeenCalledTimes(1);
+    expect(broadcastNotificationMock).toHaveBeenCalledTimes(1);
+    expect(event.actionHistory.at(-1).action).toBe("contact_notified");
+
+    userFindOneMock.mockResolvedValueOnce(null);
+    const skipped = await notifyEmergencyContact(event, { actor, title: "SOS resolved", body: "resolved" });
+    expect(skipped).toEqual({ notified: false });
+    expect(event.actionHistory.at(-1)).toMatchObject({
+      action: "contact_notification_skipped",
+      message: "Emergency contact has no MedicalVault account",
+    });
+  });
+});
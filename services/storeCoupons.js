@@ -0,0 +1,188 @@
+import mongoose from "mongoose";
+import { StoreCoupon } from "../models/StoreCoupon.js";
+import { StoreCouponRedemption } from "../models/StoreCouponRedemption.js";
+import { StoreOrder } from "../models/StoreOrder.js";
+
+/**
+ * Coupon codes for store checkout. A coupon is quoted against cart lines
+ * ({ productId, category, lineTotal }) and the discount is spread across the
+ * eligible lines so GST can be charged on the discounted value. Usage is
+ * counted through StoreCouponRedemption rows, which are released again when
+ * the order is cancelled.
+ */
+
+export class CouponError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "CouponError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+export const normalizeCouponCode = (value) => asText(value).toUpperCase();
+
+const matchesTargets = (coupon, line) => {
+  const productIds = (coupon.productIds || []).map(String);
+  const categories = (coupon.categories || []).map((category) => asText(category).toLowerCase());
+  if (!productIds.length && !categories.length) return true;
+  return (
+    productIds.includes(asText(line.productId)) ||
+    categories.includes(asText(line.category).toLowerCase())
+  );
+};
+
+/**
+ * Apply a coupon's rules to cart lines. `history` holds the buyer's
+ * previous order count and their active redemptions of this coupon.
+ * Returns the discount and its split per line (same order as `lines`).
+ */
+export const evaluateCoupon = (coupon, { lines = [], principal = {}, history = {}, now = new Date() }) => {
+  if (!coupon || !coupon.isActive) throw new CouponError("Coupon code is not valid", 404);
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    throw new CouponError("Coupon is not active yet");
+  }
+  if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+    throw new CouponError("Coupon has expired");
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError("Coupon usage limit has been reached", 409);
+  }
+
+  const cartSubtotal = round2(lines.reduce((sum, line) => sum + (Number(line.lineTotal) || 0), 0));
+  if (cartSubtotal < (coupon.minCartValue || 0)) {
+    throw new CouponError(`Add items worth ${coupon.minCartValue} or more to use this coupon`);
+  }
+
+  if (coupon.firstOrderOnly) {
+    if (principal.isGuest) throw new CouponError("Sign in to use a first-order coupon", 403);
+    if ((history.previousOrders || 0) > 0) {
+      throw new CouponError("Coupon is only valid on your first order");
+    }
+  }
+  if ((history.userRedemptions || 0) >= (coupon.perUserLimit || 1)) {
+    throw new CouponError("You have already used this coupon", 409);
+  }
+
+  const eligible = lines.map((line) => matchesTargets(coupon, line));
+  const eligibleSubtotal = round2(
+    lines.reduce((sum, line, index) => sum + (eligible[index] ? Number(line.lineTotal) || 0 : 0), 0)
+  );
+  if (eligibleSubtotal <= 0) {
+    throw new CouponError("Coupon does not apply to the items in your cart");
+  }
+
+  let discount =
+    coupon.discountType === "PERCENT" ? (eligibleSubtotal * coupon.value) / 100 : coupon.value;
+  if (coupon.discountType === "PERCENT" && coupon.maxDiscount > 0) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = round2(Math.min(discount, eligibleSubtotal));
+
+  // Split proportionally; the last eligible line takes the rounding remainder
+  const lastEligible = eligible.lastIndexOf(true);
+  let allocated = 0;
+  const lineDiscounts = lines.map((line, index) => {
+    if (!eligible[index]) return 0;
+    if (index === lastEligible) return round2(discount - allocated);
+    const share = round2((discount * (Number(line.lineTotal) || 0)) / eligibleSubtotal);
+    allocated = round2(allocated + share);
+    return share;
+  });
+
+  return { code: coupon.code, couponId: coupon._id, discount, eligibleSubtotal, lineDiscounts };
+};
+
+const loadCouponHistory = async (coupon, principal) => {
+  const [previousOrders, userRedemptions] = await Promise.all([
+    coupon.firstOrderOnly && !principal.isGuest
+      ? StoreOrder.countDocuments({
+          principalId: principal.principalId,
+          role: principal.role,
+          status: { $ne: "CANCELLED" },
+        })
+      : 0,
+    StoreCouponRedemption.countDocuments({
+      couponId: coupon._id,
+      principalId: principal.principalId,
+      role: principal.role,
+      status: "ACTIVE",
+    }),
+  ]);
+  return { previousOrders, userRedemptions };
+};
+
+/**
+ * Look up a code and quote it for the given lines and buyer.
+ */
+export const quoteCoupon = async ({ code, lines, principal, now = new Date() }) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) throw new CouponError("Coupon code is required");
+
+  const coupon = await StoreCoupon.findOne({ code: normalized }).lean();
+  if (!coupon) throw new CouponError("Coupon code is not valid", 404);
+
+  const history = await loadCouponHistory(coupon, principal);
+  return evaluateCoupon(coupon, { lines, principal, history, now });
+};
+
+/**
+ * Count a quoted coupon against its limits for a new order. The global limit
+ * is claimed atomically; the per-user limit is rechecked after the
+ * redemption row exists so two parallel checkouts cannot both pass.
+ */
+export const redeemCoupon = async ({ quote, orderId, principal }) => {
+  const claimed = await StoreCoupon.findOneAndUpdate(
+    {
+      _id: quote.couponId,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  ).lean();
+  if (!claimed) throw new CouponError("Coupon usage limit has been reached", 409);
+
+  const redemption = await StoreCouponRedemption.create({
+    couponId: quote.couponId,
+    code: quote.code,
+    orderId,
+    principalId: principal.principalId,
+    role: principal.role,
+    discount: quote.discount,
+  });
+
+  const userRedemptions = await StoreCouponRedemption.countDocuments({
+    couponId: quote.couponId,
+    principalId: principal.principalId,
+    role: principal.role,
+    status: "ACTIVE",
+  });
+  if (userRedemptions > (claimed.perUserLimit || 1)) {
+    await releaseCouponForOrder(orderId);
+    throw new CouponError("You have already used this coupon", 409);
+  }
+  return redemption;
+};
+
+/**
+ * Give a cancelled order's coupon use back. Safe to call for orders without
+ * a coupon and more than once.
+ */
+export const releaseCouponForOrder = async (orderId, { now = new Date() } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(asText(orderId))) return false;
+  const released = await StoreCouponRedemption.findOneAndUpdate(
+    { orderId, status: "ACTIVE" },
+    { $set: { status: "RELEASED", releasedAt: now } },
+    { new: true }
+  ).lean();
+  if (!released) return false;
+
+  await StoreCoupon.updateOne(
+    { _id: released.couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return true;
+};
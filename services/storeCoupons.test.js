@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const couponFindOneAndUpdateMock = jest.fn();
+const couponUpdateOneMock = jest.fn(async () => ({}));
+const redemptionCreateMock = jest.fn(async (doc) => doc);
+const redemptionCountMock = jest.fn(async () => 1);
+const redemptionFindOneAndUpdateMock = jest.fn();
+
+await jest.unstable_mockModule("../models/StoreCoupon.js", () => ({
+  StoreCoupon: {
+    findOne: jest.fn(),
+    findOneAndUpdate: (...args) => ({ lean: async () => couponFindOneAndUpdateMock(...args) }),
+    updateOne: couponUpdateOneMock,
+  },
+}));
+await jest.unstable_mockModule("../models/StoreCouponRedemption.js", () => ({
+  StoreCouponRedemption: {
+    create: redemptionCreateMock,
+    countDocuments: redemptionCountMock,
+    findOneAndUpdate: (...args) => ({ lean: async () => redemptionFindOneAndUpdateMock(...args) }),
+  },
+}));
+await jest.unstable_mockModule("../models/StoreOrder.js", () => ({
+  StoreOrder: { countDocuments: jest.fn(async () => 0) },
+}));
+
+const { CouponError, evaluateCoupon, redeemCoupon, releaseCouponForOrder } = await import("./storeCoupons.js");
+
+const now = new Date("2026-03-01T10:00:00Z");
+const principal = { principalId: "patient-1", role: "patient", isGuest: false };
+const orderId = "64b0000000000000000000d1";
+const lines = [
+  { productId: "p-vit", category: "Vitamins", lineTotal: 300 },
+  { productId: "p-mask", category: "Masks", lineTotal: 100 },
+  { productId: "p-omega", category: "vitamins", lineTotal: 150 },
+];
+const makeCoupon = (overrides = {}) => ({
+  _id: "coupon-1",
+  code: "HEALTH10",
+  discountType: "PERCENT",
+  value: 10,
+  maxDiscount: 0,
+  minCartValue: 0,
+  usageLimit: null,
+  perUserLimit: 1,
+  usedCount: 0,
+  categories: [],
+  productIds: [],
+  firstOrderOnly: false,
+  isActive: true,
+  ...overrides,
+});
+
+describe("storeCoupons", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("discounts only targeted lines, respecting caps", () => {
+    const quote = evaluateCoupon(makeCoupon({ categories: ["Vitamins"], value: 20, maxDiscount: 50 }), {
+      lines,
+      principal,
+      now,
+    });
+
+    expect(quote.eligibleSubtotal).toBe(450);
+    expect(quote.discount).toBe(50);
+    expect(quote.lineDiscounts).toEqual([33.33, 0, 16.67]);
+
+    const flat = evaluateCoupon(makeCoupon({ discountType: "FLAT", value: 500, productIds: ["p-mask"] }), {
+      lines,
+      principal,
+      now,
+    });
+    expect(flat.discount).toBe(100);
+    expect(flat.lineDiscounts).toEqual([0, 100, 0]);
+  });
+
+  it("rejects coupons outside their rules", () => {
+    const check = (coupon, options = {}) => () =>
+      evaluateCoupon(makeCoupon(coupon), { lines, principal, now, ...options });
+
+    expect(check({ validUntil: new Date("2026-02-28T00:00:00Z") })).toThrow("expired");
+    expect(check({ minCartValue: 1000 })).toThrow("1000 or more");
+    expect(check({ usageLimit: 5, usedCount: 5 })).toThrow("usage limit");
+    expect(check({ firstOrderOnly: true }, { history: { previousOrders: 2 } })).toThrow("first order");
+    expect(check({ firstOrderOnly: true }, { principal: { isGuest: true } })).toThrow("Sign in");
+    expect(check({ perUserLimit: 2 }, { history: { userRedemptions: 2 } })).toThrow("already used");
+    expect(check({ categories: ["Devices"] })).toThrow(CouponError);
+  });
+
+  it("claims usage atomically and rolls back when the buyer is over their limit", async () => {
+    const quote = { couponId: "coupon-1", code: "HEALTH10", discount: 40 };
+    couponFindOneAndUpdateMock.mockResolvedValueOnce({ _id: "coupon-1", perUserLimit: 1 });
+
+    await redeemCoupon({ quote, orderId, principal });
+    expect(couponFindOneAndUpdateMock.mock.calls[0][1]).toEqual({ $inc: { usedCount: 1 } });
+    expect(redemptionCreateMock).toHaveBeenCalledWith(expect.objectContaining({ orderId, discount: 40 }));
+
+    couponFindOneAndUpdateMock.mockResolvedValueOnce({ _id: "coupon-1", perUserLimit: 1 });
+    redemptionCountMock.mockResolvedValueOnce(2);
+    redemptionFindOneAndUpdateMock.mockResolvedValueOnce({ couponId: "coupon-1" });
+    await expect(redeemCoupon({ quote, orderId, principal })).rejects.toThrow("already used");
+    expect(couponUpdateOneMock).toHaveBeenCalledWith(
+      { _id: "coupon-1", usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+
+    couponFindOneAndUpdateMock.mockResolvedValueOnce(null);
+    await expect(redeemCoupon({ quote, orderId, principal })).rejects.toThrow("usage limit");
+
+    redemptionFindOneAndUpdateMock.mockResolvedValueOnce(null);
+    await expect(releaseCouponForOrder(orderId)).resolves.toBe(false);
+  });
+});
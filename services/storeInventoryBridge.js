@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 
 import { InventoryProduct } from "../models/InventoryProduct.js";
 import { Product } from "../models/Product.js";
+import { allocateLotsFefo, returnLotAllocations } from "./inventoryLots.js";
 
 const asText = (value) => (value == null ? "" : String(value).trim());
 
@@ -103,10 +104,12 @@ export const normalizeStoreOrderStatus = (value, fallback = "") => {
   if (normalized === "PLACED" || normalized === "PENDING" || normalized === "CONFIRMED") {
     return "PLACED";
   }
+  if (normalized === "AWAITING_VERIFICATION") return "AWAITING_VERIFICATION";
   if (normalized === "PROCESSING") return "PROCESSING";
   if (normalized === "SHIPPED") return "SHIPPED";
   if (normalized === "DELIVERED") return "DELIVERED";
   if (normalized === "CANCELLED" || normalized === "CANCELED") return "CANCELLED";
+  if (normalized === "RETURNED") return "RETURNED";
   return "";
 };
 
@@ -266,6 +269,22 @@ export const applyInventoryForStoreOrderStatus = async ({ order, nextStatus }) =
     return { idempotent: true, inventoryUpdated: false };
   }
 
+  if (normalizedNext === "AWAITING_VERIFICATION") {
+    throw new StoreInventoryError("Orders only await verification from checkout", 409);
+  }
+  if (normalizedPrevious === "AWAITING_VERIFICATION" && normalizedNext !== "CANCELLED") {
+    throw new StoreInventoryError("Order is awaiting prescription verification", 409);
+  }
+  if (normalizedNext === "RETURNED") {
+    throw new StoreInventoryError("Returns are processed through the return queue", 409);
+  }
+  if (normalizedPrevious === "RETURNED") {
+    throw new StoreInventoryError("Returned orders cannot change status", 409);
+  }
+  if (order?.inventoryReserved === false) {
+    return { idempotent: false, inventoryUpdated: false };
+  }
+
   if (normalizedNext !== "DELIVERED" && normalizedNext !== "CANCELLED") {
     return { idempotent: false, inventoryUpdated: false };
   }
@@ -276,6 +295,7 @@ export const applyInventoryForStoreOrderStatus = async ({ order, nextStatus }) =
   }
 
   const snapshots = [];
+  const lotAllocations = [];
 
   try {
     for (const [productId, quantity] of groupedItems.entries()) {
@@ -319,9 +339,51 @@ export const applyInventoryForStoreOrderStatus = async ({ order, nextStatus }) =
         inventory,
         productId
       );
+
+      if (normalizedNext === "DELIVERED") {
+        const { allocations } = await allocateLotsFefo({
+          productKey: inventory.productKey,
+          quantity,
+          trackLots: Boolean(inventory.trackLots),
+        });
+        lotAllocations.push(...allocations.map((allocation) => ({ productId, ...allocation })));
+      }
+    }
+
+    return { idempotent: false, inventoryUpdated: true, lotAllocations };
+  } catch (error) {
+    await returnLotAllocations(lotAllocations);
+    await restoreInventorySnapshots(snapshots);
+    throw error;
+  }
+};
+
+// Put delivered items back on the shelf (and into their lots) after an approved return
+export const restockReturnedOrderItems = async (items = [], lotAllocations = []) => {
+  const groupedItems = groupOrderItemsByProduct(items);
+  const snapshots = [];
+
+  try {
+    for (const [productId, quantity] of groupedItems.entries()) {
+      const inventory = await findInventoryByProductId(productId);
+      if (!inventory) continue;
+
+      const previous = normalizeInventoryState(inventory);
+      assignInventoryState(inventory, {
+        totalStock: previous.totalStock + quantity,
+        reserved: previous.reserved,
+      });
+
+      await inventory.save();
+      logInventoryDebug("restock_returned_items", inventory, productId);
+      snapshots.push({
+        inventoryId: inventory._id?.toString(),
+        state: previous,
+      });
     }
 
-    return { idempotent: false, inventoryUpdated: true };
+    await returnLotAllocations(lotAllocations);
+    return snapshots;
   } catch (error) {
     await restoreInventorySnapshots(snapshots);
     throw error;
@@ -346,10 +408,11 @@ export const listInventoryRowsWithProductDetails = async ({ productKey } = {}) =
       .map((product) => asText(product?._id))
       .filter(Boolean);
 
-    if (!productIds.length) return [];
-
     inventoryDocs = await InventoryProduct.find({
-      productId: { $in: productIds },
+      $or: [
+        { productId: { $in: productIds } },
+        { source: "CATALOG", isActive: { $ne: false } },
+      ],
     })
       .sort({ updatedAt: -1, createdAt: -1 })
       .lean();
@@ -401,7 +464,8 @@ export const listInventoryRowsWithProductDetails = async ({ productKey } = {}) =
     .map((inventory) => {
     const externalProductId = asText(inventory?.productId);
     const linkedProduct = productMap.get(externalProductId);
-    if (!linkedProduct) return null;
+    // Catalog-managed items have no store product behind them
+    if (!linkedProduct && inventory?.source !== "CATALOG") return null;
 
     const normalizedState = normalizeInventoryState(inventory);
     const reorderLevel = Math.max(0, toInteger(inventory?.reorderLevel, 0));
@@ -430,6 +494,7 @@ export const listInventoryRowsWithProductDetails = async ({ productKey } = {}) =
 
     return {
       productKey: resolvedProductKey,
+      source: inventory?.source || "STORE",
       productId: inventory?._id,
       externalProductId,
       product_id: externalProductId,
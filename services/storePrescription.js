@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import { Document } from "../models/File.js";
+import { StoreOrder } from "../models/StoreOrder.js";
+import { Notification } from "../models/Notification.js";
+import { sendNotification } from "../utils/notifications.js";
+import { cancelStoreOrder } from "./storeReturns.js";
+import { issueStoreInvoiceForOrder } from "./gstInvoice.js";
+import {
+  reserveInventoryForOrderItems,
+  restoreInventorySnapshots,
+} from "./storeInventoryBridge.js";
+
+/**
+ * Prescription gate for store orders. Orders containing prescription-only
+ * products are created as AWAITING_VERIFICATION with no stock held; a
+ * pharmacist (PRODUCT_ADMIN) approves them, which reserves inventory and
+ * places the order, or rejects them, which cancels it (refunding anything
+ * already paid).
+ */
+
+const DEFAULT_MAX_AGE_DAYS = 180;
+
+export class PrescriptionVerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PrescriptionVerificationError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const getMaxAgeDays = () => {
+  const days = Number(process.env.STORE_PRESCRIPTION_MAX_AGE_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_MAX_AGE_DAYS;
+};
+
+/**
+ * Check the prescription a buyer attached at checkout: a Prescription from
+ * their own vault (uploaded earlier or just now through /api/files/upload)
+ * that was not rejected by the medical-document check and is recent enough.
+ * Checkout itself never takes a file; see "Store Checkout with
+ * Prescription-Only Items" in the README for the two-step flow.
+ */
+export const resolveCheckoutPrescription = async ({ principalId, documentId, now = new Date() }) => {
+  const id = asText(documentId);
+  if (!id) {
+    throw new PrescriptionVerificationError(
+      "A prescription is required for one or more items. Upload it through /api/files/upload, then send its id as prescriptionDocumentId."
+    );
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new PrescriptionVerificationError("Invalid prescriptionDocumentId");
+  }
+
+  const document = await Document.findOne({ _id: id, userId: asText(principalId) })
+    .select("title type category uploadedAt medicalVerification")
+    .lean();
+  if (!document) {
+    throw new PrescriptionVerificationError("Prescription not found in your records", 404);
+  }
+  if (document.category !== "Prescription" && document.type !== "Prescription") {
+    throw new PrescriptionVerificationError("The attached document is not a prescription");
+  }
+  if (document.medicalVerification?.status === "rejected") {
+    throw new PrescriptionVerificationError("The attached prescription failed document verification");
+  }
+
+  const maxAgeMs = getMaxAgeDays() * 24 * 60 * 60 * 1000;
+  if (document.uploadedAt && now.getTime() - new Date(document.uploadedAt).getTime() > maxAgeMs) {
+    throw new PrescriptionVerificationError(
+      `Prescriptions older than ${getMaxAgeDays()} days cannot be used`
+    );
+  }
+
+  return { documentId: document._id, documentTitle: asText(document.title) };
+};
+
+const notifyBuyer = async (order, { title, body }) => {
+  if (order.role !== "patient" || !mongoose.Types.ObjectId.isValid(order.principalId)) return;
+  try {
+    const data = { type: "STORE_PRESCRIPTION_REVIEW", orderId: String(order._id), status: order.status };
+    await Notification.create({
+      title,
+      body,
+      type: "system",
+      data,
+      recipientId: order.principalId,
+      recipientRole: "patient",
+      senderId: "system",
+      senderRole: "system",
+    });
+    await sendNotification(order.principalId, title, body, data);
+  } catch (error) {
+    console.error(`⚠️ Failed to notify buyer about order ${order._id}:`, error.message);
+  }
+};
+
+const reviewFields = (decision, actor, note, now) => ({
+  "prescription.status": decision,
+  "prescription.reviewedByAdminId": actor.adminId || null,
+  "prescription.reviewedByName": asText(actor.name) || "Admin",
+  "prescription.reviewedAt": now,
+  "prescription.note": asText(note),
+});
+
+const loadAwaitingOrder = async (orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(asText(orderId))) {
+    throw new PrescriptionVerificationError("Invalid order id");
+  }
+  const order = await StoreOrder.findById(orderId).lean();
+  if (!order) throw new PrescriptionVerificationError("Order not found", 404);
+  if (order.status !== "AWAITING_VERIFICATION") {
+    throw new PrescriptionVerificationError(`Order is ${order.status}, not awaiting verification`, 409);
+  }
+  return order;
+};
+
+export const approveOrderPrescription = async ({ orderId, actor = {}, note = "", now = new Date() }) => {
+  const order = await loadAwaitingOrder(orderId);
+  const snapshots = await reserveInventoryForOrderItems(order.items);
+
+  // Only one reviewer can move the order out of verification
+  const approved = await StoreOrder.findOneAndUpdate(
+    { _id: order._id, status: "AWAITING_VERIFICATION" },
+    { $set: { status: "PLACED", inventoryReserved: true, ...reviewFields("APPROVED", actor, note, now) } },
+    { new: true }
+  );
+  if (!approved) {
+    await restoreInventorySnapshots(snapshots);
+    throw new PrescriptionVerificationError("Order was already reviewed", 409);
+  }
+
+  // A prepaid order becomes invoiceable once it is approved
+  if (approved.paymentStatus === "PAID") await issueStoreInvoiceForOrder(approved._id);
+
+  await notifyBuyer(approved, {
+    title: "Prescription approved",
+    body: "Your prescription was verified and your order has been placed.",
+  });
+  return approved;
+};
+
+export const rejectOrderPrescription = async ({ orderId, actor = {}, note = "", now = new Date() }) => {
+  if (!asText(note)) {
+    throw new PrescriptionVerificationError("A note explaining the rejection is required");
+  }
+  const order = await loadAwaitingOrder(orderId);
+
+  // Same path as any other cancellation: a prepaid order is refunded and an
+  // open payment intent is closed
+  const result = await cancelStoreOrder(order, {
+    cancellation: { requestedBy: "admin", reason: `Prescription rejected: ${asText(note)}`.slice(0, 600) },
+    set: reviewFields("REJECTED", actor, note, now),
+    actor,
+    now,
+  });
+  if (!result) throw new PrescriptionVerificationError("Order was already reviewed", 409);
+
+  await notifyBuyer(result.order, {
+    title: "Prescription not accepted",
+    body: result.refund
+      ? `Your order was cancelled and your payment is being refunded: ${asText(note)}`
+      : `Your order was cancelled: ${asText(note)}`,
+  });
+  return result;
+};
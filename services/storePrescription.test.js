@@ -0,0 +1,230 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const documentFindOneMock = jest.fn();
+const orderFindByIdMock = jest.fn();
+const orderFindOneAndUpdateMock = jest.fn();
+const reserveInventoryMock = jest.fn(async () => [{ inventoryId: "inv-1", state: {} }]);
+const restoreInventoryMock = jest.fn(async () => {});
+const notificationCreateMock = jest.fn(async (doc) => doc);
+const sendNotificationMock = jest.fn(async () => true);
+const releaseCouponMock = jest.fn(async () => true);
+const applyInventoryMock = jest.fn(async () => ({ inventoryUpdated: false }));
+const refundFindOneMock = jest.fn(async () => null);
+const refundCreateMock = jest.fn();
+const refundProviderPaymentMock = jest.fn(async () => ({ refundId: "rfnd_1" }));
+const orderUpdateOneMock = jest.fn(async () => ({ modifiedCount: 1 }));
+const issueInvoiceMock = jest.fn(async () => null);
+
+await jest.unstable_mockModule("../models/File.js", () => ({
+  Document: {
+    findOne: (...args) => ({ select: () => ({ lean: async () => documentFindOneMock(...args) }) }),
+  },
+}));
+await jest.unstable_mockModule("../models/StoreOrder.js", () => ({
+  StoreOrder: {
+    findById: (...args) => ({ lean: async () => orderFindByIdMock(...args) }),
+    // Awaitable directly (approval) or through .lean() (cancellation)
+    findOneAndUpdate: (...args) => {
+      const result = Promise.resolve(orderFindOneAndUpdateMock(...args));
+      return Object.assign(result, { lean: () => result });
+    },
+    updateOne: orderUpdateOneMock,
+  },
+}));
+await jest.unstable_mockModule("../models/StoreRefund.js", () => ({
+  StoreRefund: { findOne: refundFindOneMock, create: refundCreateMock },
+}));
+await jest.unstable_mockModule("./paymentGateway.js", () => ({
+  refundProviderPayment: refundProviderPaymentMock,
+}));
+await jest.unstable_mockModule("../models/Notification.js", () => ({
+  Notification: { create: notificationCreateMock },
+}));
+await jest.unstable_mockModule("../utils/notifications.js", () => ({
+  sendNotification: sendNotificationMock,
+}));
+await jest.unstable_mockModule("./storeInventoryBridge.js", () => ({
+  applyInventoryForStoreOrderStatus: applyInventoryMock,
+  reserveInventoryForOrderItems: reserveInventoryMock,
+  restockReturnedOrderItems: jest.fn(async () => []),
+  restoreInventorySnapshots: restoreInventoryMock,
+}));
+await jest.unstable_mockModule("./storeCoupons.js", () => ({
+  releaseCouponForOrder: releaseCouponMock,
+}));
+await jest.unstable_mockModule("./gstInvoice.js", () => ({
+  issueStoreInvoiceForOrder: issueInvoiceMock,
+}));
+
+const { approveOrderPrescription, rejectOrderPrescription, resolveCheckoutPrescription } = await import(
+  "./storePrescription.js"
+);
+
+const buyerId = "64b0000000000000000000aa";
+const documentId = "64b0000000000000000000bb";
+const orderId = "64b0000000000000000000cc";
+const now = new Date("2026-03-01T10:00:00Z");
+const awaitingOrder = {
+  _id: orderId,
+  principalId: buyerId,
+  role: "patient",
+  status: "AWAITING_VERIFICATION",
+  items: [{ productId: "64b0000000000000000000dd", quantity: 2 }],
+};
+
+describe("storePrescription", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("accepts only recent prescriptions from the buyer's own records", async () => {
+    await expect(resolveCheckoutPrescription({ principalId: buyerId, documentId: "" })).rejects.toThrow(
+      "A prescription is required"
+    );
+
+    documentFindOneMock.mockResolvedValueOnce(null);
+    await expect(resolveCheckoutPrescription({ principalId: buyerId, documentId, now })).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    expect(documentFindOneMock).toHaveBeenCalledWith({ _id: documentId, userId: buyerId });
+
+    documentFindOneMock.mockResolvedValueOnce({ _id: documentId, type: "Report", category: "Report" });
+    await expect(resolveCheckoutPrescription({ principalId: buyerId, documentId, now })).rejects.toThrow(
+      "not a prescription"
+    );
+
+    documentFindOneMock.mockResolvedValueOnce({
+      _id: documentId,
+      category: "Prescription",
+      uploadedAt: new Date("2025-06-01T00:00:00Z"),
+    });
+    await expect(resolveCheckoutPrescription({ principalId: buyerId, documentId, now })).rejects.toThrow(
+      "older than 180 days"
+    );
+
+    documentFindOneMock.mockResolvedValueOnce({
+      _id: documentId,
+      title: "Dr. Rao - antibiotics",
+      category: "Prescription",
+      uploadedAt: new Date("2026-02-20T00:00:00Z"),
+      medicalVerification: { status: "verified" },
+    });
+    await expect(resolveCheckoutPrescription({ principalId: buyerId, documentId, now })).resolves.toEqual({
+      documentId,
+      documentTitle: "Dr. Rao - antibiotics",
+    });
+  });
+
+  it("reserves stock on approval and releases it if another reviewer got there first", async () => {
+    orderFindByIdMock.mockResolvedValue(awaitingOrder);
+    orderFindOneAndUpdateMock.mockResolvedValueOnce({ ...awaitingOrder, status: "PLACED", paymentStatus: "PAID" });
+
+    const approved = await approveOrderPrescription({ orderId, actor: { name: "Pharmacist" }, now });
+
+    expect(approved.status).toBe("PLACED");
+    expect(issueInvoiceMock).toHaveBeenCalledWith(orderId);
+    expect(reserveInventoryMock).toHaveBeenCalledWith(awaitingOrder.items);
+    expect(orderFindOneAndUpdateMock.mock.calls[0][1].$set).toMatchObject({
+      status: "PLACED",
+      inventoryReserved: true,
+      "prescription.status": "APPROVED",
+      "prescription.reviewedByName": "Pharmacist",
+    });
+    expect(sendNotificationMock).toHaveBeenCalledWith(
+      buyerId,
+      "Prescription approved",
+      expect.any(String),
+      expect.objectContaining({ orderId })
+    );
+
+    orderFindOneAndUpdateMock.mockResolvedValueOnce(null);
+    await expect(approveOrderPrescription({ orderId, now })).rejects.toMatchObject({ statusCode: 409 });
+    expect(restoreInventoryMock).toHaveBeenCalledWith([{ inventoryId: "inv-1", state: {} }]);
+  });
+
+  it("cancels on rejection without touching inventory", async () => {
+    await expect(rejectOrderPrescription({ orderId, note: "" })).rejects.toThrow("note explaining");
+
+    const codOrder = { ...awaitingOrder, paymentMethod: "cod", paymentStatus: "PENDING", inventoryReserved: false };
+    orderFindByIdMock.mockResolvedValueOnce(codOrder).mockResolvedValueOnce({ ...codOrder, status: "CANCELLED" });
+    orderFindOneAndUpdateMock.mockResolvedValueOnce(codOrder);
+    const { order: rejected, refund } = await rejectOrderPrescription({
+      orderId,
+      note: "Prescription has expired",
+      now,
+    });
+
+    expect(rejected.status).toBe("CANCELLED");
+    const [filter, update] = orderFindOneAndUpdateMock.mock.calls[0];
+    expect(filter).toEqual({ _id: orderId, status: "AWAITING_VERIFICATION", paymentStatus: "PENDING" });
+    expect(update.$set).toMatchObject({ status: "CANCELLED", "prescription.status": "REJECTED" });
+    expect(update.$set).not.toHaveProperty("paymentStatus");
+    expect(reserveInventoryMock).not.toHaveBeenCalled();
+    expect(releaseCouponMock).toHaveBeenCalledWith(orderId, { now });
+    expect(refund).toBeNull();
+    expect(refundCreateMock).not.toHaveBeenCalled();
+  });
+
+  it("refunds a prepaid order when its prescription is rejected", async () => {
+    const paidOrder = {
+      ...awaitingOrder,
+      paymentMethod: "upi",
+      paymentStatus: "PAID",
+      inventoryReserved: false,
+      payment: { provider: "fake", providerPaymentId: "pay_1", amountMinor: 45000, currency: "INR", status: "PAID" },
+    };
+    orderFindByIdMock.mockResolvedValueOnce(paidOrder).mockResolvedValueOnce({ ...paidOrder, status: "CANCELLED" });
+    orderFindOneAndUpdateMock.mockResolvedValueOnce(paidOrder);
+    refundCreateMock.mockImplementation(async (doc) => ({
+      ...doc,
+      status: "PENDING",
+      attempts: 0,
+      set(values) {
+        Object.assign(this, values);
+      },
+      save: jest.fn(async () => {}),
+    }));
+
+    const { refund } = await rejectOrderPrescription({ orderId, note: "Not a valid prescription", now });
+
+    expect(refundCreateMock).toHaveBeenCalledWith(
+      expect.objectContaining({ orderId, reason: "cancellation", amountMinor: 45000, providerPaymentId: "pay_1" })
+    );
+    expect(refundProviderPaymentMock).toHaveBeenCalledWith(
+      expect.objectContaining({ providerName: "fake", providerPaymentId: "pay_1", amountMinor: 45000 })
+    );
+    expect(refund).toMatchObject({ status: "PROCESSED", providerRefundId: "rfnd_1" });
+    expect(sendNotificationMock).toHaveBeenCalledWith(
+      buyerId,
+      "Prescription not accepted",
+      expect.stringContaining("refunded"),
+      expect.any(Object)
+    );
+  });
+
+  it("closes an open payment intent when rejecting an unpaid order", async () => {
+    const pendingOrder = {
+      ...awaitingOrder,
+      paymentMethod: "upi",
+      paymentStatus: "PENDING_PAYMENT",
+      inventoryReserved: false,
+      payment: { provider: "fake", providerOrderId: "order_1", status: "CREATED" },
+    };
+    orderFindByIdMock.mockResolvedValueOnce(pendingOrder).mockResolvedValueOnce({ ...pendingOrder, status: "CANCELLED" });
+    orderFindOneAndUpdateMock.mockResolvedValueOnce(pendingOrder);
+
+    const { refund } = await rejectOrderPrescription({ orderId, note: "Illegible", now });
+
+    const [filter, update] = orderFindOneAndUpdateMock.mock.calls[0];
+    expect(filter).toEqual({ _id: orderId, status: "AWAITING_VERIFICATION", paymentStatus: "PENDING_PAYMENT" });
+    expect(update.$set).toMatchObject({
+      status: "CANCELLED",
+      paymentStatus: "FAILED",
+      "payment.status": "FAILED",
+      "payment.failedAt": now,
+      "prescription.status": "REJECTED",
+    });
+    expect(refund).toBeNull();
+    expect(refundCreateMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,325 @@
+import mongoose from "mongoose";
+import { StoreOrder } from "../models/StoreOrder.js";
+import { StoreRefund } from "../models/StoreRefund.js";
+import { Notification } from "../models/Notification.js";
+import { sendNotification } from "../utils/notifications.js";
+import {
+  applyInventoryForStoreOrderStatus,
+  restockReturnedOrderItems,
+  restoreInventorySnapshots,
+} from "./storeInventoryBridge.js";
+import { refundProviderPayment } from "./paymentGateway.js";
+import { releaseCouponForOrder } from "./storeCoupons.js";
+
+/**
+ * Customer cancellations and returns for store orders. Customers cancel
+ * directly until an order ships; after delivery they request a return, which
+ * an admin approves (restocking the items) or rejects. Money that was
+ * collected is refunded through a StoreRefund record tied to the payment.
+ */
+
+const DEFAULT_RETURN_WINDOW_DAYS = 7;
+export const CUSTOMER_CANCELLABLE_STATUSES = ["AWAITING_VERIFICATION", "PLACED", "PROCESSING"];
+
+export class StoreReturnError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "StoreReturnError";
+    this.statusCode = statusCode;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+export const getReturnWindowDays = () =>
+  Number(process.env.STORE_RETURN_WINDOW_DAYS) || DEFAULT_RETURN_WINDOW_DAYS;
+
+const requireReason = (reason, label) => {
+  const text = asText(reason).slice(0, 600);
+  if (!text) throw new StoreReturnError(`A reason is required to ${label}`);
+  return text;
+};
+
+const assertOrderId = (orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(asText(orderId))) {
+    throw new StoreReturnError("Invalid order id");
+  }
+};
+
+const loadCustomerOrder = async ({ orderId, principal }) => {
+  assertOrderId(orderId);
+  const order = await StoreOrder.findOne({
+    _id: orderId,
+    principalId: principal.principalId,
+    role: principal.role,
+  }).lean();
+  if (!order) throw new StoreReturnError("Order not found", 404);
+  return order;
+};
+
+const notifyBuyer = async (order, { title, body }) => {
+  if (order.role !== "patient" || !mongoose.Types.ObjectId.isValid(order.principalId)) return;
+  try {
+    const data = { type: "STORE_ORDER_RETURN", orderId: String(order._id), status: order.status };
+    await Notification.create({
+      title,
+      body,
+      type: "system",
+      data,
+      recipientId: order.principalId,
+      recipientRole: "patient",
+      senderId: "system",
+      senderRole: "system",
+    });
+    await sendNotification(order.principalId, title, body, data);
+  } catch (error) {
+    console.error(`⚠️ Failed to notify buyer about order ${order._id}:`, error.message);
+  }
+};
+
+// COD money is only in hand once the order was delivered
+const hasCollectedPayment = (order) =>
+  order.paymentStatus === "PAID" || (order.paymentMethod === "cod" && Boolean(order.deliveredAt));
+
+const attemptProviderRefund = async (refund, now) => {
+  refund.attempts += 1;
+  try {
+    const { refundId } = await refundProviderPayment({
+      providerName: refund.provider,
+      providerPaymentId: refund.providerPaymentId,
+      amountMinor: refund.amountMinor,
+      notes: { storeOrderId: String(refund.orderId), reason: refund.reason },
+    });
+    refund.set({ status: "PROCESSED", providerRefundId: refundId, processedAt: now, failureReason: "" });
+  } catch (error) {
+    refund.set({ status: "FAILED", failureReason: asText(error.message).slice(0, 300) });
+  }
+  return refund;
+};
+
+const syncOrderRefundState = async (refund) => {
+  if (refund.status !== "PROCESSED") return;
+  await StoreOrder.updateOne(
+    { _id: refund.orderId },
+    { $set: { paymentStatus: "REFUNDED", "payment.refundRequired": false } }
+  );
+};
+
+/**
+ * Create the refund for an order and, when the money went through the
+ * gateway, send it back through the same provider. Gateway failures leave
+ * the refund FAILED for an admin to retry; cash refunds stay PENDING until
+ * an admin records them. Calling this twice returns the existing refund.
+ */
+export const issueStoreRefund = async (order, { reason, actor = {}, now = new Date() }) => {
+  const existing = await StoreRefund.findOne({ orderId: order._id });
+  if (existing) return existing;
+
+  const viaGateway = Boolean(order.payment?.provider && order.payment?.providerPaymentId);
+  let refund;
+  try {
+    refund = await StoreRefund.create({
+      orderId: order._id,
+      principalId: order.principalId,
+      reason,
+      amountMinor: order.payment?.amountMinor || Math.round(Number(order.totals?.total || 0) * 100),
+      currency: order.payment?.currency || "INR",
+      paymentMethod: order.paymentMethod,
+      provider: viaGateway ? order.payment.provider : "",
+      providerPaymentId: viaGateway ? order.payment.providerPaymentId : "",
+      createdByAdminId: actor.adminId || null,
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    return StoreRefund.findOne({ orderId: order._id });
+  }
+
+  if (viaGateway) {
+    await attemptProviderRefund(refund, now);
+    await refund.save();
+    await syncOrderRefundState(refund);
+  }
+  return refund;
+};
+
+/**
+ * Move `order` (as last read) to CANCELLED: close an open payment intent so a
+ * late capture is flagged for refund, release stock and the coupon, and refund
+ * whatever was collected. `set` adds fields to the same guarded update.
+ * Resolves null when the order changed since it was read.
+ */
+export const cancelStoreOrder = async (order, { cancellation, set = {}, actor = {}, now = new Date() }) => {
+  const update = {
+    ...set,
+    status: "CANCELLED",
+    cancellation: { ...cancellation, cancelledAt: now },
+  };
+  if (order.paymentStatus === "PENDING_PAYMENT" && order.payment?.status === "CREATED") {
+    Object.assign(update, {
+      paymentStatus: "FAILED",
+      "payment.status": "FAILED",
+      "payment.failedAt": now,
+      "payment.failureReason": `Order cancelled by ${cancellation.requestedBy}`,
+    });
+  }
+
+  const previous = await StoreOrder.findOneAndUpdate(
+    { _id: order._id, status: order.status, paymentStatus: order.paymentStatus },
+    { $set: update },
+    { new: false }
+  ).lean();
+  if (!previous) return null;
+
+  await applyInventoryForStoreOrderStatus({ order: previous, nextStatus: "CANCELLED" });
+  await releaseCouponForOrder(previous._id, { now });
+
+  const refund = hasCollectedPayment(previous)
+    ? await issueStoreRefund(previous, { reason: "cancellation", actor, now })
+    : null;
+  const cancelled = await StoreOrder.findById(order._id).lean();
+  return { order: cancelled, refund };
+};
+
+export const cancelStoreOrderByCustomer = async ({ orderId, principal, reason, now = new Date() }) => {
+  const cancelReason = requireReason(reason, "cancel an order");
+  const order = await loadCustomerOrder({ orderId, principal });
+  if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+    throw new StoreReturnError(`Orders that are ${order.status} can no longer be cancelled`, 409);
+  }
+
+  const result = await cancelStoreOrder(order, {
+    cancellation: { requestedBy: "customer", reason: cancelReason },
+    now,
+  });
+  if (!result) throw new StoreReturnError("Order changed while cancelling; try again", 409);
+  return result;
+};
+
+export const requestStoreReturn = async ({ orderId, principal, reason, now = new Date() }) => {
+  const returnReason = requireReason(reason, "request a return");
+  const order = await loadCustomerOrder({ orderId, principal });
+  if (order.status !== "DELIVERED") {
+    throw new StoreReturnError("Only delivered orders can be returned", 409);
+  }
+  if (["REQUESTED", "APPROVED", "REJECTED"].includes(order.returnRequest?.status)) {
+    throw new StoreReturnError("A return was already requested for this order", 409);
+  }
+
+  const deliveredAt = new Date(order.deliveredAt || order.updatedAt);
+  const windowMs = getReturnWindowDays() * 24 * 60 * 60 * 1000;
+  if (now.getTime() - deliveredAt.getTime() > windowMs) {
+    throw new StoreReturnError(`Returns are accepted within ${getReturnWindowDays()} days of delivery`, 409);
+  }
+
+  const requested = await StoreOrder.findOneAndUpdate(
+    { _id: order._id, status: "DELIVERED", "returnRequest.status": { $in: ["NONE", null] } },
+    { $set: { returnRequest: { status: "REQUESTED", reason: returnReason, requestedAt: now } } },
+    { new: true }
+  ).lean();
+  if (!requested) throw new StoreReturnError("A return was already requested for this order", 409);
+  return requested;
+};
+
+const reviewFields = (decision, actor, note, now) => ({
+  "returnRequest.status": decision,
+  "returnRequest.reviewedByAdminId": actor.adminId || null,
+  "returnRequest.reviewedByName": asText(actor.name) || "Admin",
+  "returnRequest.reviewedAt": now,
+  "returnRequest.note": asText(note),
+});
+
+const loadRequestedReturn = async (orderId) => {
+  assertOrderId(orderId);
+  const order = await StoreOrder.findById(orderId).lean();
+  if (!order) throw new StoreReturnError("Order not found", 404);
+  if (order.returnRequest?.status !== "REQUESTED") {
+    throw new StoreReturnError("Order has no pending return request", 409);
+  }
+  return order;
+};
+
+export const approveStoreReturn = async ({ orderId, actor = {}, note = "", now = new Date() }) => {
+  const order = await loadRequestedReturn(orderId);
+  const snapshots =
+    order.inventoryReserved === false
+      ? []
+      : await restockReturnedOrderItems(order.items, order.lotAllocations || []);
+
+  const approved = await StoreOrder.findOneAndUpdate(
+    { _id: order._id, "returnRequest.status": "REQUESTED" },
+    { $set: { status: "RETURNED", ...reviewFields("APPROVED", actor, note, now) } },
+    { new: true }
+  ).lean();
+  if (!approved) {
+    await restoreInventorySnapshots(snapshots);
+    throw new StoreReturnError("Return was already reviewed", 409);
+  }
+
+  const refund = hasCollectedPayment(approved)
+    ? await issueStoreRefund(approved, { reason: "return", actor, now })
+    : null;
+  await notifyBuyer(approved, {
+    title: "Return approved",
+    body: refund ? "Your return was approved and a refund has been initiated." : "Your return was approved.",
+  });
+  return { order: approved, refund };
+};
+
+export const rejectStoreReturn = async ({ orderId, actor = {}, note = "", now = new Date() }) => {
+  const rejectNote = requireReason(note, "reject a return");
+  const order = await loadRequestedReturn(orderId);
+
+  const rejected = await StoreOrder.findOneAndUpdate(
+    { _id: order._id, "returnRequest.status": "REQUESTED" },
+    { $set: reviewFields("REJECTED", actor, rejectNote, now) },
+    { new: true }
+  ).lean();
+  if (!rejected) throw new StoreReturnError("Return was already reviewed", 409);
+
+  await notifyBuyer(rejected, {
+    title: "Return not accepted",
+    body: `Your return request was declined: ${rejectNote}`,
+  });
+  return rejected;
+};
+
+/**
+ * Refund a payment that was captured after its order had already been
+ * cancelled (see paymentGateway: payment.refundRequired).
+ */
+export const refundLateCapture = async ({ orderId, actor = {}, now = new Date() }) => {
+  assertOrderId(orderId);
+  const order = await StoreOrder.findById(orderId).lean();
+  if (!order) throw new StoreReturnError("Order not found", 404);
+  if (!order.payment?.refundRequired) {
+    throw new StoreReturnError("Order has no captured payment awaiting refund", 409);
+  }
+  return issueStoreRefund(order, { reason: "late_capture", actor, now });
+};
+
+/**
+ * Retry a FAILED gateway refund, or record a PENDING cash refund as paid out
+ * (reference is the receipt or transfer id).
+ */
+export const processStoreRefund = async ({ refundId, actor = {}, reference = "", now = new Date() }) => {
+  if (!mongoose.Types.ObjectId.isValid(asText(refundId))) {
+    throw new StoreReturnError("Invalid refund id");
+  }
+  const refund = await StoreRefund.findById(refundId);
+  if (!refund) throw new StoreReturnError("Refund not found", 404);
+  if (refund.status === "PROCESSED") {
+    throw new StoreReturnError("Refund was already processed", 409);
+  }
+
+  if (refund.provider) {
+    await attemptProviderRefund(refund, now);
+  } else {
+    const ref = asText(reference).slice(0, 120);
+    if (!ref) throw new StoreReturnError("A reference is required to record a manual refund");
+    refund.set({ status: "PROCESSED", reference: ref, processedAt: now });
+  }
+  refund.processedByAdminId = actor.adminId || null;
+  await refund.save();
+  await syncOrderRefundState(refund);
+  return refund;
+};
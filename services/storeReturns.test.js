@@ -0,0 +1,157 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+const orderFindOneMock = jest.fn();
+const orderFindByIdMock = jest.fn();
+const orderFindOneAndUpdateMock = jest.fn();
+const orderUpdateOneMock = jest.fn(async () => ({ modifiedCount: 1 }));
+const refundFindOneMock = jest.fn(async () => null);
+const refundCreateMock = jest.fn();
+const applyInventoryMock = jest.fn(async () => ({ inventoryUpdated: true }));
+const restockMock = jest.fn(async () => [{ inventoryId: "inv-1" }]);
+const restoreSnapshotsMock = jest.fn(async () => {});
+const refundProviderPaymentMock = jest.fn(async () => ({ refundId: "rfnd_1" }));
+const releaseCouponMock = jest.fn(async () => true);
+
+await jest.unstable_mockModule("../models/StoreOrder.js", () => ({
+  StoreOrder: {
+    findOne: (...args) => ({ lean: async () => orderFindOneMock(...args) }),
+    findById: (...args) => ({ lean: async () => orderFindByIdMock(...args) }),
+    findOneAndUpdate: (...args) => ({ lean: async () => orderFindOneAndUpdateMock(...args) }),
+    updateOne: orderUpdateOneMock,
+  },
+}));
+await jest.unstable_mockModule("../models/StoreRefund.js", () => ({
+  StoreRefund: { findOne: refundFindOneMock, create: refundCreateMock },
+}));
+await jest.unstable_mockModule("../models/Notification.js", () => ({
+  Notification: { create: jest.fn(async () => ({})) },
+}));
+await jest.unstable_mockModule("../utils/notifications.js", () => ({
+  sendNotification: jest.fn(async () => ({})),
+}));
+await jest.unstable_mockModule("./storeInventoryBridge.js", () => ({
+  applyInventoryForStoreOrderStatus: applyInventoryMock,
+  restockReturnedOrderItems: restockMock,
+  restoreInventorySnapshots: restoreSnapshotsMock,
+}));
+await jest.unstable_mockModule("./paymentGateway.js", () => ({
+  refundProviderPayment: refundProviderPaymentMock,
+}));
+await jest.unstable_mockModule("./storeCoupons.js", () => ({
+  releaseCouponForOrder: releaseCouponMock,
+}));
+
+const { StoreReturnError, approveStoreReturn, cancelStoreOrderByCustomer, requestStoreReturn } =
+  await import("./storeReturns.js");
+
+const now = new Date("2026-03-10T10:00:00Z");
+const principal = { principalId: "64b000000000000000000009", role: "patient" };
+const makeRefund = (doc) => ({
+  ...doc,
+  _id: "refund-1",
+  status: "PENDING",
+  attempts: 0,
+  set(values) {
+    Object.assign(this, values);
+  },
+  save: jest.fn(async () => {}),
+});
+const paidOrder = {
+  _id: "64b0000000000000000000a1",
+  principalId: principal.principalId,
+  role: "patient",
+  status: "PLACED",
+  paymentMethod: "upi",
+  paymentStatus: "PAID",
+  totals: { total: 500 },
+  payment: { provider: "fake", providerPaymentId: "pay_1", amountMinor: 50000, currency: "INR", status: "PAID" },
+  items: [{ productId: "p1", quantity: 2 }],
+};
+
+describe("storeReturns", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    refundCreateMock.mockImplementation(async (doc) => makeRefund(doc));
+  });
+
+  it("cancels a paid order, releases stock and refunds through the gateway", async () => {
+    orderFindOneMock.mockResolvedValue(paidOrder);
+    orderFindOneAndUpdateMock.mockResolvedValue(paidOrder);
+    orderFindByIdMock.mockResolvedValue({ ...paidOrder, status: "CANCELLED", paymentStatus: "REFUNDED" });
+
+    const { order, refund } = await cancelStoreOrderByCustomer({
+      orderId: paidOrder._id,
+      principal,
+      reason: "Ordered by mistake",
+      now,
+    });
+
+    const [filter, update] = orderFindOneAndUpdateMock.mock.calls[0];
+    expect(filter).toEqual({ _id: paidOrder._id, status: "PLACED", paymentStatus: "PAID" });
+    expect(update.$set).toMatchObject({
+      status: "CANCELLED",
+      cancellation: { requestedBy: "customer", reason: "Ordered by mistake", cancelledAt: now },
+    });
+    expect(applyInventoryMock).toHaveBeenCalledWith({ order: paidOrder, nextStatus: "CANCELLED" });
+    expect(releaseCouponMock).toHaveBeenCalledWith(paidOrder._id, { now });
+    expect(refundProviderPaymentMock).toHaveBeenCalledWith(
+      expect.objectContaining({ providerName: "fake", providerPaymentId: "pay_1", amountMinor: 50000 })
+    );
+    expect(refund).toMatchObject({ reason: "cancellation", status: "PROCESSED", providerRefundId: "rfnd_1" });
+    expect(orderUpdateOneMock).toHaveBeenCalledWith(
+      { _id: paidOrder._id },
+      { $set: { paymentStatus: "REFUNDED", "payment.refundRequired": false } }
+    );
+    expect(order.status).toBe("CANCELLED");
+  });
+
+  it("enforces the cancel and return windows", async () => {
+    orderFindOneMock.mockResolvedValueOnce({ ...paidOrder, status: "SHIPPED" });
+    await expect(
+      cancelStoreOrderByCustomer({ orderId: paidOrder._id, principal, reason: "Too slow", now })
+    ).rejects.toThrow(StoreReturnError);
+    await expect(cancelStoreOrderByCustomer({ orderId: paidOrder._id, principal, reason: " " })).rejects.toThrow(
+      "A reason is required"
+    );
+
+    const delivered = { ...paidOrder, status: "DELIVERED", returnRequest: { status: "NONE" } };
+    orderFindOneMock.mockResolvedValueOnce({ ...delivered, deliveredAt: new Date("2026-03-01T10:00:00Z") });
+    await expect(
+      requestStoreReturn({ orderId: paidOrder._id, principal, reason: "Damaged seal", now })
+    ).rejects.toThrow("within 7 days");
+
+    orderFindOneMock.mockResolvedValueOnce({ ...delivered, deliveredAt: new Date("2026-03-08T10:00:00Z") });
+    orderFindOneAndUpdateMock.mockResolvedValueOnce({ ...delivered, returnRequest: { status: "REQUESTED" } });
+    await requestStoreReturn({ orderId: paidOrder._id, principal, reason: "Damaged seal", now });
+    expect(orderFindOneAndUpdateMock.mock.calls[0][1].$set.returnRequest).toEqual({
+      status: "REQUESTED",
+      reason: "Damaged seal",
+      requestedAt: now,
+    });
+  });
+
+  it("restocks approved returns and leaves cash refunds for manual payout", async () => {
+    const codOrder = {
+      ...paidOrder,
+      status: "DELIVERED",
+      paymentMethod: "cod",
+      paymentStatus: "PENDING_PAYMENT",
+      payment: { status: "NONE" },
+      deliveredAt: new Date("2026-03-08T10:00:00Z"),
+      returnRequest: { status: "REQUESTED" },
+    };
+    orderFindByIdMock.mockResolvedValue(codOrder);
+    orderFindOneAndUpdateMock.mockResolvedValueOnce({ ...codOrder, status: "RETURNED" });
+
+    const { order, refund } = await approveStoreReturn({ orderId: paidOrder._id, actor: { name: "Ops" }, now });
+
+    expect(restockMock).toHaveBeenCalledWith(codOrder.items, []);
+    expect(order.status).toBe("RETURNED");
+    expect(refund).toMatchObject({ reason: "return", status: "PENDING", provider: "", amountMinor: 50000 });
+    expect(refundProviderPaymentMock).not.toHaveBeenCalled();
+
+    orderFindOneAndUpdateMock.mockResolvedValueOnce(null);
+    await expect(approveStoreReturn({ orderId: paidOrder._id, now })).rejects.toThrow("already reviewed");
+    expect(restoreSnapshotsMock).toHaveBeenCalledWith([{ inventoryId: "inv-1" }]);
+  });
+});
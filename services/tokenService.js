@@ -18,6 +18,13 @@ const getAccessSecret = () => {
 
 const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || getAccessSecret();
 
+// Login-attempt tokens prove only that a password checked out, so they are
+// signed with their own key: never verifiable as an access token
+const LOGIN_ATTEMPT_AUDIENCE = "login_attempt";
+const getLoginAttemptSecret = () =>
+  process.env.JWT_LOGIN_ATTEMPT_SECRET ||
+  crypto.createHmac("sha256", getAccessSecret()).update(LOGIN_ATTEMPT_AUDIENCE).digest("hex");
+
 const toRole = (role) => String(role || "").trim().toLowerCase();
 
 export const buildAccessPayload = ({
@@ -81,22 +88,23 @@ export const signRefreshToken = ({
   return { token, payload };
 };
 
-export const signLoginAttemptToken = ({ attemptId, principalId, role }) =>
+export const signLoginAttemptToken = ({ attemptId, principalId, role, purpose = "" }) =>
   jwt.sign(
     {
       typ: "login_attempt",
       attemptId: String(attemptId || "").trim(),
       sub: String(principalId || "").trim(),
       role: toRole(role),
+      ...(purpose ? { purpose: String(purpose) } : {}),
     },
-    getAccessSecret(),
-    { expiresIn: LOGIN_ATTEMPT_TTL }
+    getLoginAttemptSecret(),
+    { expiresIn: LOGIN_ATTEMPT_TTL, audience: LOGIN_ATTEMPT_AUDIENCE }
   );
 
 export const verifyAccessToken = (token) => jwt.verify(token, getAccessSecret());
 export const verifyRefreshToken = (token) => jwt.verify(token, getRefreshSecret());
 export const verifyLoginAttemptToken = (token) =>
-  jwt.verify(token, getAccessSecret());
+  jwt.verify(token, getLoginAttemptSecret(), { audience: LOGIN_ATTEMPT_AUDIENCE });
 
 export const hashToken = (token) =>
   crypto.createHash("sha256").update(String(token)).digest("hex");
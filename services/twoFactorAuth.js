@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import { TwoFactorCredential } from "../models/TwoFactorCredential.js";
+import { DoctorUser } from "../models/DoctorUser.js";
+import { hashToken, signLoginAttemptToken, verifyLoginAttemptToken } from "./tokenService.js";
+
+/**
+ * RFC 6238 TOTP second factor shared by patients, doctors, admins and the
+ * super-admin. Enrollment stores a pending secret until the first code from
+ * the authenticator app confirms it. At login, a correct password only earns
+ * a short-lived challenge token (the login-attempt token with
+ * purpose "two_factor"); the session is issued once a TOTP or recovery code
+ * is checked against it.
+ */
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step to absorb clock drift
+const TOTP_DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const PENDING_SECRET_TTL_MS = 15 * 60 * 1000;
+const CHALLENGE_PURPOSE = "two_factor";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400, code = "") {
+    super(message);
+    this.name = "TwoFactorError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+const asText = (value) => (value == null ? "" : String(value).trim());
+
+const getIssuer = () => asText(process.env.TOTP_ISSUER) || "MedicalVault";
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = asText(input).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new TwoFactorError("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const timeStep = (now) => Math.floor(now.getTime() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for one counter; TOTP is HOTP over the time step.
+ */
+export const generateTotp = (secret, { now = new Date(), step = timeStep(now) } = {}) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * The time step a code matches within the drift window, or null.
+ */
+export const matchTotpStep = (secret, code, { now = new Date() } = {}) => {
+  const candidate = asText(code).replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(candidate) || !secret) return null;
+
+  const current = timeStep(now);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift += 1) {
+    const expected = generateTotp(secret, { step: current + drift });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return current + drift;
+  }
+  return null;
+};
+
+export const buildProvisioningUri = ({ secret, label }) => {
+  const issuer = getIssuer();
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params.toString()}`;
+};
+
+const normalizeRecoveryCode = (value) => asText(value).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((code) => ({ hash: hashToken(normalizeRecoveryCode(code)), usedAt: null })),
+  };
+};
+
+const findCredential = (principalId, role) =>
+  TwoFactorCredential.findOne({ principalId: asText(principalId), role });
+
+// DoctorUser keeps a profile flag the doctor portal displays
+const syncProfileFlag = async (principalId, role, enabled) => {
+  if (role !== "doctor") return;
+  await DoctorUser.updateOne(
+    { _id: principalId },
+    { $set: { "securitySettings.twoFactorAuth": enabled } }
+  );
+};
+
+export const isTwoFactorEnabled = async (principalId, role) =>
+  Boolean(
+    await TwoFactorCredential.exists({ principalId: asText(principalId), role, enabled: true })
+  );
+
+export const getTwoFactorStatus = async (principalId, role) => {
+  const credential = await findCredential(principalId, role);
+  return {
+    enabled: credential?.enabled === true,
+    enabledAt: credential?.enabledAt || null,
+    recoveryCodesRemaining: credential?.enabled
+      ? credential.recoveryCodes.filter((entry) => !entry.usedAt).length
+      : 0,
+  };
+};
+
+/**
+ * Start (or restart) enrollment: a new secret is kept pending until
+ * confirmEnrollment sees a code generated from it.
+ */
+export const beginEnrollment = async ({ principalId, role, label, now = new Date() }) => {
+  const existing = await findCredential(principalId, role);
+  if (existing?.enabled) {
+    throw new TwoFactorError("Two-factor authentication is already enabled", 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+  const credential = existing || new TwoFactorCredential({ principalId: asText(principalId), role });
+  credential.pendingSecret = secret;
+  credential.pendingCreatedAt = now;
+  await credential.save();
+
+  return {
+    secret,
+    otpauthUri: buildProvisioningUri({ secret, label: asText(label) || asText(principalId) }),
+    issuer: getIssuer(),
+    digits: TOTP_DIGITS,
+    period: TOTP_STEP_SECONDS,
+  };
+};
+
+/**
+ * Finish enrollment with the first code from the app. Returns the recovery
+ * codes in plain text; only their hashes are stored, so this is the one time
+ * they can be shown.
+ */
+export const confirmEnrollment = async ({ principalId, role, code, now = new Date() }) => {
+  const credential = await findCredential(principalId, role);
+  if (!credential || credential.enabled) {
+    throw new TwoFactorError(
+      credential?.enabled ? "Two-factor authentication is already enabled" : "Start enrollment first",
+      409
+    );
+  }
+  const pendingSecret = credential.pendingSecret;
+  if (!pendingSecret || now - credential.pendingCreatedAt > PENDING_SECRET_TTL_MS) {
+    throw new TwoFactorError("Enrollment expired; start again", 409);
+  }
+
+  const step = matchTotpStep(pendingSecret, code, { now });
+  if (step == null) throw new TwoFactorError("Invalid authentication code", 401, "INVALID_TWO_FACTOR_CODE");
+
+  const { codes, hashes } = generateRecoveryCodes();
+  credential.secret = pendingSecret;
+  credential.pendingSecret = "";
+  credential.pendingCreatedAt = null;
+  credential.enabled = true;
+  credential.enabledAt = now;
+  credential.lastUsedStep = step;
+  credential.recoveryCodes = hashes;
+  await credential.save();
+  await syncProfileFlag(principalId, role, true);
+
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Check a TOTP code (or a recovery code) for an enrolled principal. Each
+ * TOTP step and each recovery code is consumed atomically, so a code that
+ * was seen once is refused afterwards.
+ */
+export const verifySecondFactor = async ({ principalId, role, code, recoveryCode, now = new Date() }) => {
+  if (!asText(code) && !asText(recoveryCode)) {
+    throw new TwoFactorError("code or recoveryCode is required");
+  }
+  const credential = await findCredential(principalId, role);
+  if (!credential?.enabled) {
+    throw new TwoFactorError("Two-factor authentication is not enabled", 409);
+  }
+
+  if (asText(recoveryCode)) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const claimed = await TwoFactorCredential.findOneAndUpdate(
+      { _id: credential._id, recoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+      { $set: { "recoveryCodes.$.usedAt": now } },
+      { new: true }
+    );
+    if (!claimed) throw new TwoFactorError("Invalid recovery code", 401, "INVALID_TWO_FACTOR_CODE");
+    return {
+      method: "recovery_code",
+      recoveryCodesRemaining: claimed.recoveryCodes.filter((entry) => !entry.usedAt).length,
+    };
+  }
+
+  const step = matchTotpStep(credential.secret, code, { now });
+  if (step == null) throw new TwoFactorError("Invalid authentication code", 401, "INVALID_TWO_FACTOR_CODE");
+
+  const claimed = await TwoFactorCredential.findOneAndUpdate(
+    {
+      _id: credential._id,
+      $or: [{ lastUsedStep: null }, { lastUsedStep: { $lt: step } }],
+    },
+    { $set: { lastUsedStep: step } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new TwoFactorError("This code was already used; wait for the next one", 401, "INVALID_TWO_FACTOR_CODE");
+  }
+  return { method: "totp" };
+};
+
+export const disableTwoFactor = async ({ principalId, role, code, recoveryCode, now = new Date() }) => {
+  await verifySecondFactor({ principalId, role, code, recoveryCode, now });
+  await TwoFactorCredential.deleteOne({ principalId: asText(principalId), role });
+  await syncProfileFlag(principalId, role, false);
+};
+
+export const regenerateRecoveryCodes = async ({ principalId, role, code, now = new Date() }) => {
+  // Only a fresh TOTP code may mint new recovery codes
+  await verifySecondFactor({ principalId, role, code, now });
+  const { codes, hashes } = generateRecoveryCodes();
+  await TwoFactorCredential.updateOne(
+    { principalId: asText(principalId), role },
+    { $set: { recoveryCodes: hashes } }
+  );
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Response body for a login whose password checked out but which still
+ * needs the second factor.
+ */
+export const buildTwoFactorChallenge = ({ principalId, role }) => ({
+  success: false,
+  code: "TWO_FACTOR_REQUIRED",
+  message: "Enter the code from your authenticator app",
+  twoFactorRequired: true,
+  challengeToken: signLoginAttemptToken({
+    attemptId: crypto.randomUUID(),
+    principalId,
+    role,
+    purpose: CHALLENGE_PURPOSE,
+  }),
+});
+
+/**
+ * The principal a login challenge token was issued to. The caller loads the
+ * account, then checks the code with verifySecondFactor.
+ */
+export const readTwoFactorChallenge = ({ challengeToken, role }) => {
+  let payload;
+  try {
+    payload = verifyLoginAttemptToken(asText(challengeToken));
+  } catch {
+    throw new TwoFactorError("Login challenge expired; sign in again", 401, "TWO_FACTOR_CHALLENGE_EXPIRED");
+  }
+  if (
+    asText(payload?.typ) !== "login_attempt" ||
+    asText(payload?.purpose) !== CHALLENGE_PURPOSE ||
+    asText(payload?.role) !== role ||
+    !asText(payload?.sub)
+  ) {
+    throw new TwoFactorError("Invalid login challenge", 401, "TWO_FACTOR_CHALLENGE_INVALID");
+  }
+  return asText(payload.sub);
+};
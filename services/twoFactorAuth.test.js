@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret-for-two-factor-challenges";
+
+const credentialFindOneMock = jest.fn();
+const credentialFindOneAndUpdateMock = jest.fn();
+const doctorUpdateOneMock = jest.fn(async () => ({}));
+
+await jest.unstable_mockModule("../models/TwoFactorCredential.js", () => ({
+  TwoFactorCredential: {
+    findOne: credentialFindOneMock,
+    findOneAndUpdate: credentialFindOneAndUpdateMock,
+    exists: jest.fn(),
+    deleteOne: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+await jest.unstable_mockModule("../models/DoctorUser.js", () => ({
+  DoctorUser: { updateOne: doctorUpdateOneMock },
+}));
+
+const {
+  base32Encode,
+  buildProvisioningUri,
+  buildTwoFactorChallenge,
+  confirmEnrollment,
+  generateTotp,
+  readTwoFactorChallenge,
+  TwoFactorError,
+  verifySecondFactor,
+} = await import("./twoFactorAuth.js");
+const { hashToken } = await import("./tokenService.js");
+
+const DOCTOR_ID = "64e000000000000000000001";
+// RFC 6238 appendix B SHA1 seed
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const now = new Date("2026-10-19T06:00:00Z");
+
+describe("twoFactorAuth", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("generates RFC 6238 codes and an authenticator provisioning URI", () => {
+    expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(generateTotp(RFC_SECRET, { now: new Date(59 * 1000) })).toBe("287082");
+    expect(generateTotp(RFC_SECRET, { now: new Date(1111111109 * 1000) })).toBe("081804");
+
+    const uri = buildProvisioningUri({ secret: RFC_SECRET, label: "dr@example.com" });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/MedicalVault%3Adr%40example\.com\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+  });
+
+  it("confirms enrollment with a code from the pending secret and stores only hashed recovery codes", async () => {
+    const credential = {
+      enabled: false,
+      pendingSecret: RFC_SECRET,
+      pendingCreatedAt: new Date(now.getTime() - 60 * 1000),
+      save: jest.fn(async () => credential),
+    };
+    credentialFindOneMock.mockResolvedValue(credential);
+
+    await expect(
+      confirmEnrollment({ principalId: DOCTOR_ID, role: "doctor", code: "000000", now })
+    ).rejects.toThrow("Invalid authentication code");
+
+    const { recoveryCodes } = await confirmEnrollment({
+      principalId: DOCTOR_ID,
+      role: "doctor",
+      code: generateTotp(RFC_SECRET, { now }),
+      now,
+    });
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(credential).toEqual(expect.objectContaining({ enabled: true, secret: RFC_SECRET, pendingSecret: "" }));
+    expect(credential.recoveryCodes[0]).toEqual({
+      hash: hashToken(recoveryCodes[0].replace("-", "")),
+      usedAt: null,
+    });
+    expect(JSON.stringify(credential.recoveryCodes)).not.toContain(recoveryCodes[0]);
+    expect(doctorUpdateOneMock).toHaveBeenCalledWith(
+      { _id: DOCTOR_ID },
+      { $set: { "securitySettings.twoFactorAuth": true } }
+    );
+  });
+
+  it("refuses a TOTP code once its step was used and claims recovery codes one at a time", async () => {
+    credentialFindOneMock.mockResolvedValue({ _id: "cred-1", enabled: true, secret: RFC_SECRET });
+    const code = generateTotp(RFC_SECRET, { now });
+
+    credentialFindOneAndUpdateMock.mockResolvedValueOnce({ _id: "cred-1" }).mockResolvedValueOnce(null);
+    await expect(verifySecondFactor({ principalId: DOCTOR_ID, role: "doctor", code, now })).resolves.toEqual({
+      method: "totp",
+    });
+    const replay = verifySecondFactor({ principalId: DOCTOR_ID, role: "doctor", code, now });
+    await expect(replay).rejects.toThrow("already used");
+    await expect(replay).rejects.toBeInstanceOf(TwoFactorError);
+    expect(credentialFindOneAndUpdateMock.mock.calls[0][0].$or).toEqual([
+      { lastUsedStep: null },
+      { lastUsedStep: { $lt: Math.floor(now.getTime() / 30000) } },
+    ]);
+
+    credentialFindOneAndUpdateMock.mockResolvedValueOnce({
+      recoveryCodes: [{ usedAt: now }, { usedAt: null }],
+    });
+    await expect(
+      verifySecondFactor({ principalId: DOCTOR_ID, role: "doctor", recoveryCode: " ABCDE-12345 ", now })
+    ).resolves.toEqual({ method: "recovery_code", recoveryCodesRemaining: 1 });
+    expect(credentialFindOneAndUpdateMock).toHaveBeenLastCalledWith(
+      { _id: "cred-1", recoveryCodes: { $elemMatch: { hash: hashToken("abcde12345"), usedAt: null } } },
+      { $set: { "recoveryCodes.$.usedAt": now } },
+      { new: true }
+    );
+  });
+
+  it("only accepts challenge tokens issued for two-factor login of the same role", () => {
+    const { challengeToken, code } = buildTwoFactorChallenge({ principalId: DOCTOR_ID, role: "doctor" });
+    expect(code).toBe("TWO_FACTOR_REQUIRED");
+
+    expect(readTwoFactorChallenge({ challengeToken, role: "doctor" })).toBe(DOCTOR_ID);
+    expect(() => readTwoFactorChallenge({ challengeToken, role: "admin" })).toThrow("Invalid login challenge");
+    expect(() => readTwoFactorChallenge({ challengeToken: "garbage", role: "doctor" })).toThrow(
+      "Login challenge expired"
+    );
+  });
+});
@@ -0,0 +1,26 @@
+import { User } from "../models/User.js";
+
+/**
+ * Remember where a patient's app last reported them, for geofenced
+ * mass-incident alerts. Never throws: callers are handling something else.
+ */
+export const updateLastKnownLocation = async (userId, { lat, lng, accuracyMeters, source }) => {
+  if (!userId || !Number.isFinite(lat) || !Number.isFinite(lng)) return;
+  try {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          lastKnownLocation: {
+            point: { type: "Point", coordinates: [lng, lat] },
+            accuracyMeters: Number.isFinite(accuracyMeters) ? accuracyMeters : undefined,
+            source,
+            updatedAt: new Date(),
+          },
+        },
+      }
+    );
+  } catch (error) {
+    console.error(`⚠️ Failed to store last known location for ${userId}:`, error.message);
+  }
+};
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+
+/**
+ * Blind indexes let us find a patient by an encrypted field without decrypting
+ * the collection: alongside the ciphertext we store HMAC-SHA256(BLIND_INDEX_KEY,
+ * field + normalized value) and search on that. The HMAC key is separate from
+ * DATA_ENCRYPTION_KEY so rotating the encryption key never invalidates search,
+ * and the field name is mixed in so equal values in different fields do not
+ * produce equal digests.
+ *
+ * Only exact matches are possible, and matching digests reveal that two
+ * patients share a value; nothing else about the plaintext is recoverable
+ * without the key.
+ */
+
+// Query parameters that carry a plaintext search term; kept out of request logs
+export const BLIND_INDEX_QUERY_PARAMS = ["aadhaar", "phone", "allergy"];
+
+// Allergy lists are padded with random digests to a multiple of this, so the
+// index does not give away how many allergies a patient has
+const ALLERGY_INDEX_BUCKET = 8;
+
+let cachedKey = null;
+let cachedRaw = "";
+
+const parseKey = (value) => {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  const key = /^[a-fA-F0-9]{64}$/.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  return key.length === 32 ? key : null;
+};
+
+export const loadBlindIndexKey = (env = process.env) => {
+  const raw = String(env.BLIND_INDEX_KEY || "");
+  if (env === process.env && raw === cachedRaw) return cachedKey;
+  const key = parseKey(raw);
+  if (env === process.env) {
+    cachedKey = key;
+    cachedRaw = raw;
+  }
+  return key;
+};
+
+export const isBlindIndexConfigured = () => Boolean(loadBlindIndexKey());
+
+// 12 digits, ignoring the spaces and dashes people type
+export const normalizeAadhaar = (value) => {
+  const digits = String(value ?? "").replace(/[\s-]/g, "");
+  return /^\d{12}$/.test(digits) ? digits : null;
+};
+
+// Indian numbers are stored as the 10-digit subscriber number, so +91 98xxx,
+// 098xxx and 98xxx all match
+export const normalizePhone = (value) => {
+  let digits = String(value ?? "").replace(/\D/g, "");
+  if (digits.length === 12 && digits.startsWith("91")) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1);
+  return digits.length >= 6 && digits.length <= 15 ? digits : null;
+};
+
+export const normalizeAllergy = (value) => {
+  const term = String(value ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  return term || null;
+};
+
+// Allergies are free text ("Penicillin, dust; peanuts"); each term is indexed on its own
+export const splitAllergyTerms = (value) => [
+  ...new Set(
+    String(value ?? "")
+      .split(/[,;\n]+/)
+      .map(normalizeAllergy)
+      .filter(Boolean)
+  ),
+];
+
+const NORMALIZERS = {
+  aadhaar: normalizeAadhaar,
+  emergencyPhone: normalizePhone,
+  allergy: normalizeAllergy,
+};
+
+/**
+ * Digest for one value of `field`, or null when the value is not searchable
+ * (empty, malformed) or no BLIND_INDEX_KEY is configured.
+ */
+export const computeBlindIndex = (field, value, key = loadBlindIndexKey()) => {
+  const normalize = NORMALIZERS[field];
+  if (!normalize) throw new Error(`Unknown blind index field: ${field}`);
+  const normalized = normalize(value);
+  if (!key || !normalized) return null;
+  return crypto.createHmac("sha256", key).update(`${field}\u0000${normalized}`).digest("base64url");
+};
+
+export const computeAllergyIndex = (value, key = loadBlindIndexKey()) => {
+  if (!key) return [];
+  const digests = splitAllergyTerms(value).map((term) => computeBlindIndex("allergy", term, key));
+  const padded = Math.ceil(digests.length / ALLERGY_INDEX_BUCKET) * ALLERGY_INDEX_BUCKET;
+  while (digests.length < padded) digests.push(crypto.randomBytes(32).toString("base64url"));
+  // Sorted so the padding is not always at the end
+  return digests.sort();
+};
+
+// Encrypted User fields patients can be searched by, and where each blind index lives
+export const USER_BLIND_INDEX_FIELDS = [
+  { path: "aadhaar", indexPath: "aadhaarIndex", compute: (value) => computeBlindIndex("aadhaar", value) },
+  {
+    path: "emergencyContact.phone",
+    indexPath: "emergencyPhoneIndex",
+    compute: (value) => computeBlindIndex("emergencyPhone", value),
+  },
+  { path: "allergies", indexPath: "allergyIndex", compute: (value) => computeAllergyIndex(value) },
+];
+
+/**
+ * Replace search terms in a logged URL with "[redacted]".
+ */
+export const redactBlindIndexParams = (url) => {
+  const value = String(url || "");
+  const queryStart = value.indexOf("?");
+  if (queryStart === -1) return value;
+  const params = new URLSearchParams(value.slice(queryStart + 1));
+  let redacted = false;
+  BLIND_INDEX_QUERY_PARAMS.forEach((name) => {
+    if (params.has(name)) {
+      params.set(name, "[redacted]");
+      redacted = true;
+    }
+  });
+  return redacted ? `${value.slice(0, queryStart)}?${params.toString()}` : value;
+};
@@ -1,54 +1,179 @@
 import crypto from "crypto";
 
-const ENC_PREFIX = "enc:v1";
+// enc:v1:<iv>:<tag>:<data> predates key IDs; enc:v2:<kid>:<iv>:<tag>:<data> names its key
+const LEGACY_PREFIX = "enc:v1";
+const ENC_PREFIX = "enc:v2";
+const CIPHERTEXT_PATTERN = /^enc:v[12]:/;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
 
-const getEncryptionKey = () => {
-  const raw = String(process.env.DATA_ENCRYPTION_KEY || "").trim();
+const parseKey = (value) => {
+  const raw = String(value || "").trim();
   if (!raw) return null;
-  if (/^[a-fA-F0-9]{64}$/.test(raw)) return Buffer.from(raw, "hex");
-  return Buffer.from(raw, "base64");
+  const key = /^[a-fA-F0-9]{64}$/.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  return key.length === 32 ? key : null;
 };
 
-const keyBuffer = () => {
-  const key = getEncryptionKey();
-  if (!key || key.length !== 32) return null;
-  return key;
+// Stable ID for a key nobody named, so ciphertext written with it can find it again
+const fingerprintKey = (key) => crypto.createHash("sha256").update(key).digest("hex").slice(0, 12);
+
+let cachedKeyring = null;
+let cachedSignature = "";
+
+/**
+ * Keys for sensitive fields. DATA_ENCRYPTION_KEY (DATA_ENCRYPTION_KEY_ID names
+ * it) encrypts everything new; DATA_ENCRYPTION_RETIRED_KEYS, a JSON array of
+ * { kid, key }, keeps older keys readable until the re-encryption job has
+ * moved their ciphertext to the active key.
+ *
+ * strict: throw on a malformed entry instead of skipping it (startup check).
+ */
+export const loadFieldKeyring = ({ env = process.env, strict = false } = {}) => {
+  const signature = [env.DATA_ENCRYPTION_KEY, env.DATA_ENCRYPTION_KEY_ID, env.DATA_ENCRYPTION_RETIRED_KEYS].join("|");
+  if (!strict && env === process.env && cachedKeyring && signature === cachedSignature) return cachedKeyring;
+
+  const fail = (message) => {
+    if (strict) throw new Error(message);
+    console.error(`❌ ${message}; ignoring it`);
+  };
+
+  const keys = new Map();
+  let activeKid = null;
+  const activeKey = parseKey(env.DATA_ENCRYPTION_KEY);
+  if (activeKey) {
+    activeKid = String(env.DATA_ENCRYPTION_KEY_ID || "").trim() || fingerprintKey(activeKey);
+    if (!KEY_ID_PATTERN.test(activeKid)) {
+      if (strict) throw new Error("DATA_ENCRYPTION_KEY_ID may only use letters, digits, _ and - (max 32)");
+      activeKid = fingerprintKey(activeKey);
+    }
+    keys.set(activeKid, activeKey);
+  }
+
+  let retired = [];
+  try {
+    retired = JSON.parse(env.DATA_ENCRYPTION_RETIRED_KEYS || "[]");
+  } catch {
+    fail("DATA_ENCRYPTION_RETIRED_KEYS is not valid JSON");
+  }
+  (Array.isArray(retired) ? retired : []).forEach((entry, index) => {
+    const key = parseKey(entry?.key);
+    if (!key) {
+      fail(`DATA_ENCRYPTION_RETIRED_KEYS[${index}] is not a 32-byte key`);
+      return;
+    }
+    const kid = String(entry?.kid || "").trim() || fingerprintKey(key);
+    if (!KEY_ID_PATTERN.test(kid) || keys.has(kid)) {
+      fail(`DATA_ENCRYPTION_RETIRED_KEYS[${index}] has an invalid or duplicate kid`);
+      return;
+    }
+    keys.set(kid, key);
+  });
+
+  const keyring = { activeKid, keys };
+  if (!strict && env === process.env) {
+    cachedKeyring = keyring;
+    cachedSignature = signature;
+  }
+  return keyring;
 };
 
-export const encryptField = (value) => {
-  const plain = value == null ? "" : String(value);
-  if (!plain) return plain;
-  if (plain.startsWith(`${ENC_PREFIX}:`)) return plain;
-  const key = keyBuffer();
-  if (!key) return plain;
+export const isEncryptedValue = (value) => CIPHERTEXT_PATTERN.test(value == null ? "" : String(value));
+
+/**
+ * Key ID a stored value was encrypted with: the kid for v2, "legacy" for v1,
+ * null for plaintext.
+ */
+export const getCiphertextKeyId = (value) => {
+  const encoded = value == null ? "" : String(value);
+  if (encoded.startsWith(`${ENC_PREFIX}:`)) return encoded.slice(ENC_PREFIX.length + 1).split(":")[0];
+  if (encoded.startsWith(`${LEGACY_PREFIX}:`)) return "legacy";
+  return null;
+};
 
+const encryptWith = (plain, kid, key) => {
   const iv = crypto.randomBytes(12);
   const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
   const encrypted = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
   const tag = cipher.getAuthTag();
-  return `${ENC_PREFIX}:${iv.toString("base64")}:${tag.toString("base64")}:${encrypted.toString("base64")}`;
+  return `${ENC_PREFIX}:${kid}:${iv.toString("base64")}:${tag.toString("base64")}:${encrypted.toString("base64")}`;
 };
 
-export const decryptField = (value) => {
+const decryptWith = (key, [ivB64, tagB64, dataB64]) => {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(ivB64, "base64"));
+  decipher.setAuthTag(Buffer.from(tagB64, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(dataB64, "base64")), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Plaintext for a stored value, or null when no configured key opens it.
+ * The named key is tried first; the rest cover v1 values and mislabelled ones.
+ */
+export const tryDecryptField = (value, keyring = loadFieldKeyring()) => {
   const encoded = value == null ? "" : String(value);
-  if (!encoded || !encoded.startsWith(`${ENC_PREFIX}:`)) return encoded;
-  const key = keyBuffer();
-  if (!key) return encoded;
-  try {
-    const [, ivB64, tagB64, dataB64] = encoded.split(":");
-    const decipher = crypto.createDecipheriv(
-      "aes-256-gcm",
-      key,
-      Buffer.from(ivB64, "base64")
-    );
-    decipher.setAuthTag(Buffer.from(tagB64, "base64"));
-    const decrypted = Buffer.concat([
-      decipher.update(Buffer.from(dataB64, "base64")),
-      decipher.final(),
-    ]);
-    return decrypted.toString("utf8");
-  } catch {
-    return encoded;
+  const kid = getCiphertextKeyId(encoded);
+  if (!kid) return encoded;
+
+  const parts =
+    kid === "legacy"
+      ? encoded.slice(LEGACY_PREFIX.length + 1).split(":")
+      : encoded.slice(ENC_PREFIX.length + 1).split(":").slice(1);
+  if (parts.length !== 3) return null;
+
+  const candidates = keyring.keys.has(kid)
+    ? [keyring.keys.get(kid), ...[...keyring.keys].filter(([id]) => id !== kid).map(([, key]) => key)]
+    : [...keyring.keys.values()];
+  for (const key of candidates) {
+    try {
+      return decryptWith(key, parts);
+    } catch {
+      // GCM tag mismatch: not this key
+    }
   }
+  return null;
+};
+
+// Used as a mongoose setter, which passes extra arguments; take the keyring from env only
+export const encryptField = (value) => {
+  const plain = value == null ? "" : String(value);
+  if (!plain) return plain;
+  if (isEncryptedValue(plain)) return plain;
+  const keyring = loadFieldKeyring();
+  if (!keyring.activeKid) return plain;
+  return encryptWith(plain, keyring.activeKid, keyring.keys.get(keyring.activeKid));
+};
+
+// Setters that wrap encryptField (e.g. to maintain a blind index) register here so
+// the re-encryption job still finds their paths
+const ENCRYPTING_SETTERS = new WeakSet();
+
+export const markEncryptingSetter = (setter) => {
+  ENCRYPTING_SETTERS.add(setter);
+  return setter;
+};
+
+export const isEncryptingSetter = (setter) => setter === encryptField || ENCRYPTING_SETTERS.has(setter);
+
+export const decryptField = (value) => {
+  const decrypted = tryDecryptField(value);
+  return decrypted == null ? (value == null ? "" : String(value)) : decrypted;
 };
 
+/**
+ * What the re-encryption job should store instead of `value`:
+ * { action: "keep" } when it is already under the active key (or empty),
+ * { action: "reencrypt" | "encrypt", value } otherwise,
+ * { action: "unreadable" } when no configured key can open it.
+ */
+export const planFieldReencryption = (value, keyring = loadFieldKeyring()) => {
+  const encoded = value == null ? "" : String(value);
+  if (!encoded || !keyring.activeKid) return { action: "keep" };
+
+  const kid = getCiphertextKeyId(encoded);
+  if (kid === keyring.activeKid) return { action: "keep" };
+
+  const plain = tryDecryptField(encoded, keyring);
+  if (plain == null) return { action: "unreadable" };
+  return {
+    action: kid ? "reencrypt" : "encrypt",
+    value: encryptWith(plain, keyring.activeKid, keyring.keys.get(keyring.activeKid)),
+  };
+};